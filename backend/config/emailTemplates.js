@@ -0,0 +1,337 @@
+// backend/config/emailTemplates.js
+// Email template catalogue: subjects, shared strings per locale and sample data for previews.
+// GLOBAL REFERENCE: Email Service, backend/templates/*.hbs, Super Admin → Email Log
+// PURPOSE: Describe every transactional email so the email service can render, localize and preview it.
+
+// Locales with template variants (<name>.<locale>.hbs); anything else falls back to the default
+const locales = ['en', 'bn'];
+
+// Strings used by the shared layout and partials
+const strings = {
+    en: {
+        allRightsReserved: 'All rights reserved.',
+        support: 'Support',
+        automatedMessage: 'This is an automated message, please do not reply to this email.',
+        item: 'Item',
+        qty: 'Qty',
+        price: 'Price',
+        subtotal: 'Subtotal',
+        shipping: 'Shipping',
+        discount: 'Discount',
+        total: 'Total',
+        buttonFallback: "If the button doesn't work, copy and paste this link into your browser:"
+    },
+    bn: {
+        allRightsReserved: 'সর্বস্বত্ব সংরক্ষিত।',
+        support: 'সহায়তা',
+        automatedMessage: 'এটি একটি স্বয়ংক্রিয় বার্তা, অনুগ্রহ করে এই ইমেইলের উত্তর দেবেন না।',
+        item: 'পণ্য',
+        qty: 'পরিমাণ',
+        price: 'মূল্য',
+        subtotal: 'সাবটোটাল',
+        shipping: 'ডেলিভারি চার্জ',
+        discount: 'ছাড়',
+        total: 'সর্বমোট',
+        buttonFallback: 'বাটনটি কাজ না করলে এই লিংকটি কপি করে ব্রাউজারে পেস্ট করুন:'
+    }
+};
+
+// Sample records shared by the previews
+const sampleUser = {
+    id: 42,
+    full_name: 'Rahim Ahmed',
+    email: 'rahim.ahmed@student.buet.ac.bd',
+    role: 'student',
+    university: 'BUET'
+};
+
+const sampleClub = {
+    id: 7,
+    club_name: 'BUET Robotics Society',
+    slug: 'buet-robotics-society',
+    university: 'Bangladesh University of Engineering and Technology',
+    contact_email: 'robotics@buet.ac.bd',
+    created_at: '2026-01-10T09:30:00Z'
+};
+
+const sampleOrder = {
+    id: 1024,
+    order_number: 'ORD-20260115-0042',
+    created_at: '2026-01-15T10:20:00Z',
+    delivery_name: 'Rahim Ahmed',
+    delivery_phone: '01712345678',
+    delivery_address: 'House 12, Road 5, Dhanmondi',
+    delivery_city: 'Dhaka',
+    delivery_district: 'Dhaka'
+};
+
+const sampleItems = [
+    { product_name: 'Arduino Uno R3', quantity: 2, price: 850 },
+    { product_name: 'L298N Motor Driver', quantity: 1, price: 320 },
+    { product_name: 'HC-SR04 Ultrasonic Sensor', quantity: 3, price: 120 }
+];
+
+const sampleCompetition = {
+    id: 15,
+    title: 'National Line Follower Challenge 2026',
+    competition_date: '2026-02-20',
+    competition_time: '10:00',
+    venue: 'BUET Auditorium, Dhaka',
+    location_lat: 23.7265,
+    location_lng: 90.3925,
+    registration_deadline: '2026-02-15',
+    registration_fee: 500,
+    max_participants: 40,
+    registration_count: 32
+};
+
+const sampleRegistration = {
+    id: 301,
+    team_name: 'Circuit Breakers',
+    registration_fee: 500,
+    payment_status: 'verified'
+};
+
+// Every template: description (admin preview list), subject per locale (Handlebars, not HTML-escaped)
+// and sample data with the same shape the email service passes when sending
+const templates = {
+    'order-confirmation': {
+        description: 'Sent to the buyer when an order is placed (PDF invoice attached)',
+        subject: {
+            en: 'Order Confirmation - #{{order.order_number}}',
+            bn: 'অর্ডার নিশ্চিত হয়েছে - #{{order.order_number}}'
+        },
+        sample: () => ({
+            user: sampleUser,
+            order: sampleOrder,
+            items: sampleItems,
+            totals: { subtotal: 2380, shipping: 60, discount: 100, total: 2340 }
+        })
+    },
+    'order-shipped': {
+        description: 'Sent to the buyer when a club ships its part of an order',
+        subject: {
+            en: 'Order Shipped - #{{order.order_number}}',
+            bn: 'অর্ডার পাঠানো হয়েছে - #{{order.order_number}}'
+        },
+        sample: () => ({
+            user: sampleUser,
+            order: sampleOrder,
+            items: sampleItems.slice(0, 2),
+            shipment: { tracking_number: 'PTH-778812345', courier_name: 'Pathao Courier', estimated_delivery: null }
+        })
+    },
+    'order-delivered': {
+        description: 'Sent to the buyer when an order is delivered',
+        subject: {
+            en: 'Order Delivered - #{{order.order_number}}',
+            bn: 'অর্ডার ডেলিভারি সম্পন্ন - #{{order.order_number}}'
+        },
+        sample: () => ({ user: sampleUser, order: sampleOrder })
+    },
+    'registration-confirmation': {
+        description: 'Sent to a student after registering a team for a competition (calendar invite attached)',
+        subject: {
+            en: 'Registration Confirmed - {{competition.title}}',
+            bn: 'রেজিস্ট্রেশন নিশ্চিত - {{competition.title}}'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            registration: sampleRegistration,
+            members: ['Rahim Ahmed', 'Nusrat Jahan', 'Tanvir Hasan'],
+            mapUrl: 'https://www.google.com/maps/dir/23.7265,90.3925'
+        })
+    },
+    'registration-approved': {
+        description: 'Sent to every team member when the club approves a registration (QR ticket and calendar invite attached)',
+        subject: {
+            en: 'Your ticket for {{competition.title}}',
+            bn: '{{competition.title}} - আপনার টিকিট'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            registration: sampleRegistration,
+            ticket: { code: 'TKT-301-K7Q2M9XA' },
+            mapUrl: 'https://www.google.com/maps/dir/23.7265,90.3925'
+        })
+    },
+    'competition-reminder': {
+        description: 'Sent to approved teams at each event reminder offset (calendar invite attached)',
+        subject: {
+            en: 'Reminder: {{competition.title}} {{#if (eq daysLeft 0)}}Today{{else if (eq daysLeft 1)}}Tomorrow{{else}}in {{daysLeft}} Days{{/if}}!',
+            bn: 'রিমাইন্ডার: {{competition.title}} {{#if (eq daysLeft 0)}}আজ{{else if (eq daysLeft 1)}}আগামীকাল{{else}}{{number daysLeft}} দিন পর{{/if}}!'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            registration: sampleRegistration,
+            daysLeft: 7,
+            mapUrl: 'https://www.google.com/maps/dir/23.7265,90.3925'
+        })
+    },
+    'registration-deadline': {
+        description: 'Sent to students who tapped "Remind me" when registration is about to close',
+        subject: {
+            en: 'Registration for {{competition.title}} closes {{#if (eq daysLeft 1)}}today{{else}}in {{daysLeft}} days{{/if}}',
+            bn: '{{competition.title}} - রেজিস্ট্রেশন {{#if (eq daysLeft 1)}}আজ বন্ধ হচ্ছে{{else}}{{number daysLeft}} দিন পর বন্ধ হচ্ছে{{/if}}'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            daysLeft: 3,
+            spotsLeft: 8,
+            mapUrl: 'https://www.google.com/maps/dir/23.7265,90.3925'
+        })
+    },
+    'team-invitation': {
+        description: 'Sent to a teammate invited to a competition team (by email or student ID)',
+        subject: {
+            en: '{{captain.full_name}} invited you to team {{registration.team_name}}',
+            bn: '{{captain.full_name}} আপনাকে {{registration.team_name}} দলে আমন্ত্রণ জানিয়েছেন'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            registration: sampleRegistration,
+            captain: { full_name: 'Nusrat Jahan' },
+            hasAccount: true
+        })
+    },
+    'judge-invitation': {
+        description: 'Sent to someone a club invites to judge a competition (account optional)',
+        subject: {
+            en: '{{club.club_name}} invited you to judge {{competition.title}}',
+            bn: '{{club.club_name}} আপনাকে {{competition.title}} প্রতিযোগিতার বিচারক হিসেবে আমন্ত্রণ জানিয়েছে'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            club: sampleClub,
+            inviter: { full_name: 'Tanvir Hasan' },
+            hasAccount: true
+        })
+    },
+    'waitlist-promoted': {
+        description: 'Sent to the captain of a waitlisted team when a spot opens, with the payment deadline',
+        subject: {
+            en: 'A spot opened up for {{registration.team_name}} - {{competition.title}}',
+            bn: '{{registration.team_name}} দলের জন্য জায়গা খালি হয়েছে - {{competition.title}}'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            registration: {
+                ...sampleRegistration,
+                payment_status: 'pending',
+                payment_due_at: '2026-02-12T12:00:00Z'
+            }
+        })
+    },
+    'competition-results': {
+        description: 'Sent to the members of ranked teams when a club publishes competition results',
+        subject: {
+            en: 'Results are out - {{competition.title}}',
+            bn: 'ফলাফল প্রকাশিত হয়েছে - {{competition.title}}'
+        },
+        sample: () => ({
+            user: sampleUser,
+            competition: sampleCompetition,
+            registration: sampleRegistration,
+            result: { placement: 1, score: 92.5, prize_amount: 15000 },
+            badge: 'champion'
+        })
+    },
+    'competition-cancellation': {
+        description: 'Sent to approved teams when the organizers cancel a competition',
+        subject: {
+            en: 'Competition Cancelled - {{competition.title}}',
+            bn: 'প্রতিযোগিতা বাতিল - {{competition.title}}'
+        },
+        sample: () => ({ user: sampleUser, competition: sampleCompetition, registration: sampleRegistration })
+    },
+    'club-application-received': {
+        description: 'Sent to a club admin after submitting a club application',
+        subject: { en: 'Club Application Received' },
+        sample: () => ({ user: { ...sampleUser, role: 'club_admin' }, club: sampleClub })
+    },
+    'club-approved': {
+        description: 'Sent to a club admin when the club application is approved',
+        subject: { en: '🎉 Club Application Approved!' },
+        sample: () => ({ user: { ...sampleUser, role: 'club_admin' }, club: sampleClub })
+    },
+    'club-rejected': {
+        description: 'Sent to a club admin when the club application is rejected',
+        subject: { en: 'Club Application Update' },
+        sample: () => ({
+            user: { ...sampleUser, role: 'club_admin' },
+            club: sampleClub,
+            reason: 'The club registration certificate is not legible. Please upload a clearer scan.'
+        })
+    },
+    'payout-notification': {
+        description: 'Sent to a club when a payout is scheduled, paid or failed',
+        subject: {
+            en: '{{#if (eq payout.status "paid")}}Payout Sent{{else if (eq payout.status "failed")}}Payout Failed{{else}}Payout Scheduled{{/if}} - {{club.club_name}}'
+        },
+        sample: () => ({
+            club: sampleClub,
+            payout: {
+                id: 88,
+                amount: 18450,
+                status: 'paid',
+                period_start: '2026-01-01',
+                period_end: '2026-01-31',
+                payment_method: 'bKash (01712345678)',
+                payment_reference: 'BK8N4X2Q7Z'
+            }
+        })
+    },
+    'email-verification': {
+        description: 'Sent after registration and when a verification email is requested again',
+        subject: {
+            en: 'Verify Your Email Address',
+            bn: 'আপনার ইমেইল ঠিকানা যাচাই করুন'
+        },
+        sample: () => ({
+            user: sampleUser,
+            verificationUrl: 'http://localhost:3000/verify-email.html?token=sample-verification-token',
+            expiryHours: 24
+        })
+    },
+    'password-reset': {
+        description: 'Sent when a user asks to reset a forgotten password',
+        subject: {
+            en: 'Password Reset Request',
+            bn: 'পাসওয়ার্ড রিসেটের অনুরোধ'
+        },
+        sample: () => ({
+            user: sampleUser,
+            resetUrl: 'http://localhost:3000/reset-password.html?token=sample-reset-token',
+            expiryHours: 1
+        })
+    },
+    'welcome': {
+        description: 'Sent once the email address is verified',
+        subject: {
+            en: 'Welcome to {{platform.name}}! 🎉',
+            bn: '{{platform.name}}-এ স্বাগতম! 🎉'
+        },
+        sample: () => ({ user: sampleUser })
+    },
+    'low-stock-alert': {
+        description: 'Sent to a club when a product runs low on stock',
+        subject: { en: 'Low Stock Alert: {{product.name}}' },
+        sample: () => ({
+            club: sampleClub,
+            product: { id: 55, name: 'Arduino Uno R3', stock: 2 }
+        })
+    }
+};
+
+module.exports = {
+    locales,
+    strings,
+    templates
+};
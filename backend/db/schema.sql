@@ -2,16 +2,45 @@
 -- PostgreSQL Database
 
 -- Drop existing tables if they exist (in correct order due to foreign keys)
+DROP TABLE IF EXISTS job_runs CASCADE;
+DROP TABLE IF EXISTS scheduled_jobs CASCADE;
+DROP TABLE IF EXISTS email_outbox CASCADE;
+DROP TABLE IF EXISTS realtime_events CASCADE;
+DROP TABLE IF EXISTS notification_preferences CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS activity_logs CASCADE;
 DROP TABLE IF EXISTS announcements CASCADE;
 DROP TABLE IF EXISTS platform_settings CASCADE;
+DROP TABLE IF EXISTS ledger_entries CASCADE;
 DROP TABLE IF EXISTS payouts CASCADE;
+DROP TABLE IF EXISTS payout_batches CASCADE;
+DROP TABLE IF EXISTS club_payout_methods CASCADE;
 DROP TABLE IF EXISTS reward_history CASCADE;
 DROP TABLE IF EXISTS cart_items CASCADE;
+DROP TABLE IF EXISTS refunds CASCADE;
+DROP TABLE IF EXISTS return_request_images CASCADE;
+DROP TABLE IF EXISTS return_request_items CASCADE;
+DROP TABLE IF EXISTS return_requests CASCADE;
 DROP TABLE IF EXISTS review_images CASCADE;
 DROP TABLE IF EXISTS reviews CASCADE;
+DROP TABLE IF EXISTS coupon_redemptions CASCADE;
+DROP TABLE IF EXISTS payment_webhook_events CASCADE;
+DROP TABLE IF EXISTS payment_transactions CASCADE;
+DROP TABLE IF EXISTS invoices CASCADE;
 DROP TABLE IF EXISTS order_items CASCADE;
+DROP TABLE IF EXISTS order_shipments CASCADE;
 DROP TABLE IF EXISTS orders CASCADE;
+DROP TABLE IF EXISTS coupons CASCADE;
+DROP TABLE IF EXISTS certificates CASCADE;
+DROP TABLE IF EXISTS judge_scores CASCADE;
+DROP TABLE IF EXISTS competition_judges CASCADE;
+DROP TABLE IF EXISTS tournament_matches CASCADE;
+DROP TABLE IF EXISTS tournament_rounds CASCADE;
+DROP TABLE IF EXISTS student_badges CASCADE;
+DROP TABLE IF EXISTS competition_results CASCADE;
+DROP TABLE IF EXISTS competition_reminders CASCADE;
+DROP TABLE IF EXISTS competition_interests CASCADE;
+DROP TABLE IF EXISTS registration_members CASCADE;
 DROP TABLE IF EXISTS competition_registrations CASCADE;
 DROP TABLE IF EXISTS competition_products CASCADE;
 DROP TABLE IF EXISTS competitions CASCADE;
@@ -19,6 +48,7 @@ DROP TABLE IF EXISTS product_images CASCADE;
 DROP TABLE IF EXISTS products CASCADE;
 DROP TABLE IF EXISTS clubs CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
+DROP SEQUENCE IF EXISTS invoice_number_seq;
 
 -- Users table (students, club admins, super admins)
 CREATE TABLE users (
@@ -34,6 +64,8 @@ CREATE TABLE users (
     is_verified BOOLEAN DEFAULT FALSE,
     verification_token VARCHAR(255),
     avatar_url TEXT,
+    locale VARCHAR(10) DEFAULT 'en' CHECK (locale IN ('en', 'bn')),
+    calendar_token VARCHAR(64) UNIQUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP
@@ -59,9 +91,13 @@ CREATE TABLE clubs (
     certificate_url TEXT,
     reward_points INTEGER DEFAULT 0,
     reward_tier VARCHAR(20) DEFAULT 'bronze' CHECK (reward_tier IN ('bronze', 'silver', 'gold', 'platinum')),
+    leaderboard_rank INTEGER,
     total_earnings DECIMAL(12, 2) DEFAULT 0,
+    available_balance DECIMAL(12, 2) DEFAULT 0,
     total_sales INTEGER DEFAULT 0,
     average_rating DECIMAL(3, 2) DEFAULT 0,
+    shipping_district VARCHAR(100),
+    shipping_division VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -113,10 +149,24 @@ CREATE TABLE competitions (
     location_lng DECIMAL(11, 8),
     registration_deadline DATE NOT NULL,
     max_participants INTEGER,
+    -- When full, further teams join a waitlist and are promoted as spots open
+    waitlist_enabled BOOLEAN DEFAULT FALSE,
+    team_size_min INTEGER DEFAULT 1 CHECK (team_size_min >= 1),
+    team_size_max INTEGER DEFAULT 5 CHECK (team_size_max >= 1),
+    -- Extra registration questions: [{ key, label, type, required, options, help }]
+    registration_form JSONB DEFAULT '[]',
     registration_fee DECIMAL(10, 2) NOT NULL,
     prize_first DECIMAL(10, 2),
     prize_second DECIMAL(10, 2),
     prize_third DECIMAL(10, 2),
+    -- Round names in order (e.g. ["Qualifier", "Final"]); results keep one score per round
+    result_rounds JSONB DEFAULT '[]',
+    results_published_at TIMESTAMP,
+    -- Bracket generated from the approved teams (null = no matches, just results)
+    tournament_format VARCHAR(30) CHECK (tournament_format IN ('single_elimination', 'round_robin', 'swiss')),
+    -- Judging rubric: [{ key, name, description, weight, max_score }], and the criterion keys that break ties, in order
+    judging_rubric JSONB DEFAULT '[]',
+    judging_tie_breaks JSONB DEFAULT '[]',
     rules TEXT,
     eligibility TEXT,
     banner_url TEXT,
@@ -127,7 +177,8 @@ CREATE TABLE competitions (
     views INTEGER DEFAULT 0,
     registration_count INTEGER DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (team_size_max >= team_size_min)
 );
 
 -- Competition-Product linking table
@@ -153,7 +204,185 @@ CREATE TABLE competition_registrations (
     payment_screenshot_url TEXT,
     transaction_id VARCHAR(100),
     payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'verified', 'failed')),
-    registration_status VARCHAR(20) DEFAULT 'pending' CHECK (registration_status IN ('pending', 'approved', 'rejected')),
+    registration_status VARCHAR(20) DEFAULT 'pending' CHECK (registration_status IN ('pending', 'approved', 'rejected', 'waitlisted', 'cancelled')),
+    -- Answers to the competition's registration form, keyed by field key
+    form_answers JSONB DEFAULT '{}',
+    -- Place in the waitlist (1 = next to be promoted) while registration_status is 'waitlisted'
+    waitlist_position INTEGER,
+    promoted_at TIMESTAMP,
+    -- Promoted teams must submit payment by this time (otherwise created_at + the payment hold)
+    payment_due_at TIMESTAMP,
+    cancellation_reason TEXT,
+    -- Event-day attendance, set once when the team's QR ticket is scanned at the venue
+    checked_in_at TIMESTAMP,
+    checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Registration members table (the captain and invited teammates of a team registration;
+-- invites by email to people without an account keep user_id empty until they accept)
+CREATE TABLE registration_members (
+    id SERIAL PRIMARY KEY,
+    registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE CASCADE,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    invited_email VARCHAR(255),
+    role VARCHAR(20) DEFAULT 'member' CHECK (role IN ('captain', 'member')),
+    status VARCHAR(20) DEFAULT 'invited' CHECK (status IN ('invited', 'accepted', 'declined')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(registration_id, user_id),
+    UNIQUE(registration_id, invited_email)
+);
+
+-- Competition interests table (students who asked to be reminded before registration closes)
+CREATE TABLE competition_interests (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(competition_id, user_id)
+);
+
+-- Competition reminders table (one row per reminder sent, so each offset goes out once)
+CREATE TABLE competition_reminders (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE CASCADE,
+    reminder_type VARCHAR(20) NOT NULL CHECK (reminder_type IN ('deadline', 'event')),
+    days_before INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(competition_id, user_id, reminder_type, days_before)
+);
+
+-- Competition results table (one row per ranked approved team; public once the competition's results are published)
+CREATE TABLE competition_results (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE CASCADE,
+    placement INTEGER CHECK (placement >= 1),
+    score DECIMAL(10, 2),
+    -- Scores in the order of competitions.result_rounds (null for rounds the team did not play)
+    round_scores JSONB DEFAULT '[]',
+    notes TEXT,
+    prize_amount DECIMAL(10, 2) DEFAULT 0,
+    prize_status VARCHAR(20) DEFAULT 'none' CHECK (prize_status IN ('none', 'pending', 'paid')),
+    prize_reference VARCHAR(100),
+    prize_paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(competition_id, registration_id)
+);
+
+-- Student badges table (every accepted member of a podium team, awarded when results are published)
+CREATE TABLE student_badges (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE CASCADE,
+    badge_type VARCHAR(20) NOT NULL CHECK (badge_type IN ('champion', 'runner_up', 'third_place')),
+    placement INTEGER NOT NULL,
+    awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, competition_id)
+);
+
+-- Certificates table (one per accepted team member; winner certificates carry the podium placement)
+CREATE TABLE certificates (
+    id SERIAL PRIMARY KEY,
+    verification_code VARCHAR(20) UNIQUE NOT NULL,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    recipient_name VARCHAR(255) NOT NULL,
+    certificate_type VARCHAR(20) NOT NULL CHECK (certificate_type IN ('participation', 'winner')),
+    -- Placement in the published results (any rank; winners are 1-3)
+    placement INTEGER,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(registration_id, user_id)
+);
+
+-- Tournament rounds table (the rounds of a competition's bracket, in order;
+-- Swiss rounds stay without matches until the previous round has been played)
+CREATE TABLE tournament_rounds (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    round_number INTEGER NOT NULL CHECK (round_number >= 1),
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(competition_id, round_number)
+);
+
+-- Tournament matches table (two teams per match; a bye only has team 1, who goes through without playing)
+CREATE TABLE tournament_matches (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    round_id INTEGER REFERENCES tournament_rounds(id) ON DELETE CASCADE,
+    match_number INTEGER NOT NULL,
+    team1_registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE SET NULL,
+    team2_registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE SET NULL,
+    team1_score DECIMAL(10, 2),
+    team2_score DECIMAL(10, 2),
+    -- Null for a draw (round robin and Swiss only)
+    winner_registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'bye')),
+    -- Single elimination: the match the winner moves on to, as its team 1 or team 2
+    next_match_id INTEGER REFERENCES tournament_matches(id) ON DELETE SET NULL,
+    next_match_slot SMALLINT CHECK (next_match_slot IN (1, 2)),
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(round_id, match_number)
+);
+
+-- Competition judges table (people a club invites to score the teams of one competition;
+-- invites to emails without an account keep user_id empty until they accept)
+CREATE TABLE competition_judges (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    invited_email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'invited' CHECK (status IN ('invited', 'accepted', 'declined')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(competition_id, invited_email)
+);
+
+-- Judge scores table (one scoresheet per judge and team; scores are keyed by rubric criterion key)
+CREATE TABLE judge_scores (
+    id SERIAL PRIMARY KEY,
+    competition_id INTEGER REFERENCES competitions(id) ON DELETE CASCADE,
+    judge_id INTEGER REFERENCES competition_judges(id) ON DELETE CASCADE,
+    registration_id INTEGER REFERENCES competition_registrations(id) ON DELETE CASCADE,
+    scores JSONB NOT NULL DEFAULT '{}',
+    comments TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(judge_id, registration_id)
+);
+
+-- Coupons table (platform-wide, club-scoped or category-scoped promotions)
+CREATE TABLE coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percent', 'fixed', 'free_shipping')),
+    discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    max_discount DECIMAL(10, 2),
+    min_order_amount DECIMAL(10, 2) DEFAULT 0,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    category VARCHAR(100),
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    usage_limit INTEGER,
+    per_user_limit INTEGER,
+    times_used INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -165,12 +394,20 @@ CREATE TABLE orders (
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     total_amount DECIMAL(10, 2) NOT NULL,
     shipping_cost DECIMAL(10, 2) NOT NULL,
+    shipping_courier VARCHAR(50),
+    discount_amount DECIMAL(10, 2) DEFAULT 0,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL,
+    coupon_code VARCHAR(50),
+    reservation_expires_at TIMESTAMP,
     grand_total DECIMAL(10, 2) NOT NULL,
     payment_method VARCHAR(50) NOT NULL,
     payment_screenshot_url TEXT,
     transaction_id VARCHAR(100),
-    payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'verified', 'failed')),
-    order_status VARCHAR(20) DEFAULT 'pending' CHECK (order_status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')),
+    payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'verified', 'failed', 'partially_refunded', 'refunded')),
+    refund_amount DECIMAL(10, 2) DEFAULT 0,
+    refund_reason TEXT,
+    refund_date TIMESTAMP,
+    order_status VARCHAR(20) DEFAULT 'pending' CHECK (order_status IN ('pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'cancelled')),
     delivery_name VARCHAR(255) NOT NULL,
     delivery_phone VARCHAR(20) NOT NULL,
     delivery_address TEXT NOT NULL,
@@ -182,23 +419,95 @@ CREATE TABLE orders (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Order shipments table (one per club in an order, each with its own lifecycle)
+CREATE TABLE order_shipments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    shipment_number VARCHAR(60) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')),
+    shipping_cost DECIMAL(10, 2) DEFAULT 0,
+    tracking_number VARCHAR(100),
+    courier_name VARCHAR(100),
+    confirmed_at TIMESTAMP,
+    shipped_at TIMESTAMP,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, club_id)
+);
+
 -- Order items table
 CREATE TABLE order_items (
     id SERIAL PRIMARY KEY,
     order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    shipment_id INTEGER REFERENCES order_shipments(id) ON DELETE SET NULL,
     product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
     club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
     product_name VARCHAR(255) NOT NULL,
     price DECIMAL(10, 2) NOT NULL,
     quantity INTEGER NOT NULL,
     subtotal DECIMAL(10, 2) NOT NULL,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')),
+    discount_amount DECIMAL(10, 2) DEFAULT 0,
+    returned_quantity INTEGER DEFAULT 0,
+    refunded_amount DECIMAL(10, 2) DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'returned', 'cancelled')),
     tracking_number VARCHAR(100),
     courier_name VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Invoices table (one sequentially numbered invoice per order)
+CREATE SEQUENCE invoice_number_seq START 1;
+
+CREATE TABLE invoices (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    invoice_number VARCHAR(30) UNIQUE NOT NULL,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment transactions table (one row per online bKash/Nagad payment attempt)
+CREATE TABLE payment_transactions (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    gateway VARCHAR(20) NOT NULL CHECK (gateway IN ('bkash', 'nagad')),
+    gateway_payment_id VARCHAR(100) UNIQUE NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    status VARCHAR(20) DEFAULT 'initiated' CHECK (status IN ('initiated', 'completed', 'failed', 'cancelled')),
+    gateway_transaction_id VARCHAR(100),
+    failure_reason TEXT,
+    gateway_response JSONB,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment webhook events table (deduplicates gateway retries)
+CREATE TABLE payment_webhook_events (
+    id SERIAL PRIMARY KEY,
+    gateway VARCHAR(20) NOT NULL,
+    event_id VARCHAR(150) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'received' CHECK (status IN ('received', 'processed', 'ignored', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP,
+    UNIQUE(gateway, event_id)
+);
+
+-- Coupon redemptions table (one row per order that used a coupon)
+CREATE TABLE coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id)
+);
+
 -- Reviews table
 CREATE TABLE reviews (
     id SERIAL PRIMARY KEY,
@@ -232,6 +541,57 @@ CREATE TABLE cart_items (
     UNIQUE(user_id, product_id)
 );
 
+-- Return requests table (one per club package a student wants to send back)
+CREATE TABLE return_requests (
+    id SERIAL PRIMARY KEY,
+    return_number VARCHAR(50) UNIQUE NOT NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    shipment_id INTEGER REFERENCES order_shipments(id) ON DELETE SET NULL,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(50) NOT NULL CHECK (reason IN ('damaged', 'defective', 'wrong_item', 'not_as_described', 'missing_parts', 'other')),
+    description TEXT,
+    status VARCHAR(20) DEFAULT 'requested' CHECK (status IN ('requested', 'rejected', 'refunded')),
+    club_response TEXT,
+    refund_amount DECIMAL(10, 2) DEFAULT 0,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Return request items table
+CREATE TABLE return_request_items (
+    id SERIAL PRIMARY KEY,
+    return_request_id INTEGER REFERENCES return_requests(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    UNIQUE(return_request_id, order_item_id)
+);
+
+-- Return request images table
+CREATE TABLE return_request_images (
+    id SERIAL PRIMARY KEY,
+    return_request_id INTEGER REFERENCES return_requests(id) ON DELETE CASCADE,
+    image_url TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refunds table (one row per refunded order item)
+CREATE TABLE refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+    return_request_id INTEGER REFERENCES return_requests(id) ON DELETE SET NULL,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('full', 'partial')),
+    reason TEXT,
+    processed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Reward history table
 CREATE TABLE reward_history (
     id SERIAL PRIMARY KEY,
@@ -243,6 +603,37 @@ CREATE TABLE reward_history (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Club payout methods table (destination accounts, verified by super admin)
+CREATE TABLE club_payout_methods (
+    id SERIAL PRIMARY KEY,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    method_type VARCHAR(20) NOT NULL CHECK (method_type IN ('bkash', 'nagad', 'bank_transfer')),
+    account_name VARCHAR(255) NOT NULL,
+    account_number VARCHAR(50) NOT NULL,
+    bank_name VARCHAR(255),
+    branch_name VARCHAR(255),
+    routing_number VARCHAR(20),
+    is_default BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'rejected')),
+    rejection_reason TEXT,
+    verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payout batches table (one run of process-all-payouts or the payout schedule)
+CREATE TABLE payout_batches (
+    id SERIAL PRIMARY KEY,
+    batch_number VARCHAR(50) UNIQUE NOT NULL,
+    cycle VARCHAR(20) DEFAULT 'manual' CHECK (cycle IN ('manual', 'weekly', 'monthly')),
+    payout_count INTEGER DEFAULT 0,
+    total_amount DECIMAL(12, 2) DEFAULT 0,
+    skipped_clubs JSONB DEFAULT '[]',
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Payouts table
 CREATE TABLE payouts (
     id SERIAL PRIMARY KEY,
@@ -253,10 +644,32 @@ CREATE TABLE payouts (
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'paid', 'failed')),
     payment_method VARCHAR(50),
     payment_reference VARCHAR(100),
+    failure_reason TEXT,
+    payout_method_id INTEGER REFERENCES club_payout_methods(id) ON DELETE SET NULL,
+    batch_id INTEGER REFERENCES payout_batches(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Ledger entries table (double-entry; each transaction_id balances debits and credits)
+CREATE TABLE ledger_entries (
+    id SERIAL PRIMARY KEY,
+    transaction_id UUID NOT NULL,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    account VARCHAR(30) NOT NULL CHECK (account IN ('club_payable', 'platform_cash', 'platform_commission', 'payouts_pending')),
+    entry_type VARCHAR(30) NOT NULL CHECK (entry_type IN ('sale', 'commission', 'refund', 'commission_reversal', 'payout', 'payout_settlement', 'payout_reversal')),
+    debit DECIMAL(12, 2) DEFAULT 0 CHECK (debit >= 0),
+    credit DECIMAL(12, 2) DEFAULT 0 CHECK (credit >= 0),
+    balance_after DECIMAL(12, 2),
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+    refund_id INTEGER REFERENCES refunds(id) ON DELETE SET NULL,
+    payout_id INTEGER REFERENCES payouts(id) ON DELETE SET NULL,
+    description TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Platform settings table
 CREATE TABLE platform_settings (
     id SERIAL PRIMARY KEY,
@@ -277,6 +690,90 @@ CREATE TABLE activity_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Notifications table (in-app notification center)
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    link TEXT,
+    data JSONB,
+    is_read BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notification preferences table (one row per user and event type they changed)
+CREATE TABLE notification_preferences (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    in_app BOOLEAN DEFAULT TRUE,
+    email BOOLEAN DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, event_type)
+);
+
+-- Realtime events table (server-sent events kept for Last-Event-ID replay, one row per recipient)
+CREATE TABLE realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email outbox table (every email is queued here and sent by the background worker)
+CREATE TABLE email_outbox (
+    id SERIAL PRIMARY KEY,
+    to_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    html TEXT NOT NULL,
+    text_body TEXT,
+    template VARCHAR(100),
+    attachments JSONB,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'bounced')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    transport VARCHAR(20),
+    provider_message_id VARCHAR(255),
+    resent_from_id INTEGER REFERENCES email_outbox(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    bounced_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scheduled jobs table (one row per job; the lease columns keep a job on one server instance at a time)
+CREATE TABLE scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    next_run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Job runs table (history of scheduled and manual runs)
+CREATE TABLE job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('schedule', 'manual')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    instance_id VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER
+);
+
 -- Announcements table
 CREATE TABLE announcements (
     id SERIAL PRIMARY KEY,
@@ -294,16 +791,56 @@ CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
 CREATE INDEX idx_clubs_status ON clubs(status);
 CREATE INDEX idx_clubs_slug ON clubs(slug);
+CREATE INDEX idx_clubs_leaderboard_rank ON clubs(leaderboard_rank);
 CREATE INDEX idx_products_club_id ON products(club_id);
 CREATE INDEX idx_products_category ON products(category);
 CREATE INDEX idx_products_status ON products(status);
 CREATE INDEX idx_competitions_club_id ON competitions(club_id);
 CREATE INDEX idx_competitions_date ON competitions(competition_date);
 CREATE INDEX idx_competitions_status ON competitions(status);
+CREATE INDEX idx_competition_interests_user_id ON competition_interests(user_id);
+CREATE INDEX idx_competition_registrations_waitlist ON competition_registrations(competition_id, waitlist_position) WHERE registration_status = 'waitlisted';
+CREATE INDEX idx_competition_registrations_checked_in ON competition_registrations(competition_id, checked_in_at) WHERE checked_in_at IS NOT NULL;
+CREATE INDEX idx_competition_results_competition_id ON competition_results(competition_id, placement);
+CREATE INDEX idx_student_badges_user_id ON student_badges(user_id);
+CREATE INDEX idx_certificates_competition_id ON certificates(competition_id);
+CREATE INDEX idx_certificates_user_id ON certificates(user_id);
+CREATE INDEX idx_tournament_matches_competition_id ON tournament_matches(competition_id);
+CREATE INDEX idx_competition_judges_user_id ON competition_judges(user_id);
+CREATE INDEX idx_competition_judges_invited_email ON competition_judges(LOWER(invited_email)) WHERE user_id IS NULL;
+CREATE INDEX idx_judge_scores_competition_id ON judge_scores(competition_id);
+CREATE INDEX idx_registration_members_registration_id ON registration_members(registration_id);
+CREATE INDEX idx_registration_members_user_id ON registration_members(user_id);
+CREATE INDEX idx_registration_members_invited_email ON registration_members(LOWER(invited_email)) WHERE user_id IS NULL;
 CREATE INDEX idx_orders_user_id ON orders(user_id);
 CREATE INDEX idx_orders_order_number ON orders(order_number);
+CREATE INDEX idx_orders_reservation_expires_at ON orders(reservation_expires_at) WHERE reservation_expires_at IS NOT NULL;
+CREATE INDEX idx_payment_transactions_order_id ON payment_transactions(order_id);
 CREATE INDEX idx_order_items_club_id ON order_items(club_id);
+CREATE INDEX idx_order_items_shipment_id ON order_items(shipment_id);
+CREATE INDEX idx_order_shipments_club_id ON order_shipments(club_id);
+CREATE INDEX idx_return_requests_order_id ON return_requests(order_id);
+CREATE INDEX idx_return_requests_club_status ON return_requests(club_id, status);
+CREATE INDEX idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX idx_payouts_club_status ON payouts(club_id, status);
+CREATE INDEX idx_payouts_batch_id ON payouts(batch_id);
+CREATE INDEX idx_club_payout_methods_club_id ON club_payout_methods(club_id);
+CREATE INDEX idx_ledger_entries_club_account ON ledger_entries(club_id, account, created_at);
+CREATE INDEX idx_ledger_entries_transaction_id ON ledger_entries(transaction_id);
+CREATE UNIQUE INDEX idx_ledger_entries_sale_item ON ledger_entries(order_item_id) WHERE entry_type = 'sale' AND account = 'club_payable';
+CREATE INDEX idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX idx_notifications_user_unread ON notifications(user_id) WHERE is_read = FALSE;
+CREATE INDEX idx_realtime_events_user_id ON realtime_events(user_id, id);
+CREATE INDEX idx_realtime_events_created_at ON realtime_events(created_at);
+CREATE INDEX idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status = 'queued';
+CREATE INDEX idx_email_outbox_to_email ON email_outbox(to_email);
+CREATE INDEX idx_email_outbox_provider_message_id ON email_outbox(provider_message_id);
+CREATE INDEX idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX idx_job_runs_started_at ON job_runs(started_at);
 CREATE INDEX idx_reviews_product_id ON reviews(product_id);
+CREATE INDEX idx_coupons_code ON coupons(code);
+CREATE INDEX idx_coupons_club_id ON coupons(club_id);
+CREATE INDEX idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
 
 -- Insert default super admin (password: Admin@123)
 INSERT INTO users (email, password_hash, full_name, phone, role, is_verified)
@@ -319,10 +856,19 @@ VALUES (
 -- Insert sample platform settings
 INSERT INTO platform_settings (setting_key, setting_value) VALUES
 ('commission_rate', '{"default": 0.05, "bronze": 0.05, "silver": 0.03, "gold": 0.02, "platinum": 0.01}'),
-('shipping_costs', '{"dhaka": 60, "outside_dhaka": 120, "free_shipping_threshold": 2000}'),
+('shipping_rates', '{"free_shipping_threshold": 2000, "default_item_weight": 250, "included_weight": 1000, "default_origin": {"district": "Dhaka", "division": "Dhaka"}, "same_district": {"name": "Same City", "base_rate": 50, "per_kg_rate": 10}, "zones": [{"code": "dhaka_metro", "name": "Dhaka Metro", "districts": ["Dhaka", "Gazipur", "Narayanganj", "Narsingdi", "Manikganj", "Munshiganj"], "base_rate": 60, "per_kg_rate": 15}, {"code": "divisional_city", "name": "Divisional Cities", "districts": ["Chittagong", "Rajshahi", "Khulna", "Barisal", "Sylhet", "Rangpur", "Mymensingh"], "base_rate": 90, "per_kg_rate": 20}, {"code": "nationwide", "name": "Nationwide", "base_rate": 120, "per_kg_rate": 25}], "couriers": [{"code": "standard", "name": "Standard Delivery", "multiplier": 1, "surcharge": 0, "eta_days": "3-5", "free_shipping": true}, {"code": "express", "name": "Express Delivery", "multiplier": 1.5, "surcharge": 30, "eta_days": "1-2", "free_shipping": false}]}'),
 ('payment_methods', '{"cash_on_delivery": true, "bkash": true, "nagad": true, "card": false}'),
 ('reward_points', '{"per_100_taka": 10, "competition_created": 100, "five_star_review": 20, "fast_shipping": 5}'),
-('tier_thresholds', '{"bronze": 0, "silver": 500, "gold": 1500, "platinum": 5000}');
+('tier_thresholds', '{"bronze": 0, "silver": 500, "gold": 1500, "platinum": 5000}'),
+('payout_settings', '{"minimum_amount": 500, "schedule": "monthly", "day_of_week": 1, "day_of_month": 1, "require_verified_method": true}'),
+('reminder_settings', '{"enabled": true, "event_days_before": [7, 1], "deadline_days_before": [3, 1]}');
+
+-- Insert starter platform coupons
+INSERT INTO coupons (code, description, discount_type, discount_value, max_discount, min_order_amount, per_user_limit) VALUES
+('WELCOME10', '10% off your order', 'percent', 10, 100, 500, 1),
+('ROBOT20', '20% off robotics orders', 'percent', 20, 200, 1000, NULL),
+('SAVE50', '৳50 off your order', 'fixed', 50, NULL, 300, NULL),
+('FREESHIP', 'Free shipping', 'free_shipping', 0, NULL, 0, NULL);
 
 -- Success message
 SELECT 'Database schema created successfully!' as message;
\ No newline at end of file
@@ -25,10 +25,7 @@ async function authenticate(req, res, next) {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
         // Get user from database
-        const user = await db.getOne(
-            'SELECT id, email, full_name, phone, role, is_verified, university, student_id, department, avatar_url FROM users WHERE id = $1',
-            [decoded.userId]
-        );
+        const user = await loadUser(decoded.userId);
         
         if (!user) {
             return res.status(401).json({
@@ -46,21 +43,6 @@ async function authenticate(req, res, next) {
         //     });
         // }
         
-        // If user is club_admin, attach club information
-        if (user.role === 'club_admin') {
-            const club = await db.getOne(
-                'SELECT id, club_name, slug, status FROM clubs WHERE user_id = $1',
-                [user.id]
-            );
-            
-            if (club) {
-                user.club_id = club.id;
-                user.club_name = club.club_name;
-                user.club_slug = club.slug;
-                user.club_status = club.status;
-            }
-        }
-        
         // Attach user to request
         req.user = user;
         next();
@@ -88,6 +70,31 @@ async function authenticate(req, res, next) {
     }
 }
 
+// Load a token's user (club admins get their club attached)
+async function loadUser(userId) {
+    const user = await db.getOne(
+        'SELECT id, email, full_name, phone, role, is_verified, university, student_id, department, avatar_url, locale FROM users WHERE id = $1',
+        [userId]
+    );
+    
+    // If user is club_admin, attach club information
+    if (user && user.role === 'club_admin') {
+        const club = await db.getOne(
+            'SELECT id, club_name, slug, status FROM clubs WHERE user_id = $1',
+            [user.id]
+        );
+        
+        if (club) {
+            user.club_id = club.id;
+            user.club_name = club.club_name;
+            user.club_slug = club.slug;
+            user.club_status = club.status;
+        }
+    }
+    
+    return user;
+}
+
 // Require specific role(s)
 function authorize(...allowedRoles) {
     return (req, res, next) => {
@@ -329,6 +336,7 @@ setInterval(() => {
 module.exports = {
     authenticate,
     protect: authenticate, // Add alias for protect
+    loadUser,
     authorize,
     optionalAuth,
     authorizeClubAdmin,
@@ -0,0 +1,139 @@
+// backend/models/certificateModel.js
+// Certificate model: participation and winner certificates of competition team members.
+// GLOBAL REFERENCE: Database Schema → certificates, registration_members, competition_results, competitions (results_published_at)
+// PURPOSE: Record issued certificates and look them up by their public verification code.
+
+const db = require('../config/database');
+
+class Certificate {
+    // Accepted members of approved teams who can receive a certificate, with their team's
+    // placement once results are published (optionally for a single registration)
+    static async findEligibleMembers(competitionId, registrationId = null) {
+        const params = [competitionId];
+        let filter = '';
+
+        if (registrationId) {
+            params.push(registrationId);
+            filter = 'AND cr.id = $2';
+        }
+
+        return await db.getMany(`
+            SELECT
+                cr.id as registration_id,
+                rm.user_id,
+                u.full_name as recipient_name,
+                r.placement
+            FROM competition_registrations cr
+            JOIN competitions c ON cr.competition_id = c.id
+            JOIN registration_members rm ON rm.registration_id = cr.id AND rm.status = 'accepted' AND rm.user_id IS NOT NULL
+            JOIN users u ON rm.user_id = u.id
+            LEFT JOIN competition_results r ON r.registration_id = cr.id AND c.results_published_at IS NOT NULL
+            WHERE cr.competition_id = $1 AND cr.registration_status = 'approved' ${filter}
+            ORDER BY cr.team_name, rm.role = 'captain' DESC, rm.id
+        `, params);
+    }
+
+    // Issue certificates (members who already have one keep their verification code;
+    // name, type and placement are refreshed). Returns every row with an is_new flag.
+    static async issue(competitionId, certificates) {
+        return await db.transaction(async (client) => {
+            const issued = [];
+
+            for (const certificate of certificates) {
+                const result = await client.query(`
+                    INSERT INTO certificates (
+                        verification_code, competition_id, registration_id, user_id, recipient_name, certificate_type, placement
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    ON CONFLICT (registration_id, user_id) DO UPDATE SET
+                        recipient_name = EXCLUDED.recipient_name,
+                        certificate_type = EXCLUDED.certificate_type,
+                        placement = EXCLUDED.placement,
+                        updated_at = CURRENT_TIMESTAMP
+                    RETURNING *, (xmax = 0) as is_new
+                `, [
+                    certificate.verification_code,
+                    competitionId,
+                    certificate.registration_id,
+                    certificate.user_id,
+                    certificate.recipient_name,
+                    certificate.certificate_type,
+                    certificate.placement
+                ]);
+
+                issued.push(result.rows[0]);
+            }
+
+            return issued;
+        });
+    }
+
+    // Bring issued certificates in line with the published results (or back to participation when unpublished)
+    static async syncPlacements(competitionId) {
+        await db.query(`
+            UPDATE certificates ce
+            SET placement = latest.placement,
+                certificate_type = CASE WHEN latest.placement BETWEEN 1 AND 3 THEN 'winner' ELSE 'participation' END,
+                updated_at = CURRENT_TIMESTAMP
+            FROM (
+                SELECT ce2.id, r.placement
+                FROM certificates ce2
+                JOIN competitions c ON ce2.competition_id = c.id
+                LEFT JOIN competition_results r ON r.registration_id = ce2.registration_id AND c.results_published_at IS NOT NULL
+                WHERE ce2.competition_id = $1
+            ) latest
+            WHERE ce.id = latest.id
+            AND ce.placement IS DISTINCT FROM latest.placement
+        `, [competitionId]);
+    }
+
+    // Certificates with their team, competition and club (for rendering and public verification).
+    // is_valid is false once the team's registration is no longer approved or the member left the team.
+    static async findDetails(where, params) {
+        return await db.getMany(`
+            SELECT
+                ce.*,
+                cr.team_name,
+                c.title as competition_title,
+                c.competition_date,
+                c.venue,
+                c.category,
+                cl.id as club_id,
+                cl.club_name,
+                cl.slug as club_slug,
+                cl.university,
+                cl.logo_url as club_logo,
+                (
+                    cr.registration_status = 'approved'
+                    AND EXISTS (
+                        SELECT 1 FROM registration_members rm
+                        WHERE rm.registration_id = ce.registration_id AND rm.user_id = ce.user_id AND rm.status = 'accepted'
+                    )
+                ) as is_valid
+            FROM certificates ce
+            JOIN competition_registrations cr ON ce.registration_id = cr.id
+            JOIN competitions c ON ce.competition_id = c.id
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE ${where}
+            ORDER BY cr.team_name, ce.recipient_name
+        `, params);
+    }
+
+    // Find a certificate by its verification code
+    static async findByCode(code) {
+        const certificates = await this.findDetails('ce.verification_code = $1', [code]);
+        return certificates[0] || null;
+    }
+
+    // A member's certificate for a registration
+    static async findByRegistrationAndUser(registrationId, userId) {
+        const certificates = await this.findDetails('ce.registration_id = $1 AND ce.user_id = $2', [registrationId, userId]);
+        return certificates[0] || null;
+    }
+
+    // Certificates issued for a competition (club admin list and bulk download)
+    static async findByCompetitionId(competitionId) {
+        return await this.findDetails('ce.competition_id = $1', [competitionId]);
+    }
+}
+
+module.exports = Certificate;
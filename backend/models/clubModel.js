@@ -193,7 +193,7 @@ class Club {
         const allowedFields = [
             'club_name', 'slug', 'description', 'cover_photo_url', 'logo_url',
             'facebook_url', 'instagram_url', 'website_url', 'contact_email', 
-            'contact_phone', 'established_year'
+            'contact_phone', 'established_year', 'shipping_district', 'shipping_division'
         ];
         
         const filteredUpdates = {};
@@ -245,20 +245,24 @@ class Club {
     }
     
     // Subtract reward points (for penalties)
-    static async subtractRewardPoints(clubId, points, actionType, description) {
-        await db.transaction(async (client) => {
-            await client.query(
-                'UPDATE clubs SET reward_points = GREATEST(0, reward_points - $1), updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                [points, clubId]
-            );
-            
-            await client.query(
-                'INSERT INTO reward_history (club_id, action_type, points_earned, description) VALUES ($1, $2, $3, $4)',
-                [clubId, actionType, -points, description]
+    static async subtractRewardPoints(clubId, points, actionType, description, relatedId = null, client = null) {
+        if (!client) {
+            return await db.transaction((transactionClient) =>
+                Club.subtractRewardPoints(clubId, points, actionType, description, relatedId, transactionClient)
             );
-            
-            await Club.updateTier(clubId, client);
-        });
+        }
+        
+        await client.query(
+            'UPDATE clubs SET reward_points = GREATEST(0, reward_points - $1), updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [points, clubId]
+        );
+        
+        await client.query(
+            'INSERT INTO reward_history (club_id, action_type, points_earned, description, related_id) VALUES ($1, $2, $3, $4, $5)',
+            [clubId, actionType, -points, description, relatedId]
+        );
+        
+        await Club.updateTier(clubId, client);
     }
     
     // Update tier based on points
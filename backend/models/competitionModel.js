@@ -6,6 +6,25 @@
 const db = require('../config/database');
 
 class Competition {
+    // Days of past competitions kept in calendar feeds
+    static CALENDAR_PAST_DAYS = 30;
+    
+    // Largest team (captain included) a competition may allow
+    static MAX_TEAM_SIZE = 20;
+    
+    // Validate team size limits from the competition form (returns an error message or null)
+    static validateTeamSize(min, max) {
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max > Competition.MAX_TEAM_SIZE) {
+            return `Team size must be between 1 and ${Competition.MAX_TEAM_SIZE} members`;
+        }
+        
+        if (min > max) {
+            return 'Minimum team size cannot be larger than the maximum';
+        }
+        
+        return null;
+    }
+    
     // Create new competition
     static async create(competitionData) {
         return await db.transaction(async (client) => {
@@ -15,11 +34,11 @@ class Competition {
                     club_id, title, slug, description, category,
                     competition_date, competition_time, venue,
                     location_lat, location_lng, registration_deadline,
-                    max_participants, registration_fee,
+                    max_participants, waitlist_enabled, team_size_min, team_size_max, registration_form, registration_fee,
                     prize_first, prize_second, prize_third,
                     rules, eligibility, banner_url,
                     contact_email, contact_phone, status
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26)
                 RETURNING *
             `, [
                 competitionData.club_id,
@@ -34,6 +53,10 @@ class Competition {
                 competitionData.location_lng || null,
                 competitionData.registration_deadline,
                 competitionData.max_participants || null,
+                competitionData.waitlist_enabled === true,
+                competitionData.team_size_min || 1,
+                competitionData.team_size_max || 5,
+                JSON.stringify(competitionData.registration_form || []),
                 competitionData.registration_fee,
                 competitionData.prize_first || null,
                 competitionData.prize_second || null,
@@ -274,7 +297,7 @@ class Competition {
                 'title', 'slug', 'description', 'category',
                 'competition_date', 'competition_time', 'venue',
                 'location_lat', 'location_lng', 'registration_deadline',
-                'max_participants', 'registration_fee',
+                'max_participants', 'waitlist_enabled', 'team_size_min', 'team_size_max', 'registration_form', 'registration_fee',
                 'prize_first', 'prize_second', 'prize_third',
                 'rules', 'eligibility', 'banner_url',
                 'contact_email', 'contact_phone', 'status'
@@ -283,7 +306,11 @@ class Competition {
             const filteredUpdates = {};
             for (const field of allowedFields) {
                 if (updates[field] !== undefined) {
-                    filteredUpdates[field] = updates[field];
+                    if (field === 'registration_form') {
+                        filteredUpdates[field] = JSON.stringify(updates[field]);
+                    } else {
+                        filteredUpdates[field] = updates[field];
+                    }
                 }
             }
             
@@ -347,10 +374,10 @@ class Competition {
         );
     }
     
-    // Check if registration is open
+    // Check if registration is open (full competitions with a waitlist stay open; new teams join the waitlist)
     static async isRegistrationOpen(id) {
         const competition = await db.getOne(
-            'SELECT registration_deadline, max_participants, registration_count FROM competitions WHERE id = $1',
+            'SELECT registration_deadline, max_participants, registration_count, waitlist_enabled FROM competitions WHERE id = $1',
             [id]
         );
         
@@ -361,7 +388,7 @@ class Competition {
         
         if (now > deadline) return false;
         
-        if (competition.max_participants && competition.registration_count >= competition.max_participants) {
+        if (competition.max_participants && competition.registration_count >= competition.max_participants && !competition.waitlist_enabled) {
             return false;
         }
         
@@ -409,6 +436,67 @@ class Competition {
             [isFeatured, id]
         );
     }
+    
+    // Mark active competitions whose date has passed as completed
+    static async completePast() {
+        return await db.getMany(`
+            UPDATE competitions
+            SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'active' AND competition_date < CURRENT_DATE
+            RETURNING id, title, club_id
+        `);
+    }
+
+    // Competitions of a club for its calendar feed (cancelled ones stay so calendars drop them)
+    static async findForClubCalendar(clubId, pastDays = Competition.CALENDAR_PAST_DAYS) {
+        return await db.getMany(`
+            SELECT c.*, cl.club_name, cl.slug as club_slug
+            FROM competitions c
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE c.club_id = $1
+            AND c.status IN ('active', 'cancelled', 'completed')
+            AND c.competition_date >= CURRENT_DATE - $2::INTEGER
+            ORDER BY c.competition_date, c.competition_time
+        `, [clubId, pastDays]);
+    }
+    
+    // Competitions a student's team has an approved registration for (personal calendar feed)
+    static async findForUserCalendar(userId, pastDays = Competition.CALENDAR_PAST_DAYS) {
+        return await db.getMany(`
+            SELECT c.*, cl.club_name, cl.slug as club_slug, cr.team_name
+            FROM registration_members rm
+            JOIN competition_registrations cr ON rm.registration_id = cr.id
+            JOIN competitions c ON cr.competition_id = c.id
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE rm.user_id = $1
+            AND rm.status = 'accepted'
+            AND cr.registration_status = 'approved'
+            AND c.status IN ('active', 'cancelled', 'completed')
+            AND c.competition_date >= CURRENT_DATE - $2::INTEGER
+            ORDER BY c.competition_date, c.competition_time
+        `, [userId, pastDays]);
+    }
+
+    // Ask to be reminded before registration closes
+    static async addInterest(competitionId, userId) {
+        await db.query(
+            'INSERT INTO competition_interests (competition_id, user_id) VALUES ($1, $2) ON CONFLICT (competition_id, user_id) DO NOTHING',
+            [competitionId, userId]
+        );
+    }
+
+    // Stop the registration deadline reminders
+    static async removeInterest(competitionId, userId) {
+        await db.query(
+            'DELETE FROM competition_interests WHERE competition_id = $1 AND user_id = $2',
+            [competitionId, userId]
+        );
+    }
+
+    // Check if a user asked to be reminded
+    static async isInterested(competitionId, userId) {
+        return await db.exists('competition_interests', 'competition_id = $1 AND user_id = $2', [competitionId, userId]);
+    }
 }
 
 module.exports = Competition;
\ No newline at end of file
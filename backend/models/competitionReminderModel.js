@@ -0,0 +1,147 @@
+// backend/models/competitionReminderModel.js
+// Competition reminder model: reminder offsets (platform setting) and the log of reminders sent.
+// GLOBAL REFERENCE: Database Schema → competition_reminders, competition_interests tables, platform_settings (reminder_settings)
+// PURPOSE: Find who is due a registration-deadline or event reminder and make sure each one goes out once.
+
+const db = require('../config/database');
+
+class CompetitionReminder {
+    static MAX_OFFSETS = 5;
+    static MAX_DAYS_BEFORE = 60;
+
+    // Used when the reminder_settings setting is missing or incomplete
+    static DEFAULT_SETTINGS = {
+        enabled: true,
+        event_days_before: [7, 1],
+        deadline_days_before: [3, 1]
+    };
+
+    // Load reminder offsets from platform settings
+    static async getSettings() {
+        const setting = await db.getOne(
+            `SELECT setting_value FROM platform_settings WHERE setting_key = 'reminder_settings'`
+        );
+
+        if (setting && setting.setting_value) {
+            const settings = typeof setting.setting_value === 'string'
+                ? JSON.parse(setting.setting_value)
+                : setting.setting_value;
+
+            return { ...CompetitionReminder.DEFAULT_SETTINGS, ...settings };
+        }
+
+        return { ...CompetitionReminder.DEFAULT_SETTINGS };
+    }
+
+    // Validate reminder settings from the super admin form
+    static validateSettings(settings) {
+        const lists = {
+            event_days_before: 'Event reminders',
+            deadline_days_before: 'Registration deadline reminders'
+        };
+
+        for (const [key, label] of Object.entries(lists)) {
+            const offsets = settings[key];
+
+            if (!Array.isArray(offsets)) {
+                return `${label} must be a list of days`;
+            }
+
+            if (offsets.length > CompetitionReminder.MAX_OFFSETS) {
+                return `${label} can have at most ${CompetitionReminder.MAX_OFFSETS} offsets`;
+            }
+
+            const minimum = key === 'deadline_days_before' ? 1 : 0;
+            for (const offset of offsets) {
+                const days = Number(offset);
+                if (!Number.isInteger(days) || days < minimum || days > CompetitionReminder.MAX_DAYS_BEFORE) {
+                    return `${label} must be whole days between ${minimum} and ${CompetitionReminder.MAX_DAYS_BEFORE}`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Save reminder settings (offsets de-duplicated, largest first)
+    static async saveSettings(settings) {
+        const normalize = (offsets) => [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+
+        const value = {
+            enabled: settings.enabled !== false,
+            event_days_before: normalize(settings.event_days_before),
+            deadline_days_before: normalize(settings.deadline_days_before)
+        };
+
+        await db.query(`
+            INSERT INTO platform_settings (setting_key, setting_value) VALUES ('reminder_settings', $1)
+            ON CONFLICT (setting_key) DO UPDATE SET setting_value = $1, updated_at = CURRENT_TIMESTAMP
+        `, [JSON.stringify(value)]);
+
+        return value;
+    }
+
+    // Members of approved teams whose competition is at most `daysBefore` days away and who have not had
+    // this reminder or a closer one yet (so a late approval gets one reminder, not every offset at once)
+    static async findDueEventReminders(daysBefore) {
+        return await db.getMany(`
+            SELECT cr.id, cr.competition_id, cr.team_name, cr.registration_fee, cr.payment_status,
+                   rm.user_id, u.email, u.full_name, u.locale,
+                   (c.competition_date - CURRENT_DATE) as days_left
+            FROM competition_registrations cr
+            JOIN registration_members rm ON rm.registration_id = cr.id AND rm.status = 'accepted'
+            JOIN competitions c ON cr.competition_id = c.id
+            JOIN users u ON rm.user_id = u.id
+            WHERE cr.registration_status = 'approved'
+            AND c.status = 'active'
+            AND c.competition_date - CURRENT_DATE BETWEEN 0 AND $1
+            AND NOT EXISTS (
+                SELECT 1 FROM competition_reminders r
+                WHERE r.competition_id = cr.competition_id AND r.user_id = rm.user_id
+                AND r.reminder_type = 'event' AND r.days_before <= $1
+            )
+            ORDER BY cr.competition_id, cr.id, rm.id
+        `, [daysBefore]);
+    }
+
+    // Interested students who have not registered, for competitions whose registration closes
+    // within `daysBefore` days and still has spots
+    static async findDueDeadlineReminders(daysBefore) {
+        return await db.getMany(`
+            SELECT ci.competition_id, u.id as user_id, u.email, u.full_name, u.locale,
+                   (c.registration_deadline - CURRENT_DATE) as days_left
+            FROM competition_interests ci
+            JOIN competitions c ON ci.competition_id = c.id
+            JOIN users u ON ci.user_id = u.id
+            WHERE c.status = 'active'
+            AND c.registration_deadline - CURRENT_DATE BETWEEN 1 AND $1
+            AND (c.max_participants IS NULL OR c.waitlist_enabled OR c.registration_count < c.max_participants)
+            AND NOT EXISTS (
+                SELECT 1 FROM registration_members rm
+                JOIN competition_registrations cr ON rm.registration_id = cr.id
+                WHERE rm.competition_id = ci.competition_id AND rm.user_id = ci.user_id
+                AND rm.status = 'accepted'
+                AND cr.registration_status IN ('pending', 'approved', 'waitlisted')
+            )
+            AND NOT EXISTS (
+                SELECT 1 FROM competition_reminders r
+                WHERE r.competition_id = ci.competition_id AND r.user_id = ci.user_id
+                AND r.reminder_type = 'deadline' AND r.days_before <= $1
+            )
+            ORDER BY ci.competition_id, u.id
+        `, [daysBefore]);
+    }
+
+    // Record a sent reminder. Returns false when another run already sent it.
+    static async markSent({ competitionId, userId, registrationId = null, type, daysBefore }) {
+        const result = await db.query(`
+            INSERT INTO competition_reminders (competition_id, user_id, registration_id, reminder_type, days_before)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (competition_id, user_id, reminder_type, days_before) DO NOTHING
+        `, [competitionId, userId, registrationId, type, daysBefore]);
+
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = CompetitionReminder;
@@ -0,0 +1,375 @@
+// backend/models/couponModel.js
+// Coupon model with validation, discount calculation, and redemption tracking.
+// GLOBAL REFERENCE: Database Schema → coupons table, coupon_redemptions table
+// PURPOSE: Handle coupon CRUD, eligibility checks, and usage limits for orders.
+
+const db = require('../config/database');
+const { conflictError } = require('../middleware/errorHandler');
+
+class Coupon {
+    static TYPES = ['percent', 'fixed', 'free_shipping'];
+
+    // Normalize coupon code for storage and lookup
+    static normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    // Create new coupon
+    static async create(couponData) {
+        return await db.insertOne('coupons', {
+            code: Coupon.normalizeCode(couponData.code),
+            description: couponData.description || null,
+            discount_type: couponData.discount_type,
+            discount_value: couponData.discount_value || 0,
+            max_discount: couponData.max_discount || null,
+            min_order_amount: couponData.min_order_amount || 0,
+            club_id: couponData.club_id || null,
+            category: couponData.category || null,
+            starts_at: couponData.starts_at || null,
+            expires_at: couponData.expires_at || null,
+            usage_limit: couponData.usage_limit || null,
+            per_user_limit: couponData.per_user_limit || null,
+            is_active: couponData.is_active !== undefined ? couponData.is_active : true,
+            created_by: couponData.created_by || null
+        });
+    }
+
+    // Find coupon by ID
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT cp.*, c.club_name
+            FROM coupons cp
+            LEFT JOIN clubs c ON cp.club_id = c.id
+            WHERE cp.id = $1
+        `, [id]);
+    }
+
+    // Find coupon by code
+    static async findByCode(code) {
+        return await db.getOne(`
+            SELECT cp.*, c.club_name
+            FROM coupons cp
+            LEFT JOIN clubs c ON cp.club_id = c.id
+            WHERE cp.code = $1
+        `, [Coupon.normalizeCode(code)]);
+    }
+
+    // Check if code exists
+    static async codeExists(code, excludeId = null) {
+        if (excludeId) {
+            return await db.exists('coupons', 'code = $1 AND id != $2', [Coupon.normalizeCode(code), excludeId]);
+        }
+        return await db.exists('coupons', 'code = $1', [Coupon.normalizeCode(code)]);
+    }
+
+    // Get all coupons with filters
+    static async findAll(filters = {}) {
+        let query = `
+            SELECT cp.*, c.club_name
+            FROM coupons cp
+            LEFT JOIN clubs c ON cp.club_id = c.id
+            WHERE 1=1
+        `;
+        const params = [];
+        let paramCount = 1;
+
+        if (filters.club_id) {
+            query += ` AND cp.club_id = $${paramCount}`;
+            params.push(filters.club_id);
+            paramCount++;
+        }
+
+        if (filters.platform_only) {
+            query += ' AND cp.club_id IS NULL';
+        }
+
+        if (filters.is_active !== undefined) {
+            query += ` AND cp.is_active = $${paramCount}`;
+            params.push(filters.is_active);
+            paramCount++;
+        }
+
+        if (filters.search) {
+            query += ` AND (cp.code ILIKE $${paramCount} OR cp.description ILIKE $${paramCount})`;
+            params.push(`%${filters.search}%`);
+            paramCount++;
+        }
+
+        query += ' ORDER BY cp.created_at DESC';
+
+        // Pagination
+        const limit = filters.limit || 50;
+        const page = filters.page || 1;
+        const offset = (page - 1) * limit;
+
+        query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+        params.push(limit, offset);
+
+        return await db.getMany(query, params);
+    }
+
+    // Count coupons
+    static async count(filters = {}) {
+        let whereClause = '1=1';
+        const params = [];
+        let paramCount = 1;
+
+        if (filters.club_id) {
+            whereClause += ` AND club_id = $${paramCount}`;
+            params.push(filters.club_id);
+            paramCount++;
+        }
+
+        if (filters.platform_only) {
+            whereClause += ' AND club_id IS NULL';
+        }
+
+        if (filters.is_active !== undefined) {
+            whereClause += ` AND is_active = $${paramCount}`;
+            params.push(filters.is_active);
+            paramCount++;
+        }
+
+        return await db.count('coupons', whereClause, params);
+    }
+
+    // Update coupon
+    static async update(id, updates) {
+        const allowedFields = [
+            'code', 'description', 'discount_type', 'discount_value', 'max_discount',
+            'min_order_amount', 'category', 'starts_at', 'expires_at',
+            'usage_limit', 'per_user_limit', 'is_active'
+        ];
+
+        const filteredUpdates = {};
+        for (const field of allowedFields) {
+            if (updates[field] !== undefined) {
+                filteredUpdates[field] = field === 'code'
+                    ? Coupon.normalizeCode(updates[field])
+                    : (updates[field] === '' ? null : updates[field]);
+            }
+        }
+
+        if (Object.keys(filteredUpdates).length === 0) {
+            return await Coupon.findById(id);
+        }
+
+        return await db.updateOne('coupons', id, filteredUpdates);
+    }
+
+    // Delete an unused coupon. A coupon that was redeemed is deactivated instead, so its redemptions
+    // keep explaining the discounts on past orders (returned coupon has deactivated: true).
+    static async delete(id) {
+        const deleted = await db.getOne(`
+            DELETE FROM coupons
+            WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM coupon_redemptions WHERE coupon_id = $1)
+            RETURNING *
+        `, [id]);
+
+        if (deleted) {
+            return deleted;
+        }
+
+        const deactivated = await db.getOne(
+            'UPDATE coupons SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [id]
+        );
+
+        return deactivated ? { ...deactivated, deactivated: true } : null;
+    }
+
+    // Validate coupon payload coming from admin forms
+    static validateData(data, isUpdate = false) {
+        if (!isUpdate || data.code !== undefined) {
+            const code = Coupon.normalizeCode(data.code);
+            if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+                return 'Coupon code must be 3-50 characters (letters, numbers, dashes or underscores)';
+            }
+        }
+
+        if (!isUpdate || data.discount_type !== undefined) {
+            if (!Coupon.TYPES.includes(data.discount_type)) {
+                return 'Discount type must be percent, fixed or free_shipping';
+            }
+        }
+
+        if (data.discount_type === 'percent') {
+            const value = parseFloat(data.discount_value);
+            if (isNaN(value) || value <= 0 || value > 100) {
+                return 'Percentage discount must be between 1 and 100';
+            }
+        }
+
+        if (data.discount_type === 'fixed') {
+            const value = parseFloat(data.discount_value);
+            if (isNaN(value) || value <= 0) {
+                return 'Fixed discount must be greater than 0';
+            }
+        }
+
+        if (data.starts_at && data.expires_at && new Date(data.starts_at) >= new Date(data.expires_at)) {
+            return 'Expiry date must be after start date';
+        }
+
+        return null;
+    }
+
+    // Count how many times a user redeemed a coupon
+    static async getUserRedemptionCount(couponId, userId) {
+        return await db.count('coupon_redemptions', 'coupon_id = $1 AND user_id = $2', [couponId, userId]);
+    }
+
+    // Check coupon against a cart and calculate the discount.
+    // items: [{ club_id, category, subtotal }] - returns per-item discount allocation
+    static async evaluate(code, { userId, items, shippingCost = 0 }) {
+        const coupon = await Coupon.findByCode(code);
+
+        if (!coupon || !coupon.is_active) {
+            return { valid: false, message: 'Invalid coupon code' };
+        }
+
+        const now = new Date();
+
+        if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+            return { valid: false, message: 'This coupon is not active yet' };
+        }
+
+        if (coupon.expires_at && now > new Date(coupon.expires_at)) {
+            return { valid: false, message: 'This coupon has expired' };
+        }
+
+        if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) {
+            return { valid: false, message: 'This coupon has reached its usage limit' };
+        }
+
+        if (coupon.per_user_limit !== null && userId) {
+            const userRedemptions = await Coupon.getUserRedemptionCount(coupon.id, userId);
+            if (userRedemptions >= coupon.per_user_limit) {
+                return { valid: false, message: 'You have already used this coupon' };
+            }
+        }
+
+        // Only items matching the coupon scope count towards the discount
+        const eligibleIndexes = [];
+        let eligibleSubtotal = 0;
+
+        (items || []).forEach((item, index) => {
+            if (coupon.club_id && item.club_id !== coupon.club_id) return;
+            if (coupon.category && item.category !== coupon.category) return;
+
+            eligibleIndexes.push(index);
+            eligibleSubtotal += parseFloat(item.subtotal);
+        });
+
+        if (eligibleIndexes.length === 0) {
+            const scope = coupon.club_id ? `products from ${coupon.club_name}` : `${coupon.category} products`;
+            return { valid: false, message: `This coupon only applies to ${scope}` };
+        }
+
+        const minAmount = parseFloat(coupon.min_order_amount) || 0;
+        if (eligibleSubtotal < minAmount) {
+            return { valid: false, message: `Minimum cart value of ৳${minAmount} required for this coupon` };
+        }
+
+        const discountValue = parseFloat(coupon.discount_value) || 0;
+        const maxDiscount = coupon.max_discount !== null ? parseFloat(coupon.max_discount) : Infinity;
+        let discountAmount = 0;
+        let freeShipping = false;
+
+        if (coupon.discount_type === 'percent') {
+            discountAmount = Math.min(eligibleSubtotal * (discountValue / 100), maxDiscount);
+        } else if (coupon.discount_type === 'fixed') {
+            discountAmount = Math.min(discountValue, maxDiscount, eligibleSubtotal);
+        } else {
+            freeShipping = true;
+            discountAmount = parseFloat(shippingCost) || 0;
+        }
+
+        discountAmount = Math.round(discountAmount * 100) / 100;
+
+        // Spread product discounts across eligible items so club earnings use the discounted amount.
+        // Free shipping is not charged against the items.
+        const itemDiscounts = (items || []).map(() => 0);
+
+        if (!freeShipping && discountAmount > 0) {
+            let allocated = 0;
+            eligibleIndexes.forEach((itemIndex, i) => {
+                if (i === eligibleIndexes.length - 1) {
+                    itemDiscounts[itemIndex] = Math.round((discountAmount - allocated) * 100) / 100;
+                } else {
+                    const share = Math.round((parseFloat(items[itemIndex].subtotal) / eligibleSubtotal) * discountAmount * 100) / 100;
+                    itemDiscounts[itemIndex] = share;
+                    allocated += share;
+                }
+            });
+        }
+
+        return {
+            valid: true,
+            coupon,
+            discount_amount: discountAmount,
+            free_shipping: freeShipping,
+            item_discounts: itemDiscounts
+        };
+    }
+
+    // Record coupon usage inside an order transaction (enforces the global and per-user limits atomically).
+    // The UPDATE locks the coupon row, so concurrent checkouts by the same user count each other's redemptions.
+    static async redeem(client, couponId, userId, orderId, discountAmount) {
+        const result = await client.query(`
+            UPDATE coupons
+            SET times_used = times_used + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND (usage_limit IS NULL OR times_used < usage_limit)
+            RETURNING id, per_user_limit
+        `, [couponId]);
+
+        if (result.rows.length === 0) {
+            throw conflictError('This coupon has reached its usage limit');
+        }
+
+        if (result.rows[0].per_user_limit !== null) {
+            const used = await client.query(
+                'SELECT COUNT(*)::INTEGER as count FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2',
+                [couponId, userId]
+            );
+
+            if (used.rows[0].count >= result.rows[0].per_user_limit) {
+                throw conflictError('You have already used this coupon');
+            }
+        }
+
+        await client.query(
+            'INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_amount) VALUES ($1, $2, $3, $4)',
+            [couponId, userId, orderId, discountAmount]
+        );
+    }
+
+    // Give the coupon back when an order is cancelled
+    static async releaseForOrder(orderId, client = db) {
+        const result = await client.query(
+            'DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id',
+            [orderId]
+        );
+
+        for (const row of result.rows) {
+            await client.query(
+                'UPDATE coupons SET times_used = GREATEST(0, times_used - 1), updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [row.coupon_id]
+            );
+        }
+    }
+
+    // Get redemption statistics for a coupon
+    static async getStatistics(couponId) {
+        return await db.getOne(`
+            SELECT
+                COUNT(*) as total_redemptions,
+                COUNT(DISTINCT user_id) as unique_users,
+                COALESCE(SUM(discount_amount), 0) as total_discount
+            FROM coupon_redemptions
+            WHERE coupon_id = $1
+        `, [couponId]);
+    }
+}
+
+module.exports = Coupon;
@@ -0,0 +1,213 @@
+// backend/models/earningsModel.js
+// Club earnings queries shared by the earnings dashboard, payouts and exports.
+// GLOBAL REFERENCE: Database Schema → order_items, orders, payouts, refunds tables, Ledger, Commission Rates
+// PURPOSE: Keep club earnings and commission calculations in one place.
+
+const db = require('../config/database');
+const Ledger = require('./ledgerModel');
+const Shipment = require('./shipmentModel');
+
+class Earnings {
+    // What the club actually kept from an item after coupon discounts and refunds
+    static NET_AMOUNT = '(oi.subtotal - COALESCE(oi.discount_amount, 0) - COALESCE(oi.refunded_amount, 0))';
+
+    // Append an inclusive date range on a column (dates are YYYY-MM-DD)
+    static dateRange(column, filters, params) {
+        let clause = '';
+
+        if (filters.from_date) {
+            params.push(filters.from_date);
+            clause += ` AND ${column} >= $${params.length}::date`;
+        }
+
+        if (filters.to_date) {
+            params.push(filters.to_date);
+            clause += ` AND ${column} < $${params.length}::date + INTERVAL '1 day'`;
+        }
+
+        return clause;
+    }
+
+    // Earnings from delivered items after commission
+    static async getDeliveredEarnings(clubId, commissionRate, period = null) {
+        const periodClause = {
+            this_month: "AND DATE_TRUNC('month', o.updated_at) = DATE_TRUNC('month', CURRENT_DATE)",
+            last_month: "AND DATE_TRUNC('month', o.updated_at) = DATE_TRUNC('month', CURRENT_DATE - INTERVAL '1 month')"
+        }[period] || "AND o.payment_status IN ('verified', 'partially_refunded')";
+
+        const result = await db.getOne(`
+            SELECT COALESCE(SUM(${Earnings.NET_AMOUNT} * (1 - $1::numeric)), 0) as earnings
+            FROM order_items oi
+            JOIN orders o ON oi.order_id = o.id
+            WHERE oi.club_id = $2
+                AND oi.status IN ('delivered', 'returned')
+                ${periodClause}
+        `, [commissionRate, clubId]);
+
+        return parseFloat(result.earnings) || 0;
+    }
+
+    // Pending earnings (orders not yet delivered)
+    static async getPendingEarnings(clubId, commissionRate) {
+        const result = await db.getOne(`
+            SELECT COALESCE(SUM(${Earnings.NET_AMOUNT} * (1 - $1::numeric)), 0) as earnings
+            FROM order_items oi
+            JOIN orders o ON oi.order_id = o.id
+            WHERE oi.club_id = $2
+                AND oi.status IN ('pending', 'confirmed', 'processing', 'shipped')
+        `, [commissionRate, clubId]);
+
+        return parseFloat(result.earnings) || 0;
+    }
+
+    // Dashboard summary with month-over-month trend
+    static async getSummary(clubId, commissionRate) {
+        const totalEarnings = await Earnings.getDeliveredEarnings(clubId, commissionRate);
+        const thisMonth = await Earnings.getDeliveredEarnings(clubId, commissionRate, 'this_month');
+        const lastMonth = await Earnings.getDeliveredEarnings(clubId, commissionRate, 'last_month');
+        const pending = await Earnings.getPendingEarnings(clubId, commissionRate);
+        const available = await Ledger.getBalance(clubId);
+
+        let monthTrend = 0;
+        if (lastMonth > 0) {
+            monthTrend = Math.round(((thisMonth - lastMonth) / lastMonth) * 100);
+        }
+
+        return {
+            total_earnings: totalEarnings,
+            month_earnings: thisMonth,
+            pending_amount: pending,
+            available_balance: available,
+            month_trend: monthTrend
+        };
+    }
+
+    // Orders containing the club's items, one row per order.
+    // Status is the club's own shipment status (returned once every item came back); orders
+    // from before per-club shipments fall back to the status derived from their items.
+    static async getTransactions(clubId, filters = {}) {
+        const params = [clubId];
+        let query = `
+            SELECT
+                o.id,
+                o.order_number,
+                o.created_at,
+                o.updated_at,
+                os.status as shipment_status,
+                ARRAY_AGG(oi.status) as item_statuses,
+                SUM(${Earnings.NET_AMOUNT}) as order_total,
+                u.full_name as customer_name
+            FROM orders o
+            JOIN order_items oi ON o.id = oi.order_id
+            JOIN users u ON o.user_id = u.id
+            LEFT JOIN order_shipments os ON os.order_id = o.id AND os.club_id = oi.club_id
+            WHERE oi.club_id = $1
+        `;
+
+        query += Earnings.dateRange('o.created_at', filters, params);
+        query += ' GROUP BY o.id, o.order_number, o.created_at, o.updated_at, os.status, u.full_name';
+        query += ' ORDER BY o.created_at DESC';
+
+        if (filters.limit) {
+            params.push(filters.limit, filters.offset || 0);
+            query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+        }
+
+        const rows = await db.getMany(query, params);
+
+        return rows.map(({ shipment_status, item_statuses, ...row }) => ({
+            ...row,
+            status: item_statuses.every(status => status === 'returned')
+                ? 'returned'
+                : shipment_status || Shipment.deriveOrderStatus(
+                    item_statuses.map(status => status === 'returned' ? 'delivered' : status)
+                )
+        }));
+    }
+
+    // Count orders for transaction pagination
+    static async countTransactions(clubId, filters = {}) {
+        const params = [clubId];
+        const result = await db.getOne(`
+            SELECT COUNT(DISTINCT o.id) as count
+            FROM orders o
+            JOIN order_items oi ON o.id = oi.order_id
+            WHERE oi.club_id = $1
+            ${Earnings.dateRange('o.created_at', filters, params)}
+        `, params);
+
+        return parseInt(result.count);
+    }
+
+    // Item-level sales with commission deducted at the club's tier rate
+    static async getItemLines(clubId, commissionRate, filters = {}) {
+        const params = [clubId, commissionRate];
+
+        return await db.getMany(`
+            SELECT
+                o.created_at as order_date,
+                o.order_number,
+                u.full_name as customer_name,
+                oi.product_name,
+                oi.quantity,
+                oi.status,
+                s.delivered_at,
+                o.payment_method,
+                o.payment_status,
+                o.transaction_id,
+                oi.subtotal as gross_amount,
+                COALESCE(oi.discount_amount, 0) as discount_amount,
+                COALESCE(oi.refunded_amount, 0) as refunded_amount,
+                ${Earnings.NET_AMOUNT} as net_amount,
+                ROUND(${Earnings.NET_AMOUNT} * $2::numeric, 2) as commission,
+                ROUND(${Earnings.NET_AMOUNT} * (1 - $2::numeric), 2) as earnings
+            FROM order_items oi
+            JOIN orders o ON oi.order_id = o.id
+            JOIN users u ON o.user_id = u.id
+            LEFT JOIN order_shipments s ON oi.shipment_id = s.id
+            WHERE oi.club_id = $1
+                AND oi.status != 'cancelled'
+                ${Earnings.dateRange('o.created_at', filters, params)}
+            ORDER BY o.created_at, oi.id
+        `, params);
+    }
+
+    // Payouts requested in a date range
+    static async getPayouts(clubId, filters = {}) {
+        const params = [clubId];
+
+        return await db.getMany(`
+            SELECT id, amount, period_start, period_end, status, payment_method, payment_reference, created_at, updated_at
+            FROM payouts
+            WHERE club_id = $1
+            ${Earnings.dateRange('created_at', filters, params)}
+            ORDER BY created_at
+        `, params);
+    }
+
+    // Refunds issued on the club's items in a date range
+    static async getRefunds(clubId, filters = {}) {
+        const params = [clubId];
+
+        return await db.getMany(`
+            SELECT
+                r.created_at,
+                o.order_number,
+                rr.return_number,
+                oi.product_name,
+                r.quantity,
+                r.amount,
+                r.refund_type,
+                r.reason
+            FROM refunds r
+            JOIN orders o ON r.order_id = o.id
+            LEFT JOIN return_requests rr ON r.return_request_id = rr.id
+            LEFT JOIN order_items oi ON r.order_item_id = oi.id
+            WHERE r.club_id = $1
+            ${Earnings.dateRange('r.created_at', filters, params)}
+            ORDER BY r.created_at
+        `, params);
+    }
+}
+
+module.exports = Earnings;
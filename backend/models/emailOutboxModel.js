@@ -0,0 +1,152 @@
+// backend/models/emailOutboxModel.js
+// Email outbox model: durable queue and delivery log for every outgoing email.
+// GLOBAL REFERENCE: Database Schema → email_outbox table, Email Outbox Service
+// PURPOSE: Queue emails, let the worker claim due messages, record attempts/results and search the log.
+
+const db = require('../config/database');
+
+// Columns returned by list queries (bodies and attachments stay out of the log view)
+const SUMMARY_COLUMNS = `id, to_email, subject, template, status, attempts, max_attempts, next_attempt_at,
+    last_error, transport, provider_message_id, resent_from_id, sent_at, bounced_at, created_at, updated_at,
+    COALESCE(jsonb_array_length(attachments), 0) as attachment_count`;
+
+class EmailOutbox {
+    // Queue an email
+    static async create({ to, subject, html, text = null, template = null, attachments = null, maxAttempts = 5, resentFromId = null }) {
+        return await db.insertOne('email_outbox', {
+            to_email: to,
+            subject,
+            html,
+            text_body: text,
+            template,
+            attachments: attachments && attachments.length > 0 ? JSON.stringify(attachments) : null,
+            max_attempts: maxAttempts,
+            resent_from_id: resentFromId
+        });
+    }
+
+    // Find email by ID (full message)
+    static async findById(id) {
+        return await db.getOne('SELECT * FROM email_outbox WHERE id = $1', [id]);
+    }
+
+    // Claim due messages for sending. Messages stuck in 'sending' (worker crashed) are picked up again.
+    static async claimDue(limit = 10) {
+        return await db.getMany(`
+            UPDATE email_outbox
+            SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM email_outbox
+                WHERE (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                   OR (status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes')
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [limit]);
+    }
+
+    // Record a successful send
+    static async markSent(id, { transport, messageId }) {
+        return await db.getOne(`
+            UPDATE email_outbox
+            SET status = 'sent', attempts = attempts + 1, transport = $2, provider_message_id = $3,
+                last_error = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, status
+        `, [id, transport, messageId || null]);
+    }
+
+    // Record a failed attempt: back to the queue until max_attempts, then failed
+    static async markAttemptFailed(id, { transport, error, retryDelaySeconds }) {
+        return await db.getOne(`
+            UPDATE email_outbox
+            SET attempts = attempts + 1,
+                status = CASE WHEN attempts + 1 >= max_attempts THEN 'failed' ELSE 'queued' END,
+                next_attempt_at = CURRENT_TIMESTAMP + ($2 || ' seconds')::INTERVAL,
+                transport = $3, last_error = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, status, attempts
+        `, [id, retryDelaySeconds, transport, error]);
+    }
+
+    // Record a bounce (rejected recipient or provider bounce webhook)
+    static async markBounced(id, reason) {
+        return await db.getOne(`
+            UPDATE email_outbox
+            SET status = 'bounced', last_error = $2, bounced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, status
+        `, [id, reason]);
+    }
+
+    // Find email by the provider's message ID (bounce webhooks)
+    static async findByProviderMessageId(messageId) {
+        return await db.getOne('SELECT id, status FROM email_outbox WHERE provider_message_id = $1', [messageId]);
+    }
+
+    // Search the log
+    static async findAll(filters = {}) {
+        const { where, params } = EmailOutbox.buildFilters(filters);
+        const limit = filters.limit || 50;
+        const offset = filters.offset || 0;
+
+        return await db.getMany(`
+            SELECT ${SUMMARY_COLUMNS}
+            FROM email_outbox
+            ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+    }
+
+    // Count search results
+    static async count(filters = {}) {
+        const { where, params } = EmailOutbox.buildFilters(filters);
+        const result = await db.getOne(`SELECT COUNT(*) as count FROM email_outbox ${where}`, params);
+        return parseInt(result.count);
+    }
+
+    // Message count per status
+    static async getStatusCounts() {
+        const rows = await db.getMany('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status');
+        const counts = { queued: 0, sending: 0, sent: 0, failed: 0, bounced: 0 };
+        for (const row of rows) {
+            counts[row.status] = parseInt(row.count);
+        }
+        return counts;
+    }
+
+    static buildFilters(filters) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status) {
+            params.push(filters.status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        if (filters.search) {
+            params.push(`%${filters.search}%`);
+            conditions.push(`(to_email ILIKE $${params.length} OR subject ILIKE $${params.length})`);
+        }
+
+        if (filters.date_from) {
+            params.push(filters.date_from);
+            conditions.push(`created_at >= $${params.length}`);
+        }
+
+        if (filters.date_to) {
+            params.push(filters.date_to);
+            conditions.push(`created_at < $${params.length}::date + INTERVAL '1 day'`);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+}
+
+module.exports = EmailOutbox;
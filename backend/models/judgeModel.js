@@ -0,0 +1,178 @@
+// backend/models/judgeModel.js
+// Judge model: judges invited to a competition and the scoresheets they fill in per team.
+// GLOBAL REFERENCE: Database Schema → competition_judges, judge_scores, competitions (judging_rubric, judging_tie_breaks)
+// PURPOSE: Scope judge accounts to one competition and keep every judge's scores for aggregation.
+
+const db = require('../config/database');
+
+class Judge {
+    // Invite a judge (userId is null for emails without an account).
+    // A declined invitation to the same email is re-opened instead of duplicated.
+    static async invite({ competitionId, userId = null, email, invitedBy }) {
+        return await db.getOne(`
+            INSERT INTO competition_judges (competition_id, user_id, invited_email, invited_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (competition_id, invited_email) DO UPDATE SET
+                status = 'invited',
+                user_id = EXCLUDED.user_id,
+                invited_by = EXCLUDED.invited_by,
+                responded_at = NULL,
+                created_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [competitionId, userId, email, invitedBy]);
+    }
+
+    // Find a judge with their competition
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT
+                j.*,
+                COALESCE(u.full_name, j.invited_email) as full_name,
+                c.title as competition_title,
+                c.club_id
+            FROM competition_judges j
+            JOIN competitions c ON j.competition_id = c.id
+            LEFT JOIN users u ON j.user_id = u.id
+            WHERE j.id = $1
+        `, [id]);
+    }
+
+    // A competition's judge by email (any status)
+    static async findByEmail(competitionId, email) {
+        return await db.getOne(
+            'SELECT * FROM competition_judges WHERE competition_id = $1 AND invited_email = LOWER($2)',
+            [competitionId, email]
+        );
+    }
+
+    // The accepted judge record of a user for a competition (null when they are not judging it)
+    static async findForUser(competitionId, userId) {
+        return await db.getOne(
+            `SELECT * FROM competition_judges WHERE competition_id = $1 AND user_id = $2 AND status = 'accepted'`,
+            [competitionId, userId]
+        );
+    }
+
+    // Judges of a competition with how many teams each has scored
+    static async findByCompetitionId(competitionId) {
+        return await db.getMany(`
+            SELECT
+                j.id,
+                j.user_id,
+                j.invited_email,
+                j.status,
+                j.responded_at,
+                j.created_at,
+                u.full_name,
+                (SELECT COUNT(*)::INTEGER FROM judge_scores js WHERE js.judge_id = j.id) as scored_count
+            FROM competition_judges j
+            LEFT JOIN users u ON j.user_id = u.id
+            WHERE j.competition_id = $1
+            ORDER BY j.status = 'accepted' DESC, j.created_at
+        `, [competitionId]);
+    }
+
+    // Competitions a user judges or is invited to judge (matched by account, or by email for invites sent before signup)
+    static async findAssignmentsForUser(userId, email) {
+        return await db.getMany(`
+            SELECT
+                j.id,
+                j.status,
+                j.created_at,
+                c.id as competition_id,
+                c.title as competition_title,
+                c.competition_date,
+                c.venue,
+                c.status as competition_status,
+                cl.club_name,
+                (SELECT COUNT(*)::INTEGER FROM judge_scores js WHERE js.judge_id = j.id) as scored_count,
+                (
+                    SELECT COUNT(*)::INTEGER FROM competition_registrations cr
+                    WHERE cr.competition_id = c.id AND cr.registration_status = 'approved'
+                ) as team_count
+            FROM competition_judges j
+            JOIN competitions c ON j.competition_id = c.id
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE (j.user_id = $1 OR (j.user_id IS NULL AND j.invited_email = LOWER($2)))
+            AND j.status IN ('invited', 'accepted')
+            ORDER BY j.status = 'invited' DESC, c.competition_date DESC
+        `, [userId, email]);
+    }
+
+    // Accept an invitation (links email-only invitations to the account)
+    static async accept(id, userId) {
+        return await db.getOne(`
+            UPDATE competition_judges
+            SET status = 'accepted', user_id = $1, responded_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND status = 'invited'
+            RETURNING *
+        `, [userId, id]);
+    }
+
+    // Decline an invitation
+    static async decline(id, userId) {
+        return await db.getOne(`
+            UPDATE competition_judges
+            SET status = 'declined', user_id = $1, responded_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND status = 'invited'
+            RETURNING *
+        `, [userId, id]);
+    }
+
+    // Remove a judge (their scoresheets go with them)
+    static async remove(id) {
+        return await db.query('DELETE FROM competition_judges WHERE id = $1', [id]);
+    }
+
+    // Approved teams a competition's judges score
+    static async findTeams(competitionId) {
+        return await db.getMany(`
+            SELECT id, team_name, team_members, checked_in_at
+            FROM competition_registrations
+            WHERE competition_id = $1 AND registration_status = 'approved'
+            ORDER BY team_name
+        `, [competitionId]);
+    }
+
+    // Scoresheets of a competition's accepted judges
+    static async findScoresheets(competitionId) {
+        return await db.getMany(`
+            SELECT js.*, COALESCE(u.full_name, j.invited_email) as judge_name
+            FROM judge_scores js
+            JOIN competition_judges j ON js.judge_id = j.id AND j.status = 'accepted'
+            LEFT JOIN users u ON j.user_id = u.id
+            WHERE js.competition_id = $1
+            ORDER BY js.registration_id, judge_name
+        `, [competitionId]);
+    }
+
+    // Scoresheets filled in by one judge
+    static async findScoresByJudge(judgeId) {
+        return await db.getMany('SELECT * FROM judge_scores WHERE judge_id = $1', [judgeId]);
+    }
+
+    // Save a judge's scoresheet for a team
+    static async saveScores(judge, registrationId, scores, comments) {
+        return await db.getOne(`
+            INSERT INTO judge_scores (competition_id, judge_id, registration_id, scores, comments)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (judge_id, registration_id) DO UPDATE SET
+                scores = EXCLUDED.scores,
+                comments = EXCLUDED.comments,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [judge.competition_id, judge.id, registrationId, JSON.stringify(scores), comments]);
+    }
+
+    // Replace a competition's rubric and tie-break order
+    static async updateRubric(competitionId, rubric, tieBreaks) {
+        return await db.getOne(`
+            UPDATE competitions
+            SET judging_rubric = $1, judging_tie_breaks = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING *
+        `, [JSON.stringify(rubric), JSON.stringify(tieBreaks), competitionId]);
+    }
+}
+
+module.exports = Judge;
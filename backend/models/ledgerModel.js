@@ -0,0 +1,294 @@
+// backend/models/ledgerModel.js
+// Double-entry ledger for club balances (sales, commission, refunds and payouts).
+// GLOBAL REFERENCE: Database Schema → ledger_entries table, clubs.available_balance, Commission Rates
+// PURPOSE: Record every movement of club money as balanced journal entries with a running club balance.
+
+const db = require('../config/database');
+const Club = require('./clubModel');
+const crypto = require('crypto');
+
+class Ledger {
+    // club_payable: what the platform owes the club (credit raises the club's balance)
+    // platform_cash: money held by the platform, platform_commission: platform revenue
+    // payouts_pending: payouts requested but not yet sent
+    static ACCOUNTS = ['club_payable', 'platform_cash', 'platform_commission', 'payouts_pending'];
+
+    // Round money to two decimals
+    static round(amount) {
+        return Math.round((parseFloat(amount) || 0) * 100) / 100;
+    }
+
+    // Post one balanced journal transaction (must run inside a transaction client)
+    // lines: [{ account, debit, credit }], refs: { order_id, order_item_id, refund_id, payout_id }
+    static async post(client, { clubId, entryType, lines, refs = {}, description = null, createdBy = null }) {
+        const debits = Ledger.round(lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+        const credits = Ledger.round(lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+
+        if (debits <= 0 || debits !== credits) {
+            throw new Error(`Unbalanced ledger transaction (${entryType}): debit ${debits}, credit ${credits}`);
+        }
+
+        const change = Ledger.round(lines
+            .filter(line => line.account === 'club_payable')
+            .reduce((sum, line) => sum + (line.credit || 0) - (line.debit || 0), 0));
+
+        // Updating the club row also serializes concurrent postings for the same club
+        const club = await client.query(
+            'UPDATE clubs SET available_balance = available_balance + $1 WHERE id = $2 RETURNING available_balance',
+            [change, clubId]
+        );
+        const balance = parseFloat(club.rows[0].available_balance);
+        const transactionId = crypto.randomUUID();
+
+        for (const line of lines) {
+            await client.query(`
+                INSERT INTO ledger_entries (
+                    transaction_id, club_id, account, entry_type, debit, credit, balance_after,
+                    order_id, order_item_id, refund_id, payout_id, description, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            `, [
+                transactionId,
+                clubId,
+                line.account,
+                entryType,
+                Ledger.round(line.debit),
+                Ledger.round(line.credit),
+                line.account === 'club_payable' ? balance : null,
+                refs.order_id || null,
+                refs.order_item_id || null,
+                refs.refund_id || null,
+                refs.payout_id || null,
+                description,
+                createdBy
+            ]);
+        }
+
+        return { transactionId, balance };
+    }
+
+    // Credit clubs for delivered items of a paid order (safe to call repeatedly)
+    static async postOrderSales(orderId, client = null) {
+        if (!client) {
+            return await db.transaction((transactionClient) => Ledger.postOrderSales(orderId, transactionClient));
+        }
+
+        const order = await client.query(
+            'SELECT id, order_number, payment_status FROM orders WHERE id = $1 FOR UPDATE',
+            [orderId]
+        );
+
+        if (!order.rows[0] || !['verified', 'partially_refunded', 'refunded'].includes(order.rows[0].payment_status)) {
+            return 0;
+        }
+
+        const items = await client.query(`
+            SELECT
+                oi.id,
+                oi.club_id,
+                oi.product_name,
+                oi.subtotal - COALESCE(oi.discount_amount, 0) - COALESCE(oi.refunded_amount, 0) as net_amount,
+                c.reward_tier
+            FROM order_items oi
+            JOIN clubs c ON oi.club_id = c.id
+            WHERE oi.order_id = $1
+                AND oi.status IN ('delivered', 'returned')
+                AND NOT EXISTS (
+                    SELECT 1 FROM ledger_entries le
+                    WHERE le.order_item_id = oi.id AND le.entry_type = 'sale'
+                )
+            ORDER BY oi.club_id, oi.id
+        `, [orderId]);
+
+        const orderNumber = order.rows[0].order_number;
+        let posted = 0;
+
+        for (const item of items.rows) {
+            const net = Ledger.round(item.net_amount);
+            if (net <= 0) continue;
+
+            const rate = await Club.getCommissionRate(item.reward_tier);
+            const commission = Ledger.round(net * rate);
+            const refs = { order_id: orderId, order_item_id: item.id };
+
+            await Ledger.post(client, {
+                clubId: item.club_id,
+                entryType: 'sale',
+                lines: [
+                    { account: 'platform_cash', debit: net },
+                    { account: 'club_payable', credit: net }
+                ],
+                refs,
+                description: `Sale: ${item.product_name} (${orderNumber})`
+            });
+
+            if (commission > 0) {
+                await Ledger.post(client, {
+                    clubId: item.club_id,
+                    entryType: 'commission',
+                    lines: [
+                        { account: 'club_payable', debit: commission },
+                        { account: 'platform_commission', credit: commission }
+                    ],
+                    refs,
+                    description: `Commission ${Ledger.round(rate * 100)}% (${item.reward_tier}): ${item.product_name} (${orderNumber})`
+                });
+            }
+
+            posted++;
+        }
+
+        return posted;
+    }
+
+    // Debit a refund and give back the commission charged on it.
+    // Items not yet credited are skipped: their sale is posted net of the refund later.
+    static async postRefund(client, refund, description = null) {
+        const credited = await client.query(`
+            SELECT
+                COALESCE(SUM(CASE WHEN entry_type = 'sale' THEN credit ELSE 0 END), 0) as sales,
+                COALESCE(SUM(CASE WHEN entry_type = 'commission' THEN debit ELSE 0 END), 0) as commission
+            FROM ledger_entries
+            WHERE order_item_id = $1 AND account = 'club_payable'
+        `, [refund.order_item_id]);
+
+        const sales = parseFloat(credited.rows[0].sales);
+        const amount = Ledger.round(refund.amount);
+
+        if (sales <= 0 || amount <= 0) return null;
+
+        const refs = { order_id: refund.order_id, order_item_id: refund.order_item_id, refund_id: refund.id };
+
+        await Ledger.post(client, {
+            clubId: refund.club_id,
+            entryType: 'refund',
+            lines: [
+                { account: 'club_payable', debit: amount },
+                { account: 'platform_cash', credit: amount }
+            ],
+            refs,
+            description
+        });
+
+        // Same share of the refund as the commission took of the sale
+        const reversal = Ledger.round(amount * parseFloat(credited.rows[0].commission) / sales);
+
+        if (reversal > 0) {
+            return await Ledger.post(client, {
+                clubId: refund.club_id,
+                entryType: 'commission_reversal',
+                lines: [
+                    { account: 'platform_commission', debit: reversal },
+                    { account: 'club_payable', credit: reversal }
+                ],
+                refs,
+                description: description ? `Commission returned: ${description}` : null
+            });
+        }
+
+        return null;
+    }
+
+    // Move a requested payout out of the club's balance
+    static async postPayoutRequest(client, payout, createdBy = null) {
+        return await Ledger.post(client, {
+            clubId: payout.club_id,
+            entryType: 'payout',
+            lines: [
+                { account: 'club_payable', debit: payout.amount },
+                { account: 'payouts_pending', credit: payout.amount }
+            ],
+            refs: { payout_id: payout.id },
+            description: `Payout #${payout.id} requested`,
+            createdBy
+        });
+    }
+
+    // Record money leaving the platform for a requested payout
+    static async postPayoutSettlement(client, payout, createdBy = null) {
+        return await Ledger.post(client, {
+            clubId: payout.club_id,
+            entryType: 'payout_settlement',
+            lines: [
+                { account: 'payouts_pending', debit: payout.amount },
+                { account: 'platform_cash', credit: payout.amount }
+            ],
+            refs: { payout_id: payout.id },
+            description: `Payout #${payout.id} paid${payout.payment_reference ? ` (Ref: ${payout.payment_reference})` : ''}`,
+            createdBy
+        });
+    }
+
+    // Return a payout that was never sent to the club's balance
+    static async postPayoutReversal(client, payout, createdBy = null) {
+        return await Ledger.post(client, {
+            clubId: payout.club_id,
+            entryType: 'payout_reversal',
+            lines: [
+                { account: 'payouts_pending', debit: payout.amount },
+                { account: 'club_payable', credit: payout.amount }
+            ],
+            refs: { payout_id: payout.id },
+            description: `Payout #${payout.id} failed${payout.failure_reason ? `: ${payout.failure_reason}` : ''}`,
+            createdBy
+        });
+    }
+
+    // Current balance the platform owes a club
+    static async getBalance(clubId) {
+        const club = await db.getOne('SELECT available_balance FROM clubs WHERE id = $1', [clubId]);
+        return club ? parseFloat(club.available_balance) || 0 : 0;
+    }
+
+    // Club statement: club_payable lines with running balance
+    static async getStatement(clubId, filters = {}) {
+        let query = `
+            SELECT
+                le.id,
+                le.transaction_id,
+                le.entry_type,
+                le.debit,
+                le.credit,
+                le.balance_after,
+                le.description,
+                le.payout_id,
+                le.created_at,
+                o.order_number
+            FROM ledger_entries le
+            LEFT JOIN orders o ON le.order_id = o.id
+            WHERE le.club_id = $1 AND le.account = 'club_payable'
+        `;
+        const params = [clubId];
+        let paramCount = 2;
+
+        if (filters.entry_type) {
+            query += ` AND le.entry_type = $${paramCount}`;
+            params.push(filters.entry_type);
+            paramCount++;
+        }
+
+        query += ' ORDER BY le.id DESC';
+
+        if (filters.limit) {
+            query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+            params.push(filters.limit, filters.offset || 0);
+        }
+
+        return await db.getMany(query, params);
+    }
+
+    // Count statement lines for pagination
+    static async countStatement(clubId, filters = {}) {
+        const params = [clubId];
+        let query = "SELECT COUNT(*) as count FROM ledger_entries WHERE club_id = $1 AND account = 'club_payable'";
+
+        if (filters.entry_type) {
+            query += ' AND entry_type = $2';
+            params.push(filters.entry_type);
+        }
+
+        const result = await db.getOne(query, params);
+        return parseInt(result.count);
+    }
+}
+
+module.exports = Ledger;
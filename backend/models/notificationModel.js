@@ -0,0 +1,125 @@
+// backend/models/notificationModel.js
+// Notification model for the in-app notification center and per-event preferences.
+// GLOBAL REFERENCE: Database Schema → notifications, notification_preferences tables
+// PURPOSE: Store user notifications, read state and which channels each user wants per event type.
+
+const db = require('../config/database');
+
+class Notification {
+    // Create notification
+    static async create(userId, type, { title, message, link = null, data = null }) {
+        return await db.insertOne('notifications', {
+            user_id: userId,
+            type,
+            title,
+            message,
+            link,
+            data: data ? JSON.stringify(data) : null
+        });
+    }
+
+    // Get a user's notifications (newest first)
+    static async findByUser(userId, filters = {}) {
+        let query = 'SELECT * FROM notifications WHERE user_id = $1';
+        const params = [userId];
+        let paramCount = 2;
+
+        if (filters.unread_only) {
+            query += ' AND is_read = FALSE';
+        }
+
+        if (filters.type) {
+            query += ` AND type = $${paramCount}`;
+            params.push(filters.type);
+            paramCount++;
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC';
+
+        if (filters.limit) {
+            query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+            params.push(filters.limit, filters.offset || 0);
+        }
+
+        return await db.getMany(query, params);
+    }
+
+    // Count a user's notifications for pagination
+    static async countByUser(userId, filters = {}) {
+        let query = 'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1';
+        const params = [userId];
+
+        if (filters.unread_only) {
+            query += ' AND is_read = FALSE';
+        }
+
+        if (filters.type) {
+            query += ' AND type = $2';
+            params.push(filters.type);
+        }
+
+        const result = await db.getOne(query, params);
+        return parseInt(result.count);
+    }
+
+    // Count unread notifications
+    static async getUnreadCount(userId) {
+        const result = await db.getOne(
+            'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND is_read = FALSE',
+            [userId]
+        );
+        return parseInt(result.count);
+    }
+
+    // Mark one notification read (only the owner's)
+    static async markRead(id, userId) {
+        return await db.getOne(`
+            UPDATE notifications
+            SET is_read = TRUE, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `, [id, userId]);
+    }
+
+    // Mark every unread notification read
+    static async markAllRead(userId) {
+        const result = await db.query(
+            'UPDATE notifications SET is_read = TRUE, read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND is_read = FALSE',
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    // Get the preferences a user saved (event types without a row use the defaults)
+    static async getPreferences(userId) {
+        return await db.getMany(
+            'SELECT event_type, in_app, email FROM notification_preferences WHERE user_id = $1',
+            [userId]
+        );
+    }
+
+    // Get one event type's preference ({ in_app, email }, both on by default)
+    static async getPreference(userId, eventType) {
+        const preference = await db.getOne(
+            'SELECT in_app, email FROM notification_preferences WHERE user_id = $1 AND event_type = $2',
+            [userId, eventType]
+        );
+        return preference || { in_app: true, email: true };
+    }
+
+    // Save preferences: [{ event_type, in_app, email }]
+    static async savePreferences(userId, preferences) {
+        return await db.transaction(async (client) => {
+            for (const preference of preferences) {
+                await client.query(`
+                    INSERT INTO notification_preferences (user_id, event_type, in_app, email)
+                    VALUES ($1, $2, $3, $4)
+                    ON CONFLICT (user_id, event_type)
+                    DO UPDATE SET in_app = EXCLUDED.in_app, email = EXCLUDED.email, updated_at = CURRENT_TIMESTAMP
+                `, [userId, preference.event_type, preference.in_app, preference.email]);
+            }
+        });
+    }
+}
+
+module.exports = Notification;
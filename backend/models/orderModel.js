@@ -5,8 +5,16 @@
 
 const db = require('../config/database');
 const crypto = require('crypto');
+const Coupon = require('./couponModel');
+const Shipment = require('./shipmentModel');
+const Ledger = require('./ledgerModel');
+const paymentService = require('../services/paymentService');
+const { AppError } = require('../middleware/errorHandler');
 
 class Order {
+    // How long stock stays held for bKash/Nagad orders awaiting payment verification
+    static RESERVATION_HOLD_HOURS = parseInt(process.env.STOCK_RESERVATION_HOURS) || 24;
+    
     // Generate unique order number
     static generateOrderNumber() {
         const timestamp = Date.now().toString(36).toUpperCase();
@@ -14,12 +22,72 @@ class Order {
         return `BD${timestamp}${random}`;
     }
     
+    // Lock product rows and take the ordered quantities out of stock.
+    // Throws a 409 AppError with unavailable_items when any item can't be fulfilled.
+    static async reserveStock(client, items) {
+        // Same product may appear more than once in a cart
+        const quantities = new Map();
+        for (const item of items) {
+            const productId = parseInt(item.product_id);
+            quantities.set(productId, (quantities.get(productId) || 0) + parseInt(item.quantity));
+        }
+        
+        // Lock in id order so concurrent checkouts can't deadlock each other
+        const products = await client.query(
+            'SELECT id, name, stock, status FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+            [Array.from(quantities.keys())]
+        );
+        
+        const unavailableItems = [];
+        for (const [productId, quantity] of quantities) {
+            const product = products.rows.find(row => row.id === productId);
+            
+            if (!product || product.status !== 'active') {
+                unavailableItems.push({
+                    product_id: productId,
+                    product_name: product ? product.name : null,
+                    requested: quantity,
+                    available: 0
+                });
+            } else if (product.stock < quantity) {
+                unavailableItems.push({
+                    product_id: productId,
+                    product_name: product.name,
+                    requested: quantity,
+                    available: Math.max(0, product.stock)
+                });
+            }
+        }
+        
+        if (unavailableItems.length > 0) {
+            const names = unavailableItems.map(item => item.product_name || `Product ${item.product_id}`);
+            const error = new AppError(`Some items are no longer available: ${names.join(', ')}`, 409);
+            error.unavailableItems = unavailableItems;
+            throw error;
+        }
+        
+        for (const [productId, quantity] of quantities) {
+            await client.query(
+                'UPDATE products SET stock = stock - $1, sales_count = sales_count + 1 WHERE id = $2',
+                [quantity, productId]
+            );
+        }
+    }
+    
     // Create new order
     static async create(orderData) {
         return await db.transaction(async (client) => {
+            // Check and decrement stock under row locks before anything is written
+            await Order.reserveStock(client, orderData.items);
+            
             // Generate order number
             const orderNumber = Order.generateOrderNumber();
             
+            // Online payments are verified manually, so hold the stock only for a limited time
+            const reservationExpiresAt = ['bkash', 'nagad'].includes(orderData.payment_method)
+                ? new Date(Date.now() + Order.RESERVATION_HOLD_HOURS * 60 * 60 * 1000)
+                : null;
+            
             // Insert order
             const orderResult = await client.query(`
                 INSERT INTO orders (
@@ -28,8 +96,9 @@ class Order {
                     transaction_id, payment_status, order_status,
                     delivery_name, delivery_phone, delivery_address,
                     delivery_city, delivery_district, delivery_division,
-                    delivery_postal_code
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                    delivery_postal_code, discount_amount, coupon_id, coupon_code,
+                    reservation_expires_at, shipping_courier
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
                 RETURNING *
             `, [
                 orderNumber,
@@ -48,34 +117,44 @@ class Order {
                 orderData.delivery_city,
                 orderData.delivery_district,
                 orderData.delivery_division,
-                orderData.delivery_postal_code
+                orderData.delivery_postal_code,
+                orderData.discount_amount || 0,
+                orderData.coupon_id || null,
+                orderData.coupon_code || null,
+                reservationExpiresAt,
+                orderData.shipping_courier || null
             ]);
             
             const order = orderResult.rows[0];
             
+            // Record coupon usage (fails the whole order if the coupon ran out meanwhile)
+            if (orderData.coupon_id) {
+                await Coupon.redeem(client, orderData.coupon_id, orderData.user_id, order.id, orderData.discount_amount || 0);
+            }
+            
+            // One shipment per club so each club fulfils its part independently
+            const clubIds = [...new Set(orderData.items.map(item => item.club_id))];
+            const shipmentIds = await Shipment.createForOrder(client, order, clubIds, orderData.shipments);
+            
             // Insert order items
             for (const item of orderData.items) {
                 await client.query(`
                     INSERT INTO order_items (
-                        order_id, product_id, club_id, product_name,
-                        price, quantity, subtotal, status
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                        order_id, shipment_id, product_id, club_id, product_name,
+                        price, quantity, subtotal, discount_amount, status
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
                 `, [
                     order.id,
+                    shipmentIds[item.club_id],
                     item.product_id,
                     item.club_id,
                     item.product_name,
                     item.price,
                     item.quantity,
                     item.subtotal,
+                    item.discount_amount || 0,
                     'pending'
                 ]);
-                
-                // Decrement product stock
-                await client.query(
-                    'UPDATE products SET stock = stock - $1, sales_count = sales_count + 1 WHERE id = $2',
-                    [item.quantity, item.product_id]
-                );
             }
             
             return order;
@@ -93,6 +172,7 @@ class Order {
                     json_agg(
                         json_build_object(
                             'id', oi.id,
+                            'shipment_id', oi.shipment_id,
                             'product_id', oi.product_id,
                             'product_name', oi.product_name,
                             'product_image', (
@@ -107,7 +187,10 @@ class Order {
                             'price', oi.price,
                             'quantity', oi.quantity,
                             'subtotal', oi.subtotal,
+                            'discount_amount', oi.discount_amount,
                             'status', oi.status,
+                            'returned_quantity', oi.returned_quantity,
+                            'refunded_amount', oi.refunded_amount,
                             'tracking_number', oi.tracking_number,
                             'courier_name', oi.courier_name
                         )
@@ -127,6 +210,7 @@ class Order {
             order.items = typeof order.items === 'string'
                 ? JSON.parse(order.items)
                 : order.items;
+            order.shipments = await Shipment.findByOrderId(order.id);
         }
         
         return order;
@@ -144,6 +228,7 @@ class Order {
                     json_agg(
                         json_build_object(
                             'id', oi.id,
+                            'shipment_id', oi.shipment_id,
                             'product_id', oi.product_id,
                             'product_name', oi.product_name,
                             'product_image', (
@@ -158,7 +243,10 @@ class Order {
                             'price', oi.price,
                             'quantity', oi.quantity,
                             'subtotal', oi.subtotal,
+                            'discount_amount', oi.discount_amount,
                             'status', oi.status,
+                            'returned_quantity', oi.returned_quantity,
+                            'refunded_amount', oi.refunded_amount,
                             'tracking_number', oi.tracking_number,
                             'courier_name', oi.courier_name
                         )
@@ -178,6 +266,7 @@ class Order {
             order.items = typeof order.items === 'string'
                 ? JSON.parse(order.items)
                 : order.items;
+            order.shipments = await Shipment.findByOrderId(order.id);
         }
         
         return order;
@@ -197,8 +286,9 @@ class Order {
         let paramCount = 2;
         
         if (filters.status) {
-            query += ` AND o.order_status = $${paramCount}`;
-            params.push(filters.status);
+            // Orders part-way through a status are listed with it
+            query += ` AND o.order_status = ANY($${paramCount})`;
+            params.push([filters.status, `partially_${filters.status}`]);
             paramCount++;
         }
         
@@ -312,12 +402,20 @@ class Order {
         );
     }
     
-    // Update payment status
+    // Update payment status (a verified payment turns the stock hold into a sale)
     static async updatePaymentStatus(id, status) {
         await db.query(
-            'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            `UPDATE orders 
+             SET payment_status = $1, 
+                 reservation_expires_at = CASE WHEN $1 = 'verified' THEN NULL ELSE reservation_expires_at END,
+                 updated_at = CURRENT_TIMESTAMP 
+             WHERE id = $2`,
             [status, id]
         );
+        
+        if (status === 'verified') {
+            await Ledger.postOrderSales(id);
+        }
     }
     
     // Update order item status
@@ -330,85 +428,113 @@ class Order {
         await db.updateOne('order_items', itemId, updates);
     }
     
-    // Confirm delivery
+    // Confirm delivery of every shipment that is on its way
     static async confirmDelivery(id) {
-        await db.transaction(async (client) => {
-            // Get order payment method to check if COD
-            const order = await client.query(
-                'SELECT payment_method, payment_status FROM orders WHERE id = $1',
-                [id]
-            );
-            
-            if (!order.rows[0]) {
-                throw new Error('Order not found');
-            }
-            
-            const paymentMethod = order.rows[0].payment_method;
-            const currentPaymentStatus = order.rows[0].payment_status;
-            
-            // Update order status
-            await client.query(
-                'UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                ['delivered', id]
-            );
-            
-            // If Cash on Delivery, mark payment as verified upon delivery
-            if (paymentMethod === 'cash_on_delivery' && currentPaymentStatus === 'pending') {
-                await client.query(
-                    'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                    ['verified', id]
-                );
-            }
-            
-            // Update all order items status
-            await client.query(
-                'UPDATE order_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
-                ['delivered', id]
-            );
-            
-            // Update club earnings
-            const items = await client.query(
-                'SELECT club_id, subtotal FROM order_items WHERE order_id = $1',
-                [id]
-            );
-            
-            for (const item of items.rows) {
-                await client.query(
-                    'UPDATE clubs SET total_earnings = total_earnings + $1, total_sales = total_sales + 1 WHERE id = $2',
-                    [item.subtotal, item.club_id]
-                );
-            }
-        });
+        const shipments = await db.getMany(
+            "SELECT id FROM order_shipments WHERE order_id = $1 AND status = 'shipped' ORDER BY id",
+            [id]
+        );
+        
+        const results = [];
+        for (const shipment of shipments) {
+            const result = await Shipment.confirmDelivery(shipment.id);
+            if (result) results.push(result);
+        }
+        
+        return results;
     }
     
-    // Cancel order
+    // Cancel order (returns null when it was already cancelled)
     static async cancel(id) {
-        await db.transaction(async (client) => {
-            // Get order items
-            const items = await client.query(
-                'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
-                [id]
+        return await db.transaction(async (client) => {
+            return await Order.cancelWithClient(client, id);
+        });
+    }
+    
+    // Cancel order inside an existing transaction.
+    // The order row is locked first so a repeated cancel cannot restore stock or release the coupon twice.
+    static async cancelWithClient(client, id) {
+        const locked = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+        const order = locked.rows[0];
+        
+        if (!order || order.order_status === 'cancelled') {
+            return null;
+        }
+        
+        // Get order items
+        const items = await client.query(
+            'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
+            [id]
+        );
+        
+        // Restore product stock
+        for (const item of items.rows) {
+            await client.query(
+                'UPDATE products SET stock = stock + $1, sales_count = GREATEST(0, sales_count - 1) WHERE id = $2',
+                [item.quantity, item.product_id]
             );
+        }
+        
+        // Update order status
+        await client.query(
+            'UPDATE orders SET order_status = $1, reservation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            ['cancelled', id]
+        );
+        
+        // Update order items and shipments status
+        await client.query(
+            'UPDATE order_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
+            ['cancelled', id]
+        );
+        
+        await client.query(
+            'UPDATE order_shipments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
+            ['cancelled', id]
+        );
+        
+        // Release coupon usage
+        await Coupon.releaseForOrder(id, client);
+        
+        // Money already taken by bKash/Nagad goes back to the buyer
+        const paid = parseFloat(order.grand_total) - (parseFloat(order.refund_amount) || 0);
+        if (['bkash', 'nagad'].includes(order.payment_method) &&
+            ['verified', 'partially_refunded'].includes(order.payment_status) && paid > 0) {
+            order.refund = await paymentService.processRefund(order.order_number, paid, 'Order cancelled', client);
+        }
+        
+        return order;
+    }
+    
+    // Cancel bKash/Nagad orders whose payment was not verified before the hold expired.
+    // Orders where the buyer already submitted a transaction ID or screenshot keep their stock
+    // until the payment is verified or rejected.
+    static async releaseExpiredReservations() {
+        return await db.transaction(async (client) => {
+            const expired = await client.query(`
+                SELECT
+                    o.id,
+                    o.order_number,
+                    o.user_id,
+                    ARRAY(SELECT DISTINCT oi.club_id FROM order_items oi WHERE oi.order_id = o.id) as club_ids
+                FROM orders o
+                WHERE o.reservation_expires_at IS NOT NULL
+                AND o.reservation_expires_at < CURRENT_TIMESTAMP
+                AND o.payment_status = 'pending'
+                AND o.order_status = 'pending'
+                AND o.transaction_id IS NULL
+                AND o.payment_screenshot_url IS NULL
+                FOR UPDATE OF o SKIP LOCKED
+            `);
             
-            // Restore product stock
-            for (const item of items.rows) {
+            for (const order of expired.rows) {
+                await Order.cancelWithClient(client, order.id);
                 await client.query(
-                    'UPDATE products SET stock = stock + $1, sales_count = GREATEST(0, sales_count - 1) WHERE id = $2',
-                    [item.quantity, item.product_id]
+                    'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                    ['failed', order.id]
                 );
             }
             
-            // Update order status
-            await client.query(
-                'UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                ['cancelled', id]
-            );
-            
-            // Update order items status
-            await client.query(
-                'UPDATE order_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
-                ['cancelled', id]
-            );
+            return expired.rows;
         });
     }
     
@@ -451,8 +577,9 @@ class Order {
         let paramCount = 1;
         
         if (filters.status) {
-            whereClause += ` AND order_status = $${paramCount}`;
-            params.push(filters.status);
+            // Same status filter as findByUserId, so totals match the listed orders
+            whereClause += ` AND order_status = ANY($${paramCount})`;
+            params.push([filters.status, `partially_${filters.status}`]);
             paramCount++;
         }
         
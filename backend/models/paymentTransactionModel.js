@@ -0,0 +1,152 @@
+// backend/models/paymentTransactionModel.js
+// Online payment attempt model for bKash/Nagad checkouts and their webhook events.
+// GLOBAL REFERENCE: Database Schema → payment_transactions, payment_webhook_events tables, Payment Methods
+// PURPOSE: Track gateway payments per order and apply each gateway result exactly once.
+
+const db = require('../config/database');
+const Ledger = require('./ledgerModel');
+
+class PaymentTransaction {
+    static GATEWAYS = ['bkash', 'nagad'];
+
+    // Create payment attempt after the gateway accepted it
+    static async create(data) {
+        return await db.insertOne('payment_transactions', {
+            order_id: data.order_id,
+            gateway: data.gateway,
+            gateway_payment_id: data.gateway_payment_id,
+            amount: data.amount,
+            gateway_response: data.gateway_response ? JSON.stringify(data.gateway_response) : null
+        });
+    }
+
+    // Find payment attempt by the gateway's payment ID (with its order)
+    static async findByGatewayPaymentId(gateway, gatewayPaymentId) {
+        return await db.getOne(`
+            SELECT pt.*, o.order_number, o.user_id, o.grand_total, o.payment_status, o.order_status
+            FROM payment_transactions pt
+            JOIN orders o ON pt.order_id = o.id
+            WHERE pt.gateway = $1 AND pt.gateway_payment_id = $2
+        `, [gateway, gatewayPaymentId]);
+    }
+
+    // Latest payment attempt for an order
+    static async findLatestByOrderId(orderId) {
+        return await db.getOne(
+            'SELECT * FROM payment_transactions WHERE order_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+            [orderId]
+        );
+    }
+
+    // Apply a successful gateway result: verify the order and credit clubs.
+    // Repeated callbacks/webhooks for the same payment return alreadyProcessed.
+    static async complete(id, { transactionId, amount, response = null }) {
+        return await db.transaction(async (client) => {
+            const locked = await client.query('SELECT * FROM payment_transactions WHERE id = $1 FOR UPDATE', [id]);
+            const payment = locked.rows[0];
+
+            if (!payment) {
+                return { success: false, message: 'Payment not found' };
+            }
+
+            if (payment.status === 'completed') {
+                return { success: true, alreadyProcessed: true, payment };
+            }
+
+            const orderResult = await client.query(
+                'SELECT id, order_number, grand_total, payment_status, order_status FROM orders WHERE id = $1 FOR UPDATE',
+                [payment.order_id]
+            );
+            const order = orderResult.rows[0];
+
+            const paid = Ledger.round(amount);
+            if (paid !== Ledger.round(payment.amount) || paid !== Ledger.round(order.grand_total)) {
+                const failed = await PaymentTransaction.markWithClient(client, id, 'failed', {
+                    failure_reason: `Amount mismatch: gateway reported ${paid}, order total is ${order.grand_total}`,
+                    gateway_transaction_id: transactionId,
+                    response
+                });
+                return { success: false, message: 'Paid amount does not match the order total', payment: failed };
+            }
+
+            // Money arrived after the stock hold expired and the order was cancelled
+            const failureReason = order.order_status === 'cancelled'
+                ? 'Payment received after the order was cancelled, refund required'
+                : null;
+
+            const completed = await client.query(`
+                UPDATE payment_transactions
+                SET status = 'completed', gateway_transaction_id = $1, failure_reason = $2,
+                    gateway_response = COALESCE($3, gateway_response),
+                    completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [transactionId, failureReason, response ? JSON.stringify(response) : null, id]);
+
+            if (failureReason) {
+                return { success: false, message: failureReason, payment: completed.rows[0] };
+            }
+
+            await client.query(`
+                UPDATE orders
+                SET payment_status = 'verified', transaction_id = $1, reservation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [transactionId, order.id]);
+
+            await Ledger.postOrderSales(order.id, client);
+
+            return { success: true, alreadyProcessed: false, payment: completed.rows[0] };
+        });
+    }
+
+    // Mark an attempt failed or cancelled (a completed payment is never downgraded)
+    static async markFailed(id, status, failureReason, response = null) {
+        return await db.transaction(async (client) => {
+            return await PaymentTransaction.markWithClient(client, id, status, {
+                failure_reason: failureReason,
+                response
+            });
+        });
+    }
+
+    // Update attempt status inside an existing transaction
+    static async markWithClient(client, id, status, { failure_reason = null, gateway_transaction_id = null, response = null } = {}) {
+        const result = await client.query(`
+            UPDATE payment_transactions
+            SET status = $1, failure_reason = $2,
+                gateway_transaction_id = COALESCE($3, gateway_transaction_id),
+                gateway_response = COALESCE($4, gateway_response),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $5 AND status <> 'completed'
+            RETURNING *
+        `, [status, failure_reason, gateway_transaction_id, response ? JSON.stringify(response) : null, id]);
+
+        return result.rows[0] || null;
+    }
+
+    // Store a webhook event; returns null when the same event was already received.
+    // An event whose handling failed is re-opened so the gateway's retry runs it again.
+    static async recordWebhookEvent(gateway, eventId, payload) {
+        return await db.getOne(`
+            INSERT INTO payment_webhook_events (gateway, event_id, payload)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (gateway, event_id) DO UPDATE SET
+                status = 'received',
+                payload = EXCLUDED.payload,
+                error = NULL,
+                processed_at = NULL
+            WHERE payment_webhook_events.status = 'failed'
+            RETURNING *
+        `, [gateway, eventId, JSON.stringify(payload)]);
+    }
+
+    // Record how a webhook event was handled
+    static async markWebhookEvent(id, status, error = null) {
+        await db.query(
+            'UPDATE payment_webhook_events SET status = $1, error = $2, processed_at = CURRENT_TIMESTAMP WHERE id = $3',
+            [status, error, id]
+        );
+    }
+}
+
+module.exports = PaymentTransaction;
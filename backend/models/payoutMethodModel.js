@@ -0,0 +1,214 @@
+// backend/models/payoutMethodModel.js
+// Club payout method model: bKash, Nagad and bank accounts clubs get paid into.
+// GLOBAL REFERENCE: Database Schema → club_payout_methods table, Payment Methods
+// PURPOSE: Store payout destinations and their super admin verification.
+
+const db = require('../config/database');
+
+class PayoutMethod {
+    static TYPES = ['bkash', 'nagad', 'bank_transfer'];
+
+    static LABELS = {
+        bkash: 'bKash',
+        nagad: 'Nagad',
+        bank_transfer: 'Bank Transfer'
+    };
+
+    // Fields that identify the destination account (changing them needs re-verification)
+    static ACCOUNT_FIELDS = ['method_type', 'account_name', 'account_number', 'bank_name', 'branch_name', 'routing_number'];
+
+    // Validate payout method payload from the club form
+    static validateData(data) {
+        if (!PayoutMethod.TYPES.includes(data.method_type)) {
+            return 'Payout method must be bkash, nagad or bank_transfer';
+        }
+
+        if (!data.account_name || String(data.account_name).trim().length < 3) {
+            return 'Account holder name is required';
+        }
+
+        const accountNumber = String(data.account_number || '').replace(/[\s-]/g, '');
+
+        if (data.method_type === 'bank_transfer') {
+            if (!data.bank_name || !data.branch_name) {
+                return 'Bank name and branch are required for bank transfers';
+            }
+            if (!/^\d{8,20}$/.test(accountNumber)) {
+                return 'Bank account number must be 8-20 digits';
+            }
+            if (data.routing_number && !/^\d{9}$/.test(String(data.routing_number))) {
+                return 'Routing number must be 9 digits';
+            }
+        } else if (!/^01[3-9]\d{8}$/.test(accountNumber)) {
+            return `${PayoutMethod.LABELS[data.method_type]} number must be a valid 11-digit mobile number`;
+        }
+
+        return null;
+    }
+
+    // Keep only the fields a club may set
+    static pickAccountFields(data) {
+        const fields = {};
+        for (const field of PayoutMethod.ACCOUNT_FIELDS) {
+            if (data[field] !== undefined) {
+                fields[field] = data[field] === '' ? null : data[field];
+            }
+        }
+
+        if (fields.account_number) {
+            fields.account_number = String(fields.account_number).replace(/[\s-]/g, '');
+        }
+
+        if (fields.method_type && fields.method_type !== 'bank_transfer') {
+            fields.bank_name = null;
+            fields.branch_name = null;
+            fields.routing_number = null;
+        }
+
+        return fields;
+    }
+
+    // Create payout method (the club's first method becomes its default)
+    static async create(clubId, data) {
+        const hasMethods = await db.exists('club_payout_methods', 'club_id = $1', [clubId]);
+
+        return await db.insertOne('club_payout_methods', {
+            ...PayoutMethod.pickAccountFields(data),
+            club_id: clubId,
+            is_default: !hasMethods
+        });
+    }
+
+    // Find payout method by ID
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT pm.*, c.club_name, c.university
+            FROM club_payout_methods pm
+            JOIN clubs c ON pm.club_id = c.id
+            WHERE pm.id = $1
+        `, [id]);
+    }
+
+    // Get a club's payout methods (default first)
+    static async findByClubId(clubId) {
+        return await db.getMany(
+            'SELECT * FROM club_payout_methods WHERE club_id = $1 ORDER BY is_default DESC, created_at',
+            [clubId]
+        );
+    }
+
+    // Get the verified default method a club is paid into
+    static async getDefault(clubId) {
+        return await db.getOne(
+            "SELECT * FROM club_payout_methods WHERE club_id = $1 AND is_default = TRUE AND status = 'verified'",
+            [clubId]
+        );
+    }
+
+    // Get payout methods for super admin review
+    static async findAll(filters = {}) {
+        let query = `
+            SELECT pm.*, c.club_name, c.university, c.logo_url as club_logo
+            FROM club_payout_methods pm
+            JOIN clubs c ON pm.club_id = c.id
+            WHERE 1=1
+        `;
+        const params = [];
+        let paramCount = 1;
+
+        if (filters.status) {
+            query += ` AND pm.status = $${paramCount}`;
+            params.push(filters.status);
+            paramCount++;
+        }
+
+        query += ' ORDER BY pm.created_at';
+
+        return await db.getMany(query, params);
+    }
+
+    // Update account details (sends the method back for verification)
+    static async update(id, data) {
+        const fields = PayoutMethod.pickAccountFields(data);
+
+        return await db.updateOne('club_payout_methods', id, {
+            ...fields,
+            status: 'pending',
+            rejection_reason: null,
+            verified_by: null,
+            verified_at: null
+        });
+    }
+
+    // Make a method the club's default
+    static async setDefault(id, clubId) {
+        return await db.transaction(async (client) => {
+            await client.query(
+                'UPDATE club_payout_methods SET is_default = FALSE, updated_at = CURRENT_TIMESTAMP WHERE club_id = $1 AND is_default = TRUE',
+                [clubId]
+            );
+
+            const result = await client.query(
+                'UPDATE club_payout_methods SET is_default = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+                [id]
+            );
+
+            return result.rows[0];
+        });
+    }
+
+    // Delete payout method (promotes another one to default if needed)
+    static async delete(id) {
+        return await db.transaction(async (client) => {
+            const result = await client.query('DELETE FROM club_payout_methods WHERE id = $1 RETURNING *', [id]);
+            const method = result.rows[0];
+
+            if (method && method.is_default) {
+                await client.query(`
+                    UPDATE club_payout_methods SET is_default = TRUE, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = (
+                        SELECT id FROM club_payout_methods
+                        WHERE club_id = $1
+                        ORDER BY (status = 'verified') DESC, created_at
+                        LIMIT 1
+                    )
+                `, [method.club_id]);
+            }
+
+            return method;
+        });
+    }
+
+    // Verify payout method
+    static async verify(id, verifiedBy) {
+        return await db.getOne(`
+            UPDATE club_payout_methods
+            SET status = 'verified', rejection_reason = NULL, verified_by = $1, verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+        `, [verifiedBy, id]);
+    }
+
+    // Reject payout method
+    static async reject(id, verifiedBy, reason) {
+        return await db.getOne(`
+            UPDATE club_payout_methods
+            SET status = 'rejected', rejection_reason = $1, verified_by = $2, verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING *
+        `, [reason, verifiedBy, id]);
+    }
+
+    // Short description for payout records and emails (account number masked)
+    static describe(method) {
+        if (!method) return null;
+
+        const number = String(method.account_number);
+        const masked = number.length > 4 ? `${'*'.repeat(number.length - 4)}${number.slice(-4)}` : number;
+        const label = method.method_type === 'bank_transfer' ? method.bank_name : PayoutMethod.LABELS[method.method_type];
+
+        return `${label} ${masked}`;
+    }
+}
+
+module.exports = PayoutMethod;
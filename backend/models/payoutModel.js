@@ -0,0 +1,429 @@
+// backend/models/payoutModel.js
+// Club payout model: payout requests and payments posted to the ledger.
+// GLOBAL REFERENCE: Database Schema → payouts, payout_batches, ledger_entries tables, platform_settings (payout_settings)
+// PURPOSE: Pay clubs out of their ledger balance without double-paying or missing earnings.
+
+const db = require('../config/database');
+const Ledger = require('./ledgerModel');
+const PayoutMethod = require('./payoutMethodModel');
+const { AppError } = require('../middleware/errorHandler');
+
+class Payout {
+    static SCHEDULES = ['manual', 'weekly', 'monthly'];
+
+    // Used when the payout_settings setting is missing or incomplete
+    static DEFAULT_SETTINGS = {
+        minimum_amount: 500,
+        schedule: 'monthly',
+        day_of_week: 1,
+        day_of_month: 1,
+        require_verified_method: true
+    };
+
+    // Load payout rules from platform settings
+    static async getSettings() {
+        const setting = await db.getOne(
+            `SELECT setting_value FROM platform_settings WHERE setting_key = 'payout_settings'`
+        );
+
+        if (setting && setting.setting_value) {
+            const settings = typeof setting.setting_value === 'string'
+                ? JSON.parse(setting.setting_value)
+                : setting.setting_value;
+
+            return { ...Payout.DEFAULT_SETTINGS, ...settings };
+        }
+
+        return { ...Payout.DEFAULT_SETTINGS };
+    }
+
+    // Validate payout settings from the super admin form
+    static validateSettings(settings) {
+        const minimum = parseFloat(settings.minimum_amount);
+        if (isNaN(minimum) || minimum < 0) {
+            return 'Minimum payout amount must be 0 or more';
+        }
+
+        if (!Payout.SCHEDULES.includes(settings.schedule)) {
+            return 'Payout schedule must be manual, weekly or monthly';
+        }
+
+        const dayOfWeek = parseInt(settings.day_of_week);
+        if (settings.schedule === 'weekly' && (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+            return 'Weekly payout day must be between 0 (Sunday) and 6 (Saturday)';
+        }
+
+        const dayOfMonth = parseInt(settings.day_of_month);
+        if (settings.schedule === 'monthly' && (isNaN(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28)) {
+            return 'Monthly payout day must be between 1 and 28';
+        }
+
+        return null;
+    }
+
+    // Save payout rules
+    static async saveSettings(settings) {
+        const value = {
+            minimum_amount: parseFloat(settings.minimum_amount),
+            schedule: settings.schedule,
+            day_of_week: parseInt(settings.day_of_week) || 0,
+            day_of_month: parseInt(settings.day_of_month) || 1,
+            require_verified_method: settings.require_verified_method !== false
+        };
+
+        await db.query(`
+            INSERT INTO platform_settings (setting_key, setting_value) VALUES ('payout_settings', $1)
+            ON CONFLICT (setting_key) DO UPDATE SET setting_value = $1, updated_at = CURRENT_TIMESTAMP
+        `, [JSON.stringify(value)]);
+
+        return value;
+    }
+
+    // Next date the payout schedule runs (null for manual payouts)
+    static getNextRunDate(settings, from = new Date()) {
+        const date = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+        if (settings.schedule === 'weekly') {
+            const days = (parseInt(settings.day_of_week) - date.getDay() + 7) % 7;
+            date.setDate(date.getDate() + days);
+            return date;
+        }
+
+        if (settings.schedule === 'monthly') {
+            const day = parseInt(settings.day_of_month);
+            if (date.getDate() > day) {
+                date.setDate(1);
+                date.setMonth(date.getMonth() + 1);
+            }
+            date.setDate(day);
+            return date;
+        }
+
+        return null;
+    }
+
+    // Period a new payout covers: from the day after the last paid one (or the first ledger entry) to today
+    static async getNextPeriod(client, clubId) {
+        const result = await client.query(`
+            SELECT
+                COALESCE(
+                    (SELECT MAX(period_end) + INTERVAL '1 day' FROM payouts WHERE club_id = $1 AND status = 'paid'),
+                    (SELECT MIN(created_at)::date FROM ledger_entries WHERE club_id = $1),
+                    CURRENT_DATE
+                )::date as period_start,
+                CURRENT_DATE as period_end
+        `, [clubId]);
+
+        return result.rows[0];
+    }
+
+    // Create a payout and take it out of the club's balance
+    static async createWithClient(client, clubId, amount, details = {}, createdBy = null) {
+        const { status = 'pending', payment_method = null, payment_reference = null, payout_method_id = null, batch_id = null } = details;
+        const period = await Payout.getNextPeriod(client, clubId);
+
+        const result = await client.query(`
+            INSERT INTO payouts (club_id, amount, period_start, period_end, status, payment_method, payment_reference, payout_method_id, batch_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [
+            clubId,
+            amount,
+            period.period_start,
+            period.period_end,
+            status === 'paid' ? 'pending' : status,
+            payment_method,
+            payment_reference,
+            payout_method_id,
+            batch_id
+        ]);
+
+        const payout = result.rows[0];
+        await Ledger.postPayoutRequest(client, payout, createdBy);
+
+        if (status === 'paid') {
+            return await Payout.markPaidWithClient(client, payout, { payment_method, payment_reference }, createdBy);
+        }
+
+        return payout;
+    }
+
+    // Mark a requested payout as sent
+    static async markPaidWithClient(client, payout, { payment_method, payment_reference }, createdBy = null) {
+        const result = await client.query(`
+            UPDATE payouts
+            SET status = 'paid',
+                payment_method = COALESCE($1, payment_method),
+                payment_reference = COALESCE($2, payment_reference),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING *
+        `, [payment_method || null, payment_reference || null, payout.id]);
+
+        const paid = result.rows[0];
+        await Ledger.postPayoutSettlement(client, paid, createdBy);
+
+        return paid;
+    }
+
+    // Mark a payout that could not be sent (e.g. rejected by the bank) as failed and return its amount to the club's balance
+    static async fail(payoutId, reason, processedBy = null) {
+        return await db.transaction(async (client) => {
+            const result = await client.query('SELECT * FROM payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+            const payout = result.rows[0];
+
+            if (!payout) {
+                throw new AppError('Payout not found', 404);
+            }
+
+            if (!['pending', 'processing'].includes(payout.status)) {
+                throw new AppError(`Only pending or processing payouts can be marked as failed (this one is ${payout.status})`, 400);
+            }
+
+            const failed = await client.query(`
+                UPDATE payouts
+                SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+                RETURNING *
+            `, [reason, payout.id]);
+
+            await Ledger.postPayoutReversal(client, failed.rows[0], processedBy);
+
+            return failed.rows[0];
+        });
+    }
+
+    // Club requests its whole available balance into its default payout method
+    static async request(clubId, createdBy = null) {
+        const settings = await Payout.getSettings();
+        const method = await PayoutMethod.getDefault(clubId);
+
+        if (settings.require_verified_method && !method) {
+            throw new AppError('Add a payout method and wait for it to be verified before requesting a payout', 400);
+        }
+
+        return await db.transaction(async (client) => {
+            const club = await client.query('SELECT available_balance FROM clubs WHERE id = $1 FOR UPDATE', [clubId]);
+            const balance = Ledger.round(club.rows[0].available_balance);
+
+            if (balance <= 0) {
+                throw new AppError('No available balance to request payout', 400);
+            }
+
+            if (balance < parseFloat(settings.minimum_amount)) {
+                throw new AppError(`Minimum payout is ৳${settings.minimum_amount}. Your available balance is ৳${balance}`, 400);
+            }
+
+            return await Payout.createWithClient(client, clubId, balance, {
+                payment_method: method ? method.method_type : null,
+                payout_method_id: method ? method.id : null
+            }, createdBy);
+        });
+    }
+
+    // Pay a club: settles its open requests first, then pays any remainder from its balance
+    static async pay(clubId, amount, { payment_method, payment_reference }, processedBy = null) {
+        return await db.transaction(async (client) => {
+            const club = await client.query('SELECT available_balance FROM clubs WHERE id = $1 FOR UPDATE', [clubId]);
+
+            if (!club.rows[0]) {
+                throw new AppError('Club not found', 404);
+            }
+
+            const requests = await client.query(`
+                SELECT * FROM payouts
+                WHERE club_id = $1 AND status IN ('pending', 'processing')
+                ORDER BY created_at
+                FOR UPDATE
+            `, [clubId]);
+
+            const requested = Ledger.round(requests.rows.reduce((sum, payout) => sum + parseFloat(payout.amount), 0));
+            const balance = Ledger.round(club.rows[0].available_balance);
+            const total = Ledger.round(amount);
+
+            if (!(total > 0)) {
+                throw new AppError('Payout amount must be greater than zero', 400);
+            }
+
+            if (total < requested) {
+                throw new AppError(`Amount must cover the club's pending payout requests of ৳${requested}`, 400);
+            }
+
+            if (total - requested > balance) {
+                throw new AppError(`Amount exceeds the club's balance due of ৳${Ledger.round(requested + balance)}`, 400);
+            }
+
+            const payouts = [];
+
+            for (const payout of requests.rows) {
+                payouts.push(await Payout.markPaidWithClient(client, payout, { payment_method, payment_reference }, processedBy));
+            }
+
+            const remainder = Ledger.round(total - requested);
+            if (remainder > 0) {
+                payouts.push(await Payout.createWithClient(
+                    client,
+                    clubId,
+                    remainder,
+                    { status: 'paid', payment_method, payment_reference },
+                    processedBy
+                ));
+            }
+
+            return payouts;
+        });
+    }
+
+    // Put every eligible club into a new payout batch.
+    // Open requests join the batch; balances at or above the minimum become new payouts.
+    static async createBatch({ cycle = 'manual', createdBy = null } = {}) {
+        const settings = await Payout.getSettings();
+        const minimum = parseFloat(settings.minimum_amount) || 0;
+
+        return await db.transaction(async (client) => {
+            const batchResult = await client.query(`
+                INSERT INTO payout_batches (batch_number, cycle, created_by)
+                VALUES ('PB-' || TO_CHAR(CURRENT_TIMESTAMP, 'YYYYMMDD-HH24MISS') || '-' || LPAD(FLOOR(RANDOM() * 1000)::text, 3, '0'), $1, $2)
+                RETURNING *
+            `, [cycle, createdBy]);
+            const batch = batchResult.rows[0];
+
+            const clubs = await client.query(`
+                SELECT c.id, c.club_name, c.contact_email, c.available_balance,
+                    (SELECT COUNT(*) FROM payouts p WHERE p.club_id = c.id AND p.status = 'pending') as open_requests
+                FROM clubs c
+                WHERE c.status = 'approved'
+                    AND (c.available_balance > 0 OR EXISTS (
+                        SELECT 1 FROM payouts p WHERE p.club_id = c.id AND p.status = 'pending'
+                    ))
+                ORDER BY c.id
+                FOR UPDATE OF c
+            `);
+
+            const payouts = [];
+            const skipped = [];
+
+            for (const club of clubs.rows) {
+                const method = await client.query(
+                    "SELECT * FROM club_payout_methods WHERE club_id = $1 AND is_default = TRUE AND status = 'verified'",
+                    [club.id]
+                );
+                const payoutMethod = method.rows[0] || null;
+
+                if (settings.require_verified_method && !payoutMethod) {
+                    skipped.push({ club_id: club.id, club_name: club.club_name, reason: 'No verified payout method' });
+                    continue;
+                }
+
+                const details = {
+                    payment_method: payoutMethod ? payoutMethod.method_type : 'bank_transfer',
+                    payout_method_id: payoutMethod ? payoutMethod.id : null
+                };
+
+                const requests = await client.query(`
+                    UPDATE payouts
+                    SET status = 'processing',
+                        batch_id = $1,
+                        payment_method = COALESCE(payment_method, $2),
+                        payout_method_id = COALESCE(payout_method_id, $3),
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE club_id = $4 AND status = 'pending'
+                    RETURNING *
+                `, [batch.id, details.payment_method, details.payout_method_id, club.id]);
+
+                const clubPayouts = [...requests.rows];
+                const balance = Ledger.round(club.available_balance);
+
+                if (balance > 0 && balance >= minimum) {
+                    clubPayouts.push(await Payout.createWithClient(client, club.id, balance, {
+                        ...details,
+                        status: 'processing',
+                        batch_id: batch.id
+                    }, createdBy));
+                } else if (balance > 0 && clubPayouts.length === 0) {
+                    skipped.push({ club_id: club.id, club_name: club.club_name, reason: `Balance below minimum of ৳${minimum}` });
+                }
+
+                for (const payout of clubPayouts) {
+                    payouts.push({ ...payout, club: club, payout_method: payoutMethod });
+                }
+            }
+
+            const total = Ledger.round(payouts.reduce((sum, payout) => sum + parseFloat(payout.amount), 0));
+
+            const updated = await client.query(`
+                UPDATE payout_batches
+                SET payout_count = $1, total_amount = $2, skipped_clubs = $3
+                WHERE id = $4
+                RETURNING *
+            `, [payouts.length, total, JSON.stringify(skipped), batch.id]);
+
+            return { batch: updated.rows[0], payouts, skipped };
+        });
+    }
+
+    // Whether a scheduled batch is due today and hasn't run yet
+    static async isScheduledBatchDue(settings, now = new Date()) {
+        const nextRun = Payout.getNextRunDate(settings, now);
+        if (!nextRun || nextRun.toDateString() !== now.toDateString()) return false;
+
+        const alreadyRun = await db.exists(
+            'payout_batches',
+            'cycle = $1 AND created_at::date = CURRENT_DATE',
+            [settings.schedule]
+        );
+
+        return !alreadyRun;
+    }
+
+    // Get payout batches
+    static async getBatches(filters = {}) {
+        return await db.getMany(`
+            SELECT pb.*, u.full_name as created_by_name
+            FROM payout_batches pb
+            LEFT JOIN users u ON pb.created_by = u.id
+            ORDER BY pb.created_at DESC
+            LIMIT $1 OFFSET $2
+        `, [filters.limit || 20, filters.offset || 0]);
+    }
+
+    // Clubs with money due: ledger balance plus payouts requested but not yet sent
+    static async getAmountsDue() {
+        return await db.getMany(`
+            SELECT
+                c.id as club_id,
+                c.club_name,
+                c.university,
+                c.logo_url as club_logo,
+                c.total_earnings,
+                c.reward_tier,
+                c.available_balance,
+                COALESCE(pending.amount, 0) as requested_amount,
+                c.available_balance + COALESCE(pending.amount, 0) as amount_due,
+                (SELECT MAX(period_end) FROM payouts WHERE club_id = c.id AND status = 'paid') as last_payout_date,
+                COALESCE(
+                    (SELECT MAX(period_end) + INTERVAL '1 day' FROM payouts WHERE club_id = c.id AND status = 'paid'),
+                    (SELECT MIN(created_at)::date FROM ledger_entries WHERE club_id = c.id)
+                ) as period_start,
+                CURRENT_DATE as period_end,
+                pm.id as payout_method_id,
+                pm.method_type as payout_method_type,
+                pm.account_name as payout_account_name,
+                pm.account_number as payout_account_number,
+                pm.bank_name as payout_bank_name
+            FROM clubs c
+            LEFT JOIN club_payout_methods pm ON pm.club_id = c.id AND pm.is_default = TRUE AND pm.status = 'verified'
+            LEFT JOIN (
+                SELECT club_id, SUM(amount) as amount
+                FROM payouts
+                WHERE status IN ('pending', 'processing')
+                GROUP BY club_id
+            ) pending ON pending.club_id = c.id
+            WHERE c.status = 'approved'
+                AND c.available_balance + COALESCE(pending.amount, 0) > 0
+            ORDER BY amount_due DESC
+        `);
+    }
+}
+
+module.exports = Payout;
@@ -0,0 +1,50 @@
+// backend/models/realtimeEventModel.js
+// Realtime event model: the log behind the server-sent events stream.
+// GLOBAL REFERENCE: Database Schema → realtime_events table, Realtime Service
+// PURPOSE: Store pushed events per recipient so reconnecting clients can replay what they missed.
+
+const db = require('../config/database');
+
+class RealtimeEvent {
+    // Store one event for every recipient (returns the rows with their stream ids)
+    static async createMany(userIds, eventType, data) {
+        if (userIds.length === 0) return [];
+
+        return await db.getMany(`
+            INSERT INTO realtime_events (user_id, event_type, data)
+            SELECT recipient, $2, $3 FROM UNNEST($1::int[]) AS recipient
+            RETURNING id, user_id, event_type, data, created_at
+        `, [userIds, eventType, JSON.stringify(data)]);
+    }
+
+    // Events a user has not seen yet (oldest first)
+    static async findSince(userId, lastEventId, limit = 200) {
+        return await db.getMany(`
+            SELECT id, event_type, data, created_at
+            FROM realtime_events
+            WHERE user_id = $1 AND id > $2
+            ORDER BY id
+            LIMIT $3
+        `, [userId, lastEventId, limit]);
+    }
+
+    // Latest event id for a user (new connections start from here)
+    static async getLastId(userId) {
+        const result = await db.getOne(
+            'SELECT COALESCE(MAX(id), 0) as last_id FROM realtime_events WHERE user_id = $1',
+            [userId]
+        );
+        return parseInt(result.last_id);
+    }
+
+    // Remove events older than the replay window
+    static async deleteOlderThan(hours) {
+        const result = await db.query(
+            `DELETE FROM realtime_events WHERE created_at < NOW() - ($1 || ' hours')::INTERVAL`,
+            [hours]
+        );
+        return result.rowCount;
+    }
+}
+
+module.exports = RealtimeEvent;
@@ -0,0 +1,189 @@
+// backend/models/registrationMemberModel.js
+// Registration member model: the captain and invited teammates of a competition team.
+// GLOBAL REFERENCE: Database Schema → registration_members, competition_registrations tables
+// PURPOSE: Track team invitations and memberships so teammates are linked to the registration.
+
+const db = require('../config/database');
+
+class RegistrationMember {
+    // Add the registering student as captain of the team
+    static async addCaptain(registration, client = db) {
+        const result = await client.query(`
+            INSERT INTO registration_members (registration_id, competition_id, user_id, role, status, invited_by, responded_at)
+            VALUES ($1, $2, $3, 'captain', 'accepted', $3, CURRENT_TIMESTAMP)
+            RETURNING *
+        `, [registration.id, registration.competition_id, registration.user_id]);
+        return result.rows[0];
+    }
+
+    // Invite a teammate (userId is null for emails without an account).
+    // A declined invitation to the same person is re-opened instead of duplicated.
+    static async invite({ registrationId, competitionId, userId = null, email, invitedBy }, client = db) {
+        const existing = await client.query(`
+            SELECT id FROM registration_members
+            WHERE registration_id = $1 AND status = 'declined'
+            AND (user_id = $2 OR LOWER(invited_email) = LOWER($3))
+        `, [registrationId, userId, email]);
+
+        if (existing.rows.length > 0) {
+            const result = await client.query(`
+                UPDATE registration_members
+                SET status = 'invited', user_id = $1, invited_email = $2, invited_by = $3,
+                    responded_at = NULL, created_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [userId, email, invitedBy, existing.rows[0].id]);
+            return result.rows[0];
+        }
+
+        const result = await client.query(`
+            INSERT INTO registration_members (registration_id, competition_id, user_id, invited_email, role, status, invited_by)
+            VALUES ($1, $2, $3, $4, 'member', 'invited', $5)
+            RETURNING *
+        `, [registrationId, competitionId, userId, email, invitedBy]);
+        return result.rows[0];
+    }
+
+    // Find member by ID with its registration and competition
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT
+                rm.*,
+                cr.user_id as captain_id,
+                cr.team_name,
+                cr.registration_status,
+                c.title as competition_title,
+                c.competition_date,
+                c.team_size_min,
+                c.team_size_max,
+                c.club_id
+            FROM registration_members rm
+            JOIN competition_registrations cr ON rm.registration_id = cr.id
+            JOIN competitions c ON rm.competition_id = c.id
+            WHERE rm.id = $1
+        `, [id]);
+    }
+
+    // Team of a registration (captain first, declined invitations left out)
+    static async findByRegistrationId(registrationId) {
+        return await db.getMany(`
+            SELECT
+                rm.id,
+                rm.user_id,
+                rm.role,
+                rm.status,
+                rm.responded_at,
+                rm.created_at,
+                COALESCE(u.full_name, rm.invited_email) as full_name,
+                COALESCE(u.email, rm.invited_email) as email,
+                u.student_id,
+                u.university
+            FROM registration_members rm
+            LEFT JOIN users u ON rm.user_id = u.id
+            WHERE rm.registration_id = $1
+            AND rm.status != 'declined'
+            ORDER BY rm.role = 'captain' DESC, rm.status = 'accepted' DESC, rm.id
+        `, [registrationId]);
+    }
+
+    // Whether a person (by account or email) is already on or invited to this team
+    static async isOnTeam(registrationId, userId, email) {
+        return await db.exists(
+            'registration_members',
+            `registration_id = $1 AND status != 'declined' AND (user_id = $2 OR LOWER(invited_email) = LOWER($3))`,
+            [registrationId, userId, email]
+        );
+    }
+
+    // Count team seats taken (accepted members and open invitations)
+    static async countSeats(registrationId) {
+        return await db.count('registration_members', `registration_id = $1 AND status IN ('invited', 'accepted')`, [registrationId]);
+    }
+
+    // Count accepted members (captain included)
+    static async countAccepted(registrationId) {
+        return await db.count('registration_members', `registration_id = $1 AND status = 'accepted'`, [registrationId]);
+    }
+
+    // The team (pending, approved or waitlisted registration) a student already plays for in a competition
+    static async findActiveTeam(competitionId, userId, excludeRegistrationId = null, client = db) {
+        const result = await client.query(`
+            SELECT cr.id, cr.team_name, rm.role
+            FROM registration_members rm
+            JOIN competition_registrations cr ON rm.registration_id = cr.id
+            WHERE rm.competition_id = $1 AND rm.user_id = $2
+            AND rm.status = 'accepted'
+            AND cr.registration_status IN ('pending', 'approved', 'waitlisted')
+            AND ($3::INTEGER IS NULL OR cr.id != $3)
+            LIMIT 1
+        `, [competitionId, userId, excludeRegistrationId]);
+        return result.rows[0] || null;
+    }
+
+    // Open invitations for a student (matched by account, or by email for invites sent before signup)
+    static async findInvitationsForUser(userId, email) {
+        return await db.getMany(`
+            SELECT
+                rm.id,
+                rm.registration_id,
+                rm.created_at,
+                cr.team_name,
+                cr.registration_status,
+                captain.full_name as captain_name,
+                c.id as competition_id,
+                c.title as competition_title,
+                c.competition_date,
+                c.venue,
+                c.banner_url,
+                cl.club_name
+            FROM registration_members rm
+            JOIN competition_registrations cr ON rm.registration_id = cr.id
+            JOIN users captain ON cr.user_id = captain.id
+            JOIN competitions c ON rm.competition_id = c.id
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE rm.status = 'invited'
+            AND (rm.user_id = $1 OR (rm.user_id IS NULL AND LOWER(rm.invited_email) = LOWER($2)))
+            AND cr.registration_status IN ('pending', 'approved', 'waitlisted')
+            AND c.competition_date >= CURRENT_DATE
+            ORDER BY rm.created_at DESC
+        `, [userId, email]);
+    }
+
+    // Accept an invitation (links email-only invitations to the account)
+    static async accept(id, userId) {
+        const result = await db.query(`
+            UPDATE registration_members
+            SET status = 'accepted', user_id = $1, responded_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND status = 'invited'
+            RETURNING *
+        `, [userId, id]);
+        return result.rows[0];
+    }
+
+    // Decline an invitation
+    static async decline(id, userId) {
+        const result = await db.query(`
+            UPDATE registration_members
+            SET status = 'declined', user_id = $1, responded_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND status = 'invited'
+            RETURNING *
+        `, [userId, id]);
+        return result.rows[0];
+    }
+
+    // Remove a member or withdraw an invitation
+    static async remove(id) {
+        return await db.query('DELETE FROM registration_members WHERE id = $1', [id]);
+    }
+
+    // Accepted member IDs of a registration (for notifications)
+    static async getMemberUserIds(registrationId) {
+        const rows = await db.getMany(`
+            SELECT user_id FROM registration_members
+            WHERE registration_id = $1 AND status = 'accepted' AND user_id IS NOT NULL
+        `, [registrationId]);
+        return rows.map(row => row.user_id);
+    }
+}
+
+module.exports = RegistrationMember;
@@ -6,23 +6,37 @@
 const db = require('../config/database');
 
 class Registration {
+    // How long a paid registration may wait for payment proof before it expires
+    static PAYMENT_HOLD_HOURS = parseInt(process.env.REGISTRATION_PAYMENT_HOURS) || 72;
+    // How long a team promoted from the waitlist has to submit payment
+    static WAITLIST_PAYMENT_HOURS = parseInt(process.env.WAITLIST_PAYMENT_HOURS) || 48;
+    
     // Create new registration
-    static async create(registrationData) {
-        const registration = await db.insertOne('competition_registrations', {
-            competition_id: registrationData.competition_id,
-            user_id: registrationData.user_id,
-            team_name: registrationData.team_name,
-            team_members: registrationData.team_members,
-            phone: registrationData.phone,
-            registration_fee: registrationData.registration_fee,
-            payment_method: registrationData.payment_method,
-            payment_screenshot_url: registrationData.payment_screenshot_url || null,
-            transaction_id: registrationData.transaction_id || null,
-            payment_status: registrationData.payment_method === 'cash_on_delivery' ? 'pending' : 'pending',
-            registration_status: 'pending'
-        });
+    static async create(registrationData, client = db) {
+        const result = await client.query(`
+            INSERT INTO competition_registrations (
+                competition_id, user_id, team_name, team_members, phone,
+                registration_fee, payment_method, payment_screenshot_url, transaction_id,
+                form_answers, payment_status, registration_status, waitlist_position
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING *
+        `, [
+            registrationData.competition_id,
+            registrationData.user_id,
+            registrationData.team_name,
+            registrationData.team_members,
+            registrationData.phone,
+            registrationData.registration_fee,
+            registrationData.payment_method,
+            registrationData.payment_screenshot_url || null,
+            registrationData.transaction_id || null,
+            JSON.stringify(registrationData.form_answers || {}),
+            'pending',
+            registrationData.registration_status === 'waitlisted' ? 'waitlisted' : 'pending',
+            registrationData.waitlist_position || null
+        ]);
         
-        return registration;
+        return result.rows[0];
     }
     
     // Find registration by ID
@@ -127,12 +141,12 @@ class Registration {
     }
     
     // Check if user already registered (excluding rejected/cancelled)
-    static async checkExistingRegistration(userId, competitionId) {
-        const existing = await db.getOne(
+    static async checkExistingRegistration(userId, competitionId, client = db) {
+        const result = await client.query(
             'SELECT id, registration_status FROM competition_registrations WHERE user_id = $1 AND competition_id = $2 AND registration_status NOT IN ($3, $4)',
             [userId, competitionId, 'rejected', 'cancelled']
         );
-        return existing;
+        return result.rows[0] || null;
     }
     
     // Approve registration
@@ -171,6 +185,24 @@ class Registration {
         return result.rows[0];
     }
     
+    // Reject paid registrations that never sent payment proof within the hold
+    // (teams promoted from the waitlist have their own payment deadline)
+    static async expireUnpaid(holdHours = Registration.PAYMENT_HOLD_HOURS) {
+        return await db.getMany(`
+            UPDATE competition_registrations cr
+            SET payment_status = 'failed', registration_status = 'rejected', updated_at = CURRENT_TIMESTAMP
+            FROM competitions c
+            WHERE cr.competition_id = c.id
+            AND cr.payment_status = 'pending'
+            AND cr.registration_status = 'pending'
+            AND cr.registration_fee > 0
+            AND cr.payment_screenshot_url IS NULL
+            AND cr.transaction_id IS NULL
+            AND COALESCE(cr.payment_due_at, cr.created_at + ($1 || ' hours')::INTERVAL) < NOW()
+            RETURNING cr.id, cr.user_id, cr.team_name, c.id as competition_id, c.title as competition_title
+        `, [holdHours]);
+    }
+    
     // Update registration
     static async update(id, updates) {
         const allowedFields = ['team_name', 'team_members', 'phone', 'payment_screenshot_url', 'transaction_id'];
@@ -189,6 +221,228 @@ class Registration {
         return await db.updateOne('competition_registrations', id, filteredUpdates);
     }
     
+    // Withdraw a registration (by the team captain)
+    static async cancel(id, reason = null) {
+        const result = await db.query(`
+            UPDATE competition_registrations
+            SET registration_status = 'cancelled', waitlist_position = NULL, cancellation_reason = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND registration_status IN ('pending', 'approved', 'waitlisted')
+            RETURNING *
+        `, [reason, id]);
+        return result.rows[0];
+    }
+    
+    // Record payment proof sent after registering (e.g. by a team promoted from the waitlist)
+    static async submitPayment(id, { payment_method, transaction_id, payment_screenshot_url }) {
+        const result = await db.query(`
+            UPDATE competition_registrations
+            SET payment_method = $1, transaction_id = $2, payment_screenshot_url = $3,
+                payment_status = 'pending', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4 AND registration_status = 'pending' AND payment_status != 'verified'
+            RETURNING *
+        `, [payment_method, transaction_id, payment_screenshot_url, id]);
+        return result.rows[0];
+    }
+    
+    // ============= Waitlist =============
+    
+    // Seats held in a competition with a waitlist (approved teams and teams still under review)
+    static async countHeldSeats(competitionId, client = db) {
+        const result = await client.query(
+            `SELECT COUNT(*) as count FROM competition_registrations WHERE competition_id = $1 AND registration_status IN ('pending', 'approved')`,
+            [competitionId]
+        );
+        return parseInt(result.rows[0].count);
+    }
+    
+    // Count teams waiting for a spot
+    static async countWaitlisted(competitionId, client = db) {
+        const result = await client.query(
+            `SELECT COUNT(*) as count FROM competition_registrations WHERE competition_id = $1 AND registration_status = 'waitlisted'`,
+            [competitionId]
+        );
+        return parseInt(result.rows[0].count);
+    }
+    
+    // Position for a team joining the back of the waitlist
+    // (call inside a transaction holding the competition row lock so two teams can't take the same spot)
+    static async getNextWaitlistPosition(competitionId, client = db) {
+        const result = await client.query(`
+            SELECT COALESCE(MAX(waitlist_position), 0) + 1 as position
+            FROM competition_registrations
+            WHERE competition_id = $1 AND registration_status = 'waitlisted'
+        `, [competitionId]);
+        return parseInt(result.rows[0].position);
+    }
+    
+    // Waitlist of a competition in promotion order
+    static async findWaitlist(competitionId) {
+        return await db.getMany(`
+            SELECT
+                cr.id,
+                cr.team_name,
+                cr.team_members,
+                cr.phone,
+                cr.waitlist_position,
+                cr.payment_method,
+                cr.created_at,
+                u.full_name as user_name,
+                u.email as user_email,
+                (
+                    SELECT COUNT(*)::integer FROM registration_members rm
+                    WHERE rm.registration_id = cr.id AND rm.status = 'accepted'
+                ) as member_count
+            FROM competition_registrations cr
+            JOIN users u ON cr.user_id = u.id
+            WHERE cr.competition_id = $1 AND cr.registration_status = 'waitlisted'
+            ORDER BY cr.waitlist_position, cr.created_at
+        `, [competitionId]);
+    }
+    
+    // Put the waitlist in a new order (registrationIds lists every waitlisted team, first = next to be promoted)
+    static async reorderWaitlist(competitionId, registrationIds) {
+        return await db.transaction(async (client) => {
+            for (const [index, id] of registrationIds.entries()) {
+                await client.query(`
+                    UPDATE competition_registrations
+                    SET waitlist_position = $1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2 AND competition_id = $3 AND registration_status = 'waitlisted'
+                `, [index + 1, id, competitionId]);
+            }
+        });
+    }
+    
+    // Renumber the waitlist 1..n after teams leave it
+    static async compactWaitlist(competitionId) {
+        await db.query(`
+            UPDATE competition_registrations cr
+            SET waitlist_position = ranked.position
+            FROM (
+                SELECT id, ROW_NUMBER() OVER (ORDER BY waitlist_position, created_at) as position
+                FROM competition_registrations
+                WHERE competition_id = $1 AND registration_status = 'waitlisted'
+            ) ranked
+            WHERE cr.id = ranked.id AND cr.waitlist_position IS DISTINCT FROM ranked.position
+        `, [competitionId]);
+    }
+    
+    // Move teams from the front of the waitlist into free seats (back to 'pending' for review).
+    // The competition row is locked so two freed seats are never given to the same team.
+    static async promoteFromWaitlist(competitionId, paymentHours = Registration.WAITLIST_PAYMENT_HOURS) {
+        return await db.transaction(async (client) => {
+            const competitionResult = await client.query(`
+                SELECT id, max_participants, registration_fee
+                FROM competitions
+                WHERE id = $1 AND status = 'active' AND competition_date >= CURRENT_DATE
+                FOR UPDATE
+            `, [competitionId]);
+            
+            const competition = competitionResult.rows[0];
+            if (!competition || !competition.max_participants) return [];
+            
+            const heldResult = await client.query(`
+                SELECT COUNT(*)::integer as count FROM competition_registrations
+                WHERE competition_id = $1 AND registration_status IN ('pending', 'approved')
+            `, [competitionId]);
+            
+            const freeSeats = competition.max_participants - heldResult.rows[0].count;
+            if (freeSeats <= 0) return [];
+            
+            // Free competitions have nothing to pay, so no payment deadline
+            const paymentDue = parseFloat(competition.registration_fee) > 0
+                ? new Date(Date.now() + paymentHours * 60 * 60 * 1000)
+                : null;
+            
+            const promoted = await client.query(`
+                UPDATE competition_registrations
+                SET registration_status = 'pending', waitlist_position = NULL,
+                    promoted_at = CURRENT_TIMESTAMP, payment_due_at = $1, updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM competition_registrations
+                    WHERE competition_id = $2 AND registration_status = 'waitlisted'
+                    ORDER BY waitlist_position, created_at
+                    LIMIT $3
+                )
+                RETURNING *
+            `, [paymentDue, competitionId, freeSeats]);
+            
+            return promoted.rows;
+        });
+    }
+    
+    // ============= Check-in =============
+    
+    // Mark an approved team as arrived. Returns null when it was already checked in
+    // (the WHERE clause makes two desks scanning the same ticket safe).
+    static async checkIn(id, checkedInBy) {
+        return await db.getOne(`
+            UPDATE competition_registrations
+            SET checked_in_at = CURRENT_TIMESTAMP, checked_in_by = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND registration_status = 'approved' AND checked_in_at IS NULL
+            RETURNING *
+        `, [id, checkedInBy]);
+    }
+    
+    // Undo a check-in made by mistake
+    static async undoCheckIn(id) {
+        return await db.getOne(`
+            UPDATE competition_registrations
+            SET checked_in_at = NULL, checked_in_by = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND checked_in_at IS NOT NULL
+            RETURNING *
+        `, [id]);
+    }
+    
+    // Approved teams and how many of them have arrived
+    static async getCheckInCounts(competitionId) {
+        const counts = await db.getOne(`
+            SELECT
+                COUNT(*) as approved_count,
+                COUNT(checked_in_at) as checked_in_count
+            FROM competition_registrations
+            WHERE competition_id = $1 AND registration_status = 'approved'
+        `, [competitionId]);
+        
+        return {
+            approved: parseInt(counts.approved_count),
+            checked_in: parseInt(counts.checked_in_count)
+        };
+    }
+    
+    // Latest check-ins of a competition (newest first)
+    static async findCheckIns(competitionId, limit = 20) {
+        return await db.getMany(`
+            SELECT
+                cr.id,
+                cr.team_name,
+                cr.team_members,
+                cr.checked_in_at,
+                u.full_name as checked_in_by_name
+            FROM competition_registrations cr
+            LEFT JOIN users u ON cr.checked_in_by = u.id
+            WHERE cr.competition_id = $1 AND cr.checked_in_at IS NOT NULL
+            ORDER BY cr.checked_in_at DESC
+            LIMIT $2
+        `, [competitionId, limit]);
+    }
+    
+    // Rebuild the team_members list (one name per line, captain first) from accepted members
+    static async syncTeamMembers(id) {
+        const result = await db.query(`
+            UPDATE competition_registrations cr
+            SET team_members = COALESCE(team.names, cr.team_members), updated_at = CURRENT_TIMESTAMP
+            FROM (
+                SELECT string_agg(u.full_name, E'\n' ORDER BY rm.role = 'captain' DESC, rm.responded_at, rm.id) as names
+                FROM registration_members rm
+                JOIN users u ON rm.user_id = u.id
+                WHERE rm.registration_id = $1 AND rm.status = 'accepted'
+            ) team
+            WHERE cr.id = $1
+            RETURNING cr.*
+        `, [id]);
+        return result.rows[0];
+    }
+    
     // Delete registration
     static async delete(id) {
         return await db.deleteOne('competition_registrations', id);
@@ -202,6 +456,8 @@ class Registration {
                 COUNT(CASE WHEN registration_status = 'approved' THEN 1 END) as approved_count,
                 COUNT(CASE WHEN registration_status = 'pending' THEN 1 END) as pending_count,
                 COUNT(CASE WHEN registration_status = 'rejected' THEN 1 END) as rejected_count,
+                COUNT(CASE WHEN registration_status = 'waitlisted' THEN 1 END) as waitlisted_count,
+                COUNT(CASE WHEN registration_status = 'approved' AND checked_in_at IS NOT NULL THEN 1 END) as checked_in_count,
                 COUNT(CASE WHEN payment_status = 'verified' THEN 1 END) as paid_count,
                 COUNT(CASE WHEN payment_status = 'pending' THEN 1 END) as pending_payment_count,
                 SUM(registration_fee) as total_revenue,
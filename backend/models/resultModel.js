@@ -0,0 +1,208 @@
+// backend/models/resultModel.js
+// Competition result model: placements, scores per round, prize payouts and the badges winners receive.
+// GLOBAL REFERENCE: Database Schema → competition_results, student_badges, competitions (result_rounds, results_published_at)
+// PURPOSE: Store what club admins enter after a competition and what students and visitors see once published.
+
+const db = require('../config/database');
+
+class CompetitionResult {
+    // Approved teams of a competition with their result (if entered), for the club admin editor
+    static async findEntries(competitionId) {
+        return await db.getMany(`
+            SELECT
+                cr.id as registration_id,
+                cr.team_name,
+                cr.team_members,
+                u.full_name as captain_name,
+                r.id as result_id,
+                r.placement,
+                r.score,
+                r.round_scores,
+                r.notes,
+                r.prize_amount,
+                r.prize_status,
+                r.prize_reference,
+                r.prize_paid_at
+            FROM competition_registrations cr
+            JOIN users u ON cr.user_id = u.id
+            LEFT JOIN competition_results r ON r.registration_id = cr.id
+            WHERE cr.competition_id = $1 AND cr.registration_status = 'approved'
+            ORDER BY r.placement NULLS LAST, r.score DESC NULLS LAST, cr.team_name
+        `, [competitionId]);
+    }
+
+    // Results of a competition in ranking order (members are accepted teammates, captain first)
+    static async findByCompetitionId(competitionId) {
+        return await db.getMany(`
+            SELECT
+                r.*,
+                cr.team_name,
+                cr.user_id as captain_id,
+                (
+                    SELECT COALESCE(json_agg(mu.full_name ORDER BY rm.role = 'captain' DESC, rm.id), '[]')
+                    FROM registration_members rm
+                    JOIN users mu ON rm.user_id = mu.id
+                    WHERE rm.registration_id = cr.id AND rm.status = 'accepted'
+                ) as members
+            FROM competition_results r
+            JOIN competition_registrations cr ON r.registration_id = cr.id
+            WHERE r.competition_id = $1
+            ORDER BY r.placement NULLS LAST, r.score DESC NULLS LAST, cr.team_name
+        `, [competitionId]);
+    }
+
+    // Find a result with its competition and team
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT r.*, cr.team_name, cr.user_id as captain_id, c.title as competition_title, c.club_id
+            FROM competition_results r
+            JOIN competition_registrations cr ON r.registration_id = cr.id
+            JOIN competitions c ON r.competition_id = c.id
+            WHERE r.id = $1
+        `, [id]);
+    }
+
+    // Replace a competition's rounds and results (teams left out lose their result; paid prizes stay paid)
+    static async saveAll(competitionId, rounds, results) {
+        return await db.transaction(async (client) => {
+            await client.query(
+                'UPDATE competitions SET result_rounds = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [JSON.stringify(rounds), competitionId]
+            );
+
+            await client.query(
+                'DELETE FROM competition_results WHERE competition_id = $1 AND NOT (registration_id = ANY($2::INTEGER[]))',
+                [competitionId, results.map(result => result.registration_id)]
+            );
+
+            for (const result of results) {
+                await client.query(`
+                    INSERT INTO competition_results (
+                        competition_id, registration_id, placement, score, round_scores, notes, prize_amount, prize_status
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    ON CONFLICT (competition_id, registration_id) DO UPDATE SET
+                        placement = EXCLUDED.placement,
+                        score = EXCLUDED.score,
+                        round_scores = EXCLUDED.round_scores,
+                        notes = EXCLUDED.notes,
+                        prize_amount = EXCLUDED.prize_amount,
+                        prize_status = CASE WHEN competition_results.prize_status = 'paid' THEN 'paid' ELSE EXCLUDED.prize_status END,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [
+                    competitionId,
+                    result.registration_id,
+                    result.placement,
+                    result.score,
+                    JSON.stringify(result.round_scores),
+                    result.notes,
+                    result.prize_amount,
+                    result.prize_amount > 0 ? 'pending' : 'none'
+                ]);
+            }
+        });
+    }
+
+    // Make results public (keeps the first publication time when republished)
+    static async publish(competitionId) {
+        return await db.getOne(`
+            UPDATE competitions
+            SET results_published_at = COALESCE(results_published_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [competitionId]);
+    }
+
+    // Hide results again and take back the badges they awarded
+    static async unpublish(competitionId) {
+        return await db.transaction(async (client) => {
+            await client.query('DELETE FROM student_badges WHERE competition_id = $1', [competitionId]);
+            await client.query(
+                'UPDATE competitions SET results_published_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [competitionId]
+            );
+        });
+    }
+
+    // Give podium badges to the accepted members of placed teams (replaces earlier badges of the competition)
+    static async syncBadges(competitionId) {
+        return await db.transaction(async (client) => {
+            await client.query('DELETE FROM student_badges WHERE competition_id = $1', [competitionId]);
+
+            const result = await client.query(`
+                INSERT INTO student_badges (user_id, competition_id, registration_id, badge_type, placement)
+                SELECT DISTINCT ON (rm.user_id)
+                    rm.user_id,
+                    r.competition_id,
+                    r.registration_id,
+                    CASE r.placement WHEN 1 THEN 'champion' WHEN 2 THEN 'runner_up' ELSE 'third_place' END,
+                    r.placement
+                FROM competition_results r
+                JOIN registration_members rm ON rm.registration_id = r.registration_id
+                WHERE r.competition_id = $1 AND r.placement BETWEEN 1 AND 3
+                AND rm.status = 'accepted' AND rm.user_id IS NOT NULL
+                ORDER BY rm.user_id, r.placement
+                RETURNING *
+            `, [competitionId]);
+
+            return result.rows;
+        });
+    }
+
+    // Record a prize payout (or undo it)
+    static async updatePrize(id, prizeStatus, prizeReference = null) {
+        return await db.getOne(`
+            UPDATE competition_results
+            SET prize_status = $1,
+                prize_reference = $2,
+                prize_paid_at = CASE WHEN $1 = 'paid' THEN COALESCE(prize_paid_at, CURRENT_TIMESTAMP) ELSE NULL END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING *
+        `, [prizeStatus, prizeReference, id]);
+    }
+
+    // Badges of a student, newest first
+    static async findBadgesByUserId(userId) {
+        return await db.getMany(`
+            SELECT
+                b.*,
+                cr.team_name,
+                c.title as competition_title,
+                c.competition_date,
+                c.category,
+                cl.club_name,
+                cl.slug as club_slug
+            FROM student_badges b
+            JOIN competition_registrations cr ON b.registration_id = cr.id
+            JOIN competitions c ON b.competition_id = c.id
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE b.user_id = $1
+            ORDER BY c.competition_date DESC, b.placement
+        `, [userId]);
+    }
+
+    // Podium teams of a club's published competitions, most recent competitions first
+    static async findPodiumsByClubId(clubId, limit = 5) {
+        return await db.getMany(`
+            SELECT
+                c.id as competition_id,
+                c.title as competition_title,
+                c.competition_date,
+                c.results_published_at,
+                COALESCE(json_agg(json_build_object(
+                    'placement', r.placement,
+                    'team_name', cr.team_name,
+                    'score', r.score
+                ) ORDER BY r.placement, cr.team_name), '[]') as podium
+            FROM competitions c
+            JOIN competition_results r ON r.competition_id = c.id AND r.placement BETWEEN 1 AND 3
+            JOIN competition_registrations cr ON r.registration_id = cr.id
+            WHERE c.club_id = $1 AND c.results_published_at IS NOT NULL
+            GROUP BY c.id
+            ORDER BY c.competition_date DESC
+            LIMIT $2
+        `, [clubId, limit]);
+    }
+}
+
+module.exports = CompetitionResult;
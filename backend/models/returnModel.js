@@ -0,0 +1,316 @@
+// backend/models/returnModel.js
+// Return request (RMA) model: student return requests, club decisions and item refunds.
+// GLOBAL REFERENCE: Database Schema → return_requests, return_request_items, return_request_images, refunds tables
+// PURPOSE: Track returns of delivered items and apply refunds, stock restoration and earnings reversal.
+
+const db = require('../config/database');
+const Ledger = require('./ledgerModel');
+const paymentService = require('../services/paymentService');
+const rewardService = require('../services/rewardService');
+const crypto = require('crypto');
+
+class ReturnRequest {
+    static RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+    static REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'missing_parts', 'other'];
+
+    // Generate unique return number
+    static generateReturnNumber() {
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = crypto.randomBytes(2).toString('hex').toUpperCase();
+        return `RT${timestamp}${random}`;
+    }
+
+    // Quantities of each order item that are already in an open or refunded return
+    static async getReturnedQuantities(orderItemIds) {
+        const rows = await db.getMany(`
+            SELECT rri.order_item_id, COALESCE(SUM(rri.quantity), 0) as quantity
+            FROM return_request_items rri
+            JOIN return_requests rr ON rri.return_request_id = rr.id
+            WHERE rri.order_item_id = ANY($1) AND rr.status IN ('requested', 'refunded')
+            GROUP BY rri.order_item_id
+        `, [orderItemIds]);
+
+        const quantities = {};
+        for (const row of rows) {
+            quantities[row.order_item_id] = parseInt(row.quantity);
+        }
+        return quantities;
+    }
+
+    // Create return requests for an order, one per club.
+    // items: [{ order_item_id, quantity, club_id, shipment_id }] (already validated)
+    static async create(order, userId, items, { reason, description, imageUrls = [] }) {
+        return await db.transaction(async (client) => {
+            const byClub = new Map();
+            for (const item of items) {
+                if (!byClub.has(item.club_id)) byClub.set(item.club_id, []);
+                byClub.get(item.club_id).push(item);
+            }
+
+            const requests = [];
+
+            for (const [clubId, clubItems] of byClub) {
+                const result = await client.query(`
+                    INSERT INTO return_requests (return_number, order_id, shipment_id, club_id, user_id, reason, description)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    RETURNING *
+                `, [
+                    ReturnRequest.generateReturnNumber(),
+                    order.id,
+                    clubItems[0].shipment_id || null,
+                    clubId,
+                    userId,
+                    reason,
+                    description || null
+                ]);
+
+                const request = result.rows[0];
+
+                for (const item of clubItems) {
+                    await client.query(
+                        'INSERT INTO return_request_items (return_request_id, order_item_id, quantity) VALUES ($1, $2, $3)',
+                        [request.id, item.order_item_id, item.quantity]
+                    );
+                }
+
+                for (const imageUrl of imageUrls) {
+                    await client.query(
+                        'INSERT INTO return_request_images (return_request_id, image_url) VALUES ($1, $2)',
+                        [request.id, imageUrl]
+                    );
+                }
+
+                requests.push(request);
+            }
+
+            return requests;
+        });
+    }
+
+    // Find return request by ID with items and images
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT
+                rr.*,
+                o.order_number,
+                c.club_name,
+                u.full_name as customer_name,
+                u.email as customer_email,
+                COALESCE(
+                    (SELECT json_agg(json_build_object(
+                        'order_item_id', oi.id,
+                        'product_id', oi.product_id,
+                        'product_name', oi.product_name,
+                        'price', oi.price,
+                        'ordered_quantity', oi.quantity,
+                        'quantity', rri.quantity,
+                        'subtotal', oi.subtotal,
+                        'discount_amount', oi.discount_amount
+                    ) ORDER BY oi.id)
+                    FROM return_request_items rri
+                    JOIN order_items oi ON rri.order_item_id = oi.id
+                    WHERE rri.return_request_id = rr.id),
+                    '[]'
+                ) as items,
+                COALESCE(
+                    (SELECT json_agg(image_url ORDER BY id)
+                    FROM return_request_images
+                    WHERE return_request_id = rr.id),
+                    '[]'
+                ) as images
+            FROM return_requests rr
+            JOIN orders o ON rr.order_id = o.id
+            JOIN clubs c ON rr.club_id = c.id
+            JOIN users u ON rr.user_id = u.id
+            WHERE rr.id = $1
+        `, [id]);
+    }
+
+    // Get all return requests of an order
+    static async findByOrderId(orderId) {
+        const requests = await db.getMany(
+            'SELECT id FROM return_requests WHERE order_id = $1 ORDER BY created_at DESC',
+            [orderId]
+        );
+
+        return await Promise.all(requests.map(request => ReturnRequest.findById(request.id)));
+    }
+
+    // Get return requests for a club
+    static async findByClubId(clubId, filters = {}) {
+        let query = `
+            SELECT
+                rr.*,
+                o.order_number,
+                u.full_name as customer_name,
+                (SELECT COALESCE(SUM(quantity), 0) FROM return_request_items WHERE return_request_id = rr.id) as item_count
+            FROM return_requests rr
+            JOIN orders o ON rr.order_id = o.id
+            JOIN users u ON rr.user_id = u.id
+            WHERE rr.club_id = $1
+        `;
+        const params = [clubId];
+        let paramCount = 2;
+
+        if (filters.status) {
+            query += ` AND rr.status = $${paramCount}`;
+            params.push(filters.status);
+            paramCount++;
+        }
+
+        query += ' ORDER BY rr.created_at DESC';
+
+        if (filters.limit) {
+            query += ` LIMIT $${paramCount}`;
+            params.push(filters.limit);
+            paramCount++;
+        }
+
+        return await db.getMany(query, params);
+    }
+
+    // Approve a return and refund its items.
+    // amounts: optional { order_item_id: amount } for partial refunds (capped at the item's paid price)
+    static async approve(id, resolvedBy, { amounts = {}, note = null } = {}) {
+        return await db.transaction(async (client) => {
+            const requestResult = await client.query(
+                "SELECT * FROM return_requests WHERE id = $1 AND status = 'requested' FOR UPDATE",
+                [id]
+            );
+            const request = requestResult.rows[0];
+
+            if (!request) return null;
+
+            const items = await client.query(`
+                SELECT rri.quantity as return_quantity, oi.*
+                FROM return_request_items rri
+                JOIN order_items oi ON rri.order_item_id = oi.id
+                WHERE rri.return_request_id = $1
+                ORDER BY oi.product_id
+                FOR UPDATE OF oi
+            `, [id]);
+
+            let refundTotal = 0;
+            let fullyReturnedItems = 0;
+
+            for (const item of items.rows) {
+                const quantity = parseInt(item.return_quantity);
+                const paidPerUnit = (parseFloat(item.subtotal) - (parseFloat(item.discount_amount) || 0)) / item.quantity;
+                const maxAmount = Math.round(paidPerUnit * quantity * 100) / 100;
+
+                const requested = amounts[item.id] !== undefined ? parseFloat(amounts[item.id]) : maxAmount;
+                const amount = Math.max(0, Math.min(maxAmount, isNaN(requested) ? maxAmount : requested));
+                const returnedQuantity = (parseInt(item.returned_quantity) || 0) + quantity;
+
+                const refund = await client.query(`
+                    INSERT INTO refunds (order_id, order_item_id, return_request_id, club_id, quantity, amount, refund_type, reason, processed_by)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING *
+                `, [
+                    request.order_id,
+                    item.id,
+                    id,
+                    request.club_id,
+                    quantity,
+                    amount,
+                    amount >= maxAmount ? 'full' : 'partial',
+                    request.reason,
+                    resolvedBy
+                ]);
+
+                await Ledger.postRefund(
+                    client,
+                    refund.rows[0],
+                    `Refund: ${item.product_name} x${quantity} (${request.return_number})`
+                );
+
+                await client.query(`
+                    UPDATE order_items
+                    SET returned_quantity = $1,
+                        refunded_amount = COALESCE(refunded_amount, 0) + $2,
+                        status = CASE WHEN $1 >= quantity THEN 'returned' ELSE status END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $3
+                `, [returnedQuantity, amount, item.id]);
+
+                // Returned units go back on the shelf
+                if (item.product_id) {
+                    await client.query(
+                        'UPDATE products SET stock = stock + $1, sales_count = GREATEST(0, sales_count - $1) WHERE id = $2',
+                        [quantity, item.product_id]
+                    );
+                }
+
+                if (returnedQuantity >= item.quantity) fullyReturnedItems++;
+                refundTotal += amount;
+            }
+
+            refundTotal = Math.round(refundTotal * 100) / 100;
+
+            // Reverse what the club was credited on delivery
+            await client.query(`
+                UPDATE clubs
+                SET total_earnings = GREATEST(0, total_earnings - $1),
+                    total_sales = GREATEST(0, total_sales - $2),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+            `, [refundTotal, fullyReturnedItems, request.club_id]);
+
+            const order = await client.query('SELECT order_number FROM orders WHERE id = $1', [request.order_id]);
+
+            if (refundTotal > 0) {
+                await paymentService.processRefund(
+                    order.rows[0].order_number,
+                    refundTotal,
+                    `Return ${request.return_number}: ${request.reason}`,
+                    client
+                );
+
+                // Take back the sales points earned on the refunded amount
+                await rewardService.reverseSalesPoints(request.club_id, refundTotal, request.order_id, client);
+            }
+
+            const updated = await client.query(`
+                UPDATE return_requests
+                SET status = 'refunded',
+                    refund_amount = $1,
+                    club_response = $2,
+                    resolved_by = $3,
+                    resolved_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [refundTotal, note, resolvedBy, id]);
+
+            return { request: updated.rows[0], refundTotal };
+        });
+    }
+
+    // Reject a return request
+    static async reject(id, resolvedBy, reason) {
+        return await db.getOne(`
+            UPDATE return_requests
+            SET status = 'rejected',
+                club_response = $1,
+                resolved_by = $2,
+                resolved_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3 AND status = 'requested'
+            RETURNING *
+        `, [reason, resolvedBy, id]);
+    }
+
+    // Get refund records of an order
+    static async getRefunds(orderId) {
+        return await db.getMany(`
+            SELECT r.*, oi.product_name
+            FROM refunds r
+            LEFT JOIN order_items oi ON r.order_item_id = oi.id
+            WHERE r.order_id = $1
+            ORDER BY r.created_at DESC
+        `, [orderId]);
+    }
+}
+
+module.exports = ReturnRequest;
@@ -0,0 +1,148 @@
+// backend/models/scheduledJobModel.js
+// Scheduled job model: per-job schedule/lease state and run history.
+// GLOBAL REFERENCE: Database Schema → scheduled_jobs, job_runs tables, Scheduler Service
+// PURPOSE: Let one server instance at a time claim a due job, record each run and list the history.
+
+const db = require('../config/database');
+
+class ScheduledJob {
+    // Make sure every defined job has a state row (new jobs are due immediately)
+    static async sync(names) {
+        await db.query(`
+            INSERT INTO scheduled_jobs (name)
+            SELECT UNNEST($1::varchar[])
+            ON CONFLICT (name) DO NOTHING
+        `, [names]);
+    }
+
+    // Take the lease on a job. Scheduled claims also need the job to be due and move next_run_at forward;
+    // manual claims (force) only need the job not to be running. Returns null when another run holds it.
+    static async claim(name, { instanceId, leaseMinutes, intervalMinutes, force = false }) {
+        return await db.getOne(`
+            UPDATE scheduled_jobs
+            SET locked_by = $2,
+                locked_until = CURRENT_TIMESTAMP + ($3 || ' minutes')::INTERVAL,
+                next_run_at = CASE WHEN $5 THEN next_run_at ELSE CURRENT_TIMESTAMP + ($4 || ' minutes')::INTERVAL END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE name = $1
+            AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+            AND ($5 OR next_run_at <= CURRENT_TIMESTAMP)
+            RETURNING *
+        `, [name, instanceId, leaseMinutes, intervalMinutes, force]);
+    }
+
+    // Give the lease back after a run
+    static async release(name, instanceId, status) {
+        return await db.getOne(`
+            UPDATE scheduled_jobs
+            SET locked_by = NULL, locked_until = NULL, last_run_at = CURRENT_TIMESTAMP,
+                last_status = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE name = $1 AND locked_by = $2
+            RETURNING *
+        `, [name, instanceId, status]);
+    }
+
+    // Close runs left 'running' by an instance that stopped mid-run (called once the lease is ours)
+    static async failAbandonedRuns(name) {
+        await db.query(`
+            UPDATE job_runs
+            SET status = 'failed', error = 'Interrupted: the server stopped before the run finished',
+                finished_at = CURRENT_TIMESTAMP
+            WHERE job_name = $1 AND status = 'running'
+        `, [name]);
+    }
+
+    // Get state for every job
+    static async findAll() {
+        return await db.getMany('SELECT * FROM scheduled_jobs ORDER BY name');
+    }
+
+    // Record the start of a run
+    static async startRun(name, { triggerType, triggeredBy = null, instanceId }) {
+        return await db.insertOne('job_runs', {
+            job_name: name,
+            trigger_type: triggerType,
+            triggered_by: triggeredBy,
+            instance_id: instanceId
+        });
+    }
+
+    // Record the outcome of a run
+    static async finishRun(runId, { status, result = null, error = null }) {
+        return await db.getOne(`
+            UPDATE job_runs
+            SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP,
+                duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::INTEGER
+            WHERE id = $1
+            RETURNING *
+        `, [runId, status, result ? JSON.stringify(result) : null, error]);
+    }
+
+    // Search run history
+    static async findRuns(filters = {}) {
+        const { where, params } = ScheduledJob.buildRunFilters(filters);
+        const limit = filters.limit || 50;
+        const offset = filters.offset || 0;
+
+        return await db.getMany(`
+            SELECT jr.*, u.full_name as triggered_by_name
+            FROM job_runs jr
+            LEFT JOIN users u ON jr.triggered_by = u.id
+            ${where}
+            ORDER BY jr.started_at DESC, jr.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+    }
+
+    // Count run history results
+    static async countRuns(filters = {}) {
+        const { where, params } = ScheduledJob.buildRunFilters(filters);
+        const result = await db.getOne(`SELECT COUNT(*) as count FROM job_runs jr ${where}`, params);
+        return parseInt(result.count);
+    }
+
+    // Latest run of each job
+    static async getLastRuns() {
+        return await db.getMany(`
+            SELECT DISTINCT ON (job_name) *
+            FROM job_runs
+            ORDER BY job_name, started_at DESC, id DESC
+        `);
+    }
+
+    // Delete history older than the retention window
+    static async deleteRunsOlderThan(days) {
+        const result = await db.query(
+            `DELETE FROM job_runs WHERE started_at < NOW() - ($1 || ' days')::INTERVAL AND status <> 'running'`,
+            [days]
+        );
+        return result.rowCount;
+    }
+
+    static buildRunFilters(filters) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.job_name) {
+            params.push(filters.job_name);
+            conditions.push(`jr.job_name = $${params.length}`);
+        }
+
+        if (filters.status) {
+            params.push(filters.status);
+            conditions.push(`jr.status = $${params.length}`);
+        }
+
+        if (filters.trigger_type) {
+            params.push(filters.trigger_type);
+            conditions.push(`jr.trigger_type = $${params.length}`);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+}
+
+module.exports = ScheduledJob;
@@ -0,0 +1,206 @@
+// backend/models/shipmentModel.js
+// Per-club shipment (sub-order) model with its own status, tracking and delivery.
+// GLOBAL REFERENCE: Database Schema → order_shipments table, order_items.shipment_id, orders.order_status
+// PURPOSE: Let each club fulfil its part of an order independently and derive the parent order status.
+
+const db = require('../config/database');
+const Ledger = require('./ledgerModel');
+
+class Shipment {
+    static STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+    // Create one shipment per club for a new order (inside the order transaction)
+    // packages: [{ club_id, shipping_cost }] from the shipping quote
+    static async createForOrder(client, order, clubIds, packages = []) {
+        const shipmentIds = {};
+        let sequence = 1;
+
+        for (const clubId of clubIds) {
+            const pkg = packages.find(p => p.club_id === clubId);
+
+            const result = await client.query(`
+                INSERT INTO order_shipments (order_id, club_id, shipment_number, shipping_cost)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id
+            `, [order.id, clubId, `${order.order_number}-${sequence}`, pkg ? pkg.shipping_cost : 0]);
+
+            shipmentIds[clubId] = result.rows[0].id;
+            sequence++;
+        }
+
+        return shipmentIds;
+    }
+
+    // Find shipment by ID
+    static async findById(id) {
+        return await db.getOne(`
+            SELECT s.*, o.order_number, o.user_id, o.created_at as order_created_at, c.club_name
+            FROM order_shipments s
+            JOIN orders o ON s.order_id = o.id
+            JOIN clubs c ON s.club_id = c.id
+            WHERE s.id = $1
+        `, [id]);
+    }
+
+    // Get all shipments of an order with their items
+    static async findByOrderId(orderId) {
+        return await db.getMany(`
+            SELECT
+                s.*,
+                c.club_name,
+                c.logo_url as club_logo,
+                COALESCE(
+                    json_agg(
+                        json_build_object(
+                            'id', oi.id,
+                            'product_id', oi.product_id,
+                            'product_name', oi.product_name,
+                            'quantity', oi.quantity,
+                            'subtotal', oi.subtotal
+                        )
+                        ORDER BY oi.id
+                    ) FILTER (WHERE oi.id IS NOT NULL),
+                    '[]'
+                ) as items
+            FROM order_shipments s
+            JOIN clubs c ON s.club_id = c.id
+            LEFT JOIN order_items oi ON oi.shipment_id = s.id
+            WHERE s.order_id = $1
+            GROUP BY s.id, c.club_name, c.logo_url
+            ORDER BY s.id
+        `, [orderId]);
+    }
+
+    // Find the shipment a club is responsible for in an order
+    static async findByOrderAndClub(orderId, clubId) {
+        return await db.getOne(
+            'SELECT * FROM order_shipments WHERE order_id = $1 AND club_id = $2',
+            [orderId, clubId]
+        );
+    }
+
+    // Work out the parent order status from its shipments
+    static deriveOrderStatus(statuses) {
+        const active = statuses.filter(status => status !== 'cancelled');
+
+        if (active.length === 0) return 'cancelled';
+
+        const delivered = active.filter(status => status === 'delivered').length;
+        const shipped = active.filter(status => status === 'shipped').length;
+
+        if (delivered === active.length) return 'delivered';
+        if (delivered > 0) return 'partially_delivered';
+        if (shipped === active.length) return 'shipped';
+        if (shipped > 0) return 'partially_shipped';
+        if (active.includes('processing')) return 'processing';
+        if (active.includes('confirmed')) return 'confirmed';
+
+        return 'pending';
+    }
+
+    // Recalculate and store the parent order status
+    static async syncOrderStatus(orderId, client = db) {
+        const result = await client.query(
+            'SELECT status FROM order_shipments WHERE order_id = $1',
+            [orderId]
+        );
+
+        if (result.rows.length === 0) return null;
+
+        const orderStatus = Shipment.deriveOrderStatus(result.rows.map(row => row.status));
+
+        await client.query(
+            'UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [orderStatus, orderId]
+        );
+
+        return orderStatus;
+    }
+
+    // Move a shipment (and its items) to a new status
+    static async updateStatus(id, status, tracking = {}) {
+        return await db.transaction(async (client) => {
+            const timestampColumn = {
+                confirmed: 'confirmed_at',
+                shipped: 'shipped_at',
+                delivered: 'delivered_at'
+            }[status];
+
+            const result = await client.query(`
+                UPDATE order_shipments
+                SET status = $1,
+                    tracking_number = COALESCE($2, tracking_number),
+                    courier_name = COALESCE($3, courier_name),
+                    ${timestampColumn ? `${timestampColumn} = CURRENT_TIMESTAMP,` : ''}
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [status, tracking.tracking_number || null, tracking.courier_name || null, id]);
+
+            const shipment = result.rows[0];
+
+            await client.query(`
+                UPDATE order_items
+                SET status = $1,
+                    tracking_number = COALESCE($2, tracking_number),
+                    courier_name = COALESCE($3, courier_name),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE shipment_id = $4
+            `, [status, tracking.tracking_number || null, tracking.courier_name || null, id]);
+
+            const orderStatus = await Shipment.syncOrderStatus(shipment.order_id, client);
+
+            return { shipment, orderStatus };
+        });
+    }
+
+    // Confirm delivery of one shipment and credit the club for its items
+    static async confirmDelivery(id) {
+        return await db.transaction(async (client) => {
+            const result = await client.query(`
+                UPDATE order_shipments
+                SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status = 'shipped'
+                RETURNING *
+            `, [id]);
+
+            const shipment = result.rows[0];
+            if (!shipment) return null;
+
+            await client.query(
+                'UPDATE order_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE shipment_id = $2',
+                ['delivered', id]
+            );
+
+            // Update club earnings
+            const earnings = await client.query(`
+                SELECT COALESCE(SUM(subtotal - COALESCE(discount_amount, 0)), 0) as net_amount, COUNT(*) as item_count
+                FROM order_items
+                WHERE shipment_id = $1
+            `, [id]);
+
+            await client.query(
+                'UPDATE clubs SET total_earnings = total_earnings + $1, total_sales = total_sales + $2 WHERE id = $3',
+                [earnings.rows[0].net_amount, parseInt(earnings.rows[0].item_count), shipment.club_id]
+            );
+
+            const orderStatus = await Shipment.syncOrderStatus(shipment.order_id, client);
+
+            // Cash on Delivery is settled once the whole order has arrived
+            if (orderStatus === 'delivered') {
+                await client.query(`
+                    UPDATE orders
+                    SET payment_status = 'verified', updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND payment_method = 'cash_on_delivery' AND payment_status = 'pending'
+                `, [shipment.order_id]);
+            }
+
+            // Credit the club's balance once the items are delivered and paid for
+            await Ledger.postOrderSales(shipment.order_id, client);
+
+            return { shipment, orderStatus, netAmount: parseFloat(earnings.rows[0].net_amount) };
+        });
+    }
+}
+
+module.exports = Shipment;
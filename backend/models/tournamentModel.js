@@ -0,0 +1,164 @@
+// backend/models/tournamentModel.js
+// Tournament model: the rounds and matches of a competition's bracket.
+// GLOBAL REFERENCE: Database Schema → tournament_rounds, tournament_matches, competitions (tournament_format)
+// PURPOSE: Store generated brackets and match results, and move winners on to their next match.
+
+const db = require('../config/database');
+
+class Tournament {
+    // Rounds of a competition's bracket in order
+    static async findRounds(competitionId) {
+        return await db.getMany(
+            'SELECT * FROM tournament_rounds WHERE competition_id = $1 ORDER BY round_number',
+            [competitionId]
+        );
+    }
+
+    // Matches of a competition's bracket with their round and team names, in playing order
+    static async findMatches(competitionId) {
+        return await db.getMany(`
+            SELECT
+                m.*,
+                tr.round_number,
+                t1.team_name as team1_name,
+                t2.team_name as team2_name
+            FROM tournament_matches m
+            JOIN tournament_rounds tr ON m.round_id = tr.id
+            LEFT JOIN competition_registrations t1 ON m.team1_registration_id = t1.id
+            LEFT JOIN competition_registrations t2 ON m.team2_registration_id = t2.id
+            WHERE m.competition_id = $1
+            ORDER BY tr.round_number, m.match_number
+        `, [competitionId]);
+    }
+
+    // Find a match with its round, club and the state of the match its winner moves on to
+    static async findMatchById(id) {
+        return await db.getOne(`
+            SELECT
+                m.*,
+                tr.round_number,
+                c.club_id,
+                t1.team_name as team1_name,
+                t2.team_name as team2_name,
+                nm.status as next_match_status
+            FROM tournament_matches m
+            JOIN tournament_rounds tr ON m.round_id = tr.id
+            JOIN competitions c ON m.competition_id = c.id
+            LEFT JOIN competition_registrations t1 ON m.team1_registration_id = t1.id
+            LEFT JOIN competition_registrations t2 ON m.team2_registration_id = t2.id
+            LEFT JOIN tournament_matches nm ON m.next_match_id = nm.id
+            WHERE m.id = $1
+        `, [id]);
+    }
+
+    // Replace a competition's bracket. rounds: [{ round_number, name, matches: [{ match_number, team1, team2,
+    // status, winner, next: { round_number, match_number, slot } }] }]
+    static async create(competitionId, format, rounds) {
+        return await db.transaction(async (client) => {
+            await client.query('DELETE FROM tournament_rounds WHERE competition_id = $1', [competitionId]);
+            await client.query(
+                'UPDATE competitions SET tournament_format = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [format, competitionId]
+            );
+
+            const matchIds = new Map();
+
+            for (const round of rounds) {
+                const roundResult = await client.query(
+                    'INSERT INTO tournament_rounds (competition_id, round_number, name) VALUES ($1, $2, $3) RETURNING id',
+                    [competitionId, round.round_number, round.name]
+                );
+
+                for (const match of round.matches) {
+                    const matchResult = await client.query(`
+                        INSERT INTO tournament_matches (
+                            competition_id, round_id, match_number, team1_registration_id, team2_registration_id,
+                            winner_registration_id, status
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                        RETURNING id
+                    `, [
+                        competitionId,
+                        roundResult.rows[0].id,
+                        match.match_number,
+                        match.team1 || null,
+                        match.team2 || null,
+                        match.winner || null,
+                        match.status || 'pending'
+                    ]);
+
+                    matchIds.set(`${round.round_number}:${match.match_number}`, matchResult.rows[0].id);
+                }
+            }
+
+            // Link winners to their next match once every match has an ID
+            for (const round of rounds) {
+                for (const match of round.matches.filter(match => match.next)) {
+                    await client.query(
+                        'UPDATE tournament_matches SET next_match_id = $1, next_match_slot = $2 WHERE id = $3',
+                        [
+                            matchIds.get(`${match.next.round_number}:${match.next.match_number}`),
+                            match.next.slot,
+                            matchIds.get(`${round.round_number}:${match.match_number}`)
+                        ]
+                    );
+                }
+            }
+        });
+    }
+
+    // Add the pairings of a round that was waiting for the previous one (Swiss)
+    static async addMatches(competitionId, roundId, matches) {
+        return await db.transaction(async (client) => {
+            for (const match of matches) {
+                await client.query(`
+                    INSERT INTO tournament_matches (
+                        competition_id, round_id, match_number, team1_registration_id, team2_registration_id,
+                        winner_registration_id, status
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [competitionId, roundId, match.match_number, match.team1, match.team2 || null, match.winner || null, match.status || 'pending']);
+            }
+        });
+    }
+
+    // Record (or correct) a match result and put the winner into their next match
+    static async saveResult(match, result) {
+        return await db.transaction(async (client) => {
+            const updated = await client.query(`
+                UPDATE tournament_matches
+                SET team1_score = $1,
+                    team2_score = $2,
+                    winner_registration_id = $3,
+                    status = 'completed',
+                    completed_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [result.team1_score, result.team2_score, result.winner_registration_id, match.id]);
+
+            if (match.next_match_id) {
+                await client.query(`
+                    UPDATE tournament_matches
+                    SET team1_registration_id = CASE WHEN $2 = 1 THEN $1 ELSE team1_registration_id END,
+                        team2_registration_id = CASE WHEN $2 = 2 THEN $1 ELSE team2_registration_id END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $3
+                `, [result.winner_registration_id, match.next_match_slot, match.next_match_id]);
+            }
+
+            return updated.rows[0];
+        });
+    }
+
+    // Delete a competition's bracket
+    static async remove(competitionId) {
+        return await db.transaction(async (client) => {
+            await client.query('DELETE FROM tournament_rounds WHERE competition_id = $1', [competitionId]);
+            await client.query(
+                'UPDATE competitions SET tournament_format = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [competitionId]
+            );
+        });
+    }
+}
+
+module.exports = Tournament;
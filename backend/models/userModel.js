@@ -10,6 +10,8 @@ const db = require('../config/database');
 
 // User Model
 class User {
+    static STREAM_TOKEN_SECONDS = 60;
+    
     // Create new user
     static async create(userData) {
         // Hash password
@@ -46,7 +48,7 @@ class User {
     // Find user by ID
     static async findById(id) {
         return await db.getOne(
-            'SELECT id, email, full_name, phone, role, university, student_id, department, is_verified, avatar_url, created_at, last_login FROM users WHERE id = $1',
+            'SELECT id, email, full_name, phone, role, university, student_id, department, is_verified, avatar_url, locale, created_at, last_login FROM users WHERE id = $1',
             [id]
         );
     }
@@ -124,6 +126,24 @@ class User {
         );
     }
     
+    // Short-lived token for the live event stream, which has to carry it in the URL.
+    // It is signed with its own key so it never works as a login token.
+    static generateStreamToken(userId) {
+        return jwt.sign(
+            { userId },
+            `${process.env.JWT_SECRET}:event-stream`,
+            { expiresIn: User.STREAM_TOKEN_SECONDS }
+        );
+    }
+    
+    static verifyStreamToken(token) {
+        try {
+            return jwt.verify(String(token || ''), `${process.env.JWT_SECRET}:event-stream`);
+        } catch (error) {
+            return null;
+        }
+    }
+    
     // Verify JWT token
     static verifyToken(token) {
         try {
@@ -173,9 +193,40 @@ class User {
         return { user, verificationToken };
     }
     
+    // Get the private token of a user's calendar feed, creating it on first use
+    static async getCalendarToken(userId) {
+        const user = await db.getOne('SELECT calendar_token FROM users WHERE id = $1', [userId]);
+        
+        if (user && user.calendar_token) {
+            return user.calendar_token;
+        }
+        
+        return await User.resetCalendarToken(userId);
+    }
+    
+    // Replace the calendar feed token (the old feed URL stops working)
+    static async resetCalendarToken(userId) {
+        const calendarToken = crypto.randomBytes(24).toString('hex');
+        
+        await db.query(
+            'UPDATE users SET calendar_token = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [calendarToken, userId]
+        );
+        
+        return calendarToken;
+    }
+    
+    // Find user by calendar feed token
+    static async findByCalendarToken(token) {
+        return await db.getOne(
+            'SELECT id, full_name, role FROM users WHERE calendar_token = $1',
+            [token]
+        );
+    }
+    
     // Update user profile
     static async updateProfile(userId, updates) {
-        const allowedFields = ['full_name', 'phone', 'university', 'student_id', 'department', 'avatar_url'];
+        const allowedFields = ['full_name', 'phone', 'university', 'student_id', 'department', 'avatar_url', 'locale'];
         const filteredUpdates = {};
         
         for (const field of allowedFields) {
@@ -10,7 +10,8 @@ const path = require('path');
 const User = require('../models/userModel');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticate } = require('../middleware/auth');
-const { sendEmailVerification, sendPasswordReset, sendWelcomeEmail } = require('../config/email');
+const emailService = require('../services/emailService');
+const { locales } = require('../config/emailTemplates');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage(); // Store files in memory temporarily
@@ -255,7 +256,7 @@ router.post('/register', upload.fields([
     
     // Send email verification (email will be sent automatically)
     try {
-        await sendEmailVerification(user, verificationToken);
+        await emailService.sendEmailVerification(user, verificationToken);
         console.log('✅ Verification email sent to:', user.email);
     } catch (emailError) {
         console.error('❌ Failed to send verification email:', emailError.message);
@@ -448,7 +449,7 @@ router.post('/resend-verification', asyncHandler(async (req, res) => {
     
     try {
         const { user, verificationToken } = await User.resendVerification(email);
-        await sendEmailVerification(user, verificationToken);
+        await emailService.sendEmailVerification(user, verificationToken);
         
         res.json({
             success: true,
@@ -582,6 +583,14 @@ router.put('/profile', authenticate, asyncHandler(async (req, res) => {
         }
     }
     
+    // Language for emails
+    if (updates.locale !== undefined && !locales.includes(updates.locale)) {
+        return res.status(400).json({
+            success: false,
+            message: `Language must be one of: ${locales.join(', ')}`
+        });
+    }
+    
     const updatedUser = await User.updateProfile(req.user.id, updates);
     
     res.json({
@@ -0,0 +1,31 @@
+// backend/routes/certificates.js
+// Public verification of participation and winner certificates.
+// GLOBAL REFERENCE: API Endpoints → /api/certificates/*, Certificate model, Certificate Service
+// PURPOSE: Let anyone holding a certificate's code confirm it was issued through the platform.
+
+const express = require('express');
+const router = express.Router();
+const Certificate = require('../models/certificateModel');
+const certificateService = require('../services/certificateService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @route   GET /api/certificates/:code
+// @desc    Verify a certificate by its code (valid is false once the registration was withdrawn)
+// @access  Public
+router.get('/:code', asyncHandler(async (req, res) => {
+    const certificate = await Certificate.findByCode(certificateService.normalizeCode(req.params.code));
+    
+    if (!certificate) {
+        return res.status(404).json({
+            success: false,
+            message: 'No certificate was issued with this code'
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: certificateService.getPublicDetails(certificate)
+    });
+}));
+
+module.exports = router;
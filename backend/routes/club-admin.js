@@ -11,11 +11,34 @@ const Competition = require('../models/competitionModel');
 const Club = require('../models/clubModel');
 const Order = require('../models/orderModel');
 const Registration = require('../models/registrationModel');
+const RegistrationMember = require('../models/registrationMemberModel');
 const Reward = require('../models/rewardModel');
+const Coupon = require('../models/couponModel');
+const Shipment = require('../models/shipmentModel');
+const ReturnRequest = require('../models/returnModel');
+const Earnings = require('../models/earningsModel');
+const Ledger = require('../models/ledgerModel');
+const Payout = require('../models/payoutModel');
+const PayoutMethod = require('../models/payoutMethodModel');
+const invoiceService = require('../services/invoiceService');
+const exportService = require('../services/exportService');
+const registrationFormService = require('../services/registrationFormService');
+const waitlistService = require('../services/waitlistService');
+const resultService = require('../services/resultService');
+const CompetitionResult = require('../models/resultModel');
+const Certificate = require('../models/certificateModel');
+const certificateService = require('../services/certificateService');
+const ticketService = require('../services/ticketService');
+const tournamentService = require('../services/tournamentService');
+const Tournament = require('../models/tournamentModel');
+const judgingService = require('../services/judgingService');
+const Judge = require('../models/judgeModel');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticate, authorizeClubAdmin, authorizeClubResource } = require('../middleware/auth');
 const { uploadImage, uploadProductImage, uploadCompetitionBanner } = require('../config/cloudinary');
-const { sendOrderShipped } = require('../config/email');
+const emailService = require('../services/emailService');
 const multer = require('multer');
 const db = require('../config/database');
 
@@ -36,11 +59,12 @@ router.get('/dashboard', authenticate, authorizeClubAdmin, asyncHandler(async (r
             o.id,
             o.order_number,
             o.created_at,
-            o.order_status,
+            COALESCE(s.status, o.order_status) as order_status,
             u.full_name as customer_name
         FROM orders o
         JOIN order_items oi ON o.id = oi.order_id
         JOIN users u ON o.user_id = u.id
+        LEFT JOIN order_shipments s ON s.order_id = o.id AND s.club_id = oi.club_id
         WHERE oi.club_id = $1
         ORDER BY o.created_at DESC
         LIMIT 5
@@ -271,8 +295,8 @@ router.post('/competitions',
     asyncHandler(async (req, res) => {
         const {
             title, slug, description, category, competition_date, competition_time,
-            venue, location_lat, location_lng, registration_deadline, max_participants,
-            registration_fee, prize_first, prize_second, prize_third, rules, eligibility,
+            venue, location_lat, location_lng, registration_deadline, max_participants, waitlist_enabled,
+            team_size_min, team_size_max, registration_form, registration_fee, prize_first, prize_second, prize_third, rules, eligibility,
             contact_email, contact_phone, product_ids, banner_url
         } = req.body;
         
@@ -284,6 +308,20 @@ router.post('/competitions',
             });
         }
         
+        // Team size limits (captain included)
+        const teamSizeMin = team_size_min ? parseInt(team_size_min) : 1;
+        const teamSizeMax = team_size_max ? parseInt(team_size_max) : 5;
+        const teamSizeError = Competition.validateTeamSize(teamSizeMin, teamSizeMax);
+        if (teamSizeError) {
+            return res.status(400).json({
+                success: false,
+                message: teamSizeError
+            });
+        }
+        
+        // Extra registration questions from the form builder
+        const registrationForm = registrationFormService.normalizeSchema(registration_form || []);
+        
         // Check if slug exists
         if (slug && await Competition.slugExists(slug)) {
             return res.status(400).json({
@@ -324,6 +362,10 @@ router.post('/competitions',
             location_lng: location_lng ? parseFloat(location_lng) : null,
             registration_deadline,
             max_participants: max_participants ? parseInt(max_participants) : null,
+            waitlist_enabled: waitlist_enabled === true || waitlist_enabled === 'true',
+            team_size_min: teamSizeMin,
+            team_size_max: teamSizeMax,
+            registration_form: registrationForm,
             registration_fee: parseFloat(registration_fee),
             prize_first: prize_first ? parseFloat(prize_first) : null,
             prize_second: prize_second ? parseFloat(prize_second) : null,
@@ -366,6 +408,30 @@ router.put('/competitions/:id',
             updates.banner_url = upload.url;
         }
         
+        // Team size limits are checked together with the values that are not being changed
+        if (updates.team_size_min !== undefined || updates.team_size_max !== undefined) {
+            const current = await Competition.findById(req.params.id);
+            updates.team_size_min = parseInt(updates.team_size_min ?? current.team_size_min);
+            updates.team_size_max = parseInt(updates.team_size_max ?? current.team_size_max);
+            
+            const teamSizeError = Competition.validateTeamSize(updates.team_size_min, updates.team_size_max);
+            if (teamSizeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: teamSizeError
+                });
+            }
+        }
+        
+        // Registration questions apply to registrations made after the change
+        if (updates.registration_form !== undefined) {
+            updates.registration_form = registrationFormService.normalizeSchema(updates.registration_form || []);
+        }
+        
+        if (updates.waitlist_enabled !== undefined) {
+            updates.waitlist_enabled = updates.waitlist_enabled === true || updates.waitlist_enabled === 'true';
+        }
+        
         // Parse product_ids if provided
         if (updates.product_ids && typeof updates.product_ids === 'string') {
             updates.product_ids = JSON.parse(updates.product_ids);
@@ -373,6 +439,9 @@ router.put('/competitions/:id',
         
         const competition = await Competition.update(req.params.id, updates);
         
+        // Raising max_participants frees spots for waitlisted teams
+        await waitlistService.promoteNext(req.params.id);
+        
         res.json({
             success: true,
             message: 'Competition updated successfully',
@@ -426,10 +495,28 @@ router.get('/competitions/:id/registrations',
                 cr.payment_screenshot_url,
                 cr.payment_status,
                 cr.registration_status,
+                cr.waitlist_position,
+                cr.payment_due_at,
+                cr.checked_in_at,
+                cr.form_answers,
                 cr.created_at,
                 cr.updated_at,
                 u.full_name as user_name,
-                u.email as user_email
+                u.email as user_email,
+                (
+                    SELECT COALESCE(json_agg(json_build_object(
+                        'id', rm.id,
+                        'full_name', COALESCE(mu.full_name, rm.invited_email),
+                        'email', COALESCE(mu.email, rm.invited_email),
+                        'student_id', mu.student_id,
+                        'university', mu.university,
+                        'role', rm.role,
+                        'status', rm.status
+                    ) ORDER BY rm.role = 'captain' DESC, rm.id), '[]')
+                    FROM registration_members rm
+                    LEFT JOIN users mu ON rm.user_id = mu.id
+                    WHERE rm.registration_id = cr.id AND rm.status != 'declined'
+                ) as members
             FROM competition_registrations cr
             JOIN users u ON cr.user_id = u.id
             WHERE cr.competition_id = $1
@@ -444,21 +531,551 @@ router.get('/competitions/:id/registrations',
             params.push(filters.registration_status);
         }
         
-        if (filters.payment_status) {
-            paramCount++;
-            query += ` AND cr.payment_status = $${paramCount}`;
-            params.push(filters.payment_status);
+        if (filters.payment_status) {
+            paramCount++;
+            query += ` AND cr.payment_status = $${paramCount}`;
+            params.push(filters.payment_status);
+        }
+        
+        query += ` ORDER BY cr.created_at DESC`;
+        
+        const registrations = await db.getMany(query, params);
+        const stats = await Registration.getStatistics(req.params.id);
+        
+        res.json({
+            success: true,
+            registrations: registrations,
+            registration_form: registrationFormService.getFields(req.resource),
+            statistics: stats
+        });
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/registrations/export
+// @desc    Export competition registrations with registration form answers (?format=xlsx|csv)
+// @access  Private (Club Admin)
+router.get('/competitions/:id/registrations/export',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const format = (req.query.format || 'xlsx').toLowerCase();
+        
+        if (!['xlsx', 'csv'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be xlsx or csv'
+            });
+        }
+        
+        const competition = req.resource;
+        const registrations = await Registration.findByCompetitionId(competition.id, {
+            registration_status: req.query.registration_status,
+            payment_status: req.query.payment_status
+        });
+        
+        const sheet = exportService.buildRegistrationSheet(competition, registrations);
+        const baseName = `${competition.slug || `competition-${competition.id}`}-registrations`;
+        
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+            return res.send(exportService.toCSV(sheet));
+        }
+        
+        const workbook = await exportService.toXLSX([sheet]);
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+        res.send(workbook);
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/waitlist
+// @desc    Get the waitlist of a competition in promotion order
+// @access  Private (Club Admin)
+router.get('/competitions/:id/waitlist',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const waitlist = await Registration.findWaitlist(req.params.id);
+        
+        res.json({
+            success: true,
+            data: {
+                waitlist_enabled: req.resource.waitlist_enabled,
+                waitlist
+            }
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/competitions/:id/waitlist
+// @desc    Reorder the waitlist (registration_ids lists every waitlisted team, first is promoted next)
+// @access  Private (Club Admin)
+router.put('/competitions/:id/waitlist',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const registrationIds = Array.isArray(req.body.registration_ids)
+            ? req.body.registration_ids.map(id => parseInt(id))
+            : [];
+        
+        const waitlist = await Registration.findWaitlist(req.params.id);
+        const waitlistIds = new Set(waitlist.map(registration => registration.id));
+        
+        const sameTeams = registrationIds.length === waitlistIds.size &&
+            new Set(registrationIds).size === registrationIds.length &&
+            registrationIds.every(id => waitlistIds.has(id));
+        
+        if (!sameTeams) {
+            return res.status(409).json({
+                success: false,
+                message: 'The waitlist has changed. Reload it and try again.'
+            });
+        }
+        
+        await Registration.reorderWaitlist(req.params.id, registrationIds);
+        
+        res.json({
+            success: true,
+            message: 'Waitlist order saved',
+            data: await Registration.findWaitlist(req.params.id)
+        });
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/results
+// @desc    Get results of a competition with every approved team (for the results editor)
+// @access  Private (Club Admin)
+router.get('/competitions/:id/results',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const competition = req.resource;
+        const entries = await CompetitionResult.findEntries(competition.id);
+        
+        res.json({
+            success: true,
+            data: {
+                rounds: resultService.getRounds(competition),
+                published_at: competition.results_published_at,
+                prizes: {
+                    first: competition.prize_first,
+                    second: competition.prize_second,
+                    third: competition.prize_third
+                },
+                entries
+            }
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/competitions/:id/results
+// @desc    Save rounds, placements and scores (published results and badges update right away)
+// @access  Private (Club Admin)
+router.put('/competitions/:id/results',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const competition = req.resource;
+        resultService.checkCanEnter(competition);
+        
+        const rounds = resultService.normalizeRounds(req.body.rounds);
+        const results = await resultService.normalizeResults(competition, rounds, req.body.results);
+        
+        await CompetitionResult.saveAll(competition.id, rounds, results);
+        
+        if (competition.results_published_at) {
+            await CompetitionResult.syncBadges(competition.id);
+            await Certificate.syncPlacements(competition.id);
+        }
+        
+        res.json({
+            success: true,
+            message: competition.results_published_at ? 'Published results updated' : 'Results saved',
+            data: await CompetitionResult.findEntries(competition.id)
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/competitions/:id/results/publish
+// @desc    Publish results (awards podium badges and notifies ranked teams)
+// @access  Private (Club Admin)
+router.put('/competitions/:id/results/publish',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        resultService.checkCanEnter(req.resource);
+        
+        const { badges } = await resultService.publish(req.resource);
+        
+        res.json({
+            success: true,
+            message: `Results published. ${badges} badge${badges === 1 ? '' : 's'} awarded.`
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/competitions/:id/results/unpublish
+// @desc    Hide published results (badges are taken back until they are published again)
+// @access  Private (Club Admin)
+router.put('/competitions/:id/results/unpublish',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        await CompetitionResult.unpublish(req.params.id);
+        await Certificate.syncPlacements(req.params.id);
+        
+        res.json({
+            success: true,
+            message: 'Results unpublished'
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/results/:id/prize
+// @desc    Update the prize payout of a ranked team
+// @access  Private (Club Admin)
+router.put('/results/:id/prize',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const result = await CompetitionResult.findById(req.params.id);
+        
+        if (!result || result.club_id !== req.club.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Result not found'
+            });
+        }
+        
+        const updated = await resultService.updatePrize(result, req.body.prize_status, req.body.prize_reference);
+        
+        res.json({
+            success: true,
+            message: updated.prize_status === 'paid' ? 'Prize marked as paid' : 'Prize marked as unpaid',
+            data: updated
+        });
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/bracket
+// @desc    Get the tournament bracket (null until one is drawn) and how many teams can take part
+// @access  Private (Club Admin)
+router.get('/competitions/:id/bracket',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const counts = await Registration.getCheckInCounts(req.resource.id);
+        
+        res.json({
+            success: true,
+            data: {
+                bracket: await tournamentService.getBracket(req.resource),
+                formats: tournamentService.formats,
+                teams: counts
+            }
+        });
+    })
+);
+
+// @route   POST /api/club-admin/competitions/:id/bracket
+// @desc    Draw a bracket from the approved teams (format, optional Swiss rounds, checked_in_only)
+// @access  Private (Club Admin)
+router.post('/competitions/:id/bracket',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const bracket = await tournamentService.generate(req.resource, {
+            format: req.body.format,
+            rounds: req.body.rounds,
+            checked_in_only: req.body.checked_in_only === true
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: `${bracket.format_label} bracket drawn`,
+            data: bracket
+        });
+    })
+);
+
+// @route   DELETE /api/club-admin/competitions/:id/bracket
+// @desc    Delete the bracket and its match results
+// @access  Private (Club Admin)
+router.delete('/competitions/:id/bracket',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        await tournamentService.reset(req.resource);
+        
+        res.json({
+            success: true,
+            message: 'Bracket deleted'
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/matches/:id
+// @desc    Enter or correct a match result (scores and/or winner); winners move on automatically
+// @access  Private (Club Admin)
+router.put('/matches/:id',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const match = await Tournament.findMatchById(parseInt(req.params.id) || 0);
+        
+        if (!match || match.club_id !== req.club.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+        
+        const competition = await db.getOne('SELECT * FROM competitions WHERE id = $1', [match.competition_id]);
+        await tournamentService.recordResult(competition, match, req.body);
+        
+        res.json({
+            success: true,
+            message: 'Match result saved',
+            data: await tournamentService.getBracket(competition)
+        });
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/judging
+// @desc    Get the rubric, judges and the rankings their scores add up to
+// @access  Private (Club Admin)
+router.get('/competitions/:id/judging',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            data: await judgingService.getOverview(req.resource)
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/competitions/:id/judging/rubric
+// @desc    Save the rubric criteria (name, weight, max score) and tie-break order
+// @access  Private (Club Admin)
+router.put('/competitions/:id/judging/rubric',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const { rubric, tieBreaks } = await judgingService.normalizeRubric(req.resource, req.body.criteria, req.body.tie_breaks);
+        const competition = await Judge.updateRubric(req.resource.id, rubric, tieBreaks);
+        
+        res.json({
+            success: true,
+            message: 'Rubric saved',
+            data: await judgingService.getOverview(competition)
+        });
+    })
+);
+
+// @route   POST /api/club-admin/competitions/:id/judges
+// @desc    Invite a judge by email (their access is limited to this competition)
+// @access  Private (Club Admin)
+router.post('/competitions/:id/judges',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const judge = await judgingService.invite(req.resource, req.body.email, req.user);
+        
+        res.status(201).json({
+            success: true,
+            message: `Invitation sent to ${judge.invited_email}`,
+            data: judge
+        });
+    })
+);
+
+// @route   DELETE /api/club-admin/judges/:id
+// @desc    Remove a judge or withdraw an invitation (the judge's scores are deleted)
+// @access  Private (Club Admin)
+router.delete('/judges/:id',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const judge = await Judge.findById(parseInt(req.params.id) || 0);
+        
+        if (!judge || judge.club_id !== req.club.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Judge not found'
+            });
+        }
+        
+        await Judge.remove(judge.id);
+        
+        res.json({
+            success: true,
+            message: judge.status === 'accepted' ? `${judge.full_name} removed from the judges` : 'Invitation withdrawn'
+        });
+    })
+);
+
+// @route   POST /api/club-admin/competitions/:id/judging/apply
+// @desc    Use the judges' rankings as the competition results (placements and scores)
+// @access  Private (Club Admin)
+router.post('/competitions/:id/judging/apply',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const ranked = await judgingService.applyToResults(req.resource);
+        
+        res.json({
+            success: true,
+            message: `${ranked} team${ranked === 1 ? '' : 's'} ranked from the judges' scores${req.resource.results_published_at ? '. Published results updated.' : '. Review and publish them in Results.'}`
+        });
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/certificates
+// @desc    Get issued certificates (?format=pdf downloads them all as one PDF for printing)
+// @access  Private (Club Admin)
+router.get('/competitions/:id/certificates',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const certificates = await Certificate.findByCompetitionId(req.params.id);
+        
+        if (req.query.format === 'pdf') {
+            if (certificates.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Generate certificates before downloading them'
+                });
+            }
+            
+            const pdf = await certificateService.generatePdf(certificates);
+            
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="certificates-competition-${req.params.id}.pdf"`);
+            return res.send(pdf);
+        }
+        
+        res.json({
+            success: true,
+            data: certificates.map(certificate => ({
+                ...certificateService.getPublicDetails(certificate),
+                id: certificate.id,
+                registration_id: certificate.registration_id,
+                verify_url: certificateService.getVerifyUrl(certificate.verification_code)
+            }))
+        });
+    })
+);
+
+// @route   POST /api/club-admin/competitions/:id/certificates
+// @desc    Generate certificates for every accepted member of the approved teams (existing codes are kept)
+// @access  Private (Club Admin)
+router.post('/competitions/:id/certificates',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const { issued, created } = await certificateService.issueForCompetition(req.resource);
+        
+        res.json({
+            success: true,
+            message: `${issued} certificate${issued === 1 ? '' : 's'} ready (${created} new)`,
+            data: { issued, created }
+        });
+    })
+);
+
+// @route   GET /api/club-admin/competitions/:id/check-in
+// @desc    Get live check-in counts and the latest teams checked in
+// @access  Private (Club Admin)
+router.get('/competitions/:id/check-in',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            data: {
+                counts: await Registration.getCheckInCounts(req.resource.id),
+                check_ins: await Registration.findCheckIns(req.resource.id, parseInt(req.query.limit) || 20)
+            }
+        });
+    })
+);
+
+// @route   POST /api/club-admin/competitions/:id/check-in
+// @desc    Check a team in by its scanned or typed ticket code (each ticket works once)
+// @access  Private (Club Admin)
+router.post('/competitions/:id/check-in',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('competitions'),
+    asyncHandler(async (req, res) => {
+        const { registration, counts } = await ticketService.checkIn(req.body.code, req.resource, req.user.id);
+        
+        res.json({
+            success: true,
+            message: `Team ${registration.team_name} checked in`,
+            data: {
+                registration: {
+                    id: registration.id,
+                    team_name: registration.team_name,
+                    team_members: registration.team_members,
+                    checked_in_at: registration.checked_in_at
+                },
+                counts
+            }
+        });
+    })
+);
+
+// @route   DELETE /api/club-admin/registrations/:id/check-in
+// @desc    Undo a check-in made by mistake
+// @access  Private (Club Admin)
+router.delete('/registrations/:id/check-in',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const registration = await Registration.findById(req.params.id);
+        
+        if (!registration || registration.club_id !== req.club.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found'
+            });
+        }
+        
+        if (!await Registration.undoCheckIn(registration.id)) {
+            return res.status(400).json({
+                success: false,
+                message: `Team ${registration.team_name} is not checked in`
+            });
         }
         
-        query += ` ORDER BY cr.created_at DESC`;
-        
-        const registrations = await db.getMany(query, params);
-        const stats = await Registration.getStatistics(req.params.id);
+        const counts = await Registration.getCheckInCounts(registration.competition_id);
+        await realtimeService.publishRegistration('registration_checked_in', registration.id, { checked_in_at: null, counts });
         
         res.json({
             success: true,
-            registrations: registrations,
-            statistics: stats
+            message: `Check-in of team ${registration.team_name} undone`,
+            data: { counts }
         });
     })
 );
@@ -472,7 +1089,7 @@ router.put('/registrations/:id/approve',
     asyncHandler(async (req, res) => {
         // Verify registration belongs to club's competition
         const registration = await db.getOne(`
-            SELECT cr.*, c.club_id 
+            SELECT cr.*, c.club_id, c.title as competition_title, c.team_size_min, c.max_participants
             FROM competition_registrations cr
             JOIN competitions c ON cr.competition_id = c.id
             WHERE cr.id = $1
@@ -492,12 +1109,63 @@ router.put('/registrations/:id/approve',
             });
         }
         
+        if (registration.registration_status === 'waitlisted') {
+            return res.status(400).json({
+                success: false,
+                message: `Team ${registration.team_name} is on the waitlist and moves up automatically when a spot opens`
+            });
+        }
+        
+        // Approving a team must not go past the competition's capacity
+        if (registration.max_participants && registration.registration_status !== 'approved') {
+            const approvedCount = await db.count(
+                'competition_registrations',
+                "competition_id = $1 AND registration_status = 'approved'",
+                [registration.competition_id]
+            );
+            if (approvedCount >= registration.max_participants) {
+                return res.status(400).json({
+                    success: false,
+                    message: `This competition is full (${registration.max_participants} teams approved)`
+                });
+            }
+        }
+        
+        // Teams need enough accepted members before they can be approved
+        const acceptedMembers = await RegistrationMember.countAccepted(registration.id);
+        if (acceptedMembers < registration.team_size_min) {
+            return res.status(400).json({
+                success: false,
+                message: `Team ${registration.team_name} has ${acceptedMembers} of the ${registration.team_size_min} members required. Wait for teammates to accept their invitations.`
+            });
+        }
+        
         await Registration.approve(req.params.id);
         
         // Update competition registration count (only approved registrations)
         const Competition = require('../models/competitionModel');
         await Competition.updateRegistrationCount(registration.competition_id);
         
+        await realtimeService.publishRegistration('registration_status_changed', registration.id);
+        
+        // Tell the whole team (the email carries the QR ticket for check-in)
+        const competition = await db.getOne('SELECT * FROM competitions WHERE id = $1', [registration.competition_id]);
+        const ticket = await ticketService.getTicket(registration);
+        
+        for (const userId of await RegistrationMember.getMemberUserIds(registration.id)) {
+            await notificationService.notify(userId, 'registration_update', {
+                title: 'Registration approved',
+                message: `Your registration for "${registration.competition_title}" (team ${registration.team_name}) was approved. Your ticket is ready.`,
+                link: '/my-registrations.html',
+                data: { registration_id: registration.id, competition_id: registration.competition_id }
+            }, {
+                email: async () => {
+                    const user = await db.getOne('SELECT id, email, full_name, locale FROM users WHERE id = $1', [userId]);
+                    await emailService.sendRegistrationApproved(registration, competition, user, ticket);
+                }
+            });
+        }
+        
         res.json({
             success: true,
             message: 'Registration approved successfully'
@@ -514,7 +1182,7 @@ router.put('/registrations/:id/reject',
     asyncHandler(async (req, res) => {
         // Verify registration belongs to club's competition
         const registration = await db.getOne(`
-            SELECT cr.*, c.club_id 
+            SELECT cr.*, c.club_id, c.title as competition_title
             FROM competition_registrations cr
             JOIN competitions c ON cr.competition_id = c.id
             WHERE cr.id = $1
@@ -539,6 +1207,21 @@ router.put('/registrations/:id/reject',
         // Update competition registration count (only approved registrations)
         const Competition = require('../models/competitionModel');
         await Competition.updateRegistrationCount(registration.competition_id);
+        await Registration.compactWaitlist(registration.competition_id);
+        
+        await realtimeService.publishRegistration('registration_status_changed', registration.id);
+        
+        for (const userId of await RegistrationMember.getMemberUserIds(registration.id)) {
+            await notificationService.notify(userId, 'registration_update', {
+                title: 'Registration rejected',
+                message: `Your registration for "${registration.competition_title}" (team ${registration.team_name}) was not approved.`,
+                link: '/my-registrations.html',
+                data: { registration_id: registration.id, competition_id: registration.competition_id }
+            });
+        }
+        
+        // The freed spot goes to the next team on the waitlist
+        await waitlistService.promoteNext(registration.competition_id);
         
         res.json({
             success: true,
@@ -582,6 +1265,8 @@ router.delete('/registrations/:id',
         // Update competition registration count
         const Competition = require('../models/competitionModel');
         await Competition.updateRegistrationCount(registration.competition_id);
+        await Registration.compactWaitlist(registration.competition_id);
+        await waitlistService.promoteNext(registration.competition_id);
         
         res.json({
             success: true,
@@ -596,7 +1281,18 @@ router.put('/registrations/:id/verify-payment',
     authenticate,
     authorizeClubAdmin,
     asyncHandler(async (req, res) => {
-        await Registration.verifyPayment(req.params.id);
+        const registration = await Registration.verifyPayment(req.params.id);
+        
+        if (registration) {
+            await realtimeService.publishRegistration('registration_status_changed', registration.id);
+            
+            await notificationService.notify(registration.user_id, 'registration_update', {
+                title: 'Registration payment verified',
+                message: `The registration fee for team ${registration.team_name} has been verified.`,
+                link: '/my-registrations.html',
+                data: { registration_id: registration.id, competition_id: registration.competition_id }
+            });
+        }
         
         res.json({
             success: true,
@@ -634,7 +1330,13 @@ router.get('/orders',
                 o.payment_status,
                 o.payment_screenshot_url,
                 o.transaction_id,
-                o.order_status,
+                COALESCE(s.status, o.order_status) as order_status,
+                o.order_status as overall_status,
+                s.id as shipment_id,
+                s.shipment_number,
+                s.shipping_cost as shipment_shipping_cost,
+                s.tracking_number,
+                s.courier_name,
                 o.delivery_name,
                 o.delivery_phone,
                 o.delivery_address,
@@ -650,15 +1352,17 @@ router.get('/orders',
             FROM orders o
             JOIN order_items oi ON o.id = oi.order_id
             JOIN users u ON o.user_id = u.id
+            LEFT JOIN order_shipments s ON s.order_id = o.id AND s.club_id = oi.club_id
             WHERE oi.club_id = $1
         `;
         
         const params = [req.club.id];
         let paramCount = 1;
         
+        // Clubs filter on their own shipment status, not the whole order's
         if (status && status !== 'all') {
             paramCount++;
-            query += ` AND o.order_status = $${paramCount}`;
+            query += ` AND COALESCE(s.status, o.order_status) = $${paramCount}`;
             params.push(status);
         }
         
@@ -737,8 +1441,157 @@ router.get('/orders/:id',
     })
 );
 
+// @route   GET /api/club-admin/orders/:id/packing-slip
+// @desc    Download packing slip PDF for club's items in an order
+// @access  Private (Club Admin)
+router.get('/orders/:id/packing-slip',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (!order.items.some(item => item.club_id === req.club.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+        
+        const pdf = await invoiceService.generatePackingSlip(order, req.club.id);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="packing-slip-${order.order_number}.pdf"`);
+        res.send(pdf);
+    })
+);
+
+// Confirm a club's shipment (moves the parent order forward once all clubs confirm)
+async function confirmShipment(shipment) {
+    const result = await Shipment.updateStatus(shipment.id, 'confirmed');
+    
+    await realtimeService.publishOrder('order_status_changed', result.shipment.order_id, {
+        shipment_id: result.shipment.id,
+        shipment_status: result.shipment.status
+    });
+    
+    return result;
+}
+
+// Mark a club's shipment as shipped and handle bonus points and notification
+async function shipShipment(shipment, clubId, trackingNumber, courierName) {
+    const result = await Shipment.updateStatus(shipment.id, 'shipped', {
+        tracking_number: trackingNumber,
+        courier_name: courierName
+    });
+    
+    // Check if shipped within 24 hours for bonus points
+    const order = await Order.findById(shipment.order_id);
+    const hoursSinceOrder = (Date.now() - new Date(order.created_at).getTime()) / (1000 * 60 * 60);
+    
+    if (hoursSinceOrder < 24) {
+        await Reward.awardFastShippingPoints(clubId, shipment.order_id);
+    }
+    
+    await realtimeService.publishOrder('order_status_changed', shipment.order_id, {
+        shipment_id: shipment.id,
+        shipment_status: result.shipment.status
+    });
+    
+    // Notify the buyer (with the shipped email if they keep it on)
+    await notificationService.notify(order.user_id, 'order_shipped', {
+        title: 'Order shipped',
+        message: `Part of order ${order.order_number} is on its way${courierName ? ` with ${courierName}` : ''}${trackingNumber ? ` (tracking ${trackingNumber})` : ''}.`,
+        link: `/order-detail.html?order=${order.order_number}`,
+        data: { order_id: order.id, shipment_id: shipment.id }
+    }, {
+        email: async () => {
+            const user = await db.getOne('SELECT * FROM users WHERE id = $1', [order.user_id]);
+            await emailService.sendOrderShipped({
+                ...order,
+                tracking_number: trackingNumber,
+                courier_name: courierName,
+                items: order.items.filter(item => item.shipment_id === shipment.id)
+            }, user);
+        }
+    });
+    
+    return result;
+}
+
+// @route   PUT /api/club-admin/shipments/:id/confirm
+// @desc    Confirm club's shipment in an order
+// @access  Private (Club Admin)
+router.put('/shipments/:id/confirm',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('order_shipments'),
+    asyncHandler(async (req, res) => {
+        if (req.resource.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Shipment is already ${req.resource.status}`
+            });
+        }
+        
+        const result = await confirmShipment(req.resource);
+        
+        res.json({
+            success: true,
+            message: 'Order confirmed successfully',
+            data: {
+                shipment_status: result.shipment.status,
+                order_status: result.orderStatus
+            }
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/shipments/:id/ship
+// @desc    Mark club's shipment as shipped with tracking info
+// @access  Private (Club Admin)
+router.put('/shipments/:id/ship',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('order_shipments'),
+    asyncHandler(async (req, res) => {
+        const { tracking_number, courier_name } = req.body;
+        
+        if (!tracking_number || !courier_name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tracking number and courier name are required'
+            });
+        }
+        
+        if (!['pending', 'confirmed', 'processing'].includes(req.resource.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Shipment is already ${req.resource.status}`
+            });
+        }
+        
+        const result = await shipShipment(req.resource, req.club.id, tracking_number, courier_name);
+        
+        res.json({
+            success: true,
+            message: 'Order marked as shipped successfully',
+            data: {
+                shipment_status: result.shipment.status,
+                order_status: result.orderStatus
+            }
+        });
+    })
+);
+
 // @route   PUT /api/club-admin/order-items/:id/confirm
-// @desc    Confirm order item
+// @desc    Confirm order item (confirms the club's whole shipment)
 // @access  Private (Club Admin)
 router.put('/order-items/:id/confirm',
     authenticate,
@@ -746,7 +1599,48 @@ router.put('/order-items/:id/confirm',
     asyncHandler(async (req, res) => {
         // Verify item belongs to club
         const item = await db.getOne(
-            'SELECT oi.*, o.order_status FROM order_items oi JOIN orders o ON oi.order_id = o.id WHERE oi.id = $1 AND oi.club_id = $2',
+            'SELECT oi.*, s.status as shipment_status FROM order_items oi JOIN order_shipments s ON oi.shipment_id = s.id WHERE oi.id = $1 AND oi.club_id = $2',
+            [req.params.id, req.club.id]
+        );
+        
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order item not found'
+            });
+        }
+        
+        // Items of the same shipment are confirmed together
+        if (item.shipment_status === 'pending') {
+            await confirmShipment({ id: item.shipment_id });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Order confirmed successfully'
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/order-items/:id/ship
+// @desc    Mark order item as shipped (ships the club's whole shipment)
+// @access  Private (Club Admin)
+router.put('/order-items/:id/ship',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const { tracking_number, courier_name } = req.body;
+        
+        if (!tracking_number || !courier_name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tracking number and courier name are required'
+            });
+        }
+        
+        // Verify item belongs to club
+        const item = await db.getOne(
+            'SELECT oi.*, s.status as shipment_status FROM order_items oi JOIN order_shipments s ON oi.shipment_id = s.id WHERE oi.id = $1 AND oi.club_id = $2',
             [req.params.id, req.club.id]
         );
         
@@ -757,139 +1651,322 @@ router.put('/order-items/:id/confirm',
             });
         }
         
-        // Update order item status
-        await db.query(
-            'UPDATE order_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            ['confirmed', req.params.id]
-        );
+        // Items of the same shipment ship together
+        if (['pending', 'confirmed', 'processing'].includes(item.shipment_status)) {
+            const shipment = await Shipment.findById(item.shipment_id);
+            await shipShipment(shipment, req.club.id, tracking_number, courier_name);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Order marked as shipped successfully'
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/orders/:id/verify-payment
+// @desc    Verify payment for delivered order
+// @access  Private (Club Admin)
+router.put('/orders/:id/verify-payment',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        // Verify order belongs to club and is delivered
+        const order = await db.getOne(
+            `SELECT o.*, oi.club_id, oi.status as club_item_status 
+             FROM orders o 
+             JOIN order_items oi ON o.id = oi.order_id 
+             WHERE o.id = $1 AND oi.club_id = $2 
+             LIMIT 1`,
+            [req.params.id, req.club.id]
+        );
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (order.club_item_status !== 'delivered') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only delivered orders can have payment verified'
+            });
+        }
+        
+        if (order.payment_status === 'verified') {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment already verified'
+            });
+        }
+        
+        // Update payment status
+        await db.query(
+            'UPDATE orders SET payment_status = $1, reservation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            ['verified', req.params.id]
+        );
+        
+        await Ledger.postOrderSales(req.params.id);
+        
+        await realtimeService.publishOrder('order_status_changed', order.id);
+        
+        await notificationService.notify(order.user_id, 'payment_update', {
+            title: 'Payment verified',
+            message: `Payment for order ${order.order_number} has been verified.`,
+            link: `/order-detail.html?order=${order.order_number}`,
+            data: { order_id: order.id }
+        });
+        
+        res.json({
+            success: true,
+            message: 'Payment verified successfully'
+        });
+    })
+);
+
+// ============= RETURN ROUTES =============
+
+// @route   GET /api/club-admin/returns
+// @desc    Get club's return requests
+// @access  Private (Club Admin)
+router.get('/returns',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const returns = await ReturnRequest.findByClubId(req.club.id, {
+            status: req.query.status,
+            limit: parseInt(req.query.limit) || 100
+        });
+        
+        res.json({
+            success: true,
+            data: returns
+        });
+    })
+);
+
+// @route   GET /api/club-admin/returns/:id
+// @desc    Get return request details with items and photos
+// @access  Private (Club Admin)
+router.get('/returns/:id',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('return_requests'),
+    asyncHandler(async (req, res) => {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        
+        res.json({
+            success: true,
+            data: returnRequest
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/returns/:id/approve
+// @desc    Approve a return and refund the items (amounts allow partial refunds)
+// @access  Private (Club Admin)
+router.put('/returns/:id/approve',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('return_requests'),
+    asyncHandler(async (req, res) => {
+        const { amounts, note } = req.body;
+        
+        if (req.resource.status !== 'requested') {
+            return res.status(400).json({
+                success: false,
+                message: `Return request is already ${req.resource.status}`
+            });
+        }
+        
+        const result = await ReturnRequest.approve(req.params.id, req.user.id, {
+            amounts: amounts || {},
+            note: note || null
+        });
         
-        // Update main order status if it's still pending
-        if (item.order_status === 'pending') {
-            await db.query(
-                'UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                ['confirmed', item.order_id]
-            );
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: 'Return request could not be approved'
+            });
         }
         
+        await notificationService.notify(req.resource.user_id, 'return_update', {
+            title: 'Return approved',
+            message: `${req.club.club_name} approved return ${req.resource.return_number}. ৳${result.refundTotal.toFixed(2)} will be refunded.`,
+            link: '/my-orders.html',
+            data: { return_request_id: req.resource.id, order_id: req.resource.order_id }
+        });
+        
         res.json({
             success: true,
-            message: 'Order confirmed successfully'
+            message: `Return approved. ৳${result.refundTotal.toFixed(2)} will be refunded to the customer.`,
+            data: result.request
         });
     })
 );
 
-// @route   PUT /api/club-admin/order-items/:id/ship
-// @desc    Mark order item as shipped
+// @route   PUT /api/club-admin/returns/:id/reject
+// @desc    Reject a return request
 // @access  Private (Club Admin)
-router.put('/order-items/:id/ship',
+router.put('/returns/:id/reject',
     authenticate,
     authorizeClubAdmin,
+    authorizeClubResource('return_requests'),
     asyncHandler(async (req, res) => {
-        const { tracking_number, courier_name } = req.body;
+        const { reason } = req.body;
         
-        if (!tracking_number || !courier_name) {
+        if (!reason) {
             return res.status(400).json({
                 success: false,
-                message: 'Tracking number and courier name are required'
+                message: 'Please provide a reason for rejecting the return'
             });
         }
         
-        // Verify item belongs to club
-        const item = await db.getOne(
-            'SELECT oi.*, o.user_id, o.order_status FROM order_items oi JOIN orders o ON oi.order_id = o.id WHERE oi.id = $1 AND oi.club_id = $2',
-            [req.params.id, req.club.id]
-        );
+        const returnRequest = await ReturnRequest.reject(req.params.id, req.user.id, reason);
         
-        if (!item) {
-            return res.status(404).json({
+        if (!returnRequest) {
+            return res.status(400).json({
                 success: false,
-                message: 'Order item not found'
+                message: `Return request is already ${req.resource.status}`
             });
         }
         
-        // Update order item status with tracking info
-        await db.query(
-            'UPDATE order_items SET status = $1, tracking_number = $2, courier_name = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
-            ['shipped', tracking_number, courier_name, req.params.id]
-        );
-        
-        // Update main order status to shipped
-        await db.query(
-            'UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            ['shipped', item.order_id]
-        );
-        
-        // Check if shipped within 24 hours for bonus points
-        const hoursSinceOrder = (Date.now() - new Date(item.created_at).getTime()) / (1000 * 60 * 60);
+        await notificationService.notify(req.resource.user_id, 'return_update', {
+            title: 'Return rejected',
+            message: `${req.club.club_name} rejected return ${req.resource.return_number}: ${reason}`,
+            link: '/my-orders.html',
+            data: { return_request_id: req.resource.id, order_id: req.resource.order_id }
+        });
         
-        if (hoursSinceOrder < 24) {
-            const Reward = require('../models/rewardModel');
-            await Reward.awardFastShippingPoints(req.club.id, item.order_id);
-        }
+        res.json({
+            success: true,
+            message: 'Return request rejected',
+            data: returnRequest
+        });
+    })
+);
+
+// ============= COUPON ROUTES =============
+
+// @route   GET /api/club-admin/coupons
+// @desc    Get club's coupons
+// @access  Private (Club Admin)
+router.get('/coupons',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const filters = {
+            club_id: req.club.id,
+            search: req.query.search,
+            is_active: req.query.is_active !== undefined ? req.query.is_active === 'true' : undefined,
+            page: parseInt(req.query.page) || 1,
+            limit: parseInt(req.query.limit) || 50
+        };
         
-        // Send shipped notification email
-        try {
-            const order = await Order.findById(item.order_id);
-            const user = await db.getOne('SELECT * FROM users WHERE id = $1', [item.user_id]);
-            await sendOrderShipped(order, user);
-        } catch (emailError) {
-            console.error('Shipping notification email failed:', emailError);
-        }
+        const coupons = await Coupon.findAll(filters);
+        const totalCount = await Coupon.count({ club_id: req.club.id, is_active: filters.is_active });
         
         res.json({
             success: true,
-            message: 'Order marked as shipped successfully'
+            data: coupons,
+            pagination: {
+                page: filters.page,
+                limit: filters.limit,
+                total: totalCount,
+                totalPages: Math.ceil(totalCount / filters.limit)
+            }
         });
     })
 );
 
-// @route   PUT /api/club-admin/orders/:id/verify-payment
-// @desc    Verify payment for delivered order
+// @route   POST /api/club-admin/coupons
+// @desc    Create coupon for club's products
 // @access  Private (Club Admin)
-router.put('/orders/:id/verify-payment',
+router.post('/coupons',
     authenticate,
     authorizeClubAdmin,
     asyncHandler(async (req, res) => {
-        // Verify order belongs to club and is delivered
-        const order = await db.getOne(
-            `SELECT o.*, oi.club_id 
-             FROM orders o 
-             JOIN order_items oi ON o.id = oi.order_id 
-             WHERE o.id = $1 AND oi.club_id = $2 
-             LIMIT 1`,
-            [req.params.id, req.club.id]
-        );
+        const validationMessage = Coupon.validateData(req.body);
+        if (validationMessage) {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage
+            });
+        }
         
-        if (!order) {
-            return res.status(404).json({
+        if (await Coupon.codeExists(req.body.code)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Order not found'
+                message: 'Coupon code already exists'
             });
         }
         
-        if (order.order_status !== 'delivered') {
+        const coupon = await Coupon.create({
+            ...req.body,
+            club_id: req.club.id,
+            created_by: req.user.id
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/coupons/:id
+// @desc    Update club coupon
+// @access  Private (Club Admin)
+router.put('/coupons/:id',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('coupons'),
+    asyncHandler(async (req, res) => {
+        const merged = { ...req.resource, ...req.body };
+        const validationMessage = Coupon.validateData(merged, true);
+        if (validationMessage) {
             return res.status(400).json({
                 success: false,
-                message: 'Only delivered orders can have payment verified'
+                message: validationMessage
             });
         }
         
-        if (order.payment_status === 'verified') {
+        if (req.body.code && await Coupon.codeExists(req.body.code, req.params.id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Payment already verified'
+                message: 'Coupon code already exists'
             });
         }
         
-        // Update payment status
-        await db.query(
-            'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            ['verified', req.params.id]
-        );
+        const coupon = await Coupon.update(req.params.id, req.body);
         
         res.json({
             success: true,
-            message: 'Payment verified successfully'
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+    })
+);
+
+// @route   DELETE /api/club-admin/coupons/:id
+// @desc    Delete club coupon (used coupons are deactivated)
+// @access  Private (Club Admin)
+router.delete('/coupons/:id',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('coupons'),
+    asyncHandler(async (req, res) => {
+        const coupon = await Coupon.delete(req.params.id);
+        
+        res.json({
+            success: true,
+            message: coupon.deactivated
+                ? 'Coupon has been used, so it was deactivated instead of deleted'
+                : 'Coupon deleted successfully'
         });
     })
 );
@@ -906,78 +1983,20 @@ router.get('/earnings/summary',
         const club = await Club.findById(req.club.id);
         const commissionRate = await Club.getCommissionRate(club.reward_tier);
         
-        // Total all-time earnings
-        const totalEarnings = await db.getOne(`
-            SELECT COALESCE(SUM(oi.subtotal * (1 - $1::numeric)), 0) as earnings
-            FROM order_items oi
-            JOIN orders o ON oi.order_id = o.id
-            WHERE oi.club_id = $2 
-                AND o.order_status = 'delivered'
-                AND o.payment_status = 'verified'
-        `, [commissionRate, req.club.id]);
-        
-        // This month earnings
-        const thisMonth = await db.getOne(`
-            SELECT COALESCE(SUM(oi.subtotal * (1 - $1::numeric)), 0) as earnings
-            FROM order_items oi
-            JOIN orders o ON oi.order_id = o.id
-            WHERE oi.club_id = $2 
-                AND o.order_status = 'delivered'
-                AND DATE_TRUNC('month', o.updated_at) = DATE_TRUNC('month', CURRENT_DATE)
-        `, [commissionRate, req.club.id]);
-        
-        // Last month earnings for trend calculation
-        const lastMonth = await db.getOne(`
-            SELECT COALESCE(SUM(oi.subtotal * (1 - $1::numeric)), 0) as earnings
-            FROM order_items oi
-            JOIN orders o ON oi.order_id = o.id
-            WHERE oi.club_id = $2 
-                AND o.order_status = 'delivered'
-                AND DATE_TRUNC('month', o.updated_at) = DATE_TRUNC('month', CURRENT_DATE - INTERVAL '1 month')
-        `, [commissionRate, req.club.id]);
-        
-        // Pending earnings (orders not yet delivered)
-        const pending = await db.getOne(`
-            SELECT COALESCE(SUM(oi.subtotal * (1 - $1::numeric)), 0) as earnings
-            FROM order_items oi
-            JOIN orders o ON oi.order_id = o.id
-            WHERE oi.club_id = $2 
-                AND o.order_status IN ('pending', 'confirmed', 'processing', 'shipped')
-        `, [commissionRate, req.club.id]);
-        
-        // Available balance (delivered but not paid out)
-        const available = await db.getOne(`
-            SELECT COALESCE(SUM(oi.subtotal * (1 - $1::numeric)), 0) as earnings
-            FROM order_items oi
-            JOIN orders o ON oi.order_id = o.id
-            WHERE oi.club_id = $2 
-                AND o.order_status = 'delivered'
-                AND o.payment_status = 'verified'
-                AND NOT EXISTS (
-                    SELECT 1 FROM payouts p 
-                    WHERE p.club_id = $2 
-                    AND p.status = 'paid'
-                    AND o.updated_at BETWEEN p.period_start AND p.period_end
-                )
-        `, [commissionRate, req.club.id]);
-        
-        // Calculate month-over-month trend
-        const lastMonthVal = parseFloat(lastMonth.earnings) || 0;
-        const thisMonthVal = parseFloat(thisMonth.earnings) || 0;
-        let monthTrend = 0;
-        if (lastMonthVal > 0) {
-            monthTrend = Math.round(((thisMonthVal - lastMonthVal) / lastMonthVal) * 100);
-        }
+        const summary = await Earnings.getSummary(req.club.id, commissionRate);
+        const payoutSettings = await Payout.getSettings();
+        const payoutMethod = await PayoutMethod.getDefault(req.club.id);
         
         res.json({
             success: true,
             club: club,
-            summary: {
-                total_earnings: parseFloat(totalEarnings.earnings) || 0,
-                month_earnings: thisMonthVal,
-                pending_amount: parseFloat(pending.earnings) || 0,
-                available_balance: parseFloat(available.earnings) || 0,
-                month_trend: monthTrend
+            summary: summary,
+            payout: {
+                minimum_amount: parseFloat(payoutSettings.minimum_amount),
+                schedule: payoutSettings.schedule,
+                next_payout_date: Payout.getNextRunDate(payoutSettings),
+                require_verified_method: payoutSettings.require_verified_method,
+                payout_method: PayoutMethod.describe(payoutMethod)
             }
         });
     })
@@ -997,48 +2016,13 @@ router.get('/earnings/transactions',
         const limit = parseInt(req.query.limit) || 20;
         const offset = (page - 1) * limit;
         
-        let query = `
-            SELECT 
-                o.id,
-                o.order_number,
-                o.created_at,
-                o.updated_at,
-                o.order_status as status,
-                SUM(oi.subtotal) as order_total,
-                u.full_name as customer_name
-            FROM orders o
-            JOIN order_items oi ON o.id = oi.order_id
-            JOIN users u ON o.user_id = u.id
-            WHERE oi.club_id = $1
-        `;
-        
-        const params = [req.club.id];
-        let paramCount = 1;
-        
-        // Date filters
-        if (req.query.from_date) {
-            paramCount++;
-            query += ` AND o.created_at >= $${paramCount}`;
-            params.push(req.query.from_date);
-        }
-        
-        if (req.query.to_date) {
-            paramCount++;
-            query += ` AND o.created_at <= $${paramCount}`;
-            params.push(req.query.to_date);
-        }
-        
-        query += ` GROUP BY o.id, o.order_number, o.created_at, o.updated_at, o.order_status, u.full_name`;
-        query += ` ORDER BY o.created_at DESC`;
-        query += ` LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-        params.push(limit, offset);
-        
-        const transactions = await db.getMany(query, params);
+        const filters = {
+            from_date: req.query.from_date,
+            to_date: req.query.to_date
+        };
         
-        const totalCount = await db.getOne(
-            'SELECT COUNT(DISTINCT o.id) as count FROM orders o JOIN order_items oi ON o.id = oi.order_id WHERE oi.club_id = $1',
-            [req.club.id]
-        );
+        const transactions = await Earnings.getTransactions(req.club.id, { ...filters, limit, offset });
+        const totalCount = await Earnings.countTransactions(req.club.id, filters);
         
         res.json({
             success: true,
@@ -1046,8 +2030,8 @@ router.get('/earnings/transactions',
             pagination: {
                 current_page: page,
                 items_per_page: limit,
-                total_items: parseInt(totalCount.count),
-                total_pages: Math.ceil(parseInt(totalCount.count) / limit)
+                total_items: totalCount,
+                total_pages: Math.ceil(totalCount / limit)
             }
         });
     })
@@ -1123,8 +2107,10 @@ router.put('/profile',
                  facebook_url = COALESCE($9, facebook_url),
                  instagram_url = COALESCE($10, instagram_url),
                  website_url = COALESCE($11, website_url),
+                 shipping_district = COALESCE($12, shipping_district),
+                 shipping_division = COALESCE($13, shipping_division),
                  updated_at = CURRENT_TIMESTAMP
-             WHERE id = $12
+             WHERE id = $14
              RETURNING *`,
             [
                 updates.established_year,
@@ -1138,6 +2124,8 @@ router.put('/profile',
                 updates.facebook_url,
                 updates.instagram_url,
                 updates.website_url,
+                updates.shipping_district,
+                updates.shipping_division,
                 req.club.id
             ]
         );
@@ -1215,7 +2203,7 @@ router.get('/earnings/chart',
             const monthsData = await db.getMany(`
                 SELECT 
                     TO_CHAR(months.month, 'Mon') as month,
-                    COALESCE(SUM(oi.subtotal * (1 - $1::numeric)), 0) as revenue,
+                    COALESCE(SUM((oi.subtotal - COALESCE(oi.discount_amount, 0) - COALESCE(oi.refunded_amount, 0)) * (1 - $1::numeric)), 0) as revenue,
                     COUNT(DISTINCT o.id) as order_count
                 FROM generate_series(
                     DATE_TRUNC('month', CURRENT_DATE - INTERVAL '11 months'),
@@ -1324,77 +2312,246 @@ router.get('/earnings/payouts',
     })
 );
 
-// @route   POST /api/club-admin/earnings/request-payout
-// @desc    Request a payout
+// @route   GET /api/club-admin/earnings/ledger
+// @desc    Get club balance statement (ledger entries with running balance)
 // @access  Private (Club Admin)
-router.post('/earnings/request-payout',
+router.get('/earnings/ledger',
     authenticate,
     authorizeClubAdmin,
     asyncHandler(async (req, res) => {
-        const club = await Club.findById(req.club.id);
-        const commissionRate = await Club.getCommissionRate(club.reward_tier);
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+        const filters = { entry_type: req.query.type };
+        
+        const entries = await Ledger.getStatement(req.club.id, { ...filters, limit, offset });
+        const totalCount = await Ledger.countStatement(req.club.id, filters);
+        const balance = await Ledger.getBalance(req.club.id);
+        
+        res.json({
+            success: true,
+            balance: balance,
+            entries: entries,
+            pagination: {
+                current_page: page,
+                items_per_page: limit,
+                total_items: totalCount,
+                total_pages: Math.ceil(totalCount / limit)
+            }
+        });
+    })
+);
+
+// ============= PAYOUT METHOD ROUTES =============
+
+// @route   GET /api/club-admin/payout-methods
+// @desc    Get club's payout methods
+// @access  Private (Club Admin)
+router.get('/payout-methods',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const methods = await PayoutMethod.findByClubId(req.club.id);
+        
+        res.json({
+            success: true,
+            methods: methods
+        });
+    })
+);
+
+// @route   POST /api/club-admin/payout-methods
+// @desc    Add a payout method (needs super admin verification)
+// @access  Private (Club Admin)
+router.post('/payout-methods',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const validationMessage = PayoutMethod.validateData(req.body);
+        if (validationMessage) {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage
+            });
+        }
+        
+        const method = await PayoutMethod.create(req.club.id, req.body);
+        
+        await notificationService.notifyRole('super_admin', 'payout_method_review', {
+            title: 'Payout method to verify',
+            message: `${req.club.club_name} added ${PayoutMethod.describe(method)}.`,
+            link: '/financial-admin.html',
+            data: { club_id: req.club.id, payout_method_id: method.id }
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Payout method added. It will be usable once verified by the platform.',
+            method: method
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/payout-methods/:id
+// @desc    Update a payout method (sends it back for verification)
+// @access  Private (Club Admin)
+router.put('/payout-methods/:id',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('club_payout_methods'),
+    asyncHandler(async (req, res) => {
+        const merged = { ...req.resource, ...req.body };
+        const validationMessage = PayoutMethod.validateData(merged);
+        if (validationMessage) {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage
+            });
+        }
+        
+        const method = await PayoutMethod.update(req.params.id, merged);
+        
+        await notificationService.notifyRole('super_admin', 'payout_method_review', {
+            title: 'Payout method to verify',
+            message: `${req.club.club_name} changed ${PayoutMethod.describe(method)}.`,
+            link: '/financial-admin.html',
+            data: { club_id: req.club.id, payout_method_id: method.id }
+        });
         
-        // Calculate available balance
-        const available = await db.getOne(`
-            SELECT COALESCE(SUM(oi.subtotal * (1 - $2)), 0) as earnings
-            FROM order_items oi
-            JOIN orders o ON oi.order_id = o.id
-            WHERE oi.club_id = $1 
-                AND o.order_status = 'delivered'
-                AND o.payment_status = 'verified'
-                AND NOT EXISTS (
-                    SELECT 1 FROM payouts p 
-                    WHERE p.club_id = $1 
-                    AND p.status = 'paid'
-                    AND o.updated_at BETWEEN p.period_start AND p.period_end
-                )
-        `, [req.club.id, commissionRate]);
-        
-        const availableAmount = parseFloat(available.earnings) || 0;
-        
-        if (availableAmount <= 0) {
+        res.json({
+            success: true,
+            message: 'Payout method updated and sent for verification',
+            method: method
+        });
+    })
+);
+
+// @route   PUT /api/club-admin/payout-methods/:id/default
+// @desc    Make a payout method the default
+// @access  Private (Club Admin)
+router.put('/payout-methods/:id/default',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('club_payout_methods'),
+    asyncHandler(async (req, res) => {
+        const method = await PayoutMethod.setDefault(req.params.id, req.club.id);
+        
+        res.json({
+            success: true,
+            message: 'Default payout method updated',
+            method: method
+        });
+    })
+);
+
+// @route   DELETE /api/club-admin/payout-methods/:id
+// @desc    Delete a payout method
+// @access  Private (Club Admin)
+router.delete('/payout-methods/:id',
+    authenticate,
+    authorizeClubAdmin,
+    authorizeClubResource('club_payout_methods'),
+    asyncHandler(async (req, res) => {
+        const inUse = await db.exists(
+            'payouts',
+            "payout_method_id = $1 AND status IN ('pending', 'processing')",
+            [req.params.id]
+        );
+        
+        if (inUse) {
             return res.status(400).json({
                 success: false,
-                message: 'No available balance to request payout'
+                message: 'This payout method has payouts in progress and cannot be deleted yet'
             });
         }
         
-        // Create payout request
-        const payout = await db.query(`
-            INSERT INTO payouts (
-                club_id, amount, period_start, period_end, status
-            ) VALUES ($1, $2, $3, $4, $5)
-            RETURNING *
-        `, [
-            req.club.id,
-            availableAmount,
-            new Date(new Date().setMonth(new Date().getMonth() - 1)),
-            new Date(),
-            'pending'
-        ]);
+        await PayoutMethod.delete(req.params.id);
+        
+        res.json({
+            success: true,
+            message: 'Payout method deleted'
+        });
+    })
+);
+
+// @route   POST /api/club-admin/earnings/request-payout
+// @desc    Request a payout
+// @access  Private (Club Admin)
+router.post('/earnings/request-payout',
+    authenticate,
+    authorizeClubAdmin,
+    asyncHandler(async (req, res) => {
+        const payout = await Payout.request(req.club.id, req.user.id);
         
         res.json({
             success: true,
             message: 'Payout request submitted successfully',
-            payout: payout.rows[0]
+            payout: payout
         });
     })
 );
 
 // @route   GET /api/club-admin/earnings/export
-// @desc    Export earnings report
+// @desc    Export earnings report (?format=xlsx|csv, &section= for CSV)
 // @access  Private (Club Admin)
 router.get('/earnings/export',
     authenticate,
     authorizeClubAdmin,
     asyncHandler(async (req, res) => {
-        // For now, return a simple message
-        // In production, you would generate an Excel file here
-        res.json({
-            success: true,
-            message: 'Export feature coming soon',
-            note: 'This will generate an Excel file with earnings data'
+        const format = (req.query.format || 'xlsx').toLowerCase();
+        const section = (req.query.section || 'transactions').toLowerCase();
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        
+        if (!['xlsx', 'csv'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be xlsx or csv'
+            });
+        }
+        
+        if (format === 'csv' && !exportService.sections.includes(section)) {
+            return res.status(400).json({
+                success: false,
+                message: `Section must be one of: ${exportService.sections.join(', ')}`
+            });
+        }
+        
+        for (const date of [req.query.from_date, req.query.to_date]) {
+            if (date && (!datePattern.test(date) || isNaN(new Date(date).getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dates must be in YYYY-MM-DD format'
+                });
+            }
+        }
+        
+        if (req.query.from_date && req.query.to_date && req.query.from_date > req.query.to_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start date must be before end date'
+            });
+        }
+        
+        const club = await Club.findById(req.club.id);
+        const report = await exportService.buildEarningsReport(club, {
+            from_date: req.query.from_date,
+            to_date: req.query.to_date
         });
+        
+        const period = [req.query.from_date, req.query.to_date].filter(Boolean).join('_to_') || 'all-time';
+        const baseName = `earnings-${club.slug || club.id}-${period}`;
+        
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${section}.csv"`);
+            return res.send(exportService.toCSV(report[section]));
+        }
+        
+        const workbook = await exportService.toXLSX(exportService.sections.map(name => report[name]));
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+        res.send(workbook);
     })
 );
 // Public route to get platform settings (for checkout page)
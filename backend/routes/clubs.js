@@ -7,10 +7,11 @@ const express = require('express');
 const router = express.Router();
 const Club = require('../models/clubModel');
 const User = require('../models/userModel');
+const notificationService = require('../services/notificationService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticate, authorize } = require('../middleware/auth');
 const { uploadImage } = require('../config/cloudinary');
-const { sendClubApplicationReceived } = require('../config/email');
+const emailService = require('../services/emailService');
 const multer = require('multer');
 
 // Configure multer for file uploads
@@ -390,11 +391,18 @@ router.post('/apply',
         
         // Send application received email
         try {
-            await sendClubApplicationReceived(club, user);
+            await emailService.sendClubApplicationReceived(club, user);
         } catch (emailError) {
             console.error('Email sending failed:', emailError);
         }
         
+        await notificationService.notifyRole('super_admin', 'club_application', {
+            title: 'New club application',
+            message: `${club.club_name} (${club.university}) applied to join the marketplace.`,
+            link: '/club-applications.html',
+            data: { club_id: club.id }
+        });
+        
         res.status(201).json({
             success: true,
             message: 'Club application submitted successfully. You will receive an email once reviewed.',
@@ -480,6 +488,51 @@ router.get('/:slug/competitions', asyncHandler(async (req, res) => {
         }
     });
 }));
+
+// @route   GET /api/clubs/:slug/results
+// @desc    Podium teams of the club's competitions with published results
+// @access  Public
+router.get('/:slug/results', asyncHandler(async (req, res) => {
+    const club = await Club.findBySlug(req.params.slug);
+    
+    if (!club || club.status !== 'approved') {
+        return res.status(404).json({
+            success: false,
+            message: 'Club not found'
+        });
+    }
+    
+    const CompetitionResult = require('../models/resultModel');
+    const results = await CompetitionResult.findPodiumsByClubId(club.id, Math.min(parseInt(req.query.limit) || 5, 20));
+    
+    res.json({
+        success: true,
+        data: results
+    });
+}));
+
+// @route   GET /api/clubs/:slug/competitions.ics
+// @desc    Subscribable calendar feed of a club's competitions
+// @access  Public
+router.get('/:slug/competitions.ics', asyncHandler(async (req, res) => {
+    const club = await Club.findBySlug(req.params.slug);
+    
+    if (!club || club.status !== 'approved') {
+        return res.status(404).json({
+            success: false,
+            message: 'Club not found'
+        });
+    }
+    
+    const Competition = require('../models/competitionModel');
+    const calendarService = require('../services/calendarService');
+    const competitions = await Competition.findForClubCalendar(club.id);
+    
+    const calendar = calendarService.buildCompetitionFeed(competitions, `${club.club_name} Competitions`);
+    
+    calendarService.send(res, calendar, `${club.slug}-competitions.ics`);
+}));
+
 // @route   GET /api/clubs/similar
 // @desc    Get similar clubs
 // @access  Public
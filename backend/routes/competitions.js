@@ -7,8 +7,18 @@ const express = require('express');
 const router = express.Router();
 const Competition = require('../models/competitionModel');
 const Registration = require('../models/registrationModel');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { authenticate, authorize } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const emailService = require('../services/emailService');
+const calendarService = require('../services/calendarService');
+const teamService = require('../services/teamService');
+const registrationFormService = require('../services/registrationFormService');
+const waitlistService = require('../services/waitlistService');
+const resultService = require('../services/resultService');
+const tournamentService = require('../services/tournamentService');
+const RegistrationMember = require('../models/registrationMemberModel');
+const { asyncHandler, badRequestError } = require('../middleware/errorHandler');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const { uploadImage } = require('../config/cloudinary');
 const db = require('../config/database');
 
@@ -121,7 +131,7 @@ router.get('/categories', asyncHandler(async (req, res) => {
 // @route   GET /api/competitions/:id
 // @desc    Get single competition by ID
 // @access  Public
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     const competitionId = parseInt(req.params.id);
     
     if (isNaN(competitionId)) {
@@ -161,6 +171,10 @@ router.get('/:id', asyncHandler(async (req, res) => {
     const isOpen = await Competition.isRegistrationOpen(competitionId);
     competition.is_registration_open = isOpen;
     
+    // New teams join the waitlist once the competition is full
+    competition.joins_waitlist = isOpen && await waitlistService.shouldWaitlist(competition);
+    competition.waitlist_count = competition.waitlist_enabled ? await Registration.countWaitlisted(competitionId) : 0;
+    
     // Get required products - ONLY if they actually exist
     const requiredProducts = await db.getMany(`
         SELECT 
@@ -183,14 +197,23 @@ router.get('/:id', asyncHandler(async (req, res) => {
     // Check if current user has registered (if authenticated)
     if (req.user) {
         const userRegistration = await db.getOne(`
-            SELECT registration_status 
-            FROM competition_registrations 
-            WHERE competition_id = $1 AND user_id = $2
-            ORDER BY created_at DESC
+            SELECT cr.registration_status, cr.waitlist_position
+            FROM competition_registrations cr
+            WHERE cr.competition_id = $1
+            AND (
+                cr.user_id = $2
+                OR EXISTS (
+                    SELECT 1 FROM registration_members rm
+                    WHERE rm.registration_id = cr.id AND rm.user_id = $2 AND rm.status = 'accepted'
+                )
+            )
+            ORDER BY cr.created_at DESC
             LIMIT 1
         `, [competitionId, req.user.id]);
         
         competition.user_registration_status = userRegistration ? userRegistration.registration_status : null;
+        competition.user_waitlist_position = userRegistration ? userRegistration.waitlist_position : null;
+        competition.is_interested = await Competition.isInterested(competitionId, req.user.id);
     }
     
     res.json({
@@ -200,6 +223,73 @@ router.get('/:id', asyncHandler(async (req, res) => {
     });
 }));
 
+// @route   GET /api/competitions/:id/results
+// @desc    Published results, rankings and round standings of a competition
+// @access  Public
+router.get('/:id/results', asyncHandler(async (req, res) => {
+    const competition = await Competition.findById(parseInt(req.params.id) || 0);
+    
+    if (!competition) {
+        return res.status(404).json({
+            success: false,
+            message: 'Competition not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: await resultService.getPublicResults(competition)
+    });
+}));
+
+// @route   GET /api/competitions/:id/bracket
+// @desc    Tournament bracket of a competition with match results and standings (null when it has none)
+// @access  Public
+router.get('/:id/bracket', asyncHandler(async (req, res) => {
+    const competition = await Competition.findById(parseInt(req.params.id) || 0);
+    
+    if (!competition || competition.status === 'suspended') {
+        return res.status(404).json({
+            success: false,
+            message: 'Competition not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: await tournamentService.getBracket(competition)
+    });
+}));
+
+// @route   GET /api/competitions/:id/calendar.ics
+// @desc    Download a competition as an iCalendar event
+// @access  Public
+router.get('/:id/calendar.ics', asyncHandler(async (req, res) => {
+    const competitionId = parseInt(req.params.id);
+    
+    if (isNaN(competitionId)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid competition ID'
+        });
+    }
+    
+    const competition = await Competition.findById(competitionId);
+    
+    if (!competition || competition.status === 'suspended') {
+        return res.status(404).json({
+            success: false,
+            message: 'Competition not found'
+        });
+    }
+    
+    const calendar = calendarService.buildCalendar([
+        calendarService.buildCompetitionEvent(competition, { alarmHours: 24 })
+    ]);
+    
+    calendarService.send(res, calendar, `${competition.slug || `competition-${competition.id}`}.ics`, { download: true });
+}));
+
 // @route   POST /api/competitions/:id/views
 // @desc    Increment competition views
 // @access  Public
@@ -221,18 +311,62 @@ router.post('/:id/views', asyncHandler(async (req, res) => {
     });
 }));
 
+// @route   POST /api/competitions/:id/interest
+// @desc    Remind me before registration closes
+// @access  Private (Student)
+router.post('/:id/interest', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const competition = await Competition.findById(req.params.id);
+    
+    if (!competition) {
+        return res.status(404).json({
+            success: false,
+            message: 'Competition not found'
+        });
+    }
+    
+    await Competition.addInterest(competition.id, req.user.id);
+    
+    res.json({
+        success: true,
+        message: "We'll remind you before registration closes",
+        data: { is_interested: true }
+    });
+}));
+
+// @route   DELETE /api/competitions/:id/interest
+// @desc    Stop registration deadline reminders
+// @access  Private (Student)
+router.delete('/:id/interest', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    await Competition.removeInterest(req.params.id, req.user.id);
+    
+    res.json({
+        success: true,
+        message: 'Reminder turned off',
+        data: { is_interested: false }
+    });
+}));
+
 // @route   POST /api/competitions/:id/register
 // @desc    Register for competition
 // @access  Private (Student)
 router.post('/:id/register', authenticate, asyncHandler(async (req, res) => {
     const competitionId = req.params.id;
-    const { team_name, team_members, phone, payment_method, payment_screenshot, transaction_id } = req.body;
+    const { team_name, phone, payment_method, payment_screenshot, transaction_id } = req.body;
+    // Teammates to invite: emails or student IDs (the registering student is the captain)
+    const invites = req.body.invites || [];
     
     // Validate required fields
-    if (!team_name || !team_members || !phone || !payment_method) {
+    if (!team_name || !phone || !payment_method) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide all required fields: team_name, phone, payment_method'
+        });
+    }
+    
+    if (!Array.isArray(invites)) {
         return res.status(400).json({
             success: false,
-            message: 'Please provide all required fields: team_name, team_members, phone, payment_method'
+            message: 'Invites must be a list of teammate emails or student IDs'
         });
     }
     
@@ -282,7 +416,33 @@ router.post('/:id/register', authenticate, asyncHandler(async (req, res) => {
         });
     }
     
-    // Upload payment screenshot if provided
+    // A student plays for one team per competition
+    const currentTeam = await RegistrationMember.findActiveTeam(competition.id, req.user.id);
+    if (currentTeam) {
+        return res.status(400).json({
+            success: false,
+            message: `You are already on team ${currentTeam.team_name} for this competition`
+        });
+    }
+    
+    // Team size (captain included)
+    const teamSize = invites.length + 1;
+    if (teamSize < competition.team_size_min || teamSize > competition.team_size_max) {
+        return res.status(400).json({
+            success: false,
+            message: competition.team_size_min === competition.team_size_max
+                ? `Teams must have exactly ${competition.team_size_max} members (captain included)`
+                : `Teams must have ${competition.team_size_min} to ${competition.team_size_max} members (captain included)`
+        });
+    }
+    
+    // Check every teammate before anything is saved
+    const invitees = await teamService.prepareInvites(competition, invites, req.user.id);
+    
+    // Answers to the club's registration questions (file answers are uploaded here)
+    const formAnswers = await registrationFormService.validateAnswers(competition, req.body.form_answers, req.user.id);
+    
+    // Upload payment screenshot if provided (dropped again if the team ends up on the waitlist)
     let screenshotUrl = null;
     if (payment_screenshot && payment_method !== 'cash_on_delivery') {
         try {
@@ -302,30 +462,85 @@ router.post('/:id/register', authenticate, asyncHandler(async (req, res) => {
         console.log('No screenshot to upload. Method:', payment_method, 'Screenshot provided:', !!payment_screenshot);
     }
     
-    // Create registration
-    const registration = await Registration.create({
-        competition_id: competitionId,
-        user_id: req.user.id,
-        team_name,
-        team_members,
-        phone,
-        registration_fee: competition.registration_fee,
-        payment_method,
-        payment_screenshot_url: screenshotUrl,
-        transaction_id: transaction_id || null,
-        registration_status: 'pending', // Requires admin approval
-        payment_status: payment_method === 'cash_on_delivery' ? 'pending' : 'pending'
+    // Seat decision, registration, captain and invitations commit together while the
+    // competition row is locked, so parallel sign-ups can't overfill it or leave a team without a captain
+    const { registration, joinWaitlist } = await db.transaction(async (client) => {
+        await client.query('SELECT id FROM competitions WHERE id = $1 FOR UPDATE', [competition.id]);
+        
+        if (await Registration.checkExistingRegistration(req.user.id, competitionId, client)) {
+            throw badRequestError('You have already registered for this competition');
+        }
+        
+        const team = await RegistrationMember.findActiveTeam(competition.id, req.user.id, null, client);
+        if (team) {
+            throw badRequestError(`You are already on team ${team.team_name} for this competition`);
+        }
+        
+        // Full competitions with a waitlist queue the team; it pays once promoted
+        const waitlisted = await waitlistService.shouldWaitlist(competition, client);
+        
+        const created = await Registration.create({
+            competition_id: competitionId,
+            user_id: req.user.id,
+            team_name,
+            team_members: req.user.full_name, // Rebuilt from accepted members as teammates join
+            phone,
+            registration_fee: competition.registration_fee,
+            payment_method,
+            payment_screenshot_url: waitlisted ? null : screenshotUrl,
+            transaction_id: waitlisted ? null : transaction_id || null,
+            form_answers: formAnswers,
+            registration_status: waitlisted ? 'waitlisted' : 'pending', // Requires admin approval
+            waitlist_position: waitlisted ? await Registration.getNextWaitlistPosition(competition.id, client) : null,
+            payment_status: payment_method === 'cash_on_delivery' ? 'pending' : 'pending'
+        }, client);
+        
+        await RegistrationMember.addCaptain(created, client);
+        await teamService.createInvites(invitees, created, competition, req.user, client);
+        
+        return { registration: created, joinWaitlist: waitlisted };
     });
     
+    await teamService.notifyInvitations(invitees, registration, competition, req.user);
+    
     // Note: Registration count will be updated only when admin approves
     // await Competition.updateRegistrationCount(competitionId); // Removed - only count approved
     
-    // Send confirmation email
-    try {
-        const { sendCompetitionRegistrationConfirmation } = require('../config/email');
-        await sendCompetitionRegistrationConfirmation(registration, competition, req.user);
-    } catch (emailError) {
-        console.error('Email sending failed:', emailError);
+    // Confirm to the student (with email) and tell the organizing club
+    if (joinWaitlist) {
+        await notificationService.notify(req.user.id, 'registration_update', {
+            title: 'Added to the waitlist',
+            message: `"${competition.title}" is full. Team ${registration.team_name} is #${registration.waitlist_position} on the waitlist and moves up automatically when a spot opens.`,
+            link: '/my-registrations.html',
+            data: { registration_id: registration.id, competition_id: competition.id }
+        });
+    } else {
+        await notificationService.notify(req.user.id, 'registration_update', {
+            title: 'Registration submitted',
+            message: `Team ${registration.team_name} is registered for "${competition.title}". The organizers will review it shortly.`,
+            link: '/my-registrations.html',
+            data: { registration_id: registration.id, competition_id: competition.id }
+        }, {
+            email: async () => {
+                await emailService.sendCompetitionRegistrationConfirmation(registration, competition, req.user);
+            }
+        });
+    }
+    
+    await notificationService.notifyClub(competition.club_id, 'new_registration', {
+        title: joinWaitlist ? 'New team on the waitlist' : 'New competition registration',
+        message: joinWaitlist
+            ? `Team ${registration.team_name} joined the waitlist for "${competition.title}" at #${registration.waitlist_position}.`
+            : `Team ${registration.team_name} registered for "${competition.title}".`,
+        link: `/competition-registrations.html?id=${competition.id}`,
+        data: { registration_id: registration.id, competition_id: competition.id }
+    });
+    
+    // Push to open dashboards (student, organizing club, super admins)
+    await realtimeService.publishRegistration('registration_created', registration.id);
+    
+    if (registration.payment_screenshot_url || registration.transaction_id) {
+        await realtimeService.publishRegistration('payment_submitted', registration.id, { transaction_id: transaction_id || null });
     }
     
     // Award reward points to club
@@ -334,13 +549,17 @@ router.post('/:id/register', authenticate, asyncHandler(async (req, res) => {
     
     res.status(201).json({
         success: true,
-        message: 'Registration submitted successfully. You will receive a confirmation email.',
+        message: joinWaitlist
+            ? `This competition is full. Your team is #${registration.waitlist_position} on the waitlist.`
+            : 'Registration submitted successfully. You will receive a confirmation email.',
         data: {
             registration_id: registration.id,
             team_name: registration.team_name,
             registration_fee: registration.registration_fee,
             payment_status: registration.payment_status,
-            registration_status: registration.registration_status
+            registration_status: registration.registration_status,
+            waitlist_position: registration.waitlist_position,
+            invitations_sent: invitees.length
         }
     });
 }));
@@ -422,6 +641,10 @@ router.post('/:id/duplicate', authenticate, authorize('club_admin'), asyncHandle
         location_lng: original.location_lng,
         registration_deadline: original.registration_deadline,
         max_participants: original.max_participants,
+        waitlist_enabled: original.waitlist_enabled,
+        team_size_min: original.team_size_min,
+        team_size_max: original.team_size_max,
+        registration_form: original.registration_form,
         registration_fee: original.registration_fee,
         prize_first: original.prize_first,
         prize_second: original.prize_second,
@@ -489,18 +712,26 @@ router.put('/:id/cancel', authenticate, authorize('club_admin'), asyncHandler(as
         ['cancelled', competitionId]
     );
     
-    // Notify all registered participants
+    // Notify all registered participants (every member of an approved team)
     try {
         const registrations = await db.getMany(`
-            SELECT cr.*, u.email, u.full_name
+            SELECT cr.id, cr.team_name, cr.registration_fee, cr.payment_status,
+                   rm.user_id, u.email, u.full_name, u.locale
             FROM competition_registrations cr
-            JOIN users u ON cr.user_id = u.id
+            JOIN registration_members rm ON rm.registration_id = cr.id AND rm.status = 'accepted'
+            JOIN users u ON rm.user_id = u.id
             WHERE cr.competition_id = $1 AND cr.registration_status = 'approved'
         `, [competitionId]);
         
-        const { sendCompetitionCancellation } = require('../config/email');
         for (const reg of registrations) {
-            await sendCompetitionCancellation(reg, competition);
+            await notificationService.notify(reg.user_id, 'competition_update', {
+                title: 'Competition cancelled',
+                message: `"${competition.title}" has been cancelled by the organizers.`,
+                link: '/my-registrations.html',
+                data: { competition_id: competition.id, registration_id: reg.id }
+            }, {
+                email: () => emailService.sendCompetitionCancellation(reg, competition)
+            });
         }
     } catch (emailError) {
         console.error('Email notification failed:', emailError);
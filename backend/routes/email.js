@@ -0,0 +1,30 @@
+// backend/routes/email.js
+// Email provider webhooks (delivery events for the outbox).
+// GLOBAL REFERENCE: API Endpoints → /api/email/*, Email Outbox Service
+// PURPOSE: Mark outbox emails as bounced when Resend reports a bounce or spam complaint.
+
+const express = require('express');
+const router = express.Router();
+const emailOutbox = require('../services/emailOutboxService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @route   POST /api/email/webhooks/resend
+// @desc    Resend delivery webhook (svix-id / svix-timestamp / svix-signature headers)
+// @access  Public (signed)
+router.post('/webhooks/resend', asyncHandler(async (req, res) => {
+    if (!emailOutbox.verifyWebhookSignature(req.headers, req.rawBody)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid webhook signature'
+        });
+    }
+
+    const result = await emailOutbox.handleResendEvent(req.body);
+
+    res.json({
+        success: true,
+        ignored: result.ignored
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// backend/routes/events.js
+// Server-sent events stream for live dashboard updates.
+// GLOBAL REFERENCE: API Endpoints → /api/events/*, Realtime Service
+// PURPOSE: Authenticated SSE stream of order, payment and registration events with Last-Event-ID replay.
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/userModel');
+const realtimeService = require('../services/realtimeService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, loadUser } = require('../middleware/auth');
+
+// EventSource cannot send headers, so the stream takes a short-lived stream token in ?token=
+// (never the login token, which would end up in request and proxy logs)
+async function authenticateStream(req, res, next) {
+    const decoded = User.verifyStreamToken(req.query.token);
+    const user = decoded ? await loadUser(decoded.userId) : null;
+    
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired stream token'
+        });
+    }
+    
+    req.user = user;
+    next();
+}
+
+// @route   POST /api/events/token
+// @desc    Get a short-lived token for opening the event stream
+// @access  Private
+router.post('/token', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        token: User.generateStreamToken(req.user.id),
+        expires_in: User.STREAM_TOKEN_SECONDS
+    });
+});
+
+// @route   GET /api/events/stream
+// @desc    Open the live event stream (Last-Event-ID header or ?lastEventId= replays missed events)
+// @access  Private (stream token from POST /api/events/token)
+router.get('/stream', asyncHandler(authenticateStream), asyncHandler(async (req, res) => {
+    await realtimeService.subscribe(req, res);
+}));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// backend/routes/judging.js
+// Judge routes: answering judging invitations and scoring the teams of a competition.
+// GLOBAL REFERENCE: API Endpoints → /api/judging/*, Judge model, Judging Service
+// PURPOSE: Give invited judges access to the competitions they judge, and only to those.
+
+const express = require('express');
+const router = express.Router();
+const Competition = require('../models/competitionModel');
+const Judge = require('../models/judgeModel');
+const judgingService = require('../services/judgingService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+
+// @route   GET /api/judging/assignments
+// @desc    Competitions the user judges, and open judging invitations
+// @access  Private
+router.get('/assignments', authenticate, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await Judge.findAssignmentsForUser(req.user.id, req.user.email)
+    });
+}));
+
+// @route   PUT /api/judging/invitations/:id/accept
+// @desc    Accept a judging invitation
+// @access  Private
+router.put('/invitations/:id/accept', authenticate, asyncHandler(async (req, res) => {
+    const judge = await judgingService.respond(req.params.id, req.user, true);
+    
+    res.json({
+        success: true,
+        message: 'You are now a judge of this competition',
+        data: judge
+    });
+}));
+
+// @route   PUT /api/judging/invitations/:id/decline
+// @desc    Decline a judging invitation
+// @access  Private
+router.put('/invitations/:id/decline', authenticate, asyncHandler(async (req, res) => {
+    await judgingService.respond(req.params.id, req.user, false);
+    
+    res.json({
+        success: true,
+        message: 'Invitation declined'
+    });
+}));
+
+// @route   GET /api/judging/competitions/:id
+// @desc    Rubric and teams of a competition with the judge's own scoresheets
+// @access  Private (Judges of the competition)
+router.get('/competitions/:id', authenticate, asyncHandler(async (req, res) => {
+    const competition = await Competition.findById(parseInt(req.params.id) || 0);
+    
+    if (!competition) {
+        return res.status(404).json({
+            success: false,
+            message: 'Competition not found'
+        });
+    }
+    
+    const judge = await judgingService.getJudge(competition, req.user);
+    
+    res.json({
+        success: true,
+        data: await judgingService.getJudgeView(competition, judge)
+    });
+}));
+
+// @route   PUT /api/judging/competitions/:id/teams/:registrationId
+// @desc    Save the judge's scores and comments for a team
+// @access  Private (Judges of the competition)
+router.put('/competitions/:id/teams/:registrationId', authenticate, asyncHandler(async (req, res) => {
+    const competition = await Competition.findById(parseInt(req.params.id) || 0);
+    
+    if (!competition) {
+        return res.status(404).json({
+            success: false,
+            message: 'Competition not found'
+        });
+    }
+    
+    const judge = await judgingService.getJudge(competition, req.user);
+    const sheet = await judgingService.saveScores(competition, judge, req.params.registrationId, req.body);
+    
+    res.json({
+        success: true,
+        message: 'Scores saved',
+        data: {
+            ...sheet,
+            total: judgingService.getTotal(judgingService.getRubric(competition), sheet)
+        }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// backend/routes/notifications.js
+// Notification center routes shared by students, club admins and super admins.
+// GLOBAL REFERENCE: API Endpoints → /api/notifications/*, Notification Service
+// PURPOSE: List notifications, unread count, mark read and per-event notification preferences.
+
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/notificationModel');
+const notificationService = require('../services/notificationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+
+// All notification routes belong to the logged-in user
+router.use(authenticate);
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+    const { unread_only, type, page = 1, limit = 20 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const filters = {
+        unread_only: unread_only === 'true',
+        type: type || null
+    };
+
+    const notifications = await Notification.findByUser(req.user.id, {
+        ...filters,
+        limit: pageSize,
+        offset: (parseInt(page) - 1) * pageSize
+    });
+    const total = await Notification.countByUser(req.user.id, filters);
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.json({
+        success: true,
+        notifications: notifications,
+        unread_count: unreadCount,
+        pagination: {
+            current_page: parseInt(page),
+            total_pages: Math.ceil(total / pageSize),
+            total_items: total,
+            items_per_page: pageSize
+        }
+    });
+}));
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications (bell badge)
+// @access  Private
+router.get('/unread-count', asyncHandler(async (req, res) => {
+    const count = await Notification.getUnreadCount(req.user.id);
+
+    res.json({
+        success: true,
+        count: count
+    });
+}));
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', asyncHandler(async (req, res) => {
+    const updated = await Notification.markAllRead(req.user.id);
+
+    res.json({
+        success: true,
+        message: `${updated} notifications marked as read`,
+        updated: updated
+    });
+}));
+
+// @route   GET /api/notifications/preferences
+// @desc    Get in-app/email preferences per event type
+// @access  Private
+router.get('/preferences', asyncHandler(async (req, res) => {
+    const preferences = await notificationService.getPreferences(req.user);
+
+    res.json({
+        success: true,
+        preferences: preferences
+    });
+}));
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update in-app/email preferences per event type
+// @access  Private
+router.put('/preferences', asyncHandler(async (req, res) => {
+    const error = await notificationService.savePreferences(req.user, req.body.preferences);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Notification preferences saved',
+        preferences: await notificationService.getPreferences(req.user)
+    });
+}));
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', asyncHandler(async (req, res) => {
+    const notification = await Notification.markRead(req.params.id, req.user.id);
+
+    if (!notification) {
+        return res.status(404).json({
+            success: false,
+            message: 'Notification not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        notification: notification
+    });
+}));
+
+module.exports = router;
@@ -7,10 +7,18 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/orderModel');
 const Product = require('../models/productModel');
+const Coupon = require('../models/couponModel');
+const Shipment = require('../models/shipmentModel');
+const ReturnRequest = require('../models/returnModel');
+const shippingService = require('../services/shippingService');
+const rewardService = require('../services/rewardService');
+const invoiceService = require('../services/invoiceService');
+const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticate, authorize } = require('../middleware/auth');
 const { uploadImage } = require('../config/cloudinary');
-const { sendOrderConfirmation } = require('../config/email');
 const db = require('../config/database');
 
 // @route   POST /api/orders
@@ -22,7 +30,9 @@ router.post('/', authenticate, authorize('student'), asyncHandler(async (req, re
         delivery_info, 
         payment_method, 
         payment_screenshot, 
-        transaction_id 
+        transaction_id,
+        coupon_code,
+        courier
     } = req.body;
     
     // Validate
@@ -59,7 +69,7 @@ router.post('/', authenticate, authorize('student'), asyncHandler(async (req, re
         });
     }
     
-    // Check stock availability and get product details
+    // Get product details (stock is checked and reserved atomically in Order.create)
     const orderItems = [];
     let subtotal = 0;
     
@@ -80,31 +90,69 @@ router.post('/', authenticate, authorize('student'), asyncHandler(async (req, re
             });
         }
         
-        if (product.stock < item.quantity) {
+        const quantity = parseInt(item.quantity);
+        if (!quantity || quantity < 1) {
             return res.status(400).json({
                 success: false,
-                message: `Insufficient stock for ${product.name}. Only ${product.stock} available.`
+                message: `Invalid quantity for ${product.name}`
             });
         }
         
-        const itemSubtotal = product.price * item.quantity;
+        const itemSubtotal = product.price * quantity;
         subtotal += itemSubtotal;
         
         orderItems.push({
             product_id: product.id,
             club_id: product.club_id,
+            category: product.category,
             product_name: product.name,
             price: product.price,
-            quantity: item.quantity,
+            quantity,
             subtotal: itemSubtotal
         });
     }
     
-    // Calculate shipping cost (district-based)
-    const dhakaDistricts = ['Dhaka', 'Gazipur', 'Narayanganj', 'Narsingdi', 'Manikganj', 'Munshiganj'];
-    const shippingCost = dhakaDistricts.includes(delivery_info.district) ? 60 : 100;
+    // Calculate shipping cost from the platform shipping rates
+    const shippingQuote = await shippingService.quote(orderItems, {
+        district: delivery_info.district,
+        division: delivery_info.division
+    }, courier);
     
-    const grandTotal = subtotal + shippingCost;
+    if (!shippingQuote.valid) {
+        return res.status(400).json({
+            success: false,
+            message: shippingQuote.message
+        });
+    }
+    
+    const shippingCost = shippingQuote.shipping_cost;
+    
+    // Re-validate coupon server-side (never trust the discount sent by the cart)
+    let coupon = null;
+    let discountAmount = 0;
+    
+    if (coupon_code) {
+        const couponResult = await Coupon.evaluate(coupon_code, {
+            userId: req.user.id,
+            items: orderItems,
+            shippingCost
+        });
+        
+        if (!couponResult.valid) {
+            return res.status(400).json({
+                success: false,
+                message: couponResult.message
+            });
+        }
+        
+        coupon = couponResult.coupon;
+        discountAmount = couponResult.discount_amount;
+        orderItems.forEach((orderItem, index) => {
+            orderItem.discount_amount = couponResult.item_discounts[index];
+        });
+    }
+    
+    const grandTotal = subtotal + shippingCost - discountAmount;
     
     // Upload payment screenshot if provided
     let screenshotUrl = null;
@@ -122,33 +170,78 @@ router.post('/', authenticate, authorize('student'), asyncHandler(async (req, re
     }
     
     // Create order
-    const order = await Order.create({
-        user_id: req.user.id,
-        items: orderItems,
-        total_amount: subtotal,
-        shipping_cost: shippingCost,
-        grand_total: grandTotal,
-        payment_method,
-        payment_screenshot_url: screenshotUrl,
-        transaction_id: transaction_id || null,
-        payment_status: payment_method === 'cash_on_delivery' ? 'pending' : 'pending',
-        delivery_name: delivery_info.full_name,
-        delivery_phone: delivery_info.phone,
-        delivery_address: delivery_info.address,
-        delivery_city: delivery_info.city,
-        delivery_district: delivery_info.district,
-        delivery_division: delivery_info.division,
-        delivery_postal_code: delivery_info.postal_code
-    });
+    let order;
+    try {
+        order = await Order.create({
+            user_id: req.user.id,
+            items: orderItems,
+            total_amount: subtotal,
+            shipping_cost: shippingCost,
+            shipping_courier: shippingQuote.courier,
+            shipments: shippingQuote.packages,
+            discount_amount: discountAmount,
+            coupon_id: coupon ? coupon.id : null,
+            coupon_code: coupon ? coupon.code : null,
+            grand_total: grandTotal,
+            payment_method,
+            payment_screenshot_url: screenshotUrl,
+            transaction_id: transaction_id || null,
+            payment_status: payment_method === 'cash_on_delivery' ? 'pending' : 'pending',
+            delivery_name: delivery_info.full_name,
+            delivery_phone: delivery_info.phone,
+            delivery_address: delivery_info.address,
+            delivery_city: delivery_info.city,
+            delivery_district: delivery_info.district,
+            delivery_division: delivery_info.division,
+            delivery_postal_code: delivery_info.postal_code
+        });
+    } catch (error) {
+        // Another checkout took the last units while this one was being prepared
+        if (error.unavailableItems) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                data: {
+                    unavailable_items: error.unavailableItems
+                }
+            });
+        }
+        throw error;
+    }
     
     // Get full order details with items
     const fullOrder = await Order.findById(order.id);
     
-    // Send confirmation email
-    try {
-        await sendOrderConfirmation(fullOrder, req.user);
-    } catch (emailError) {
-        console.error('Order confirmation email failed:', emailError);
+    // Notify the buyer (confirmation email carries the PDF invoice) and every seller
+    await notificationService.notify(req.user.id, 'order_placed', {
+        title: 'Order placed',
+        message: `Your order ${order.order_number} for ৳${grandTotal} has been placed.`,
+        link: `/order-detail.html?order=${order.order_number}`,
+        data: { order_id: order.id, order_number: order.order_number }
+    }, {
+        email: async () => {
+            const { invoiceNumber, pdf } = await invoiceService.generateInvoice(fullOrder);
+            await emailService.sendOrderConfirmation(fullOrder, req.user, [
+                { filename: `${invoiceNumber}.pdf`, content: pdf }
+            ]);
+        }
+    });
+    
+    for (const clubId of new Set(orderItems.map(item => item.club_id))) {
+        const clubItems = orderItems.filter(item => item.club_id === clubId);
+        await notificationService.notifyClub(clubId, 'new_order', {
+            title: 'New order received',
+            message: `Order ${order.order_number}: ${clubItems.map(item => `${item.product_name} × ${item.quantity}`).join(', ')}`,
+            link: `/order-fulfill.html?id=${order.id}`,
+            data: { order_id: order.id, order_number: order.order_number }
+        });
+    }
+    
+    // Push to open dashboards (buyer, sellers, super admins)
+    await realtimeService.publishOrder('order_created', order.id);
+    
+    if (screenshotUrl || transaction_id) {
+        await realtimeService.publishOrder('payment_submitted', order.id, { transaction_id: transaction_id || null });
     }
     
     // Clear user's cart
@@ -160,6 +253,7 @@ router.post('/', authenticate, authorize('student'), asyncHandler(async (req, re
         data: {
             order_number: order.order_number,
             order_id: order.id,
+            discount_amount: order.discount_amount,
             grand_total: order.grand_total,
             payment_method: order.payment_method,
             created_at: order.created_at
@@ -255,7 +349,7 @@ router.get('/:orderNumber', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // @route   PUT /api/orders/:id/confirm-delivery
-// @desc    Confirm order delivery
+// @desc    Confirm delivery of all shipped packages in an order
 // @access  Private (Student)
 router.put('/:id/confirm-delivery', authenticate, authorize('student'), asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id);
@@ -274,14 +368,20 @@ router.put('/:id/confirm-delivery', authenticate, authorize('student'), asyncHan
         });
     }
     
-    if (order.order_status !== 'shipped') {
+    if (!order.shipments.some(shipment => shipment.status === 'shipped')) {
         return res.status(400).json({
             success: false,
-            message: 'Order must be in shipped status to confirm delivery'
+            message: 'Order must have a shipped package to confirm delivery'
         });
     }
     
-    await Order.confirmDelivery(req.params.id);
+    const deliveries = await Order.confirmDelivery(req.params.id);
+    
+    for (const delivery of deliveries) {
+        await rewardService.awardSalesPoints(delivery.shipment.club_id, delivery.netAmount, order.id);
+    }
+    
+    await realtimeService.publishOrder('order_status_changed', order.id);
     
     res.json({
         success: true,
@@ -289,6 +389,206 @@ router.put('/:id/confirm-delivery', authenticate, authorize('student'), asyncHan
     });
 }));
 
+// @route   PUT /api/orders/:id/shipments/:shipmentId/confirm-delivery
+// @desc    Confirm delivery of one club's package
+// @access  Private (Student)
+router.put('/:id/shipments/:shipmentId/confirm-delivery', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const shipment = await Shipment.findById(req.params.shipmentId);
+    
+    if (!shipment || shipment.order_id !== parseInt(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Shipment not found'
+        });
+    }
+    
+    if (shipment.user_id !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied'
+        });
+    }
+    
+    if (shipment.status !== 'shipped') {
+        return res.status(400).json({
+            success: false,
+            message: 'Package must be shipped to confirm delivery'
+        });
+    }
+    
+    const result = await Shipment.confirmDelivery(shipment.id);
+    
+    if (result) {
+        await rewardService.awardSalesPoints(shipment.club_id, result.netAmount, shipment.order_id);
+        
+        await realtimeService.publishOrder('order_status_changed', shipment.order_id, {
+            shipment_id: shipment.id,
+            shipment_status: result.shipment.status
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: `Delivery from ${shipment.club_name} confirmed successfully`,
+        data: {
+            shipment_status: result ? result.shipment.status : shipment.status,
+            order_status: result ? result.orderStatus : null
+        }
+    });
+}));
+
+// @route   POST /api/orders/:id/returns
+// @desc    Request a return for delivered items (one request per seller)
+// @access  Private (Student)
+router.post('/:id/returns', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const { items, reason, description, images } = req.body;
+    
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Select at least one item to return'
+        });
+    }
+    
+    if (!ReturnRequest.REASONS.includes(reason)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please choose a valid return reason'
+        });
+    }
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order || order.user_id !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied'
+        });
+    }
+    
+    if (!['verified', 'partially_refunded'].includes(order.payment_status)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Returns are only available for paid orders'
+        });
+    }
+    
+    const requestedIds = items.map(item => parseInt(item.order_item_id));
+    const alreadyReturned = await ReturnRequest.getReturnedQuantities(requestedIds);
+    const windowMs = ReturnRequest.RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const returnItems = [];
+    
+    for (const item of items) {
+        const orderItem = order.items.find(i => i.id === parseInt(item.order_item_id));
+        const quantity = parseInt(item.quantity);
+        
+        if (!orderItem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Item not found in this order'
+            });
+        }
+        
+        if (orderItem.status !== 'delivered') {
+            return res.status(400).json({
+                success: false,
+                message: `${orderItem.product_name} has not been delivered`
+            });
+        }
+        
+        const shipment = order.shipments.find(s => s.id === orderItem.shipment_id);
+        if (shipment && shipment.delivered_at && Date.now() - new Date(shipment.delivered_at).getTime() > windowMs) {
+            return res.status(400).json({
+                success: false,
+                message: `The ${ReturnRequest.RETURN_WINDOW_DAYS}-day return window for ${orderItem.product_name} has closed`
+            });
+        }
+        
+        const returnable = orderItem.quantity - (alreadyReturned[orderItem.id] || 0);
+        if (!quantity || quantity < 1 || quantity > returnable) {
+            return res.status(400).json({
+                success: false,
+                message: `You can return up to ${returnable} of ${orderItem.product_name}`
+            });
+        }
+        
+        returnItems.push({
+            order_item_id: orderItem.id,
+            quantity,
+            club_id: orderItem.club_id,
+            shipment_id: orderItem.shipment_id
+        });
+    }
+    
+    // Upload return photos if provided
+    let imageUrls = [];
+    if (images && Array.isArray(images) && images.length > 0) {
+        for (const imageBase64 of images.slice(0, 5)) { // Max 5 images
+            try {
+                const buffer = Buffer.from(imageBase64.split(',')[1], 'base64');
+                const upload = await uploadImage(buffer, { 
+                    folder: 'robotics-marketplace/return-images',
+                    public_id: `return_${req.user.id}_${Date.now()}`
+                });
+                imageUrls.push(upload.url);
+            } catch (error) {
+                console.error('Return image upload failed:', error);
+            }
+        }
+    }
+    
+    const requests = await ReturnRequest.create(order, req.user.id, returnItems, {
+        reason,
+        description,
+        imageUrls
+    });
+    
+    for (const request of requests) {
+        await notificationService.notifyClub(request.club_id, 'return_request', {
+            title: 'New return request',
+            message: `Return ${request.return_number} was requested for order ${order.order_number}.`,
+            link: '/manage-orders.html',
+            data: { return_request_id: request.id, order_id: order.id }
+        });
+    }
+    
+    res.status(201).json({
+        success: true,
+        message: 'Return request submitted. The seller will review it shortly.',
+        data: requests.map(request => ({
+            id: request.id,
+            return_number: request.return_number,
+            status: request.status
+        }))
+    });
+}));
+
+// @route   GET /api/orders/:id/returns
+// @desc    Get return requests and refunds of an order
+// @access  Private (Student)
+router.get('/:id/returns', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order || order.user_id !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied'
+        });
+    }
+    
+    const returns = await ReturnRequest.findByOrderId(order.id);
+    const refunds = await ReturnRequest.getRefunds(order.id);
+    
+    res.json({
+        success: true,
+        data: {
+            returns,
+            refunds,
+            return_window_days: ReturnRequest.RETURN_WINDOW_DAYS
+        }
+    });
+}));
+
 // @route   GET /api/orders/:id/reviewable-items
 // @desc    Get items from delivered order that haven't been reviewed yet
 // @access  Private (Student)
@@ -303,7 +603,7 @@ router.get('/:id/reviewable-items', authenticate, authorize('student'), asyncHan
         });
     }
     
-    if (order.order_status !== 'delivered') {
+    if (!['delivered', 'partially_delivered'].includes(order.order_status)) {
         return res.status(400).json({
             success: false,
             message: 'Can only review delivered orders'
@@ -314,6 +614,9 @@ router.get('/:id/reviewable-items', authenticate, authorize('student'), asyncHan
     const reviewableItems = [];
     
     for (const item of order.items) {
+        // Only items from packages that have arrived can be reviewed
+        if (item.status !== 'delivered') continue;
+        
         // Check if already reviewed
         const existingReview = await db.getOne(
             'SELECT id FROM reviews WHERE order_item_id = $1 AND user_id = $2',
@@ -370,7 +673,7 @@ router.post('/:id/review', authenticate, authorize('student'), asyncHandler(asyn
         });
     }
     
-    if (order.order_status !== 'delivered') {
+    if (!['delivered', 'partially_delivered'].includes(order.order_status)) {
         return res.status(400).json({
             success: false,
             message: 'Can only review delivered orders'
@@ -386,6 +689,13 @@ router.post('/:id/review', authenticate, authorize('student'), asyncHandler(asyn
         });
     }
     
+    if (orderItem.status !== 'delivered') {
+        return res.status(400).json({
+            success: false,
+            message: 'This product has not been delivered yet'
+        });
+    }
+    
     // Check if already reviewed
     const existingReview = await db.getOne(
         'SELECT id FROM reviews WHERE order_item_id = $1 AND user_id = $2',
@@ -486,7 +796,7 @@ router.post('/:id/review', authenticate, authorize('student'), asyncHandler(asyn
         });
     }
     
-    if (order.order_status !== 'delivered') {
+    if (!['delivered', 'partially_delivered'].includes(order.order_status)) {
         return res.status(400).json({
             success: false,
             message: 'Can only review delivered orders'
@@ -502,6 +812,13 @@ router.post('/:id/review', authenticate, authorize('student'), asyncHandler(asyn
         });
     }
     
+    if (orderItem.status !== 'delivered') {
+        return res.status(400).json({
+            success: false,
+            message: 'This product has not been delivered yet'
+        });
+    }
+    
     // Check if already reviewed
     const existingReview = await db.getOne(
         'SELECT id FROM reviews WHERE order_item_id = $1 AND user_id = $2',
@@ -603,34 +920,28 @@ router.put('/:id/cancel', authenticate, authorize('student'), asyncHandler(async
         });
     }
     
-    // Update order status to cancelled
-    await db.query(
-        `UPDATE orders SET order_status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-        [req.params.id]
-    );
-    
-    // Update all order items to cancelled
-    await db.query(
-        `UPDATE order_items SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE order_id = $1`,
-        [req.params.id]
-    );
+    // Cancel order, restore stock, give the coupon back and refund a verified bKash/Nagad payment in one transaction
+    const cancelled = await Order.cancel(req.params.id);
     
-    // Restore product stock
-    for (const item of order.items) {
-        await db.query(
-            `UPDATE products SET stock = stock + $1 WHERE id = $2`,
-            [item.quantity, item.product_id]
-        );
+    if (!cancelled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Order is already cancelled'
+        });
     }
     
+    await realtimeService.publishOrder('order_status_changed', order.id);
+    
     res.json({
         success: true,
-        message: 'Order cancelled successfully'
+        message: cancelled.refund
+            ? `Order cancelled. ৳${cancelled.refund.refundAmount.toFixed(2)} will be refunded within 7-10 business days.`
+            : 'Order cancelled successfully'
     });
 }));
 
 // @route   GET /api/orders/:orderNumber/invoice
-// @desc    Get order invoice data
+// @desc    Download order invoice as PDF (?format=json returns the raw invoice data)
 // @access  Private
 router.get('/:orderNumber/invoice', authenticate, asyncHandler(async (req, res) => {
     const order = await Order.findByOrderNumber(req.params.orderNumber);
@@ -650,10 +961,28 @@ router.get('/:orderNumber/invoice', authenticate, asyncHandler(async (req, res)
         });
     }
     
-    // Return invoice data (frontend can generate PDF)
+    if (req.user.role === 'club_admin') {
+        const club = await db.getOne('SELECT id FROM clubs WHERE user_id = $1', [req.user.id]);
+        if (!club || !order.items.some(item => item.club_id === club.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+    }
+    
+    if (req.query.format !== 'json') {
+        const { invoiceNumber, pdf } = await invoiceService.generateInvoice(order);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoiceNumber}.pdf"`);
+        return res.send(pdf);
+    }
+    
     res.json({
         success: true,
         data: {
+            invoice_number: await invoiceService.getInvoiceNumber(order.id),
             order_number: order.order_number,
             order_date: order.created_at,
             customer: {
@@ -672,6 +1001,8 @@ router.get('/:orderNumber/invoice', authenticate, asyncHandler(async (req, res)
             items: order.items,
             subtotal: order.total_amount,
             shipping: order.shipping_cost,
+            discount: order.discount_amount,
+            coupon_code: order.coupon_code,
             total: order.grand_total,
             payment_method: order.payment_method,
             payment_status: order.payment_status
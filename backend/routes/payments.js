@@ -0,0 +1,193 @@
+// backend/routes/payments.js
+// Online payment routes for bKash/Nagad checkout, gateway callbacks and webhooks.
+// GLOBAL REFERENCE: API Endpoints → /api/payments/*, Payment Methods, Payment Service
+// PURPOSE: Start gateway payments for orders and apply gateway results exactly once.
+
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/orderModel');
+const PaymentTransaction = require('../models/paymentTransactionModel');
+const paymentService = require('../services/paymentService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/payments/config
+// @desc    Get which online payment gateways are available at checkout
+// @access  Public
+router.get('/config', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            bkash: paymentService.isGatewayEnabled('bkash'),
+            nagad: paymentService.isGatewayEnabled('nagad'),
+            sandbox: paymentService.sandbox
+        }
+    });
+}));
+
+// @route   POST /api/payments/:gateway/initiate
+// @desc    Start an online payment for an unpaid order
+// @access  Private (Student)
+router.post('/:gateway/initiate', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const { gateway } = req.params;
+    const { order_number } = req.body;
+
+    if (!PaymentTransaction.GATEWAYS.includes(gateway)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid payment gateway'
+        });
+    }
+
+    if (!paymentService.isGatewayEnabled(gateway)) {
+        return res.status(503).json({
+            success: false,
+            message: `Online ${paymentService.getPaymentMethodName(gateway)} payment is not available right now`
+        });
+    }
+
+    const order = order_number ? await Order.findByOrderNumber(order_number) : null;
+
+    if (!order || order.user_id !== req.user.id) {
+        return res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+    }
+
+    if (order.payment_method !== gateway) {
+        return res.status(400).json({
+            success: false,
+            message: `This order is not paid with ${paymentService.getPaymentMethodName(gateway)}`
+        });
+    }
+
+    if (order.payment_status !== 'pending' || order.order_status === 'cancelled') {
+        return res.status(400).json({
+            success: false,
+            message: 'This order cannot be paid online'
+        });
+    }
+
+    let payment;
+    try {
+        payment = await paymentService.startOnlinePayment(order, gateway);
+    } catch (error) {
+        return res.status(502).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            payment_id: payment.transaction.gateway_payment_id,
+            redirect_url: payment.redirectUrl
+        }
+    });
+}));
+
+// @route   GET /api/payments/bkash/callback
+// @desc    Buyer returns from bKash; confirm with bKash and redirect to the result page
+// @access  Public (bKash redirect)
+router.get('/bkash/callback', asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await paymentService.handleBkashCallback(req.query);
+    } catch (error) {
+        console.error('❌ bKash callback error:', error.message);
+        const transaction = req.query.paymentID
+            ? await PaymentTransaction.findByGatewayPaymentId('bkash', req.query.paymentID)
+            : null;
+        result = { orderNumber: transaction ? transaction.order_number : null, status: 'failed' };
+    }
+
+    res.redirect(paymentService.getResultUrl(result.orderNumber, result.status));
+}));
+
+// @route   GET /api/payments/nagad/callback
+// @desc    Buyer returns from Nagad; verify with Nagad and redirect to the result page
+// @access  Public (Nagad redirect)
+router.get('/nagad/callback', asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await paymentService.handleNagadCallback(req.query);
+    } catch (error) {
+        console.error('❌ Nagad callback error:', error.message);
+        const transaction = req.query.payment_ref_id
+            ? await PaymentTransaction.findByGatewayPaymentId('nagad', req.query.payment_ref_id)
+            : null;
+        result = { orderNumber: transaction ? transaction.order_number : null, status: 'failed' };
+    }
+
+    res.redirect(paymentService.getResultUrl(result.orderNumber, result.status));
+}));
+
+// @route   POST /api/payments/:gateway/webhook
+// @desc    Signed payment status notification from bKash/Nagad
+// @access  Public (X-Signature: HMAC-SHA256 of the raw body)
+router.post('/:gateway/webhook', asyncHandler(async (req, res) => {
+    const { gateway } = req.params;
+
+    if (!PaymentTransaction.GATEWAYS.includes(gateway)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Unknown payment gateway'
+        });
+    }
+
+    if (!paymentService.verifyWebhookSignature(gateway, req.rawBody, req.get('X-Signature'))) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid webhook signature'
+        });
+    }
+
+    const eventId = req.get('X-Event-Id') || null;
+    const result = gateway === 'bkash'
+        ? await paymentService.handleBkashWebhook(req.body, eventId)
+        : await paymentService.handleNagadWebhook(req.body, eventId);
+
+    res.json(result);
+}));
+
+// @route   GET /api/payments/orders/:orderNumber/status
+// @desc    Get payment status of an order (result page polling)
+// @access  Private (order owner)
+router.get('/orders/:orderNumber/status', authenticate, asyncHandler(async (req, res) => {
+    const order = await Order.findByOrderNumber(req.params.orderNumber);
+
+    if (!order || order.user_id !== req.user.id) {
+        return res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+    }
+
+    const payment = await PaymentTransaction.findLatestByOrderId(order.id);
+
+    res.json({
+        success: true,
+        data: {
+            order_number: order.order_number,
+            payment_method: order.payment_method,
+            payment_status: order.payment_status,
+            order_status: order.order_status,
+            grand_total: order.grand_total,
+            online_payment: payment ? {
+                gateway: payment.gateway,
+                status: payment.status,
+                transaction_id: payment.gateway_transaction_id,
+                failure_reason: payment.failure_reason,
+                updated_at: payment.updated_at
+            } : null,
+            can_pay_online: ['bkash', 'nagad'].includes(order.payment_method)
+                && order.payment_status === 'pending'
+                && order.order_status !== 'cancelled'
+                && paymentService.isGatewayEnabled(order.payment_method)
+        }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// backend/routes/shipping.js
+// Shipping quote routes for the cart and checkout pages.
+// GLOBAL REFERENCE: API Endpoints → /api/shipping/*, Shipping Service
+// PURPOSE: Expose server-side shipping rates so the frontend never calculates them locally.
+
+const express = require('express');
+const router = express.Router();
+const shippingService = require('../services/shippingService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @route   POST /api/shipping/quote
+// @desc    Get shipping cost and courier options for cart items
+// @access  Public
+router.post('/quote', asyncHandler(async (req, res) => {
+    const { items, district, division, courier } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Cart is empty'
+        });
+    }
+
+    const quote = await shippingService.quote(items, { district, division }, courier);
+
+    if (!quote.valid) {
+        return res.status(400).json({
+            success: false,
+            message: quote.message
+        });
+    }
+
+    res.json({
+        success: true,
+        data: quote
+    });
+}));
+
+// @route   GET /api/shipping/couriers
+// @desc    Get available courier options
+// @access  Public
+router.get('/couriers', asyncHandler(async (req, res) => {
+    const rates = await shippingService.getRates();
+
+    res.json({
+        success: true,
+        data: {
+            couriers: rates.couriers,
+            free_shipping_threshold: rates.free_shipping_threshold
+        }
+    });
+}));
+
+module.exports = router;
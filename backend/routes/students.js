@@ -8,6 +8,20 @@ const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticate, authorize } = require('../middleware/auth');
 const db = require('../config/database');
+const Coupon = require('../models/couponModel');
+const User = require('../models/userModel');
+const Registration = require('../models/registrationModel');
+const RegistrationMember = require('../models/registrationMemberModel');
+const teamService = require('../services/teamService');
+const waitlistService = require('../services/waitlistService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const Competition = require('../models/competitionModel');
+const CompetitionResult = require('../models/resultModel');
+const calendarService = require('../services/calendarService');
+const certificateService = require('../services/certificateService');
+const ticketService = require('../services/ticketService');
+const { uploadImage } = require('../config/cloudinary');
 
 // @route   GET /api/students/dashboard/stats
 // @desc    Get student dashboard statistics
@@ -16,7 +30,7 @@ router.get('/dashboard/stats', authenticate, authorize('student'), asyncHandler(
     // Get order stats
     const orderStats = await db.getOne(`
         SELECT 
-            COUNT(CASE WHEN order_status IN ('pending', 'confirmed', 'processing', 'shipped') THEN 1 END) as active_orders,
+            COUNT(CASE WHEN order_status IN ('pending', 'confirmed', 'processing', 'shipped', 'partially_shipped', 'partially_delivered') THEN 1 END) as active_orders,
             COUNT(CASE WHEN order_status = 'delivered' THEN 1 END) as completed_orders,
             COUNT(*) as total_orders,
             COALESCE(SUM(CASE WHEN order_status = 'delivered' THEN grand_total ELSE 0 END), 0) as total_spent
@@ -24,12 +38,14 @@ router.get('/dashboard/stats', authenticate, authorize('student'), asyncHandler(
         WHERE user_id = $1
     `, [req.user.id]);
     
-    // Get upcoming competitions
+    // Get upcoming competitions (as captain or teammate)
     const upcomingCompetitions = await db.getOne(`
         SELECT COUNT(*) as count
-        FROM competition_registrations cr
+        FROM registration_members rm
+        JOIN competition_registrations cr ON rm.registration_id = cr.id
         JOIN competitions c ON cr.competition_id = c.id
-        WHERE cr.user_id = $1 
+        WHERE rm.user_id = $1 
+            AND rm.status = 'accepted'
             AND c.competition_date >= CURRENT_DATE
             AND cr.registration_status = 'approved'
     `, [req.user.id]);
@@ -90,8 +106,8 @@ router.get('/orders-stats', authenticate, authorize('student'), asyncHandler(asy
 router.get('/competitions-stats', authenticate, authorize('student'), asyncHandler(async (req, res) => {
     const stats = await db.getOne(`
         SELECT COUNT(*) as total_registrations
-        FROM competition_registrations
-        WHERE user_id = $1
+        FROM registration_members
+        WHERE user_id = $1 AND status = 'accepted'
     `, [req.user.id]);
     
     res.json({
@@ -132,11 +148,35 @@ router.get('/registrations', authenticate, authorize('student'), asyncHandler(as
             c.competition_time,
             c.venue,
             c.club_id,
-            cl.club_name
+            c.team_size_min,
+            c.team_size_max,
+            c.registration_deadline,
+            c.status as competition_status,
+            cl.club_name,
+            CASE WHEN cr.user_id = $1 THEN 'captain' ELSE 'member' END as team_role,
+            (SELECT ce.verification_code FROM certificates ce WHERE ce.registration_id = cr.id AND ce.user_id = $1) as certificate_code,
+            (
+                SELECT COALESCE(json_agg(json_build_object(
+                    'id', rm.id,
+                    'user_id', rm.user_id,
+                    'full_name', COALESCE(mu.full_name, rm.invited_email),
+                    'role', rm.role,
+                    'status', rm.status
+                ) ORDER BY rm.role = 'captain' DESC, rm.id), '[]')
+                FROM registration_members rm
+                LEFT JOIN users mu ON rm.user_id = mu.id
+                WHERE rm.registration_id = cr.id AND rm.status != 'declined'
+            ) as members
         FROM competition_registrations cr
         JOIN competitions c ON cr.competition_id = c.id
         JOIN clubs cl ON c.club_id = cl.id
-        WHERE cr.user_id = $1
+        WHERE (
+            cr.user_id = $1
+            OR EXISTS (
+                SELECT 1 FROM registration_members rm
+                WHERE rm.registration_id = cr.id AND rm.user_id = $1 AND rm.status = 'accepted'
+            )
+        )
     `;
     
     const params = [req.user.id];
@@ -164,8 +204,19 @@ router.get('/registrations', authenticate, authorize('student'), asyncHandler(as
         registration_fee: row.registration_fee,
         payment_method: row.payment_method,
         payment_status: row.payment_status,
+        payment_submitted: !!(row.payment_screenshot_url || row.transaction_id),
         registration_status: row.registration_status,
+        waitlist_position: row.waitlist_position,
+        promoted_at: row.promoted_at,
+        payment_due_at: row.payment_due_at,
+        certificate_available: row.registration_status === 'approved'
+            && row.competition_status !== 'cancelled'
+            && new Date(row.competition_date) <= new Date(new Date().toDateString()),
+        certificate_code: row.certificate_code,
+        checked_in_at: row.checked_in_at,
         created_at: row.created_at,
+        team_role: row.team_role,
+        members: row.members,
         competition: {
             id: row.competition_id,
             title: row.competition_title,
@@ -174,7 +225,10 @@ router.get('/registrations', authenticate, authorize('student'), asyncHandler(as
             competition_time: row.competition_time,
             venue: row.venue,
             club_id: row.club_id,
-            club_name: row.club_name
+            club_name: row.club_name,
+            team_size_min: row.team_size_min,
+            team_size_max: row.team_size_max,
+            registration_deadline: row.registration_deadline
         }
     }));
     
@@ -185,6 +239,375 @@ router.get('/registrations', authenticate, authorize('student'), asyncHandler(as
     });
 }));
 
+// @route   PUT /api/students/registrations/:id/cancel
+// @desc    Withdraw a registration (the spot goes to the next team on the waitlist)
+// @access  Private (Student, team captain)
+router.put('/registrations/:id/cancel', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const registration = await Registration.findById(req.params.id);
+    
+    if (!registration || registration.user_id !== req.user.id) {
+        return res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+        });
+    }
+    
+    if (!['pending', 'approved', 'waitlisted'].includes(registration.registration_status)) {
+        return res.status(400).json({
+            success: false,
+            message: 'This registration can no longer be cancelled'
+        });
+    }
+    
+    if (new Date(registration.competition_date) < new Date(new Date().toDateString())) {
+        return res.status(400).json({
+            success: false,
+            message: 'This competition has already taken place'
+        });
+    }
+    
+    const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : null;
+    const cancelled = await Registration.cancel(registration.id, reason);
+    
+    if (!cancelled) {
+        return res.status(400).json({
+            success: false,
+            message: 'This registration can no longer be cancelled'
+        });
+    }
+    
+    await Competition.updateRegistrationCount(registration.competition_id);
+    await Registration.compactWaitlist(registration.competition_id);
+    
+    await realtimeService.publishRegistration('registration_status_changed', registration.id);
+    
+    // Tell the teammates and the organizing club
+    for (const userId of await RegistrationMember.getMemberUserIds(registration.id)) {
+        if (userId === req.user.id) continue;
+        
+        await notificationService.notify(userId, 'registration_update', {
+            title: 'Registration cancelled',
+            message: `${req.user.full_name} withdrew team ${registration.team_name} from "${registration.competition_title}".`,
+            link: '/my-registrations.html',
+            data: { registration_id: registration.id, competition_id: registration.competition_id }
+        });
+    }
+    
+    await notificationService.notifyClub(registration.club_id, 'new_registration', {
+        title: 'Registration cancelled',
+        message: `Team ${registration.team_name} withdrew from "${registration.competition_title}".${reason ? ` Reason: ${reason}` : ''}`,
+        link: `/competition-registrations.html?id=${registration.competition_id}`,
+        data: { registration_id: registration.id, competition_id: registration.competition_id }
+    });
+    
+    // A held spot opened up
+    if (registration.registration_status !== 'waitlisted') {
+        await waitlistService.promoteNext(registration.competition_id);
+    }
+    
+    res.json({
+        success: true,
+        message: 'Registration cancelled'
+    });
+}));
+
+// @route   PUT /api/students/registrations/:id/payment
+// @desc    Submit payment proof for a registration (e.g. after moving up from the waitlist)
+// @access  Private (Student, team captain)
+router.put('/registrations/:id/payment', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const { payment_method, transaction_id, payment_screenshot } = req.body;
+    
+    const registration = await Registration.findById(req.params.id);
+    
+    if (!registration || registration.user_id !== req.user.id) {
+        return res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+        });
+    }
+    
+    if (registration.registration_status !== 'pending' || registration.payment_status === 'verified') {
+        return res.status(400).json({
+            success: false,
+            message: 'This registration is not waiting for payment'
+        });
+    }
+    
+    if (!['bkash', 'nagad'].includes(payment_method) || !transaction_id || !payment_screenshot) {
+        return res.status(400).json({
+            success: false,
+            message: 'Choose bKash or Nagad and provide the transaction ID and a payment screenshot'
+        });
+    }
+    
+    let screenshotUrl;
+    try {
+        const buffer = Buffer.from(String(payment_screenshot).split(',')[1] || '', 'base64');
+        const upload = await uploadImage(buffer, {
+            folder: 'robotics-marketplace/payment-screenshots',
+            public_id: `payment_${registration.competition_id}_${req.user.id}_${Date.now()}`
+        });
+        screenshotUrl = upload.url;
+    } catch (error) {
+        console.error('Payment screenshot upload failed:', error);
+        return res.status(502).json({
+            success: false,
+            message: 'Could not upload the payment screenshot. Please try again.'
+        });
+    }
+    
+    const updated = await Registration.submitPayment(registration.id, {
+        payment_method,
+        transaction_id: String(transaction_id).trim(),
+        payment_screenshot_url: screenshotUrl
+    });
+    
+    if (!updated) {
+        return res.status(400).json({
+            success: false,
+            message: 'This registration is not waiting for payment'
+        });
+    }
+    
+    await realtimeService.publishRegistration('payment_submitted', registration.id, { transaction_id: updated.transaction_id });
+    
+    await notificationService.notifyClub(registration.club_id, 'new_registration', {
+        title: 'Registration payment submitted',
+        message: `Team ${registration.team_name} submitted payment for "${registration.competition_title}".`,
+        link: `/competition-registrations.html?id=${registration.competition_id}`,
+        data: { registration_id: registration.id, competition_id: registration.competition_id }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Payment submitted. The organizers will verify it shortly.',
+        data: updated
+    });
+}));
+
+// @route   GET /api/students/registrations/:id/ticket
+// @desc    Get the QR ticket of an approved registration (shown at the venue check-in desk)
+// @access  Private (Student - accepted team members)
+router.get('/registrations/:id/ticket', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const registration = await Registration.findById(req.params.id);
+    const memberIds = registration ? await RegistrationMember.getMemberUserIds(registration.id) : [];
+    
+    if (!memberIds.includes(req.user.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+        });
+    }
+    
+    if (registration.registration_status !== 'approved') {
+        return res.status(400).json({
+            success: false,
+            message: 'Tickets are issued once the organizers approve your registration'
+        });
+    }
+    
+    const { qr_png, ...ticket } = await ticketService.getTicket(registration);
+    
+    res.json({
+        success: true,
+        data: {
+            ...ticket,
+            team_name: registration.team_name,
+            competition: {
+                id: registration.competition_id,
+                title: registration.competition_title,
+                competition_date: registration.competition_date,
+                competition_time: registration.competition_time,
+                venue: registration.venue
+            }
+        }
+    });
+}));
+
+// @route   GET /api/students/registrations/:id/certificate
+// @desc    Download the student's participation or winner certificate as PDF
+// @access  Private (Student - accepted team members)
+router.get('/registrations/:id/certificate', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const registration = await Registration.findById(req.params.id);
+    const memberIds = registration ? await RegistrationMember.getMemberUserIds(registration.id) : [];
+    
+    if (!memberIds.includes(req.user.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+        });
+    }
+    
+    const competition = await db.getOne('SELECT * FROM competitions WHERE id = $1', [registration.competition_id]);
+    const certificate = await certificateService.getForMember(registration, competition, req.user.id);
+    const pdf = await certificateService.generatePdf([certificate]);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.verification_code}.pdf"`);
+    res.send(pdf);
+}));
+
+// @route   POST /api/students/registrations/:id/team/invitations
+// @desc    Invite teammates by email or student ID
+// @access  Private (Student, team captain)
+router.post('/registrations/:id/team/invitations', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const { invites } = req.body;
+    
+    if (!Array.isArray(invites) || invites.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Enter at least one teammate email or student ID'
+        });
+    }
+    
+    const registration = await Registration.findById(req.params.id);
+    
+    if (!registration || registration.user_id !== req.user.id) {
+        return res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+        });
+    }
+    
+    if (!['pending', 'approved', 'waitlisted'].includes(registration.registration_status)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Teammates can only be invited to active registrations'
+        });
+    }
+    
+    const competition = await Competition.findById(registration.competition_id);
+    
+    if (new Date(competition.competition_date) < new Date(new Date().toDateString())) {
+        return res.status(400).json({
+            success: false,
+            message: 'This competition has already taken place'
+        });
+    }
+    
+    const invitees = await teamService.prepareInvites(competition, invites, req.user.id, registration);
+    const invitations = await teamService.sendInvites(invitees, registration, competition, req.user);
+    
+    res.status(201).json({
+        success: true,
+        message: invitations.length === 1 ? 'Invitation sent' : `${invitations.length} invitations sent`,
+        data: await RegistrationMember.findByRegistrationId(registration.id)
+    });
+}));
+
+// @route   DELETE /api/students/registrations/:id/team/members/:memberId
+// @desc    Remove a teammate or withdraw an invitation (captain), or leave the team (member)
+// @access  Private (Student)
+router.delete('/registrations/:id/team/members/:memberId', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const member = await RegistrationMember.findById(req.params.memberId);
+    
+    if (!member || member.registration_id !== parseInt(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Team member not found'
+        });
+    }
+    
+    await teamService.removeMember(member.id, req.user);
+    
+    res.json({
+        success: true,
+        message: member.user_id === req.user.id ? 'You left the team' : 'Removed from the team'
+    });
+}));
+
+// @route   GET /api/students/team-invitations
+// @desc    Get open team invitations
+// @access  Private (Student)
+router.get('/team-invitations', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const invitations = await RegistrationMember.findInvitationsForUser(req.user.id, req.user.email);
+    
+    res.json({
+        success: true,
+        data: invitations
+    });
+}));
+
+// @route   PUT /api/students/team-invitations/:id/accept
+// @desc    Join a team
+// @access  Private (Student)
+router.put('/team-invitations/:id/accept', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    await teamService.respond(req.params.id, req.user, true);
+    
+    res.json({
+        success: true,
+        message: 'You joined the team'
+    });
+}));
+
+// @route   PUT /api/students/team-invitations/:id/decline
+// @desc    Decline a team invitation
+// @access  Private (Student)
+router.put('/team-invitations/:id/decline', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    await teamService.respond(req.params.id, req.user, false);
+    
+    res.json({
+        success: true,
+        message: 'Invitation declined'
+    });
+}));
+
+// @route   GET /api/students/badges
+// @desc    Podium badges earned in competitions
+// @access  Private (Student)
+router.get('/badges', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const badges = await CompetitionResult.findBadgesByUserId(req.user.id);
+    
+    res.json({
+        success: true,
+        data: badges
+    });
+}));
+
+// @route   GET /api/students/calendar
+// @desc    Get the private calendar feed URL of approved registrations
+// @access  Private (Student)
+router.get('/calendar', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const token = await User.getCalendarToken(req.user.id);
+    
+    res.json({
+        success: true,
+        data: calendarService.getFeedUrls(token)
+    });
+}));
+
+// @route   POST /api/students/calendar/reset
+// @desc    Replace the calendar feed URL (the old one stops working)
+// @access  Private (Student)
+router.post('/calendar/reset', authenticate, authorize('student'), asyncHandler(async (req, res) => {
+    const token = await User.resetCalendarToken(req.user.id);
+    
+    res.json({
+        success: true,
+        message: 'Calendar link reset. Subscribe again with the new link.',
+        data: calendarService.getFeedUrls(token)
+    });
+}));
+
+// @route   GET /api/students/calendar/:token.ics
+// @desc    Calendar feed of a student's approved registrations
+// @access  Public (private token in the URL - calendar apps cannot send auth headers)
+router.get('/calendar/:token.ics', asyncHandler(async (req, res) => {
+    const user = await User.findByCalendarToken(req.params.token);
+    
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'Calendar not found'
+        });
+    }
+    
+    const competitions = await Competition.findForUserCalendar(user.id);
+    const calendar = calendarService.buildCompetitionFeed(competitions, 'My Competitions');
+    
+    calendarService.send(res, calendar, 'my-competitions.ics');
+}));
+
 // @route   GET /api/students/cart
 // @desc    Get cart items
 // @access  Private (Any authenticated user)
@@ -738,7 +1161,7 @@ router.get('/orders', authenticate, authorize('student'), asyncHandler(async (re
 // @desc    Apply coupon code to cart
 // @access  Private
 router.post('/apply-coupon', authenticate, asyncHandler(async (req, res) => {
-    const { code, cart_total } = req.body;
+    const { code } = req.body;
     
     if (!code) {
         return res.status(400).json({
@@ -747,52 +1170,49 @@ router.post('/apply-coupon', authenticate, asyncHandler(async (req, res) => {
         });
     }
     
-    // Validate coupon code (hardcoded for now - you can add a coupons table later)
-    const validCoupons = {
-        'WELCOME10': { discount: 0.10, min_amount: 500, max_discount: 100 },
-        'ROBOT20': { discount: 0.20, min_amount: 1000, max_discount: 200 },
-        'SAVE50': { discount: 50, min_amount: 300, max_discount: 50 }, // Fixed amount
-        'FREESHIP': { discount: 0, min_amount: 0, max_discount: 0, free_shipping: true }
-    };
-    
-    const coupon = validCoupons[code.toUpperCase()];
+    // Validate against the student's saved cart so club/category scoped coupons can be checked
+    const cartItems = await db.getMany(`
+        SELECT 
+            p.club_id,
+            p.category,
+            p.price * ci.quantity as subtotal
+        FROM cart_items ci
+        JOIN products p ON ci.product_id = p.id
+        WHERE ci.user_id = $1 AND p.status = 'active'
+    `, [req.user.id]);
     
-    if (!coupon) {
+    if (cartItems.length === 0) {
         return res.status(400).json({
             success: false,
-            message: 'Invalid coupon code'
+            message: 'Your cart is empty'
         });
     }
     
-    if (cart_total < coupon.min_amount) {
+    const result = await Coupon.evaluate(code, {
+        userId: req.user.id,
+        items: cartItems
+    });
+    
+    if (!result.valid) {
         return res.status(400).json({
             success: false,
-            message: `Minimum cart value of ৳${coupon.min_amount} required for this coupon`
+            message: result.message
         });
     }
     
-    // Calculate discount
-    let discount_amount = 0;
-    
-    if (coupon.free_shipping) {
-        // Free shipping coupon
-        discount_amount = 0; // Frontend will handle free shipping
-    } else if (coupon.discount < 1) {
-        // Percentage discount
-        discount_amount = Math.min(cart_total * coupon.discount, coupon.max_discount);
-    } else {
-        // Fixed amount discount
-        discount_amount = Math.min(coupon.discount, coupon.max_discount);
-    }
+    const message = result.free_shipping
+        ? 'Coupon applied successfully! Shipping is free for this order'
+        : `Coupon applied successfully! You saved ৳${Math.round(result.discount_amount)}`;
     
     res.json({
         success: true,
         data: {
             success: true,
-            code: code.toUpperCase(),
-            discount_amount: Math.round(discount_amount),
-            free_shipping: coupon.free_shipping || false,
-            message: `Coupon applied successfully! You saved ৳${Math.round(discount_amount)}`
+            code: result.coupon.code,
+            discount_type: result.coupon.discount_type,
+            discount_amount: Math.round(result.discount_amount),
+            free_shipping: result.free_shipping,
+            message
         }
     });
 }));
@@ -11,9 +11,19 @@ const Product = require('../models/productModel');
 const Competition = require('../models/competitionModel');
 const Order = require('../models/orderModel');
 const Reward = require('../models/rewardModel');
+const Coupon = require('../models/couponModel');
+const Payout = require('../models/payoutModel');
+const PayoutMethod = require('../models/payoutMethodModel');
+const EmailOutbox = require('../models/emailOutboxModel');
+const ScheduledJob = require('../models/scheduledJobModel');
+const CompetitionReminder = require('../models/competitionReminderModel');
+const payoutService = require('../services/payoutService');
+const notificationService = require('../services/notificationService');
+const emailOutbox = require('../services/emailOutboxService');
+const schedulerService = require('../services/schedulerService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticate, authorize } = require('../middleware/auth');
-const { sendClubApproved, sendClubRejected } = require('../config/email');
+const emailService = require('../services/emailService');
 const db = require('../config/database');
 
 // Public stats endpoint (no auth required) - must be BEFORE the auth middleware
@@ -235,12 +245,15 @@ router.put('/clubs/:id/approve', asyncHandler(async (req, res) => {
     // Get user info
     const user = await User.findById(club.user_id);
     
-    // Send approval email
-    try {
-        await sendClubApproved(club, user);
-    } catch (emailError) {
-        console.error('Approval email failed:', emailError);
-    }
+    // Notify the club admin (with the approval email)
+    await notificationService.notify(club.user_id, 'club_status', {
+        title: 'Club approved',
+        message: `${club.club_name} is approved. You can now list products and host competitions.`,
+        link: '/club-dashboard.html',
+        data: { club_id: club.id }
+    }, {
+        email: () => emailService.sendClubApproved(club, user)
+    });
     
     // Log activity
     await db.query(
@@ -281,12 +294,15 @@ router.put('/clubs/:id/reject', asyncHandler(async (req, res) => {
     // Get user info
     const user = await User.findById(club.user_id);
     
-    // Send rejection email
-    try {
-        await sendClubRejected(club, user, reason);
-    } catch (emailError) {
-        console.error('Rejection email failed:', emailError);
-    }
+    // Notify the club admin (with the rejection email)
+    await notificationService.notify(club.user_id, 'club_status', {
+        title: 'Club application rejected',
+        message: `${club.club_name} was not approved: ${reason}`,
+        link: '/club-dashboard.html',
+        data: { club_id: club.id }
+    }, {
+        email: () => emailService.sendClubRejected(club, user, reason)
+    });
     
     // Log activity
     await db.query(
@@ -411,6 +427,13 @@ router.put('/clubs/:id/suspend', asyncHandler(async (req, res) => {
         [req.user.id, 'club_suspended', `Suspended club: ${club.club_name} (ID: ${req.params.id}) - Reason: ${reason || 'Not specified'}`]
     );
     
+    await notificationService.notify(club.user_id, 'club_status', {
+        title: 'Club suspended',
+        message: `${club.club_name} has been suspended${reason ? `: ${reason}` : ''}. Contact support for details.`,
+        link: '/club-dashboard.html',
+        data: { club_id: club.id }
+    });
+    
     res.json({
         success: true,
         message: 'Club suspended successfully'
@@ -682,11 +705,20 @@ router.get('/products', asyncHandler(async (req, res) => {
 router.put('/products/:id/suspend', asyncHandler(async (req, res) => {
     const { reason } = req.body;
     
-    await db.query(
-        'UPDATE products SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    const product = await db.getOne(
+        'UPDATE products SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, club_id, name',
         ['suspended', req.params.id]
     );
     
+    if (product) {
+        await notificationService.notifyClub(product.club_id, 'moderation', {
+            title: 'Product suspended',
+            message: `"${product.name}" was suspended by the platform${reason ? `: ${reason}` : ''}.`,
+            link: '/manage-products.html',
+            data: { product_id: product.id }
+        });
+    }
+    
     // Log activity
     await db.query(
         'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
@@ -703,11 +735,20 @@ router.put('/products/:id/suspend', asyncHandler(async (req, res) => {
 // @desc    Unsuspend product
 // @access  Private (Super Admin)
 router.put('/products/:id/unsuspend', asyncHandler(async (req, res) => {
-    await db.query(
-        'UPDATE products SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    const product = await db.getOne(
+        'UPDATE products SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, club_id, name',
         ['active', req.params.id]
     );
     
+    if (product) {
+        await notificationService.notifyClub(product.club_id, 'moderation', {
+            title: 'Product reinstated',
+            message: `"${product.name}" is active again.`,
+            link: '/manage-products.html',
+            data: { product_id: product.id }
+        });
+    }
+    
     // Log activity
     await db.query(
         'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
@@ -849,11 +890,20 @@ router.put('/competitions/:id/feature', asyncHandler(async (req, res) => {
 router.put('/competitions/:id/suspend', asyncHandler(async (req, res) => {
     const { reason, notify_club } = req.body;
     
-    await db.query(
-        'UPDATE competitions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    const competition = await db.getOne(
+        'UPDATE competitions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, club_id, title',
         ['suspended', req.params.id]
     );
     
+    if (competition && notify_club !== false) {
+        await notificationService.notifyClub(competition.club_id, 'moderation', {
+            title: 'Competition suspended',
+            message: `"${competition.title}" was suspended by the platform${reason ? `: ${reason}` : ''}.`,
+            link: '/manage-competitions.html',
+            data: { competition_id: competition.id }
+        });
+    }
+    
     // Log activity
     await db.query(
         'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
@@ -870,11 +920,20 @@ router.put('/competitions/:id/suspend', asyncHandler(async (req, res) => {
 // @desc    Unsuspend competition
 // @access  Private (Super Admin)
 router.put('/competitions/:id/unsuspend', asyncHandler(async (req, res) => {
-    await db.query(
-        'UPDATE competitions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    const competition = await db.getOne(
+        'UPDATE competitions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, club_id, title',
         ['active', req.params.id]
     );
     
+    if (competition) {
+        await notificationService.notifyClub(competition.club_id, 'moderation', {
+            title: 'Competition reinstated',
+            message: `"${competition.title}" is active again.`,
+            link: '/manage-competitions.html',
+            data: { competition_id: competition.id }
+        });
+    }
+    
     // Log activity
     await db.query(
         'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
@@ -1061,6 +1120,167 @@ router.get('/orders/:id', asyncHandler(async (req, res) => {
     });
 }));
 
+// ============= COUPONS =============
+
+// @route   GET /api/super-admin/coupons
+// @desc    Get all coupons (platform and club coupons)
+// @access  Private (Super Admin)
+router.get('/coupons', asyncHandler(async (req, res) => {
+    const filters = {
+        club_id: req.query.club_id,
+        platform_only: req.query.scope === 'platform',
+        search: req.query.search,
+        is_active: req.query.is_active !== undefined ? req.query.is_active === 'true' : undefined,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+    };
+    
+    const coupons = await Coupon.findAll(filters);
+    const totalCount = await Coupon.count(filters);
+    
+    res.json({
+        success: true,
+        data: coupons,
+        pagination: {
+            page: filters.page,
+            limit: filters.limit,
+            total: totalCount,
+            totalPages: Math.ceil(totalCount / filters.limit)
+        }
+    });
+}));
+
+// @route   GET /api/super-admin/coupons/:id
+// @desc    Get coupon details with redemption statistics
+// @access  Private (Super Admin)
+router.get('/coupons/:id', asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    
+    if (!coupon) {
+        return res.status(404).json({
+            success: false,
+            message: 'Coupon not found'
+        });
+    }
+    
+    const statistics = await Coupon.getStatistics(coupon.id);
+    
+    res.json({
+        success: true,
+        data: {
+            ...coupon,
+            statistics
+        }
+    });
+}));
+
+// @route   POST /api/super-admin/coupons
+// @desc    Create coupon
+// @access  Private (Super Admin)
+router.post('/coupons', asyncHandler(async (req, res) => {
+    const validationMessage = Coupon.validateData(req.body);
+    if (validationMessage) {
+        return res.status(400).json({
+            success: false,
+            message: validationMessage
+        });
+    }
+    
+    if (await Coupon.codeExists(req.body.code)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Coupon code already exists'
+        });
+    }
+    
+    const coupon = await Coupon.create({
+        ...req.body,
+        created_by: req.user.id
+    });
+    
+    // Log activity
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'coupon_created', `Created coupon: ${coupon.code}`]
+    );
+    
+    res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        data: coupon
+    });
+}));
+
+// @route   PUT /api/super-admin/coupons/:id
+// @desc    Update coupon
+// @access  Private (Super Admin)
+router.put('/coupons/:id', asyncHandler(async (req, res) => {
+    const existing = await Coupon.findById(req.params.id);
+    
+    if (!existing) {
+        return res.status(404).json({
+            success: false,
+            message: 'Coupon not found'
+        });
+    }
+    
+    const validationMessage = Coupon.validateData({ ...existing, ...req.body }, true);
+    if (validationMessage) {
+        return res.status(400).json({
+            success: false,
+            message: validationMessage
+        });
+    }
+    
+    if (req.body.code && await Coupon.codeExists(req.body.code, req.params.id)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Coupon code already exists'
+        });
+    }
+    
+    const coupon = await Coupon.update(req.params.id, req.body);
+    
+    // Log activity
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'coupon_updated', `Updated coupon: ${coupon.code}`]
+    );
+    
+    res.json({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: coupon
+    });
+}));
+
+// @route   DELETE /api/super-admin/coupons/:id
+// @desc    Delete coupon (used coupons are deactivated)
+// @access  Private (Super Admin)
+router.delete('/coupons/:id', asyncHandler(async (req, res) => {
+    const coupon = await Coupon.delete(req.params.id);
+    
+    if (!coupon) {
+        return res.status(404).json({
+            success: false,
+            message: 'Coupon not found'
+        });
+    }
+    
+    // Log activity
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'coupon_deleted', `${coupon.deactivated ? 'Deactivated used' : 'Deleted'} coupon: ${coupon.code}`]
+    );
+    
+    res.json({
+        success: true,
+        message: coupon.deactivated
+            ? 'Coupon has been used, so it was deactivated instead of deleted'
+            : 'Coupon deleted successfully'
+    });
+}));
+
 // ============= FINANCIAL MANAGEMENT =============
 
 // @route   GET /api/super-admin/financials/overview
@@ -1234,6 +1454,187 @@ router.get('/activity-logs', asyncHandler(async (req, res) => {
     });
 }));
 
+// ============= EMAIL OUTBOX =============
+
+// @route   GET /api/super-admin/emails
+// @desc    Search the email delivery log (status, search by recipient/subject, date range)
+// @access  Private (Super Admin)
+router.get('/emails', asyncHandler(async (req, res) => {
+    const { status, search, date_from, date_to, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const filters = { status, search, date_from, date_to };
+    
+    const emails = await EmailOutbox.findAll({
+        ...filters,
+        limit: pageSize,
+        offset: (parseInt(page) - 1) * pageSize
+    });
+    const total = await EmailOutbox.count(filters);
+    const counts = await EmailOutbox.getStatusCounts();
+    
+    res.json({
+        success: true,
+        data: {
+            emails,
+            counts,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / pageSize),
+                total_items: total,
+                items_per_page: pageSize
+            }
+        }
+    });
+}));
+
+// @route   GET /api/super-admin/emails/templates
+// @desc    List email templates and the locales each one has
+// @access  Private (Super Admin)
+router.get('/emails/templates', asyncHandler(async (req, res) => {
+    const templates = await emailService.listTemplates();
+    
+    res.json({
+        success: true,
+        data: { templates }
+    });
+}));
+
+// @route   GET /api/super-admin/emails/templates/:name/preview
+// @desc    Render a template with sample data (?locale=en|bn) → subject, html and text part
+// @access  Private (Super Admin)
+router.get('/emails/templates/:name/preview', asyncHandler(async (req, res) => {
+    const preview = await emailService.preview(req.params.name, req.query.locale);
+    
+    if (!preview) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: preview
+    });
+}));
+
+// @route   GET /api/super-admin/emails/:id
+// @desc    Get one logged email with its rendered HTML
+// @access  Private (Super Admin)
+router.get('/emails/:id', asyncHandler(async (req, res) => {
+    const email = await EmailOutbox.findById(req.params.id);
+    
+    if (!email) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email not found'
+        });
+    }
+    
+    const { attachments, ...details } = email;
+    
+    res.json({
+        success: true,
+        data: {
+            ...details,
+            attachments: (attachments || []).map(attachment => attachment.filename)
+        }
+    });
+}));
+
+// @route   POST /api/super-admin/emails/:id/resend
+// @desc    Queue a copy of a logged email
+// @access  Private (Super Admin)
+router.post('/emails/:id/resend', asyncHandler(async (req, res) => {
+    const copy = await emailOutbox.resend(req.params.id);
+    
+    if (!copy) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email not found'
+        });
+    }
+    
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'email_resent', `Resent email #${req.params.id} to ${copy.to_email}`]
+    );
+    
+    res.json({
+        success: true,
+        message: `Email queued for ${copy.to_email}`,
+        data: { id: copy.id }
+    });
+}));
+
+// ============= SCHEDULED JOBS =============
+
+// @route   GET /api/super-admin/jobs
+// @desc    List scheduled jobs with their next run and latest result
+// @access  Private (Super Admin)
+router.get('/jobs', asyncHandler(async (req, res) => {
+    const jobs = await schedulerService.getJobs();
+
+    res.json({
+        success: true,
+        data: { jobs }
+    });
+}));
+
+// @route   GET /api/super-admin/jobs/runs
+// @desc    Job run history (filter by job_name, status, trigger_type)
+// @access  Private (Super Admin)
+router.get('/jobs/runs', asyncHandler(async (req, res) => {
+    const { job_name, status, trigger_type, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const filters = { job_name, status, trigger_type };
+
+    const runs = await ScheduledJob.findRuns({
+        ...filters,
+        limit: pageSize,
+        offset: (parseInt(page) - 1) * pageSize
+    });
+    const total = await ScheduledJob.countRuns(filters);
+
+    res.json({
+        success: true,
+        data: {
+            runs,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / pageSize),
+                total_items: total,
+                items_per_page: pageSize
+            }
+        }
+    });
+}));
+
+// @route   POST /api/super-admin/jobs/:name/run
+// @desc    Run a job now and wait for the result
+// @access  Private (Super Admin)
+router.post('/jobs/:name/run', asyncHandler(async (req, res) => {
+    const run = await schedulerService.runNow(req.params.name, req.user.id);
+
+    if (!run) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job not found'
+        });
+    }
+
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'job_triggered', `Ran scheduled job ${req.params.name} (${run.status})`]
+    );
+
+    res.json({
+        success: run.status === 'succeeded',
+        message: run.status === 'succeeded' ? `Job ${req.params.name} finished` : `Job ${req.params.name} failed: ${run.error}`,
+        data: { run }
+    });
+}));
+
 // ============= PLATFORM SETTINGS =============
 
 // @route   GET /api/super-admin/settings
@@ -1406,77 +1807,129 @@ router.put('/settings/commission', asyncHandler(async (req, res) => {
     res.json({ success: true, message: 'Commission settings updated successfully' });
 }));
 
+// @route   GET /api/super-admin/settings/payouts
+// @desc    Get payout rules (minimum amount and schedule)
+// @access  Private (Super Admin)
+router.get('/settings/payouts', asyncHandler(async (req, res) => {
+    const settings = await Payout.getSettings();
+    const nextRun = Payout.getNextRunDate(settings);
+    res.json({ success: true, settings: settings, next_run_date: nextRun });
+}));
+
+// @route   PUT /api/super-admin/settings/payouts
+// @desc    Update payout rules
+// @access  Private (Super Admin)
+router.put('/settings/payouts', asyncHandler(async (req, res) => {
+    const { settings } = req.body;
+    
+    const validationMessage = settings ? Payout.validateSettings(settings) : 'Settings are required';
+    if (validationMessage) {
+        return res.status(400).json({
+            success: false,
+            message: validationMessage
+        });
+    }
+    
+    const saved = await Payout.saveSettings(settings);
+    await db.query('INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)', [req.user.id, 'settings_updated', 'Updated payout settings']);
+    res.json({ success: true, message: 'Payout settings updated successfully', settings: saved, next_run_date: Payout.getNextRunDate(saved) });
+}));
+
+// @route   GET /api/super-admin/settings/reminders
+// @desc    Get competition reminder offsets
+// @access  Private (Super Admin)
+router.get('/settings/reminders', asyncHandler(async (req, res) => {
+    const settings = await CompetitionReminder.getSettings();
+    res.json({ success: true, settings: settings });
+}));
+
+// @route   PUT /api/super-admin/settings/reminders
+// @desc    Update competition reminder offsets
+// @access  Private (Super Admin)
+router.put('/settings/reminders', asyncHandler(async (req, res) => {
+    const { settings } = req.body;
+    
+    const validationMessage = settings ? CompetitionReminder.validateSettings(settings) : 'Settings are required';
+    if (validationMessage) {
+        return res.status(400).json({
+            success: false,
+            message: validationMessage
+        });
+    }
+    
+    const saved = await CompetitionReminder.saveSettings(settings);
+    await db.query('INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)', [req.user.id, 'settings_updated', 'Updated competition reminder settings']);
+    res.json({ success: true, message: 'Reminder settings updated successfully', settings: saved });
+}));
+
+// @route   GET /api/super-admin/payout-methods
+// @desc    Get club payout methods (filter by ?status=pending for the verification queue)
+// @access  Private (Super Admin)
+router.get('/payout-methods', asyncHandler(async (req, res) => {
+    const methods = await PayoutMethod.findAll({ status: req.query.status });
+    res.json({ success: true, methods: methods });
+}));
+
+// @route   PUT /api/super-admin/payout-methods/:id/verify
+// @desc    Verify a club payout method
+// @access  Private (Super Admin)
+router.put('/payout-methods/:id/verify', asyncHandler(async (req, res) => {
+    const method = await PayoutMethod.verify(req.params.id, req.user.id);
+    
+    if (!method) {
+        return res.status(404).json({
+            success: false,
+            message: 'Payout method not found'
+        });
+    }
+    
+    await db.query('INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)', [req.user.id, 'payout_method_verified', `Verified payout method ${PayoutMethod.describe(method)} for club ID: ${method.club_id}`]);
+    await notificationService.notifyClub(method.club_id, 'payout_update', {
+        title: 'Payout method verified',
+        message: `${PayoutMethod.describe(method)} can now receive payouts.`,
+        link: '/my-earnings.html',
+        data: { payout_method_id: method.id }
+    });
+    res.json({ success: true, message: 'Payout method verified', method: method });
+}));
+
+// @route   PUT /api/super-admin/payout-methods/:id/reject
+// @desc    Reject a club payout method
+// @access  Private (Super Admin)
+router.put('/payout-methods/:id/reject', asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+    
+    if (!reason) {
+        return res.status(400).json({
+            success: false,
+            message: 'Rejection reason is required'
+        });
+    }
+    
+    const method = await PayoutMethod.reject(req.params.id, req.user.id, reason);
+    
+    if (!method) {
+        return res.status(404).json({
+            success: false,
+            message: 'Payout method not found'
+        });
+    }
+    
+    await db.query('INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)', [req.user.id, 'payout_method_rejected', `Rejected payout method ${PayoutMethod.describe(method)} for club ID: ${method.club_id}`]);
+    await notificationService.notifyClub(method.club_id, 'payout_update', {
+        title: 'Payout method rejected',
+        message: `${PayoutMethod.describe(method)} was rejected: ${reason}`,
+        link: '/my-earnings.html',
+        data: { payout_method_id: method.id }
+    });
+    res.json({ success: true, message: 'Payout method rejected', method: method });
+}));
+
 // @route   GET /api/super-admin/financials/pending-payouts
 // @desc    Get pending payouts
 // @access  Private (Super Admin)
 router.get('/financials/pending-payouts', asyncHandler(async (req, res) => {
-    const payouts = await db.getMany(`
-        WITH club_earnings AS (
-            SELECT 
-                c.id as club_id,
-                c.club_name,
-                c.university,
-                c.logo_url as club_logo,
-                c.total_earnings,
-                c.reward_tier,
-                COALESCE(SUM(CASE 
-                    WHEN oi.status = 'delivered' 
-                    AND o.payment_status = 'verified'
-                    AND NOT EXISTS (
-                        SELECT 1 FROM payouts p2 
-                        WHERE p2.club_id = c.id 
-                        AND p2.status = 'paid'
-                        AND o.updated_at BETWEEN p2.period_start AND p2.period_end
-                    )
-                    THEN oi.subtotal 
-                    ELSE 0 
-                END), 0) as gross_amount,
-                (SELECT MAX(period_end) FROM payouts WHERE club_id = c.id AND status = 'paid') as last_payout_date,
-                COALESCE(
-                    (SELECT MAX(period_end) + INTERVAL '1 day' FROM payouts WHERE club_id = c.id AND status = 'paid'),
-                    (SELECT MIN(o2.updated_at)::date FROM orders o2 
-                     JOIN order_items oi2 ON o2.id = oi2.order_id 
-                     WHERE oi2.club_id = c.id AND oi2.status = 'delivered')
-                ) as period_start,
-                CURRENT_DATE as period_end
-            FROM clubs c
-            LEFT JOIN order_items oi ON c.id = oi.club_id
-            LEFT JOIN orders o ON oi.order_id = o.id
-            WHERE c.status = 'approved'
-            GROUP BY c.id, c.club_name, c.university, c.logo_url, c.total_earnings, c.reward_tier
-        ),
-        commission_rates AS (
-            SELECT 
-                setting_value->>'bronze' as bronze_rate,
-                setting_value->>'silver' as silver_rate,
-                setting_value->>'gold' as gold_rate,
-                setting_value->>'platinum' as platinum_rate
-            FROM platform_settings 
-            WHERE setting_key = 'commission_rates'
-        )
-        SELECT 
-            ce.club_id,
-            ce.club_name,
-            ce.university,
-            ce.club_logo,
-            ce.total_earnings,
-            ce.reward_tier,
-            ce.gross_amount,
-            CASE ce.reward_tier
-                WHEN 'bronze' THEN ce.gross_amount * (1 - COALESCE(cr.bronze_rate::decimal, 0.05))
-                WHEN 'silver' THEN ce.gross_amount * (1 - COALESCE(cr.silver_rate::decimal, 0.03))
-                WHEN 'gold' THEN ce.gross_amount * (1 - COALESCE(cr.gold_rate::decimal, 0.02))
-                WHEN 'platinum' THEN ce.gross_amount * (1 - COALESCE(cr.platinum_rate::decimal, 0.01))
-                ELSE ce.gross_amount * 0.95
-            END as amount_due,
-            ce.last_payout_date,
-            ce.period_start,
-            ce.period_end
-        FROM club_earnings ce
-        CROSS JOIN commission_rates cr
-        WHERE ce.gross_amount > 0
-        ORDER BY amount_due DESC
-    `);
+    const payouts = await Payout.getAmountsDue();
     res.json({ success: true, payouts: payouts });
 }));
 
@@ -1491,6 +1944,7 @@ router.get('/financials/history', asyncHandler(async (req, res) => {
     let whereClause = 'WHERE 1=1';
     if (filter === 'pending') whereClause += " AND p.status = 'pending'";
     if (filter === 'paid') whereClause += " AND p.status = 'paid'";
+    if (filter === 'failed') whereClause += " AND p.status = 'failed'";
     const history = await db.getMany(`
         SELECT 
             p.*,
@@ -1722,8 +2176,8 @@ router.get('/financials/overview', asyncHandler(async (req, res) => {
             JOIN order_items oi ON o.id = oi.order_id
             JOIN clubs c ON oi.club_id = c.id
             WHERE o.order_status = 'delivered' 
-            AND o.payment_status = 'verified'
-            AND oi.status = 'delivered'
+            AND o.payment_status IN ('verified', 'partially_refunded')
+            AND oi.status IN ('delivered', 'returned')
         ),
         commission_calc AS (
             SELECT 
@@ -1750,21 +2204,16 @@ router.get('/financials/overview', asyncHandler(async (req, res) => {
         ),
         pending_payouts AS (
             SELECT 
-                COALESCE(SUM(CASE 
-                    WHEN reward_tier = 'bronze' THEN subtotal * 0.95
-                    WHEN reward_tier = 'silver' THEN subtotal * 0.97
-                    WHEN reward_tier = 'gold' THEN subtotal * 0.98
-                    WHEN reward_tier = 'platinum' THEN subtotal * 0.99
-                    ELSE subtotal * 0.95
-                END), 0) as total_pending,
-                COUNT(DISTINCT club_id) as pending_clubs_count
-            FROM delivered_orders
-            WHERE NOT EXISTS (
-                SELECT 1 FROM payouts p
-                WHERE p.club_id = delivered_orders.club_id
-                AND p.status = 'paid'
-                AND delivered_orders.updated_at BETWEEN p.period_start AND p.period_end
-            )
+                COALESCE(SUM(c.available_balance + COALESCE(p.amount, 0)), 0) as total_pending,
+                COUNT(*) as pending_clubs_count
+            FROM clubs c
+            LEFT JOIN (
+                SELECT club_id, SUM(amount) as amount
+                FROM payouts
+                WHERE status IN ('pending', 'processing')
+                GROUP BY club_id
+            ) p ON p.club_id = c.id
+            WHERE c.available_balance + COALESCE(p.amount, 0) > 0
         )
         SELECT 
             COALESCE(cc.total_revenue, 0) as total_revenue,
@@ -1793,81 +2242,80 @@ router.post('/financials/process-payout', asyncHandler(async (req, res) => {
         });
     }
     
-    await db.transaction(async (client) => {
-        // Get the actual period for this payout
-        const periodResult = await client.query(`
-            SELECT 
-                COALESCE(
-                    (SELECT MAX(period_end) + INTERVAL '1 day' FROM payouts WHERE club_id = $1 AND status = 'paid'),
-                    (SELECT MIN(o.updated_at)::date FROM orders o 
-                     JOIN order_items oi ON o.id = oi.order_id 
-                     WHERE oi.club_id = $1 AND oi.status = 'delivered')
-                ) as period_start,
-                CURRENT_DATE as period_end
-        `, [club_id]);
-        
-        const period = periodResult.rows[0];
-        
-        await client.query(`
-            INSERT INTO payouts (
-                club_id, amount, period_start, period_end, 
-                status, payment_method, payment_reference
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `, [club_id, amount, period.period_start, period.period_end, 'paid', payment_method, payment_reference]);
-        
-        // Update club's total_earnings to reflect actual paid amount
-        await client.query(
-            'UPDATE clubs SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-            [club_id]
-        );
-        
-        await client.query(
-            'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
-            [req.user.id, 'payout_processed', `Processed payout of ৳${amount} for club ID: ${club_id} via ${payment_method}. Ref: ${payment_reference}`]
-        );
-    });
+    const payouts = await Payout.pay(club_id, amount, { payment_method, payment_reference }, req.user.id);
     
-    res.json({ success: true, message: 'Payout processed successfully' });
+    const club = await Club.findById(club_id);
+    for (const payout of payouts) {
+        const payoutMethod = payout.payout_method_id ? await PayoutMethod.findById(payout.payout_method_id) : null;
+        await payoutService.notify(club, payout, payoutMethod);
+    }
+    
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'payout_processed', `Processed payout of ৳${amount} for club ID: ${club_id} via ${payment_method}. Ref: ${payment_reference}`]
+    );
+    
+    res.json({ success: true, message: 'Payout processed successfully', payouts: payouts });
+}));
+
+// @route   POST /api/super-admin/financials/payouts/:id/fail
+// @desc    Mark a payout that could not be sent as failed (its amount returns to the club's balance)
+// @access  Private (Super Admin)
+router.post('/financials/payouts/:id/fail', asyncHandler(async (req, res) => {
+    const reason = String(req.body.reason || '').trim();
+    
+    if (!reason) {
+        return res.status(400).json({
+            success: false,
+            message: 'Enter why the payout failed'
+        });
+    }
+    
+    const payout = await Payout.fail(parseInt(req.params.id) || 0, reason.slice(0, 500), req.user.id);
+    
+    const club = await Club.findById(payout.club_id);
+    const payoutMethod = payout.payout_method_id ? await PayoutMethod.findById(payout.payout_method_id) : null;
+    await payoutService.notify(club, payout, payoutMethod);
+    
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'payout_failed', `Marked payout #${payout.id} of ৳${payout.amount} for club ID: ${payout.club_id} as failed: ${reason}`]
+    );
+    
+    res.json({ success: true, message: `Payout marked as failed. ৳${payout.amount} is back in the club's balance.`, payout: payout });
 }));
 
 // @route   POST /api/super-admin/financials/process-all-payouts
 // @desc    Process all pending payouts
 // @access  Private (Super Admin)
 router.post('/financials/process-all-payouts', asyncHandler(async (req, res) => {
-    const pendingPayouts = await db.getMany(`
-        SELECT 
-            c.id as club_id,
-            c.club_name,
-            COALESCE(SUM(oi.subtotal), 0) as amount_due
-        FROM clubs c
-        LEFT JOIN order_items oi ON c.id = oi.club_id
-        LEFT JOIN orders o ON oi.order_id = o.id
-        WHERE c.status = 'approved' AND oi.status = 'delivered'
-        GROUP BY c.id, c.club_name
-        HAVING COALESCE(SUM(oi.subtotal), 0) > 0
-    `);
+    const { batch, payouts, skipped } = await payoutService.runBatch({ cycle: 'manual', createdBy: req.user.id });
+    const processedCount = payouts.length;
     
-    let processedCount = 0;
+    await db.query(
+        'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
+        [req.user.id, 'payouts_processed_all', `Created payout batch ${batch.batch_number} with ${processedCount} payouts (${skipped.length} clubs skipped)`]
+    );
     
-    await db.transaction(async (client) => {
-        for (const payout of pendingPayouts) {
-            await client.query(`
-                INSERT INTO payouts (
-                    club_id, amount, period_start, period_end, 
-                    status, payment_method
-                ) VALUES ($1, $2, CURRENT_DATE - INTERVAL '30 days', CURRENT_DATE, $3, $4)
-            `, [payout.club_id, payout.amount_due, 'pending', 'bank_transfer']);
-            processedCount++;
-        }
-        
-        await client.query(
-            'INSERT INTO activity_logs (user_id, action_type, description) VALUES ($1, $2, $3)',
-            [req.user.id, 'payouts_processed_all', `Initiated ${processedCount} payouts for processing`]
-        );
+    res.json({
+        success: true,
+        message: `${processedCount} payouts queued for processing in batch ${batch.batch_number}`,
+        count: processedCount,
+        batch: batch,
+        skipped: skipped
     });
-    
-    res.json({ success: true, message: `${processedCount} payouts queued for processing`, count: processedCount });
 }));
+
+// @route   GET /api/super-admin/financials/payout-batches
+// @desc    Get payout batch history
+// @access  Private (Super Admin)
+router.get('/financials/payout-batches', asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const batches = await Payout.getBatches({ limit, offset: (page - 1) * limit });
+    res.json({ success: true, batches: batches });
+}));
+
 // @route   GET /api/super-admin/analytics
 // @desc    Get platform analytics with date range
 // @access  Private (Super Admin)
@@ -0,0 +1,354 @@
+// backend/sandbox/mockGateway.js
+// Local bKash/Nagad sandbox that mimics the gateway APIs, payment pages, redirects and signed webhooks.
+// GLOBAL REFERENCE: Payment Service, API Endpoints → /api/payments/*, Environment Variables
+// PURPOSE: Test the full online checkout flow offline (npm run mock-gateway).
+//
+// Point the marketplace at it with:
+//   PAYMENT_SANDBOX=true
+//   BKASH_BASE_URL=http://localhost:4000/bkash
+//   NAGAD_BASE_URL=http://localhost:4000/nagad
+//   BKASH_WEBHOOK_SECRET / NAGAD_WEBHOOK_SECRET (same values in both processes)
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+const PORT = process.env.MOCK_GATEWAY_PORT || 4000;
+const BASE_URL = `http://localhost:${PORT}`;
+const WEBHOOK_TARGET = process.env.MOCK_GATEWAY_WEBHOOK_URL || process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// In-memory payments (reset when the sandbox restarts)
+const payments = new Map();
+const tokens = new Set();
+
+// Random gateway-style identifier
+function generateId(prefix, length = 10) {
+    return `${prefix}${crypto.randomBytes(length).toString('hex').toUpperCase().slice(0, length)}`;
+}
+
+// Escape text for the payment page
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+// Send a signed webhook the way the marketplace expects it
+async function sendWebhook(gateway, payload) {
+    const body = JSON.stringify(payload);
+    const secret = gateway === 'bkash' ? process.env.BKASH_WEBHOOK_SECRET : process.env.NAGAD_WEBHOOK_SECRET;
+
+    if (!secret) {
+        console.warn(`⚠️  ${gateway} webhook not sent: webhook secret is not set`);
+        return;
+    }
+
+    try {
+        const response = await axios.post(`${WEBHOOK_TARGET}/api/payments/${gateway}/webhook`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex')
+            }
+        });
+        console.log(`📤 ${gateway} webhook delivered:`, response.data.message);
+    } catch (error) {
+        console.error(`❌ ${gateway} webhook failed:`, error.response ? error.response.data : error.message);
+    }
+}
+
+// Webhook payload for a payment's current state
+function webhookPayload(payment) {
+    if (payment.gateway === 'bkash') {
+        return {
+            paymentID: payment.id,
+            trxID: payment.trxID,
+            transactionStatus: payment.status,
+            amount: payment.amount,
+            currency: 'BDT',
+            merchantInvoiceNumber: payment.invoice
+        };
+    }
+
+    return {
+        paymentRefId: payment.id,
+        orderId: payment.invoice,
+        status: payment.status,
+        issuerPaymentRefNo: payment.trxID,
+        amount: payment.amount
+    };
+}
+
+// Payment page with the outcomes a tester can choose
+function renderPaymentPage(payment) {
+    const brand = payment.gateway === 'bkash' ? { name: 'bKash', color: '#E2136E' } : { name: 'Nagad', color: '#EE4023' };
+    const finished = !['Initiated'].includes(payment.status);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${brand.name} Sandbox</title>
+    <style>
+        body { font-family: Arial, sans-serif; background: #F3F4F6; display: flex; justify-content: center; padding: 3rem 1rem; }
+        .card { background: white; border-radius: 12px; padding: 2rem; width: 100%; max-width: 380px; box-shadow: 0 10px 25px rgba(0,0,0,0.1); }
+        h1 { color: ${brand.color}; margin: 0 0 0.25rem; }
+        .badge { display: inline-block; background: #FEF3C7; color: #92400E; font-size: 12px; padding: 2px 8px; border-radius: 999px; }
+        .amount { font-size: 2rem; font-weight: bold; margin: 1.5rem 0 0.25rem; }
+        .muted { color: #6B7280; font-size: 14px; margin-bottom: 1.5rem; }
+        button { width: 100%; padding: 0.75rem; margin-bottom: 0.5rem; border: none; border-radius: 8px; font-size: 15px; cursor: pointer; }
+        .pay { background: ${brand.color}; color: white; }
+        .fail { background: #FEE2E2; color: #991B1B; }
+        .cancel { background: #E5E7EB; color: #111827; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${brand.name}</h1>
+        <span class="badge">SANDBOX - no real money</span>
+        <div class="amount">৳${escapeHtml(payment.amount)}</div>
+        <div class="muted">Invoice ${escapeHtml(payment.invoice)} · Payment ${escapeHtml(payment.id)}</div>
+        ${finished
+            ? `<p>This payment is already <strong>${escapeHtml(payment.status)}</strong>.</p>`
+            : `<form method="POST">
+            <button class="pay" name="outcome" value="success">Pay ৳${escapeHtml(payment.amount)}</button>
+            <button class="fail" name="outcome" value="failure">Simulate failure</button>
+            <button class="cancel" name="outcome" value="cancel">Cancel</button>
+        </form>`}
+    </div>
+</body>
+</html>`;
+}
+
+// Find a payment of a gateway or answer 404
+function findPayment(gateway, id, res) {
+    const payment = payments.get(id);
+    if (!payment || payment.gateway !== gateway) {
+        res.status(404).json({ statusCode: '2023', statusMessage: 'Invalid Payment ID' });
+        return null;
+    }
+    return payment;
+}
+
+// ============= bKash =============
+
+app.post('/bkash/checkout/token/grant', (req, res) => {
+    if (!req.body.app_key || !req.body.app_secret || !req.get('username') || !req.get('password')) {
+        return res.status(401).json({ statusCode: '2001', statusMessage: 'Invalid App Key' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    tokens.add(token);
+    res.json({ id_token: token, token_type: 'Bearer', expires_in: 3600, refresh_token: token });
+});
+
+app.post('/bkash/checkout/payment/create', (req, res) => {
+    if (!tokens.has(req.get('Authorization'))) {
+        return res.status(401).json({ statusCode: '2079', statusMessage: 'Invalid Permission' });
+    }
+
+    const { amount, merchantInvoiceNumber, callbackURL } = req.body;
+    if (!(parseFloat(amount) > 0) || !callbackURL) {
+        return res.json({ statusCode: '2008', statusMessage: 'Invalid Amount or callback URL' });
+    }
+
+    const payment = {
+        gateway: 'bkash',
+        id: generateId('TR0011', 14),
+        amount: parseFloat(amount).toFixed(2),
+        invoice: merchantInvoiceNumber,
+        callbackURL,
+        status: 'Initiated',
+        trxID: null
+    };
+    payments.set(payment.id, payment);
+
+    res.json({
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        paymentID: payment.id,
+        bkashURL: `${BASE_URL}/bkash/pay/${payment.id}`,
+        amount: payment.amount,
+        currency: 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: payment.invoice,
+        transactionStatus: payment.status
+    });
+});
+
+app.get('/bkash/pay/:paymentID', (req, res) => {
+    const payment = findPayment('bkash', req.params.paymentID, res);
+    if (payment) res.send(renderPaymentPage(payment));
+});
+
+app.post('/bkash/pay/:paymentID', (req, res) => {
+    const payment = findPayment('bkash', req.params.paymentID, res);
+    if (!payment) return;
+
+    const outcome = ['success', 'failure', 'cancel'].includes(req.body.outcome) ? req.body.outcome : 'cancel';
+
+    if (payment.status === 'Initiated') {
+        // Authorized payments still have to be executed by the merchant
+        payment.status = { success: 'Authorized', failure: 'Failed', cancel: 'Cancelled' }[outcome];
+    }
+
+    const url = new URL(payment.callbackURL);
+    url.searchParams.set('paymentID', payment.id);
+    url.searchParams.set('status', outcome);
+    res.redirect(url.toString());
+
+    if (payment.status !== 'Authorized') {
+        sendWebhook('bkash', webhookPayload(payment));
+    }
+});
+
+app.post('/bkash/checkout/payment/execute/:paymentID', (req, res) => {
+    const payment = findPayment('bkash', req.params.paymentID, res);
+    if (!payment) return;
+
+    if (payment.status === 'Completed') {
+        return res.json({ statusCode: '2062', statusMessage: 'The payment has already been completed' });
+    }
+
+    if (payment.status !== 'Authorized') {
+        return res.json({ statusCode: '2056', statusMessage: 'Invalid Payment State' });
+    }
+
+    payment.status = 'Completed';
+    payment.trxID = generateId('BK', 8);
+
+    res.json({
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        paymentID: payment.id,
+        trxID: payment.trxID,
+        transactionStatus: payment.status,
+        amount: payment.amount,
+        currency: 'BDT',
+        merchantInvoiceNumber: payment.invoice
+    });
+
+    // bKash also notifies the merchant; the marketplace must not apply it twice
+    sendWebhook('bkash', webhookPayload(payment));
+});
+
+app.get('/bkash/checkout/payment/query/:paymentID', (req, res) => {
+    const payment = findPayment('bkash', req.params.paymentID, res);
+    if (!payment) return;
+
+    res.json({
+        statusCode: '0000',
+        paymentID: payment.id,
+        trxID: payment.trxID,
+        transactionStatus: payment.status,
+        amount: payment.amount,
+        merchantInvoiceNumber: payment.invoice
+    });
+});
+
+// ============= Nagad =============
+
+app.post('/nagad/check-out/initialize/:merchantId/:orderId', (req, res) => {
+    if (!req.body.amount || !(parseFloat(req.body.amount) > 0)) {
+        return res.status(400).json({ reason: 'InvalidRequest', message: 'Invalid amount' });
+    }
+
+    const payment = {
+        gateway: 'nagad',
+        id: generateId('MDE', 16),
+        amount: parseFloat(req.body.amount).toFixed(2),
+        invoice: req.params.orderId,
+        callbackURL: null,
+        status: 'Initiated',
+        trxID: null,
+        challenge: crypto.randomBytes(20).toString('hex')
+    };
+    payments.set(payment.id, payment);
+
+    res.json({ paymentReferenceId: payment.id, challenge: payment.challenge, acceptDateTime: new Date().toISOString() });
+});
+
+app.post('/nagad/check-out/complete/:paymentReferenceId', (req, res) => {
+    const payment = findPayment('nagad', req.params.paymentReferenceId, res);
+    if (!payment) return;
+
+    const data = req.body.sensitiveData || {};
+    if (data.challenge !== payment.challenge || parseFloat(data.amount).toFixed(2) !== payment.amount) {
+        return res.json({ status: 'Failed', message: 'Challenge or amount does not match the initialized payment' });
+    }
+
+    payment.callbackURL = req.body.merchantCallbackURL;
+    res.json({ status: 'Success', callBackUrl: `${BASE_URL}/nagad/pay/${payment.id}` });
+});
+
+app.get('/nagad/pay/:paymentRefId', (req, res) => {
+    const payment = findPayment('nagad', req.params.paymentRefId, res);
+    if (payment) res.send(renderPaymentPage(payment));
+});
+
+app.post('/nagad/pay/:paymentRefId', (req, res) => {
+    const payment = findPayment('nagad', req.params.paymentRefId, res);
+    if (!payment) return;
+
+    const outcome = ['success', 'failure', 'cancel'].includes(req.body.outcome) ? req.body.outcome : 'cancel';
+
+    if (payment.status === 'Initiated') {
+        payment.status = { success: 'Success', failure: 'Failed', cancel: 'Aborted' }[outcome];
+        if (payment.status === 'Success') {
+            payment.trxID = generateId('NG', 8);
+        }
+    }
+
+    const url = new URL(payment.callbackURL);
+    url.searchParams.set('payment_ref_id', payment.id);
+    url.searchParams.set('status', payment.status);
+    url.searchParams.set('order_id', payment.invoice);
+    res.redirect(url.toString());
+
+    sendWebhook('nagad', webhookPayload(payment));
+});
+
+app.get('/nagad/verify/payment/:paymentRefId', (req, res) => {
+    const payment = findPayment('nagad', req.params.paymentRefId, res);
+    if (!payment) return;
+
+    res.json({
+        merchantId: process.env.NAGAD_MERCHANT_ID,
+        orderId: payment.invoice,
+        paymentRefId: payment.id,
+        amount: payment.amount,
+        issuerPaymentRefNo: payment.trxID,
+        status: payment.status
+    });
+});
+
+// ============= Sandbox tools =============
+
+// Re-send the last webhook of a payment (checks duplicate deliveries are ignored)
+app.post('/sandbox/replay-webhook/:id', async (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) {
+        return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    await sendWebhook(payment.gateway, webhookPayload(payment));
+    res.json({ success: true, payment });
+});
+
+// List payments created since the sandbox started
+app.get('/sandbox/payments', (req, res) => {
+    res.json({ success: true, payments: Array.from(payments.values()) });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock payment gateway running on ${BASE_URL}`);
+    console.log(`   bKash: BKASH_BASE_URL=${BASE_URL}/bkash`);
+    console.log(`   Nagad: NAGAD_BASE_URL=${BASE_URL}/nagad`);
+    console.log(`   Webhooks → ${WEBHOOK_TARGET}/api/payments/:gateway/webhook`);
+});
@@ -18,6 +18,11 @@ const { connectDatabase, closePool } = require('./config/database');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler').errorHandler;
 
+// Import services used by background jobs
+const realtimeService = require('./services/realtimeService');
+const emailOutbox = require('./services/emailOutboxService');
+const schedulerService = require('./services/schedulerService');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
@@ -28,6 +33,13 @@ const studentRoutes = require('./routes/students');
 const clubAdminRoutes = require('./routes/club-admin');
 const superAdminRoutes = require('./routes/super-admin');
 const uploadRoutes = require('./routes/upload');
+const shippingRoutes = require('./routes/shipping');
+const paymentRoutes = require('./routes/payments');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const emailRoutes = require('./routes/email');
+const certificateRoutes = require('./routes/certificates');
+const judgingRoutes = require('./routes/judging');
 
 // Initialize Express app
 const app = express();
@@ -59,7 +71,8 @@ const corsOptions = {
     credentials: true,
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Disposition']
 };
 
 // Middleware (ORDER IS CRITICAL!)
@@ -70,7 +83,15 @@ app.use(helmet({
 })); // Security headers
 app.use(cors(corsOptions)); // CORS
 app.use(morgan('dev')); // HTTP request logging
-app.use(express.json({ limit: '10mb' })); // JSON body parser
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw bytes of gateway and email webhooks so their signatures can be verified
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/') || req.originalUrl.startsWith('/api/email/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+})); // JSON body parser
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // URL-encoded body parser
 
 // Serve static files (frontend) - serve parent directory which contains HTML files
@@ -96,8 +117,11 @@ app.get('/api', (req, res) => {
             auth: '/api/auth',
             products: '/api/products',
             competitions: '/api/competitions',
+            certificates: '/api/certificates',
+            judging: '/api/judging',
             clubs: '/api/clubs',
             orders: '/api/orders',
+            shipping: '/api/shipping',
             students: '/api/students',
             clubAdmin: '/api/club-admin',
             superAdmin: '/api/super-admin'
@@ -114,6 +138,13 @@ app.use('/api/clubs', clubRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/competitions', competitionRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/judging', judgingRoutes);
 app.use('/api/super-admin', superAdminRoutes);
 
 // 404 handler for API routes only
@@ -175,9 +206,21 @@ async function startServer() {
             console.log('================================\n');
         });
 
+        // Run scheduled jobs (sweeps, expirations, reminders, recalculations) - see services/scheduledJobs.js
+        await schedulerService.start();
+
+        // Deliver queued emails (enqueue also triggers a run; this picks up retries and restarts)
+        const emailWorker = setInterval(() => emailOutbox.processDue(), 30 * 1000);
+        emailOutbox.processDue();
+
         // Graceful shutdown handler
         const gracefulShutdown = () => {
             console.log('\n👋 Received shutdown signal, closing gracefully...');
+            schedulerService.stop();
+            clearInterval(emailWorker);
+            
+            // Open event streams would keep the server from closing
+            realtimeService.closeAll();
             
             server.close(() => {
                 console.log('✅ HTTP server closed');
@@ -0,0 +1,230 @@
+// backend/services/calendarService.js
+// iCalendar (.ics) builder and venue map links for competitions.
+// GLOBAL REFERENCE: Competition Structure (competition_date, competition_time, venue, location_lat, location_lng), js/map.js getDirectionsUrl
+// PURPOSE: Let students add competitions to their calendar and find the venue from emails.
+
+class CalendarService {
+    constructor() {
+        this.platformName = process.env.PLATFORM_NAME || 'Bangladesh Robotics Marketplace';
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        this.backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+        this.uidDomain = new URL(this.frontendUrl).hostname;
+        // Competitions only store a start time; events are this long in the calendar
+        this.eventHours = parseInt(process.env.CALENDAR_EVENT_HOURS) || 6;
+        // Competition dates and times are local to Bangladesh (UTC+6, no daylight saving)
+        this.timezone = 'Asia/Dhaka';
+    }
+
+    // Google Maps directions to the venue - the same link js/map.js getDirectionsUrl builds.
+    // Falls back to a search for the venue name when the competition has no coordinates.
+    getDirectionsUrl(competition) {
+        const lat = parseFloat(competition.location_lat);
+        const lng = parseFloat(competition.location_lng);
+
+        if (!isNaN(lat) && !isNaN(lng)) {
+            return `https://www.google.com/maps/dir/${lat},${lng}`;
+        }
+
+        return competition.venue
+            ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(competition.venue)}`
+            : null;
+    }
+
+    getCompetitionUrl(competition) {
+        return `${this.frontendUrl}/competition-detail.html?id=${competition.id}`;
+    }
+
+    // Subscription URLs of a student's private feed (webcal:// opens the calendar app directly)
+    getFeedUrls(token) {
+        const url = `${this.backendUrl}/api/students/calendar/${token}.ics`;
+
+        return {
+            url,
+            webcal_url: url.replace(/^https?:/, 'webcal:')
+        };
+    }
+
+    // One VEVENT for a competition (cancelled competitions stay in feeds as STATUS:CANCELLED)
+    buildCompetitionEvent(competition, { alarmHours = null } = {}) {
+        const day = this.formatDate(competition.competition_date);
+        const url = this.getCompetitionUrl(competition);
+        const directionsUrl = this.getDirectionsUrl(competition);
+        const description = [
+            competition.club_name ? `Organized by ${competition.club_name}` : null,
+            directionsUrl ? `Directions: ${directionsUrl}` : null,
+            `Details: ${url}`
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:competition-${competition.id}@${this.uidDomain}`,
+            `DTSTAMP:${this.formatUtc(new Date())}`
+        ];
+
+        if (competition.competition_time) {
+            const [hours, minutes] = String(competition.competition_time).split(':').map(Number);
+            const start = new Date(Date.UTC(...day, hours, minutes || 0));
+            const end = new Date(start.getTime() + this.eventHours * 60 * 60 * 1000);
+
+            lines.push(`DTSTART;TZID=${this.timezone}:${this.formatLocal(start)}`);
+            lines.push(`DTEND;TZID=${this.timezone}:${this.formatLocal(end)}`);
+        } else {
+            const start = new Date(Date.UTC(...day));
+            const end = new Date(Date.UTC(day[0], day[1], day[2] + 1));
+
+            lines.push(`DTSTART;VALUE=DATE:${this.formatLocal(start).slice(0, 8)}`);
+            lines.push(`DTEND;VALUE=DATE:${this.formatLocal(end).slice(0, 8)}`);
+        }
+
+        lines.push(`SUMMARY:${this.escapeText(competition.title)}`);
+        lines.push(`LOCATION:${this.escapeText(competition.venue || '')}`);
+
+        const lat = parseFloat(competition.location_lat);
+        const lng = parseFloat(competition.location_lng);
+        if (!isNaN(lat) && !isNaN(lng)) {
+            lines.push(`GEO:${lat};${lng}`);
+        }
+
+        lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+        lines.push(`URL:${url}`);
+        lines.push(`STATUS:${competition.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+
+        if (competition.updated_at) {
+            lines.push(`LAST-MODIFIED:${this.formatUtc(new Date(competition.updated_at))}`);
+        }
+
+        if (alarmHours) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeText(competition.title)}`,
+                `TRIGGER:-PT${alarmHours}H`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    // Full VCALENDAR document from VEVENT line groups
+    buildCalendar(events, { name = null, method = 'PUBLISH' } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${this.escapeText(this.platformName)}//Competitions//EN`,
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`
+        ];
+
+        // Named calendars are subscribed feeds; ask clients to refresh them a few times a day
+        if (name) {
+            lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+            lines.push(`X-WR-TIMEZONE:${this.timezone}`);
+            lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT6H');
+            lines.push('X-PUBLISHED-TTL:PT6H');
+        }
+
+        lines.push(
+            'BEGIN:VTIMEZONE',
+            `TZID:${this.timezone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0600',
+            'TZOFFSETTO:+0600',
+            'TZNAME:BST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        );
+
+        for (const event of events) {
+            lines.push(...event);
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // .ics email attachment for one competition (alarm a day before)
+    buildCompetitionAttachment(competition) {
+        const calendar = this.buildCalendar([this.buildCompetitionEvent(competition, { alarmHours: 24 })]);
+
+        return {
+            filename: `${competition.slug || `competition-${competition.id}`}.ics`,
+            content: Buffer.from(calendar, 'utf8')
+        };
+    }
+
+    // Subscribable feed of several competitions
+    buildCompetitionFeed(competitions, name) {
+        return this.buildCalendar(
+            competitions.map(competition => this.buildCompetitionEvent(competition)),
+            { name }
+        );
+    }
+
+    // Send a calendar document (inline for feeds, as a download for single events)
+    send(res, calendar, filename, { download = false } = {}) {
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`,
+            'Cache-Control': 'private, max-age=900'
+        });
+
+        res.send(calendar);
+    }
+
+    // ============= Formatting =============
+
+    // DATE column (Date at local midnight from pg, or 'YYYY-MM-DD') → [year, monthIndex, day]
+    formatDate(value) {
+        if (value instanceof Date) {
+            return [value.getFullYear(), value.getMonth(), value.getDate()];
+        }
+
+        const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+        return [year, month - 1, day];
+    }
+
+    // Wall-clock time stored in a UTC Date → 20260220T100000
+    formatLocal(date) {
+        return date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    }
+
+    // Instant → 20260220T040000Z
+    formatUtc(date) {
+        return `${this.formatLocal(date)}Z`;
+    }
+
+    // Escape TEXT values (RFC 5545 §3.3.11)
+    escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold lines longer than 75 octets without splitting a UTF-8 character
+    foldLine(line) {
+        if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let limit = 75;
+
+        for (const char of line) {
+            if (Buffer.byteLength(current + char, 'utf8') > limit) {
+                parts.push(current);
+                current = '';
+                limit = 74; // continuation lines start with a space
+            }
+            current += char;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,245 @@
+// backend/services/certificateService.js
+// Participation and winner certificates: eligibility, verification codes and PDF rendering.
+// GLOBAL REFERENCE: Certificate model, invoiceService (PDF helpers), Database Schema → certificates, competition_results
+// PURPOSE: Give every member of an approved team a verifiable certificate once the competition has taken place.
+
+const crypto = require('crypto');
+const Certificate = require('../models/certificateModel');
+const invoiceService = require('./invoiceService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+
+class CertificateService {
+    constructor() {
+        this.platformName = process.env.PLATFORM_NAME || 'Bangladesh Robotics Marketplace';
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        // No 0/O or 1/I so codes can be typed from a printed certificate
+        this.codeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        this.codeLength = 10;
+        // Podium placements get a winner certificate (same as badges)
+        this.winnerPlacements = 3;
+        this.colors = {
+            participation: '#1991EB',
+            winner: '#C9A227'
+        };
+    }
+
+    generateCode() {
+        const bytes = crypto.randomBytes(this.codeLength);
+        const chars = Array.from(bytes, byte => this.codeAlphabet[byte % this.codeAlphabet.length]).join('');
+        return `CERT-${chars.slice(0, 5)}-${chars.slice(5)}`;
+    }
+
+    // Codes are case-insensitive when typed in
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    getVerifyUrl(code) {
+        return `${this.frontendUrl}/verify-certificate.html?code=${encodeURIComponent(code)}`;
+    }
+
+    getType(placement) {
+        return placement && placement <= this.winnerPlacements ? 'winner' : 'participation';
+    }
+
+    ordinal(number) {
+        const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+        return `${number}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(number)]}`;
+    }
+
+    // Certificates are issued once the competition has taken place (and it was not cancelled)
+    checkCanIssue(competition) {
+        if (competition.status === 'cancelled') {
+            throw new AppError('Certificates cannot be issued for a cancelled competition', 400);
+        }
+
+        if (new Date(competition.competition_date) > new Date(new Date().toDateString())) {
+            throw new AppError('Certificates can be issued once the competition has taken place', 400);
+        }
+    }
+
+    // Issue (or refresh) certificates for the eligible members of a competition or of one team
+    async issue(competition, registrationId = null) {
+        const members = await Certificate.findEligibleMembers(competition.id, registrationId);
+
+        return await Certificate.issue(competition.id, members.map(member => ({
+            ...member,
+            verification_code: this.generateCode(),
+            certificate_type: this.getType(member.placement)
+        })));
+    }
+
+    // Bulk issue by the club admin; members receiving their first certificate are notified
+    async issueForCompetition(competition) {
+        this.checkCanIssue(competition);
+
+        const issued = await this.issue(competition);
+
+        if (issued.length === 0) {
+            throw new AppError('This competition has no approved team members to issue certificates to', 400);
+        }
+
+        const created = issued.filter(certificate => certificate.is_new);
+
+        for (const certificate of created) {
+            await notificationService.notify(certificate.user_id, 'certificate_issued', {
+                title: 'Your certificate is ready',
+                message: `Your ${certificate.certificate_type === 'winner' ? 'winner' : 'participation'} certificate for "${competition.title}" is ready to download.`,
+                link: '/my-registrations.html',
+                data: {
+                    competition_id: competition.id,
+                    registration_id: certificate.registration_id,
+                    verification_code: certificate.verification_code
+                }
+            });
+        }
+
+        return { issued: issued.length, created: created.length };
+    }
+
+    // A team member's own certificate (issued on first download)
+    async getForMember(registration, competition, userId) {
+        this.checkCanIssue(competition);
+
+        if (registration.registration_status !== 'approved') {
+            throw new AppError('Certificates are only available for approved registrations', 400);
+        }
+
+        await this.issue(competition, registration.id);
+
+        const certificate = await Certificate.findByRegistrationAndUser(registration.id, userId);
+        if (!certificate) {
+            throw new AppError('Only accepted team members receive a certificate', 403);
+        }
+
+        return certificate;
+    }
+
+    // What the public verification page shows (no user IDs or contact details)
+    getPublicDetails(certificate) {
+        return {
+            verification_code: certificate.verification_code,
+            valid: certificate.is_valid,
+            recipient_name: certificate.recipient_name,
+            certificate_type: certificate.certificate_type,
+            placement: certificate.placement,
+            team_name: certificate.team_name,
+            issued_at: certificate.issued_at,
+            competition: {
+                id: certificate.competition_id,
+                title: certificate.competition_title,
+                competition_date: certificate.competition_date,
+                venue: certificate.venue,
+                category: certificate.category
+            },
+            club: {
+                name: certificate.club_name,
+                slug: certificate.club_slug,
+                university: certificate.university,
+                logo_url: certificate.club_logo
+            }
+        };
+    }
+
+    // What the team achieved, as written on the certificate
+    describeAchievement(certificate) {
+        if (certificate.certificate_type === 'winner') {
+            return `of team ${certificate.team_name} won ${this.ordinal(certificate.placement)} place in`;
+        }
+
+        if (certificate.placement) {
+            return `of team ${certificate.team_name} finished ${this.ordinal(certificate.placement)} in`;
+        }
+
+        return `of team ${certificate.team_name} participated in`;
+    }
+
+    // Render certificates (from Certificate.findDetails) into one landscape PDF, one page each
+    async generatePdf(certificates) {
+        const logos = new Map();
+
+        for (const certificate of certificates) {
+            if (!logos.has(certificate.club_logo)) {
+                logos.set(certificate.club_logo, await invoiceService.loadImage(certificate.club_logo));
+            }
+        }
+
+        return await invoiceService.renderToBuffer((doc) => {
+            certificates.forEach((certificate, index) => {
+                if (index > 0) doc.addPage();
+                this.drawCertificate(doc, certificate, logos.get(certificate.club_logo));
+            });
+        }, { layout: 'landscape', margin: 40 });
+    }
+
+    drawCertificate(doc, certificate, logo) {
+        const width = doc.page.width;
+        const height = doc.page.height;
+        const color = this.colors[certificate.certificate_type];
+        const textWidth = width - 160;
+
+        // Frame
+        doc.lineWidth(6).rect(24, 24, width - 48, height - 48).stroke(color);
+        doc.lineWidth(1).rect(36, 36, width - 72, height - 72).stroke(color);
+
+        // Organizing club
+        let y = 60;
+        if (invoiceService.drawLogo(doc, logo, width / 2 - 32, y, 64)) {
+            y += 74;
+        }
+
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#333333')
+            .text(certificate.club_name, 80, y, { width: textWidth, align: 'center' });
+        if (certificate.university) {
+            doc.font('Helvetica').fontSize(10).fillColor('#666666')
+                .text(certificate.university, 80, doc.y + 2, { width: textWidth, align: 'center' });
+        }
+
+        // Title
+        y = doc.y + 22;
+        doc.font('Helvetica-Bold').fontSize(30).fillColor(color)
+            .text(certificate.certificate_type === 'winner' ? 'CERTIFICATE OF ACHIEVEMENT' : 'CERTIFICATE OF PARTICIPATION', 80, y, {
+                width: textWidth,
+                align: 'center',
+                characterSpacing: 1
+            });
+
+        // Recipient and achievement
+        doc.font('Helvetica').fontSize(13).fillColor('#555555')
+            .text('This is to certify that', 80, doc.y + 18, { width: textWidth, align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(28).fillColor('#111827')
+            .text(certificate.recipient_name, 80, doc.y + 10, { width: textWidth, align: 'center' });
+        doc.font('Helvetica').fontSize(13).fillColor('#555555')
+            .text(this.describeAchievement(certificate), 80, doc.y + 10, { width: textWidth, align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827')
+            .text(certificate.competition_title, 80, doc.y + 10, { width: textWidth, align: 'center' });
+        doc.font('Helvetica').fontSize(11).fillColor('#555555')
+            .text(`held on ${invoiceService.formatDate(certificate.competition_date)}${certificate.venue ? ` at ${certificate.venue}` : ''}`, 80, doc.y + 8, {
+                width: textWidth,
+                align: 'center'
+            });
+
+        // Issue date and signature
+        const footerY = height - 140;
+        doc.font('Helvetica').fontSize(10).fillColor('#666666')
+            .text('Issued on', 90, footerY + 22, { width: 200, align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#333333')
+            .text(invoiceService.formatDate(certificate.issued_at), 90, footerY + 36, { width: 200, align: 'center' });
+
+        doc.lineWidth(1).moveTo(width - 290, footerY + 30).lineTo(width - 90, footerY + 30).stroke('#333333');
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#333333')
+            .text(certificate.club_name, width - 290, footerY + 36, { width: 200, align: 'center' });
+        doc.font('Helvetica').fontSize(10).fillColor('#666666')
+            .text('Organizing Club', width - 290, doc.y + 2, { width: 200, align: 'center' });
+
+        // Verification
+        doc.font('Helvetica').fontSize(8).fillColor('#888888')
+            .text(`Certificate ${certificate.verification_code} | Verify at ${this.getVerifyUrl(certificate.verification_code)} | ${this.platformName}`, 60, height - 70, {
+                width: width - 120,
+                align: 'center'
+            });
+    }
+}
+
+module.exports = new CertificateService();
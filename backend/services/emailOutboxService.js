@@ -0,0 +1,196 @@
+// backend/services/emailOutboxService.js
+// Email outbox: request handlers queue emails here and a background worker delivers them.
+// GLOBAL REFERENCE: Email Outbox model, Email Transport, Database Schema → email_outbox
+// PURPOSE: Durable email delivery with exponential backoff, bounce tracking and admin resend.
+
+const crypto = require('crypto');
+const EmailOutbox = require('../models/emailOutboxModel');
+const { createTransport } = require('./emailTransport');
+
+class EmailOutboxService {
+    constructor() {
+        this.from = process.env.EMAIL_FROM || 'Bangladesh Robotics <onboarding@resend.dev>';
+        this.batchSize = 10;
+        this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+        this.retryBaseSeconds = 60; // 1, 2, 4, 8 ... minutes between attempts
+        this.retryMaxSeconds = 6 * 60 * 60;
+        this.webhookSecret = process.env.RESEND_WEBHOOK_SECRET;
+        this.isProcessing = false;
+        this.transport = null;
+    }
+
+    // Transport is created on first use so a bad EMAIL_TRANSPORT only fails sending, not startup
+    getTransport() {
+        if (!this.transport) {
+            this.transport = createTransport();
+            console.log(`✅ Email outbox using the ${this.transport.name} transport`);
+        }
+        return this.transport;
+    }
+
+    // Queue an email. Attachments: [{ filename, content: Buffer }]
+    async enqueue({ to, subject, html, text = null, template = null, attachments = [] }) {
+        const email = await EmailOutbox.create({
+            to,
+            subject,
+            html,
+            text,
+            template,
+            attachments: attachments.map(attachment => ({
+                filename: attachment.filename,
+                content: Buffer.from(attachment.content).toString('base64')
+            })),
+            maxAttempts: this.maxAttempts
+        });
+
+        // Deliver soon without holding up the request
+        setImmediate(() => this.processDue());
+
+        return { success: true, queued: true, id: email.id };
+    }
+
+    // Delay before the next attempt after `attempts` failures
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseSeconds * Math.pow(2, Math.max(0, attempts - 1)), this.retryMaxSeconds);
+    }
+
+    // Send every due message (called by the worker interval and after enqueue)
+    async processDue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            let batch;
+            do {
+                batch = await EmailOutbox.claimDue(this.batchSize);
+                for (const email of batch) {
+                    await this.deliver(email);
+                }
+            } while (batch.length === this.batchSize);
+        } catch (error) {
+            console.error('❌ Email outbox processing failed:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Send one claimed message and record the outcome
+    async deliver(email) {
+        let transportName = null;
+
+        try {
+            const transport = this.getTransport();
+            transportName = transport.name;
+
+            const result = await transport.send({
+                from: this.from,
+                to: email.to_email,
+                subject: email.subject,
+                html: email.html,
+                text: email.text_body,
+                attachments: (email.attachments || []).map(attachment => ({
+                    filename: attachment.filename,
+                    content: Buffer.from(attachment.content, 'base64')
+                }))
+            });
+
+            await EmailOutbox.markSent(email.id, { transport: transport.name, messageId: result.messageId });
+
+            if (result.rejected.length > 0) {
+                await EmailOutbox.markBounced(email.id, `Recipient rejected: ${result.rejected.join(', ')}`);
+                console.warn(`⚠️ Email ${email.id} bounced: ${email.to_email}`);
+                return;
+            }
+
+            console.log(`✅ Email ${email.id} sent via ${transport.name} to ${email.to_email}`);
+        } catch (error) {
+            const attempts = email.attempts + 1;
+            const updated = await EmailOutbox.markAttemptFailed(email.id, {
+                transport: transportName,
+                error: error.message,
+                retryDelaySeconds: this.getRetryDelay(attempts)
+            });
+
+            if (updated && updated.status === 'failed') {
+                console.error(`❌ Email ${email.id} failed after ${updated.attempts} attempts: ${error.message}`);
+            } else {
+                console.warn(`⚠️ Email ${email.id} attempt ${attempts} failed, retrying: ${error.message}`);
+            }
+        }
+    }
+
+    // Queue a copy of a logged email (admin resend)
+    async resend(id) {
+        const original = await EmailOutbox.findById(id);
+        if (!original) return null;
+
+        const copy = await EmailOutbox.create({
+            to: original.to_email,
+            subject: original.subject,
+            html: original.html,
+            text: original.text_body,
+            template: original.template,
+            attachments: original.attachments,
+            maxAttempts: this.maxAttempts,
+            resentFromId: original.id
+        });
+
+        setImmediate(() => this.processDue());
+
+        return copy;
+    }
+
+    // ============= Resend Bounce Webhook =============
+
+    // Verify a Resend (Svix) webhook: HMAC-SHA256 of "id.timestamp.body" with the whsec_ secret
+    verifyWebhookSignature(headers, rawBody) {
+        if (!this.webhookSecret) {
+            return false;
+        }
+
+        const id = headers['svix-id'];
+        const timestamp = headers['svix-timestamp'];
+        const signatures = headers['svix-signature'];
+
+        if (!id || !timestamp || !signatures || !rawBody) {
+            return false;
+        }
+
+        // Reject replays older than 5 minutes
+        if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > 5 * 60) {
+            return false;
+        }
+
+        const secret = Buffer.from(this.webhookSecret.replace(/^whsec_/, ''), 'base64');
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${id}.${timestamp}.${rawBody.toString('utf8')}`)
+            .digest('base64');
+
+        return signatures.split(' ').some(entry => {
+            const signature = entry.split(',')[1] || '';
+            return signature.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+        });
+    }
+
+    // Apply a Resend delivery event (email.bounced / email.complained)
+    async handleResendEvent(event) {
+        if (!['email.bounced', 'email.complained'].includes(event.type)) {
+            return { ignored: true };
+        }
+
+        const email = await EmailOutbox.findByProviderMessageId(event.data && event.data.email_id);
+        if (!email) {
+            return { ignored: true };
+        }
+
+        const reason = event.type === 'email.complained'
+            ? 'Recipient marked the email as spam'
+            : (event.data.bounce && event.data.bounce.message) || 'Bounced by the receiving server';
+
+        await EmailOutbox.markBounced(email.id, reason);
+        return { ignored: false, id: email.id };
+    }
+}
+
+module.exports = new EmailOutboxService();
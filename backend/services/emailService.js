@@ -1,429 +1,580 @@
 // backend/services/emailService.js
-// Centralized email service for all transactional emails with template rendering using Resend.
-// GLOBAL REFERENCE: Email Configuration, Email Templates, User/Order/Competition Structures
-// PURPOSE: Handle all email operations with queue management and retry logic.
+// Single email module: Handlebars templates with shared layout/partials, locale variants and plain-text parts.
+// GLOBAL REFERENCE: Email Outbox Service, Email Template Catalogue (config/emailTemplates.js), backend/templates/*.hbs
+// PURPOSE: Render transactional emails and queue them in the outbox (retries happen in the outbox worker).
 
-const { Resend } = require('resend');
 const fs = require('fs').promises;
 const path = require('path');
+const Handlebars = require('handlebars');
+const emailOutbox = require('./emailOutboxService');
+const calendarService = require('./calendarService');
+const catalogue = require('../config/emailTemplates');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+
+// <name>.hbs is the English template; other locales add <name>.<locale>.hbs
+const BASE_LOCALE = 'en';
+
+// Intl locale used for numbers and dates per template locale
+const INTL_LOCALES = { en: 'en-BD', bn: 'bn-BD' };
+
+// Plain-text part from rendered HTML (links keep their URL, table cells stay on one line)
+function htmlToText(html) {
+    return html
+        .replace(/<head[\s\S]*?<\/head>/gi, '')
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return !text || text === href || href.startsWith('mailto:') ? (text || href) : `${text} (${href})`;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(td|th)>/gi, '\t')
+        .replace(/<\/(div|tr|center)>/gi, '\n')
+        .replace(/<\/?(p|h[1-6]|table|ul|ol)(\s[^>]*)?>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;|&#39;/g, "'")
+        .replace(/&#x3D;/g, '=')
+        .replace(/&#x60;/g, '`')
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/ {2,}/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Team members are free text: a JSON array (names or { name }) or a comma/newline separated list
+function parseTeamMembers(teamMembers) {
+    if (!teamMembers) return [];
+
+    try {
+        const parsed = JSON.parse(teamMembers);
+        if (Array.isArray(parsed)) {
+            return parsed.map(member => (typeof member === 'string' ? member : member.name)).filter(Boolean);
+        }
+    } catch (error) {
+        // Plain text
+    }
+
+    return String(teamMembers).split(/[,\n]/).map(member => member.trim()).filter(Boolean);
+}
+
+// DECIMAL columns arrive as strings ("0.00" is truthy in templates)
+function withNumericFee(registration) {
+    return { ...registration, registration_fee: parseFloat(registration.registration_fee) || 0 };
+}
 
 class EmailService {
     constructor() {
-        this.resend = new Resend(process.env.RESEND_API_KEY);
+        this.handlebars = Handlebars.create();
         this.templateCache = new Map();
-        this.emailQueue = [];
-        this.isProcessing = false;
-        
-        if (!process.env.RESEND_API_KEY) {
-            console.warn('⚠️ RESEND_API_KEY not configured. Emails will not be sent.');
-        } else {
-            console.log('✅ EmailService initialized with Resend');
+        this.partialsLoaded = false;
+        this.defaultLocale = catalogue.locales.includes(process.env.EMAIL_DEFAULT_LOCALE)
+            ? process.env.EMAIL_DEFAULT_LOCALE
+            : BASE_LOCALE;
+        // Re-read templates on every render outside production so edits show up in previews
+        this.cacheTemplates = process.env.NODE_ENV === 'production';
+
+        this.registerHelpers();
+        this.renderLayout = this.handlebars.compile('{{> layouts/main}}');
+    }
+
+    // ============= Rendering =============
+
+    registerHelpers() {
+        const intlLocale = (options) => INTL_LOCALES[options.data.root.locale] || INTL_LOCALES.en;
+
+        // {{currency amount}} → ৳1,234.50 (Bengali digits in bn)
+        this.handlebars.registerHelper('currency', (amount, options) =>
+            `৳${(parseFloat(amount) || 0).toLocaleString(intlLocale(options), { maximumFractionDigits: 2 })}`
+        );
+
+        // {{date value}} → 15 January 2026
+        this.handlebars.registerHelper('date', (value, options) => {
+            if (!value) return '';
+            const date = new Date(value);
+            return isNaN(date) ? value : date.toLocaleDateString(intlLocale(options), {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+        });
+
+        // {{datetime value}} → 15 January 2026, 10:30 am (Bangladesh time)
+        this.handlebars.registerHelper('datetime', (value, options) => {
+            if (!value) return '';
+            const date = new Date(value);
+            return isNaN(date) ? value : date.toLocaleString(intlLocale(options), {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZone: 'Asia/Dhaka'
+            });
+        });
+
+        // {{number value}} → localized digits
+        this.handlebars.registerHelper('number', (value, options) =>
+            (parseFloat(value) || 0).toLocaleString(intlLocale(options))
+        );
+
+        this.handlebars.registerHelper('multiply', (a, b) => (parseFloat(a) || 0) * (parseFloat(b) || 0));
+        this.handlebars.registerHelper('eq', (a, b) => a === b);
+        this.handlebars.registerHelper('concat', (...args) => args.slice(0, -1).join(''));
+    }
+
+    // Register layouts/*.hbs and partials/*.hbs as partials ({{> header}}, {{> footer}} ...)
+    async loadPartials() {
+        if (this.partialsLoaded && this.cacheTemplates) return;
+
+        for (const dir of ['layouts', 'partials']) {
+            const files = await fs.readdir(path.join(TEMPLATES_DIR, dir));
+            for (const file of files.filter(name => name.endsWith('.hbs'))) {
+                const source = await fs.readFile(path.join(TEMPLATES_DIR, dir, file), 'utf8');
+                const name = dir === 'layouts' ? `layouts/${file.slice(0, -4)}` : file.slice(0, -4);
+                this.handlebars.registerPartial(name, source);
+            }
         }
+
+        this.partialsLoaded = true;
     }
-    
-    // Load and compile template
-    async loadTemplate(templateName) {
-        // Check cache first
-        if (this.templateCache.has(templateName)) {
-            return this.templateCache.get(templateName);
+
+    // Compile <name>.<locale>.hbs, falling back to <name>.hbs
+    async loadTemplate(templateName, locale) {
+        const cacheKey = `${templateName}.${locale}`;
+        if (this.cacheTemplates && this.templateCache.has(cacheKey)) {
+            return this.templateCache.get(cacheKey);
         }
-        
-        try {
-            const templatePath = path.join(__dirname, '../templates', `${templateName}.html`);
-            const templateContent = await fs.readFile(templatePath, 'utf8');
-            
-            // Cache template content
-            this.templateCache.set(templateName, templateContent);
-            
-            return templateContent;
-        } catch (error) {
-            console.error(`Failed to load template ${templateName}:`, error);
-            // Return basic fallback template
-            return this.getBasicTemplate();
+
+        const candidates = locale === BASE_LOCALE
+            ? [`${templateName}.hbs`]
+            : [`${templateName}.${locale}.hbs`, `${templateName}.hbs`];
+
+        for (const file of candidates) {
+            try {
+                const source = await fs.readFile(path.join(TEMPLATES_DIR, file), 'utf8');
+                const compiled = {
+                    locale: file === `${templateName}.hbs` ? BASE_LOCALE : locale,
+                    render: this.handlebars.compile(source)
+                };
+                this.templateCache.set(cacheKey, compiled);
+                return compiled;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
         }
+
+        throw new Error(`Email template "${templateName}" not found`);
     }
-    
-    // Get basic fallback template
-    getBasicTemplate() {
-        return `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=5.0, user-scalable=yes">
-                <title>{{SUBJECT}}</title>
-                <style>
-                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                    .header { background: #1991EB; color: white; padding: 20px; text-align: center; }
-                    .content { padding: 30px 20px; background: #f9f9f9; }
-                    .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <div class="header">
-                        <h1>{{PLATFORM_NAME}}</h1>
-                    </div>
-                    <div class="content">
-                        {{CONTENT}}
-                    </div>
-                    <div class="footer">
-                        <p>© {{CURRENT_YEAR}} {{PLATFORM_NAME}}. All rights reserved.</p>
-                        <p>Support: {{SUPPORT_EMAIL}}</p>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `;
-    }
-    
-    // Replace placeholders in template
-    replacePlaceholders(template, data) {
-        let result = template;
-        for (const [key, value] of Object.entries(data)) {
-            const regex = new RegExp(`{{${key}}}`, 'g');
-            result = result.replace(regex, value || '');
-        }
-        return result;
-    }
-    
-    // Render template with data
-    async renderTemplate(templateName, data) {
-        const template = await this.loadTemplate(templateName);
-        
-        // Add global variables
-        const globalData = {
-            PLATFORM_NAME: process.env.PLATFORM_NAME || 'Bangladesh Robotics Marketplace',
-            SUPPORT_EMAIL: process.env.SUPPORT_EMAIL || 'support@roboticsbd.com',
-            FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
-            CURRENT_YEAR: new Date().getFullYear(),
-            ...data
-        };
-        
-        return this.replacePlaceholders(template, globalData);
+
+    resolveLocale(locale) {
+        return catalogue.locales.includes(locale) ? locale : this.defaultLocale;
     }
-    
-    // Send email
-    async sendEmail({ to, subject, template, data = {}, html = null, attachments = [] }) {
-        try {
-            if (!process.env.RESEND_API_KEY) {
-                console.warn(`⚠️ Email not sent (Resend not configured): ${subject} to ${to}`);
-                return { success: false, error: 'Resend not configured' };
-            }
 
-            // Render HTML content
-            const emailHtml = html || await this.renderTemplate(template, data);
-            
-            // Send email via Resend
-            const result = await this.resend.emails.send({
-                from: process.env.EMAIL_FROM || 'Bangladesh Robotics <onboarding@resend.dev>',
-                to,
-                subject,
-                html: emailHtml
-            });
-            
-            // Check if email actually sent
-            if (!result || !result.id) {
-                console.error('❌ Resend returned no message ID - email NOT sent!');
-                console.error('   This usually means invalid FROM address or unverified domain');
-                console.error('   Current EMAIL_FROM:', process.env.EMAIL_FROM);
-                return { success: false, error: 'Email send failed - no message ID returned' };
+    getGlobals(locale) {
+        return {
+            locale,
+            strings: catalogue.strings[locale] || catalogue.strings.en,
+            platform: {
+                name: process.env.PLATFORM_NAME || 'Bangladesh Robotics Marketplace',
+                supportEmail: process.env.SUPPORT_EMAIL || 'support@roboticsbd.com',
+                frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+                year: new Date().getFullYear()
             }
-            
-            console.log('✅ Email sent via Resend:', result.id, 'to:', to);
-            
-            return { success: true, messageId: result.id };
-        } catch (error) {
-            console.error('❌ Resend email error:', error.message);
-            console.error('   Full error:', error);
-            throw error;
-        }
+        };
     }
-    
-    // Queue email for batch sending
-    queueEmail(emailData) {
-        this.emailQueue.push({
-            ...emailData,
-            attempts: 0,
-            maxAttempts: 3,
-            addedAt: new Date()
-        });
-        
-        // Process queue if not already processing
-        if (!this.isProcessing) {
-            this.processQueue();
+
+    // Render a catalogue template → { subject, html, text, locale }
+    async render(templateName, data = {}, { locale } = {}) {
+        const definition = catalogue.templates[templateName];
+        if (!definition) {
+            throw new Error(`Unknown email template "${templateName}"`);
         }
+
+        await this.loadPartials();
+
+        // Without a variant for the locale the English template is used, and strings/dates follow it
+        const template = await this.loadTemplate(templateName, this.resolveLocale(locale));
+        const context = { ...this.getGlobals(template.locale), ...data };
+
+        const subjectSource = definition.subject[template.locale] || definition.subject[BASE_LOCALE];
+        const subject = this.handlebars.compile(subjectSource, { noEscape: true })(context).trim();
+
+        const body = template.render(context);
+        const html = this.renderLayout({ ...context, subject, body });
+
+        return { subject, html, text: htmlToText(html), locale: template.locale };
     }
-    
-    // Process email queue
-    async processQueue() {
-        if (this.emailQueue.length === 0) {
-            this.isProcessing = false;
-            return;
+
+    // Render with the catalogue's sample data (admin preview)
+    async preview(templateName, locale) {
+        const definition = catalogue.templates[templateName];
+        if (!definition) return null;
+
+        return await this.render(templateName, definition.sample(), { locale });
+    }
+
+    // Templates available for preview, with the locales that have their own variant
+    async listTemplates() {
+        const files = await fs.readdir(TEMPLATES_DIR);
+
+        return Object.entries(catalogue.templates).map(([name, definition]) => ({
+            name,
+            description: definition.description,
+            locales: catalogue.locales.filter(locale =>
+                locale === BASE_LOCALE || files.includes(`${name}.${locale}.hbs`)
+            )
+        }));
+    }
+
+    // ============= Sending =============
+
+    // Queue an email (delivered by the outbox worker). Either a catalogue template or ready HTML.
+    async sendEmail({ to, subject, template, data = {}, html = null, text = null, attachments = [], locale = null }) {
+        if (html) {
+            return await emailOutbox.enqueue({
+                to,
+                subject,
+                html,
+                text: text || htmlToText(html),
+                template: template || null,
+                attachments
+            });
         }
-        
-        this.isProcessing = true;
-        
-        const emailData = this.emailQueue.shift();
-        
-        try {
-            await this.sendEmail(emailData);
-        } catch (error) {
-            emailData.attempts++;
-            
-            if (emailData.attempts < emailData.maxAttempts) {
-                console.log(`⚠️  Retrying email (attempt ${emailData.attempts + 1}/${emailData.maxAttempts})`);
-                this.emailQueue.push(emailData);
-            } else {
-                console.error('❌ Failed to send email after max attempts:', emailData.to);
-            }
+
+        if (!template) {
+            throw new Error('Either template or html must be provided');
         }
-        
-        // Process next email after delay
-        setTimeout(() => this.processQueue(), 1000);
+
+        const rendered = await this.render(template, data, { locale });
+
+        return await emailOutbox.enqueue({
+            to,
+            subject: subject || rendered.subject,
+            html: rendered.html,
+            text: rendered.text,
+            template,
+            attachments
+        });
     }
-    
+
     // Predefined email methods
-    async sendOrderConfirmation(order, user) {
-        const itemsHtml = order.items.map(item => 
-            `<tr style="border-bottom: 1px solid #eee;">
-                <td style="padding: 10px;">${item.product_name}</td>
-                <td style="padding: 10px; text-align: center;">×${item.quantity}</td>
-                <td style="padding: 10px; text-align: right;">৳${(item.price * item.quantity).toLocaleString('en-BD')}</td>
-            </tr>`
-        ).join('');
-        
+
+    async sendOrderConfirmation(order, user, attachments = []) {
         return this.sendEmail({
             to: user.email,
-            subject: `Order Confirmation - #${order.order_number}`,
             template: 'order-confirmation',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                ORDER_NUMBER: order.order_number,
-                ORDER_DATE: new Date(order.created_at).toLocaleDateString('en-BD'),
-                ORDER_TOTAL: `৳${order.grand_total.toLocaleString('en-BD')}`,
-                SUBTOTAL: `৳${order.total_amount.toLocaleString('en-BD')}`,
-                SHIPPING: `৳${order.shipping_cost.toLocaleString('en-BD')}`,
-                ORDER_ITEMS: itemsHtml,
-                DELIVERY_ADDRESS: `${order.delivery_address}, ${order.delivery_city}, ${order.delivery_district}`,
-                TRACKING_URL: `${process.env.FRONTEND_URL}/order-detail.html?order=${order.order_number}`
-            }
+                user,
+                order,
+                items: order.items || [],
+                totals: {
+                    subtotal: parseFloat(order.total_amount) || 0,
+                    shipping: parseFloat(order.shipping_cost) || 0,
+                    discount: parseFloat(order.discount_amount) || 0,
+                    total: parseFloat(order.grand_total) || 0
+                }
+            },
+            attachments
         });
     }
-    
+
+    // order.items should hold only the items in this shipment
     async sendOrderShipped(order, user) {
         return this.sendEmail({
             to: user.email,
-            subject: `Order Shipped - #${order.order_number}`,
             template: 'order-shipped',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                ORDER_NUMBER: order.order_number,
-                TRACKING_NUMBER: order.tracking_number || 'Will be updated soon',
-                COURIER_NAME: order.courier_name || 'Local Courier',
-                TRACKING_URL: `${process.env.FRONTEND_URL}/order-detail.html?order=${order.order_number}`,
-                DELIVERY_ADDRESS: `${order.delivery_address}, ${order.delivery_city}`
+                user,
+                order,
+                items: order.items || [],
+                shipment: {
+                    tracking_number: order.tracking_number,
+                    courier_name: order.courier_name,
+                    estimated_delivery: order.estimated_delivery
+                }
             }
         });
     }
-    
+
     async sendOrderDelivered(order, user) {
         return this.sendEmail({
             to: user.email,
-            subject: `Order Delivered - #${order.order_number}`,
             template: 'order-delivered',
-            data: {
-                USER_NAME: user.full_name,
-                ORDER_NUMBER: order.order_number,
-                REVIEW_URL: `${process.env.FRONTEND_URL}/order-detail.html?order=${order.order_number}#review`
-            }
+            locale: user.locale,
+            data: { user, order }
         });
     }
-    
+
     async sendCompetitionRegistrationConfirmation(registration, competition, user) {
         return this.sendEmail({
             to: user.email,
-            subject: `Registration Confirmed - ${competition.title}`,
             template: 'registration-confirmation',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                COMPETITION_TITLE: competition.title,
-                COMPETITION_DATE: new Date(competition.competition_date).toLocaleDateString('en-BD'),
-                COMPETITION_TIME: competition.competition_time || 'TBA',
-                COMPETITION_VENUE: competition.venue,
-                TEAM_NAME: registration.team_name,
-                TEAM_MEMBERS: registration.team_members,
-                REGISTRATION_FEE: `৳${registration.registration_fee.toLocaleString('en-BD')}`,
-                PAYMENT_STATUS: registration.payment_status,
-                COMPETITION_URL: `${process.env.FRONTEND_URL}/competition-detail.html?id=${competition.id}`
-            }
+                user,
+                competition,
+                registration: withNumericFee(registration),
+                members: parseTeamMembers(registration.team_members),
+                mapUrl: calendarService.getDirectionsUrl(competition)
+            },
+            attachments: [calendarService.buildCompetitionAttachment(competition)]
+        });
+    }
+
+    // ticket: from ticketService.getTicket (the QR code is attached as a PNG)
+    async sendRegistrationApproved(registration, competition, user, ticket) {
+        return this.sendEmail({
+            to: user.email,
+            template: 'registration-approved',
+            locale: user.locale,
+            data: {
+                user,
+                competition,
+                registration: withNumericFee(registration),
+                ticket: { code: ticket.code },
+                mapUrl: calendarService.getDirectionsUrl(competition)
+            },
+            attachments: [
+                { filename: `ticket-${ticket.code}.png`, content: ticket.qr_png },
+                calendarService.buildCompetitionAttachment(competition)
+            ]
         });
     }
-    
-    async sendCompetitionReminder(registration, competition, user) {
+
+    // daysLeft: whole days until the competition (0 = today)
+    async sendCompetitionReminder(registration, competition, user, daysLeft = 1) {
         return this.sendEmail({
             to: user.email,
-            subject: `Reminder: ${competition.title} Tomorrow!`,
             template: 'competition-reminder',
+            locale: user.locale,
+            data: {
+                user,
+                competition,
+                registration: withNumericFee(registration),
+                daysLeft,
+                mapUrl: calendarService.getDirectionsUrl(competition)
+            },
+            attachments: [calendarService.buildCompetitionAttachment(competition)]
+        });
+    }
+
+    // daysLeft: whole days registration stays open (1 = today is the last day)
+    async sendRegistrationDeadlineReminder(competition, user, daysLeft) {
+        const spotsLeft = competition.max_participants
+            ? Math.max(competition.max_participants - competition.registration_count, 0)
+            : null;
+
+        return this.sendEmail({
+            to: user.email,
+            template: 'registration-deadline',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                COMPETITION_TITLE: competition.title,
-                COMPETITION_DATE: new Date(competition.competition_date).toLocaleDateString('en-BD'),
-                COMPETITION_TIME: competition.competition_time || 'TBA',
-                COMPETITION_VENUE: competition.venue,
-                TEAM_NAME: registration.team_name,
-                COMPETITION_URL: `${process.env.FRONTEND_URL}/competition-detail.html?id=${competition.id}`
+                user,
+                competition: withNumericFee(competition),
+                daysLeft,
+                spotsLeft,
+                mapUrl: calendarService.getDirectionsUrl(competition)
             }
         });
     }
-    
-    async sendClubApplicationReceived(club, user) {
+
+    // hasAccount: false for emails without an account yet (the link goes to signup instead of login)
+    async sendTeamInvitation(user, registration, competition, captain, hasAccount = true) {
         return this.sendEmail({
             to: user.email,
-            subject: 'Club Application Received',
-            template: 'club-application-received',
+            template: 'team-invitation',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                CLUB_NAME: club.club_name,
-                UNIVERSITY: club.university,
-                SUBMITTED_DATE: new Date(club.created_at).toLocaleDateString('en-BD')
+                user,
+                competition,
+                registration,
+                captain: { full_name: captain.full_name },
+                hasAccount
             }
         });
     }
-    
-    async sendClubApproved(club, user) {
+
+    // Sent to someone a club invites to judge a competition (hasAccount false: they sign up with this email first)
+    async sendJudgeInvitation(user, competition, club, inviter, hasAccount = true) {
         return this.sendEmail({
             to: user.email,
-            subject: '🎉 Club Application Approved!',
-            template: 'club-approved',
+            template: 'judge-invitation',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                CLUB_NAME: club.club_name,
-                UNIVERSITY: club.university,
-                DASHBOARD_URL: `${process.env.FRONTEND_URL}/club-dashboard.html`,
-                PROFILE_URL: `${process.env.FRONTEND_URL}/club-profile.html?slug=${club.slug}`
+                user,
+                competition,
+                club: { club_name: club.club_name },
+                inviter: { full_name: inviter.full_name },
+                hasAccount
             }
         });
     }
-    
-    async sendClubRejected(club, user, reason) {
+
+    // Sent to the captain of a team promoted from the waitlist (payment_due_at is null for free competitions)
+    async sendWaitlistPromotion(registration, competition, user) {
         return this.sendEmail({
             to: user.email,
-            subject: 'Club Application Update',
-            template: 'club-rejected',
+            template: 'waitlist-promoted',
+            locale: user.locale,
+            data: {
+                user,
+                competition,
+                registration: withNumericFee(registration)
+            }
+        });
+    }
+
+    // Sent to each member of a ranked team when results are published (badge is null off the podium)
+    async sendCompetitionResults(user, registration, competition, result, badge = null) {
+        return this.sendEmail({
+            to: user.email,
+            template: 'competition-results',
+            locale: user.locale,
+            data: {
+                user,
+                competition,
+                registration: { team_name: registration.team_name },
+                result: {
+                    placement: result.placement,
+                    score: result.score !== null ? parseFloat(result.score) : null,
+                    prize_amount: parseFloat(result.prize_amount) || 0
+                },
+                badge
+            }
+        });
+    }
+
+    // registration rows joined with the participant's email/full_name (and locale when selected)
+    async sendCompetitionCancellation(registration, competition) {
+        return this.sendEmail({
+            to: registration.email,
+            template: 'competition-cancellation',
+            locale: registration.locale,
             data: {
-                USER_NAME: user.full_name,
-                CLUB_NAME: club.club_name,
-                REJECTION_REASON: reason || 'Unfortunately, we are unable to approve your application at this time.',
-                SUPPORT_EMAIL: process.env.SUPPORT_EMAIL || 'support@roboticsbd.com',
-                REAPPLY_URL: `${process.env.FRONTEND_URL}/clubs/apply`
+                user: { full_name: registration.full_name, email: registration.email },
+                competition,
+                registration: withNumericFee(registration)
             }
         });
     }
-    
+
+    async sendClubApplicationReceived(club, user) {
+        return this.sendEmail({
+            to: user.email,
+            template: 'club-application-received',
+            locale: user.locale,
+            data: { user, club }
+        });
+    }
+
+    async sendClubApproved(club, user) {
+        return this.sendEmail({
+            to: user.email,
+            template: 'club-approved',
+            locale: user.locale,
+            data: { user, club }
+        });
+    }
+
+    async sendClubRejected(club, user, reason) {
+        return this.sendEmail({
+            to: user.email,
+            template: 'club-rejected',
+            locale: user.locale,
+            data: { user, club, reason }
+        });
+    }
+
     async sendPayoutNotification(club, payout) {
         return this.sendEmail({
             to: club.contact_email,
-            subject: 'Payout Processed Successfully',
             template: 'payout-notification',
-            data: {
-                CLUB_NAME: club.club_name,
-                PAYOUT_AMOUNT: `৳${payout.amount.toLocaleString('en-BD')}`,
-                PAYOUT_PERIOD: `${new Date(payout.period_start).toLocaleDateString('en-BD')} - ${new Date(payout.period_end).toLocaleDateString('en-BD')}`,
-                PAYMENT_METHOD: payout.payment_method || 'Bank Transfer',
-                PAYMENT_REFERENCE: payout.payment_reference || 'Will be updated within 24 hours',
-                DASHBOARD_URL: `${process.env.FRONTEND_URL}/my-earnings.html`
-            }
+            data: { club, payout }
         });
     }
-    
+
     async sendEmailVerification(user, verificationToken) {
-        const verificationUrl = `${process.env.FRONTEND_URL}/verify-email.html?token=${verificationToken}`;
-        
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
         return this.sendEmail({
             to: user.email,
-            subject: 'Verify Your Email Address',
             template: 'email-verification',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                VERIFICATION_URL: verificationUrl,
-                EXPIRY_HOURS: 24
+                user,
+                verificationUrl: `${frontendUrl}/verify-email.html?token=${verificationToken}`,
+                expiryHours: 24
             }
         });
     }
-    
+
     async sendPasswordReset(user, resetToken) {
-        const resetUrl = `${process.env.FRONTEND_URL}/reset-password.html?token=${resetToken}`;
-        
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
         return this.sendEmail({
             to: user.email,
-            subject: 'Password Reset Request',
             template: 'password-reset',
+            locale: user.locale,
             data: {
-                USER_NAME: user.full_name,
-                RESET_URL: resetUrl,
-                EXPIRY_HOURS: 1
+                user,
+                resetUrl: `${frontendUrl}/reset-password.html?token=${resetToken}`,
+                expiryHours: 1
             }
         });
     }
-    
+
     async sendWelcomeEmail(user) {
         return this.sendEmail({
             to: user.email,
-            subject: 'Welcome to Bangladesh Robotics Marketplace! 🎉',
             template: 'welcome',
-            data: {
-                USER_NAME: user.full_name,
-                USER_ROLE: user.role,
-                BROWSE_PRODUCTS_URL: `${process.env.FRONTEND_URL}/products.html`,
-                BROWSE_COMPETITIONS_URL: `${process.env.FRONTEND_URL}/competitions.html`,
-                PROFILE_URL: `${process.env.FRONTEND_URL}/my-profile.html`
-            }
+            locale: user.locale,
+            data: { user }
         });
     }
-    
+
     async sendLowStockAlert(product, club) {
         return this.sendEmail({
             to: club.contact_email,
-            subject: `Low Stock Alert: ${product.name}`,
             template: 'low-stock-alert',
-            data: {
-                CLUB_NAME: club.club_name,
-                PRODUCT_NAME: product.name,
-                CURRENT_STOCK: product.stock,
-                PRODUCT_URL: `${process.env.FRONTEND_URL}/manage-products.html`
-            }
+            data: { club, product }
         });
     }
-    
+
     // Batch send to multiple recipients
-    async sendBulkEmail({ recipients, subject, template, data = {} }) {
+    async sendBulkEmail({ recipients, subject, template, data = {}, html = null, locale = null }) {
         for (const email of recipients) {
-            this.queueEmail({ to: email, subject, template, data });
+            await this.sendEmail({ to: email, subject, template, data, html, locale });
         }
-        
+
         return { success: true, queued: recipients.length };
     }
-    
-    // Test email connection
+
+    // Test email transport configuration
     async verifyConnection() {
         try {
-            if (!process.env.RESEND_API_KEY) {
-                console.error('⚠️ RESEND_API_KEY not set');
-                return false;
-            }
-            console.log('✅ Resend email service ready');
+            const transport = emailOutbox.getTransport();
+            console.log(`✅ Email transport ready: ${transport.name}`);
             return true;
         } catch (error) {
-            console.error('⚠️ Email verification failed:', error.message);
+            console.error('⚠️ Email transport check failed:', error.message);
             return false;
         }
     }
-    
-    // Clear template cache
+
+    // Clear template cache (partials are re-read on the next render)
     clearTemplateCache() {
         this.templateCache.clear();
+        this.partialsLoaded = false;
         console.log('✅ Email template cache cleared');
     }
 }
@@ -431,4 +582,4 @@ class EmailService {
 // Create singleton instance
 const emailService = new EmailService();
 
-module.exports = emailService;
\ No newline at end of file
+module.exports = emailService;
@@ -0,0 +1,128 @@
+// backend/services/emailTransport.js
+// Pluggable email transports used by the outbox worker (Resend, SMTP, file, console).
+// GLOBAL REFERENCE: Environment Variables (EMAIL_TRANSPORT, RESEND_API_KEY, EMAIL_HOST/PORT/USER/PASSWORD, EMAIL_OUTPUT_DIR)
+// PURPOSE: Deliver one rendered message and report its provider message ID or rejected recipients.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Resend } = require('resend');
+const nodemailer = require('nodemailer');
+
+// Every transport: send({ from, to, subject, html, text, attachments }) → { messageId, rejected: [] }
+
+// Resend API
+function createResendTransport() {
+    const resend = new Resend(process.env.RESEND_API_KEY);
+
+    return {
+        name: 'resend',
+        async send(message) {
+            const result = await resend.emails.send({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                ...(message.text && { text: message.text }),
+                ...(message.attachments.length > 0 && { attachments: message.attachments })
+            });
+
+            if (result && result.error) {
+                throw new Error(result.error.message || 'Resend rejected the email');
+            }
+
+            const messageId = result && (result.id || (result.data && result.data.id));
+            if (!messageId) {
+                // Usually an invalid FROM address or unverified domain
+                throw new Error('Resend returned no message ID');
+            }
+
+            return { messageId, rejected: [] };
+        }
+    };
+}
+
+// SMTP via nodemailer (EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASSWORD)
+function createSmtpTransport() {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER ? {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId, rejected: info.rejected || [] };
+        }
+    };
+}
+
+// Writes each email to EMAIL_OUTPUT_DIR as .html/.txt plus a .json envelope (local development and tests)
+function createFileTransport() {
+    const outputDir = process.env.EMAIL_OUTPUT_DIR || path.join(__dirname, '../../tmp/emails');
+
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.mkdir(outputDir, { recursive: true });
+
+            const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const base = path.join(outputDir, messageId);
+
+            await fs.writeFile(`${base}.html`, message.html, 'utf8');
+            if (message.text) {
+                await fs.writeFile(`${base}.txt`, message.text, 'utf8');
+            }
+            await fs.writeFile(`${base}.json`, JSON.stringify({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                attachments: message.attachments.map(attachment => attachment.filename)
+            }, null, 2), 'utf8');
+
+            console.log(`📁 Email written to ${base}.html (${message.subject} → ${message.to})`);
+            return { messageId, rejected: [] };
+        }
+    };
+}
+
+// Logs the envelope only
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`📧 [console transport] ${message.subject} → ${message.to}`);
+            return { messageId: `console-${Date.now()}`, rejected: [] };
+        }
+    };
+}
+
+const factories = {
+    resend: createResendTransport,
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+// EMAIL_TRANSPORT picks the transport; without it Resend is used when configured, else console
+function createTransport(name = process.env.EMAIL_TRANSPORT) {
+    const transportName = name || (process.env.RESEND_API_KEY ? 'resend' : 'console');
+    const factory = factories[transportName];
+
+    if (!factory) {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}" (use ${Object.keys(factories).join(', ')})`);
+    }
+
+    return factory();
+}
+
+module.exports = {
+    createTransport,
+    transports: Object.keys(factories)
+};
@@ -0,0 +1,264 @@
+// backend/services/exportService.js
+// Spreadsheet exports (CSV and XLSX) of club earnings reports and competition registrations.
+// GLOBAL REFERENCE: Earnings model, Commission Rates, Database Schema → payouts, refunds, competition_registrations tables
+// PURPOSE: Give clubs downloadable earnings, commission, payout and refund records for a date range, and registration lists.
+
+const ExcelJS = require('exceljs');
+const Earnings = require('../models/earningsModel');
+const Club = require('../models/clubModel');
+const registrationFormService = require('./registrationFormService');
+
+class ExportService {
+    constructor() {
+        this.platformName = process.env.PLATFORM_NAME || 'Bangladesh Robotics Marketplace';
+        this.sections = ['summary', 'transactions', 'payouts', 'refunds'];
+
+        this.columns = {
+            summary: [
+                { header: 'Item', key: 'label', width: 32 },
+                { header: 'Value', key: 'value', width: 24 }
+            ],
+            transactions: [
+                { header: 'Order Date', key: 'order_date', width: 14, type: 'date' },
+                { header: 'Order Number', key: 'order_number', width: 20 },
+                { header: 'Customer', key: 'customer_name', width: 24 },
+                { header: 'Product', key: 'product_name', width: 32 },
+                { header: 'Quantity', key: 'quantity', width: 10, type: 'number' },
+                { header: 'Status', key: 'status', width: 14 },
+                { header: 'Delivered On', key: 'delivered_at', width: 14, type: 'date' },
+                { header: 'Payment Method', key: 'payment_method', width: 18 },
+                { header: 'Payment Status', key: 'payment_status', width: 18 },
+                { header: 'Transaction ID', key: 'transaction_id', width: 20 },
+                { header: 'Gross Amount', key: 'gross_amount', width: 14, type: 'money' },
+                { header: 'Discount', key: 'discount_amount', width: 12, type: 'money' },
+                { header: 'Refunded', key: 'refunded_amount', width: 12, type: 'money' },
+                { header: 'Net Sales', key: 'net_amount', width: 14, type: 'money' },
+                { header: 'Commission Tier', key: 'tier', width: 16 },
+                { header: 'Commission Rate', key: 'commission_rate', width: 16, type: 'percent' },
+                { header: 'Commission', key: 'commission', width: 14, type: 'money' },
+                { header: 'Earnings', key: 'earnings', width: 14, type: 'money' }
+            ],
+            payouts: [
+                { header: 'Requested On', key: 'created_at', width: 14, type: 'date' },
+                { header: 'Payout ID', key: 'id', width: 10, type: 'number' },
+                { header: 'Period Start', key: 'period_start', width: 14, type: 'date' },
+                { header: 'Period End', key: 'period_end', width: 14, type: 'date' },
+                { header: 'Amount', key: 'amount', width: 14, type: 'money' },
+                { header: 'Status', key: 'status', width: 12 },
+                { header: 'Payment Method', key: 'payment_method', width: 18 },
+                { header: 'Payment Reference', key: 'payment_reference', width: 22 },
+                { header: 'Last Updated', key: 'updated_at', width: 14, type: 'date' }
+            ],
+            refunds: [
+                { header: 'Refunded On', key: 'created_at', width: 14, type: 'date' },
+                { header: 'Order Number', key: 'order_number', width: 20 },
+                { header: 'Return Number', key: 'return_number', width: 20 },
+                { header: 'Product', key: 'product_name', width: 32 },
+                { header: 'Quantity', key: 'quantity', width: 10, type: 'number' },
+                { header: 'Amount', key: 'amount', width: 14, type: 'money' },
+                { header: 'Type', key: 'refund_type', width: 10 },
+                { header: 'Reason', key: 'reason', width: 30 }
+            ],
+            registrations: [
+                { header: 'Registered On', key: 'created_at', width: 14, type: 'date' },
+                { header: 'Registration ID', key: 'id', width: 14, type: 'number' },
+                { header: 'Team', key: 'team_name', width: 24 },
+                { header: 'Captain', key: 'full_name', width: 24 },
+                { header: 'Captain Email', key: 'email', width: 28 },
+                { header: 'Student ID', key: 'student_id', width: 16 },
+                { header: 'University', key: 'university', width: 28 },
+                { header: 'Phone', key: 'phone', width: 16 },
+                { header: 'Team Members', key: 'team_members', width: 36 },
+                { header: 'Status', key: 'registration_status', width: 12 },
+                { header: 'Fee', key: 'registration_fee', width: 12, type: 'money' },
+                { header: 'Payment Method', key: 'payment_method', width: 18 },
+                { header: 'Payment Status', key: 'payment_status', width: 16 },
+                { header: 'Transaction ID', key: 'transaction_id', width: 20 },
+                { header: 'Payment Screenshot', key: 'payment_screenshot_url', width: 30 },
+                { header: 'Checked In', key: 'checked_in_at', width: 18, type: 'datetime' }
+            ]
+        };
+    }
+
+    // Round money to two decimals
+    round(amount) {
+        return Math.round((parseFloat(amount) || 0) * 100) / 100;
+    }
+
+    // Format a date as YYYY-MM-DD (spreadsheets sort these correctly as text)
+    formatDate(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Format a timestamp as YYYY-MM-DD HH:MM
+    formatDateTime(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${this.formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // Build every section of a club's earnings report for a date range
+    async buildEarningsReport(club, filters = {}) {
+        const commissionRate = await Club.getCommissionRate(club.reward_tier);
+
+        const lines = await Earnings.getItemLines(club.id, commissionRate, filters);
+        const payouts = await Earnings.getPayouts(club.id, filters);
+        const refunds = await Earnings.getRefunds(club.id, filters);
+
+        const transactions = lines.map(line => ({
+            ...line,
+            tier: club.reward_tier,
+            commission_rate: commissionRate
+        }));
+
+        const sum = (rows, key) => this.round(rows.reduce((total, row) => total + (parseFloat(row[key]) || 0), 0));
+        const delivered = transactions.filter(line => ['delivered', 'returned'].includes(line.status));
+        const pending = transactions.filter(line => !['delivered', 'returned'].includes(line.status));
+
+        const summary = [
+            { label: 'Club', value: club.club_name },
+            { label: 'Period', value: `${filters.from_date || 'Beginning'} to ${filters.to_date || this.formatDate(new Date())}` },
+            { label: 'Commission Tier', value: club.reward_tier },
+            { label: 'Commission Rate', value: `${this.round(commissionRate * 100)}%` },
+            { label: 'Orders', value: new Set(transactions.map(line => line.order_number)).size },
+            { label: 'Gross Sales', value: sum(transactions, 'gross_amount') },
+            { label: 'Discounts', value: sum(transactions, 'discount_amount') },
+            { label: 'Refunds', value: sum(transactions, 'refunded_amount') },
+            { label: 'Net Sales', value: sum(transactions, 'net_amount') },
+            { label: 'Commission Deducted (Delivered)', value: sum(delivered, 'commission') },
+            { label: 'Earnings (Delivered)', value: sum(delivered, 'earnings') },
+            { label: 'Pending Earnings', value: sum(pending, 'earnings') },
+            { label: 'Payouts Paid', value: sum(payouts.filter(payout => payout.status === 'paid'), 'amount') },
+            { label: 'Payouts Pending', value: sum(payouts.filter(payout => ['pending', 'processing'].includes(payout.status)), 'amount') }
+        ];
+
+        return {
+            summary: { name: 'Summary', columns: this.columns.summary, rows: summary },
+            transactions: { name: 'Transactions', columns: this.columns.transactions, rows: transactions },
+            payouts: { name: 'Payouts', columns: this.columns.payouts, rows: payouts },
+            refunds: { name: 'Refunds', columns: this.columns.refunds, rows: refunds }
+        };
+    }
+
+    // Registrations of a competition with one column per registration form question.
+    // Answers to questions removed from the form since are kept in trailing columns.
+    buildRegistrationSheet(competition, registrations) {
+        const fields = registrationFormService.getFields(competition);
+        const known = new Set(fields.map(field => field.key));
+        const removed = [];
+
+        for (const registration of registrations) {
+            for (const key of Object.keys(registration.form_answers || {})) {
+                if (!known.has(key)) {
+                    known.add(key);
+                    removed.push({ key, label: key, type: 'text' });
+                }
+            }
+        }
+
+        const formFields = [...fields, ...removed];
+        const columns = [
+            ...this.columns.registrations,
+            ...formFields.map(field => ({
+                header: field.label,
+                key: `answer_${field.key}`,
+                width: field.type === 'textarea' || field.type === 'file' ? 36 : 20,
+                type: field.type === 'number' ? 'number' : undefined
+            }))
+        ];
+
+        const rows = registrations.map(registration => {
+            const row = { ...registration };
+            const answers = registration.form_answers || {};
+
+            for (const field of formFields) {
+                row[`answer_${field.key}`] = registrationFormService.formatAnswer(field, answers[field.key]);
+            }
+
+            return row;
+        });
+
+        return { name: 'Registrations', columns, rows };
+    }
+
+    // Plain value of a cell for export
+    cellValue(column, row) {
+        const value = row[column.key];
+        if (value === null || value === undefined) return '';
+
+        switch (column.type) {
+            case 'date': return this.formatDate(value);
+            case 'datetime': return this.formatDateTime(value);
+            case 'money': return this.round(value);
+            case 'number': return parseFloat(value) || 0;
+            case 'percent': return parseFloat(value) || 0;
+            default: return value;
+        }
+    }
+
+    // Escape a CSV field (and stop spreadsheet apps evaluating text as a formula)
+    escapeCSV(value) {
+        if (typeof value === 'number') return String(value);
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+
+        return text;
+    }
+
+    // Serialize one sheet as CSV (UTF-8 with BOM so Excel reads Bangla names correctly)
+    toCSV(sheet) {
+        const lines = [sheet.columns.map(column => this.escapeCSV(column.header)).join(',')];
+
+        for (const row of sheet.rows) {
+            lines.push(sheet.columns.map(column => this.escapeCSV(this.cellValue(column, row))).join(','));
+        }
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    // Serialize sheets as an XLSX workbook
+    async toXLSX(sheets) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = this.platformName;
+        workbook.created = new Date();
+
+        for (const sheet of sheets) {
+            const worksheet = workbook.addWorksheet(sheet.name, {
+                views: [{ state: 'frozen', ySplit: 1 }]
+            });
+
+            worksheet.columns = sheet.columns.map(column => ({
+                header: column.header,
+                key: column.key,
+                width: column.width,
+                style: column.type === 'money'
+                    ? { numFmt: '#,##0.00' }
+                    : column.type === 'percent' ? { numFmt: '0.00%' } : {}
+            }));
+
+            worksheet.getRow(1).font = { bold: true };
+
+            for (const row of sheet.rows) {
+                const values = {};
+                for (const column of sheet.columns) {
+                    values[column.key] = this.cellValue(column, row);
+                }
+                worksheet.addRow(values);
+            }
+        }
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+}
+
+module.exports = new ExportService();
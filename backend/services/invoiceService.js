@@ -0,0 +1,379 @@
+// backend/services/invoiceService.js
+// PDF invoice and packing slip rendering with platform and club branding.
+// GLOBAL REFERENCE: Database Schema → invoices table, invoice_number_seq, Order Structure, Club Structure
+// PURPOSE: Generate downloadable/attachable order documents on the server.
+
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+const db = require('../config/database');
+
+class InvoiceService {
+    constructor() {
+        this.platformName = process.env.PLATFORM_NAME || 'Bangladesh Robotics Marketplace';
+        this.supportEmail = process.env.SUPPORT_EMAIL || 'support@roboticsbd.com';
+        this.brandColor = '#1991EB';
+
+        // Club logos are uploaded to Cloudinary
+        this.imageHost = 'res.cloudinary.com';
+        this.maxImageBytes = 2 * 1024 * 1024;
+
+        this.paymentMethods = {
+            cash_on_delivery: 'Cash on Delivery',
+            bkash: 'bKash',
+            nagad: 'Nagad',
+            rocket: 'Rocket'
+        };
+    }
+
+    // Get the order's invoice number, assigning the next one in sequence on first use
+    async getInvoiceNumber(orderId) {
+        const existing = await db.getOne('SELECT invoice_number FROM invoices WHERE order_id = $1', [orderId]);
+        if (existing) return existing.invoice_number;
+
+        const invoice = await db.getOne(`
+            INSERT INTO invoices (order_id, invoice_number)
+            VALUES ($1, 'INV-' || TO_CHAR(CURRENT_DATE, 'YYYY') || '-' || LPAD(nextval('invoice_number_seq')::text, 6, '0'))
+            ON CONFLICT (order_id) DO NOTHING
+            RETURNING invoice_number
+        `, [orderId]);
+
+        // Another request numbered it first
+        if (!invoice) {
+            const numbered = await db.getOne('SELECT invoice_number FROM invoices WHERE order_id = $1', [orderId]);
+            return numbered.invoice_number;
+        }
+
+        return invoice.invoice_number;
+    }
+
+    // Load branding details of the clubs selling in an order
+    async getClubs(clubIds) {
+        const clubs = await db.getMany(`
+            SELECT id, club_name, university, logo_url, contact_email, contact_phone
+            FROM clubs
+            WHERE id = ANY($1)
+        `, [clubIds]);
+
+        return new Map(clubs.map(club => [club.id, club]));
+    }
+
+    // Only our own Cloudinary uploads are fetched: logo URLs are set by club admins,
+    // so anything else could make the server request internal addresses
+    isAllowedImageUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+
+            return parsed.protocol === 'https:'
+                && parsed.hostname === this.imageHost
+                && (!cloudName || parsed.pathname.startsWith(`/${cloudName}/`));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Fetch a logo for embedding (PDFKit only supports PNG/JPEG; anything else is skipped)
+    async loadImage(url) {
+        if (!url || !this.isAllowedImageUrl(url)) return null;
+
+        try {
+            const response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: 5000,
+                maxRedirects: 0,
+                maxContentLength: this.maxImageBytes,
+                headers: { Accept: 'image/png, image/jpeg' }
+            });
+
+            const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+            if (!['image/png', 'image/jpeg'].includes(contentType)) {
+                return null;
+            }
+
+            return Buffer.from(response.data);
+        } catch (error) {
+            console.error('Failed to load image for PDF:', error.message);
+            return null;
+        }
+    }
+
+    // Built-in PDF fonts have no taka sign
+    formatAmount(amount) {
+        const value = parseFloat(amount) || 0;
+        const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${value < 0 ? '- ' : ''}Tk ${formatted}`;
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+    }
+
+    // Render a PDFKit document into a Buffer (options override the A4 portrait defaults)
+    renderToBuffer(draw, options = {}) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            Promise.resolve(draw(doc))
+                .then(() => doc.end())
+                .catch(reject);
+        });
+    }
+
+    drawLogo(doc, image, x, y, size) {
+        if (!image) return false;
+
+        try {
+            doc.image(image, x, y, { fit: [size, size] });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    drawAddress(doc, title, lines, x, y, width) {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text(title, x, y, { width });
+        doc.font('Helvetica').fontSize(9).fillColor('#555555');
+        for (const line of lines.filter(Boolean)) {
+            doc.text(line, { width });
+        }
+        return doc.y;
+    }
+
+    drawTableHeader(doc, columns, y) {
+        doc.rect(50, y, 495, 20).fill('#F1F5F9');
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#333333');
+        for (const column of columns) {
+            doc.text(column.label, column.x, y + 6, { width: column.width, align: column.align || 'left' });
+        }
+        return y + 26;
+    }
+
+    // Start a new page when the next block will not fit
+    ensureSpace(doc, y, needed) {
+        if (y + needed > doc.page.height - 70) {
+            doc.addPage();
+            return 50;
+        }
+        return y;
+    }
+
+    drawFooter(doc, text) {
+        doc.font('Helvetica').fontSize(8).fillColor('#888888')
+            .text(text, 50, doc.page.height - 60, { width: 495, align: 'center' });
+    }
+
+    // Generate the customer invoice for an order (from Order.findById / findByOrderNumber)
+    async generateInvoice(order) {
+        const invoiceNumber = await this.getInvoiceNumber(order.id);
+        const clubIds = [...new Set(order.items.map(item => item.club_id))];
+        const clubs = await this.getClubs(clubIds);
+        const logos = new Map();
+
+        for (const club of clubs.values()) {
+            logos.set(club.id, await this.loadImage(club.logo_url));
+        }
+
+        const pdf = await this.renderToBuffer((doc) => {
+            // Platform header
+            doc.rect(0, 0, doc.page.width, 90).fill(this.brandColor);
+            doc.font('Helvetica-Bold').fontSize(16).fillColor('#FFFFFF').text(this.platformName, 50, 32, { width: 300 });
+            doc.font('Helvetica').fontSize(9).text(this.supportEmail, 50, doc.y + 4);
+            doc.font('Helvetica-Bold').fontSize(22).text('INVOICE', 350, 28, { width: 195, align: 'right' });
+            doc.font('Helvetica').fontSize(9).text(invoiceNumber, 350, 58, { width: 195, align: 'right' });
+
+            // Invoice meta
+            let y = 110;
+            doc.font('Helvetica').fontSize(9).fillColor('#555555');
+            doc.text(`Order: #${order.order_number}`, 350, y, { width: 195, align: 'right' });
+            doc.text(`Order Date: ${this.formatDate(order.created_at)}`, 350, y + 13, { width: 195, align: 'right' });
+            doc.text(`Payment: ${this.paymentMethods[order.payment_method] || order.payment_method}`, 350, y + 26, { width: 195, align: 'right' });
+            doc.text(`Payment Status: ${order.payment_status.replace(/_/g, ' ')}`, 350, y + 39, { width: 195, align: 'right' });
+            if (order.transaction_id) {
+                doc.text(`Transaction ID: ${order.transaction_id}`, 350, y + 52, { width: 195, align: 'right' });
+            }
+
+            const billedY = this.drawAddress(doc, 'Billed To', [
+                order.user_name,
+                order.user_email
+            ], 50, y, 140);
+
+            const shippedY = this.drawAddress(doc, 'Ship To', [
+                order.delivery_name,
+                order.delivery_phone,
+                order.delivery_address,
+                `${order.delivery_city}, ${order.delivery_district}`,
+                `${order.delivery_division} ${order.delivery_postal_code}`
+            ], 200, y, 140);
+
+            y = Math.max(billedY, shippedY, y + 65) + 20;
+
+            // One section per selling club
+            const columns = [
+                { label: 'Item', x: 55, width: 250 },
+                { label: 'Qty', x: 305, width: 40, align: 'center' },
+                { label: 'Unit Price', x: 345, width: 95, align: 'right' },
+                { label: 'Amount', x: 440, width: 100, align: 'right' }
+            ];
+
+            for (const clubId of clubIds) {
+                const club = clubs.get(clubId) || {};
+                const items = order.items.filter(item => item.club_id === clubId);
+                const shipment = (order.shipments || []).find(s => s.club_id === clubId);
+
+                y = this.ensureSpace(doc, y, 120);
+
+                const hasLogo = this.drawLogo(doc, logos.get(clubId), 50, y, 28);
+                const textX = hasLogo ? 86 : 50;
+                doc.font('Helvetica-Bold').fontSize(11).fillColor('#333333')
+                    .text(`Sold by ${club.club_name || items[0].club_name}`, textX, y, { width: 300 });
+                doc.font('Helvetica').fontSize(8).fillColor('#777777')
+                    .text([club.university, club.contact_email, club.contact_phone].filter(Boolean).join(' · '), textX, y + 14, { width: 400 });
+                if (shipment) {
+                    doc.text(`Shipment ${shipment.shipment_number}`, 350, y, { width: 195, align: 'right' });
+                }
+
+                y = this.drawTableHeader(doc, columns, y + 34);
+
+                let clubSubtotal = 0;
+                let clubDiscount = 0;
+
+                for (const item of items) {
+                    y = this.ensureSpace(doc, y, 20);
+                    doc.font('Helvetica').fontSize(9).fillColor('#333333');
+                    doc.text(item.product_name, columns[0].x, y, { width: columns[0].width });
+                    const rowBottom = doc.y;
+                    doc.text(String(item.quantity), columns[1].x, y, { width: columns[1].width, align: 'center' });
+                    doc.text(this.formatAmount(item.price), columns[2].x, y, { width: columns[2].width, align: 'right' });
+                    doc.text(this.formatAmount(item.subtotal), columns[3].x, y, { width: columns[3].width, align: 'right' });
+                    y = rowBottom + 6;
+
+                    clubSubtotal += parseFloat(item.subtotal) || 0;
+                    clubDiscount += parseFloat(item.discount_amount) || 0;
+                }
+
+                doc.moveTo(50, y).lineTo(545, y).strokeColor('#E2E8F0').stroke();
+                y += 6;
+
+                const clubRows = [['Subtotal', clubSubtotal]];
+                if (clubDiscount > 0) clubRows.push(['Discount', -clubDiscount]);
+                if (shipment) clubRows.push(['Shipping', shipment.shipping_cost]);
+
+                doc.font('Helvetica').fontSize(9).fillColor('#555555');
+                for (const [label, amount] of clubRows) {
+                    doc.text(label, 345, y, { width: 95, align: 'right' });
+                    doc.text(this.formatAmount(amount), 440, y, { width: 100, align: 'right' });
+                    y += 13;
+                }
+
+                y += 16;
+            }
+
+            // Order totals
+            y = this.ensureSpace(doc, y, 110);
+            doc.moveTo(300, y).lineTo(545, y).strokeColor('#CBD5E1').stroke();
+            y += 8;
+
+            const totals = [
+                ['Items Subtotal', order.total_amount],
+                ['Shipping', order.shipping_cost]
+            ];
+            if (parseFloat(order.discount_amount) > 0) {
+                totals.push([order.coupon_code ? `Discount (${order.coupon_code})` : 'Discount', -order.discount_amount]);
+            }
+
+            doc.font('Helvetica').fontSize(10).fillColor('#333333');
+            for (const [label, amount] of totals) {
+                doc.text(label, 300, y, { width: 140, align: 'right' });
+                doc.text(this.formatAmount(amount), 440, y, { width: 100, align: 'right' });
+                y += 15;
+            }
+
+            doc.rect(300, y, 245, 24).fill('#F1F5F9');
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#111111');
+            doc.text('Grand Total', 305, y + 7, { width: 135, align: 'right' });
+            doc.text(this.formatAmount(order.grand_total), 440, y + 7, { width: 100, align: 'right' });
+            y += 32;
+
+            if (parseFloat(order.refund_amount) > 0) {
+                doc.font('Helvetica').fontSize(10).fillColor('#B91C1C');
+                doc.text('Refunded', 300, y, { width: 140, align: 'right' });
+                doc.text(this.formatAmount(-order.refund_amount), 440, y, { width: 100, align: 'right' });
+            }
+
+            this.drawFooter(doc, `Thank you for shopping with ${this.platformName}. Questions? Contact ${this.supportEmail}`);
+        });
+
+        return { invoiceNumber, pdf };
+    }
+
+    // Generate a club's packing slip for its part of an order (no prices)
+    async generatePackingSlip(order, clubId) {
+        const clubs = await this.getClubs([clubId]);
+        const club = clubs.get(clubId) || {};
+        const logo = await this.loadImage(club.logo_url);
+        const items = order.items.filter(item => item.club_id === clubId);
+        const shipment = (order.shipments || []).find(s => s.club_id === clubId);
+
+        return await this.renderToBuffer((doc) => {
+            // Club header
+            const hasLogo = this.drawLogo(doc, logo, 50, 45, 48);
+            const textX = hasLogo ? 110 : 50;
+            doc.font('Helvetica-Bold').fontSize(18).fillColor('#111111').text(club.club_name || '', textX, 48, { width: 280 });
+            doc.font('Helvetica').fontSize(9).fillColor('#555555')
+                .text([club.university, club.contact_phone].filter(Boolean).join(' · '), textX, 72, { width: 280 });
+
+            doc.font('Helvetica-Bold').fontSize(18).fillColor(this.brandColor).text('PACKING SLIP', 350, 48, { width: 195, align: 'right' });
+            doc.font('Helvetica').fontSize(9).fillColor('#555555');
+            doc.text(`Order: #${order.order_number}`, 350, 72, { width: 195, align: 'right' });
+            if (shipment) {
+                doc.text(`Shipment: ${shipment.shipment_number}`, 350, 85, { width: 195, align: 'right' });
+            }
+            doc.text(`Order Date: ${this.formatDate(order.created_at)}`, 350, shipment ? 98 : 85, { width: 195, align: 'right' });
+
+            let y = 130;
+            y = this.drawAddress(doc, 'Ship To', [
+                order.delivery_name,
+                order.delivery_phone,
+                order.delivery_address,
+                `${order.delivery_city}, ${order.delivery_district}`,
+                `${order.delivery_division} ${order.delivery_postal_code}`
+            ], 50, y, 300) + 12;
+
+            if (order.payment_method === 'cash_on_delivery') {
+                doc.font('Helvetica-Bold').fontSize(10).fillColor('#B45309')
+                    .text('CASH ON DELIVERY', 50, y);
+                y = doc.y + 12;
+            }
+
+            const columns = [
+                { label: '', x: 55, width: 20 },
+                { label: 'Item', x: 80, width: 360 },
+                { label: 'Qty', x: 440, width: 100, align: 'right' }
+            ];
+            y = this.drawTableHeader(doc, columns, y + 6);
+
+            for (const item of items) {
+                y = this.ensureSpace(doc, y, 22);
+                doc.rect(57, y, 10, 10).strokeColor('#94A3B8').stroke();
+                doc.font('Helvetica').fontSize(10).fillColor('#333333');
+                doc.text(item.product_name, columns[1].x, y, { width: columns[1].width });
+                const rowBottom = doc.y;
+                doc.text(String(item.quantity), columns[2].x, y, { width: columns[2].width, align: 'right' });
+                y = rowBottom + 8;
+            }
+
+            const totalUnits = items.reduce((sum, item) => sum + item.quantity, 0);
+            doc.moveTo(50, y).lineTo(545, y).strokeColor('#E2E8F0').stroke();
+            doc.font('Helvetica-Bold').fontSize(10).text(`Total units: ${totalUnits}`, 350, y + 8, { width: 190, align: 'right' });
+
+            this.drawFooter(doc, `Sold via ${this.platformName}`);
+        });
+    }
+}
+
+module.exports = new InvoiceService();
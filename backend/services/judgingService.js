@@ -0,0 +1,430 @@
+// backend/services/judgingService.js
+// Competition judging: rubrics, judge invitations, scoresheets and the rankings they add up to.
+// GLOBAL REFERENCE: Judge model, CompetitionResult model, resultService, Database Schema → competition_judges, judge_scores, competitions (judging_rubric)
+// PURPOSE: Replace paper scoring for judged events (line followers, project showcases) and feed the rankings into results.
+
+const db = require('../config/database');
+const Judge = require('../models/judgeModel');
+const CompetitionResult = require('../models/resultModel');
+const Certificate = require('../models/certificateModel');
+const registrationFormService = require('./registrationFormService');
+const resultService = require('./resultService');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+
+class JudgingService {
+    constructor() {
+        this.maxCriteria = 15;
+        this.maxScore = 1000;
+        this.maxJudges = 20;
+        this.maxCommentLength = 1000;
+    }
+
+    // Rubric criteria stored on a competition (JSONB column, or a JSON string from older rows)
+    getRubric(competition) {
+        const rubric = competition && competition.judging_rubric;
+        if (!rubric) return [];
+        return typeof rubric === 'string' ? JSON.parse(rubric) : rubric;
+    }
+
+    getTieBreaks(competition) {
+        const tieBreaks = competition && competition.judging_tie_breaks;
+        if (!tieBreaks) return [];
+        return typeof tieBreaks === 'string' ? JSON.parse(tieBreaks) : tieBreaks;
+    }
+
+    // Judges score teams from the day of the competition (and not for a cancelled one)
+    checkCanScore(competition) {
+        if (competition.status === 'cancelled') {
+            throw new AppError('Teams cannot be scored for a cancelled competition', 400);
+        }
+
+        if (new Date(competition.competition_date) > new Date(new Date().toDateString())) {
+            throw new AppError('Teams can be scored from the day of the competition', 400);
+        }
+    }
+
+    // ============= Rubric =============
+
+    // Check a rubric from the rubric editor. Criteria keep their key when renamed, so scores stay attached.
+    async normalizeRubric(competition, criteria, tieBreaks) {
+        if (!Array.isArray(criteria)) {
+            throw new AppError('Rubric must be a list of criteria', 400);
+        }
+
+        if (criteria.length > this.maxCriteria) {
+            throw new AppError(`Rubrics can have at most ${this.maxCriteria} criteria`, 400);
+        }
+
+        const keys = new Set();
+        const rubric = criteria.map((criterion, index) => {
+            const name = String((criterion && criterion.name) || '').trim();
+            const position = `Criterion ${index + 1}`;
+
+            if (!name || name.length > 100) {
+                throw new AppError(`${position} needs a name of at most 100 characters`, 400);
+            }
+
+            const key = criterion.key ? String(criterion.key).trim() : registrationFormService.toKey(name);
+            if (!/^[a-z][a-z0-9_]{0,39}$/.test(key)) {
+                throw new AppError(`${position} has an invalid key (lowercase letters, numbers and underscores)`, 400);
+            }
+
+            if (keys.has(key)) {
+                throw new AppError(`"${name}" repeats the key ${key}. Give each criterion a different name.`, 400);
+            }
+            keys.add(key);
+
+            const weight = Number(criterion.weight);
+            if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+                throw new AppError(`Weight of "${name}" must be a number above 0 and at most 100`, 400);
+            }
+
+            const maxScore = Number(criterion.max_score);
+            if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > this.maxScore) {
+                throw new AppError(`Maximum score of "${name}" must be a whole number between 1 and ${this.maxScore}`, 400);
+            }
+
+            const description = String(criterion.description || '').trim();
+            if (description.length > 300) {
+                throw new AppError(`Description of "${name}" must be at most 300 characters`, 400);
+            }
+
+            return { key, name, description: description || null, weight, max_score: maxScore };
+        });
+
+        // Tie-breaks list criteria by key, or by position for criteria added in the same save (they have no key yet)
+        const order = Array.isArray(tieBreaks)
+            ? tieBreaks.map(entry => Number.isInteger(entry) && rubric[entry] ? rubric[entry].key : String(entry))
+            : [];
+        if (order.some(key => !keys.has(key)) || new Set(order).size !== order.length) {
+            throw new AppError('Tie-breaks must list rubric criteria, each at most once', 400);
+        }
+
+        // Lowering a maximum must not leave scores that judges already gave above it
+        for (const sheet of await Judge.findScoresheets(competition.id)) {
+            for (const criterion of rubric) {
+                const score = this.getScore(sheet, criterion.key);
+                if (score !== null && score > criterion.max_score) {
+                    throw new AppError(`Judges already gave "${criterion.name}" scores up to ${score}. Keep the maximum at least that high.`, 400);
+                }
+            }
+        }
+
+        return { rubric, tieBreaks: order };
+    }
+
+    // ============= Judges =============
+
+    // Invite a judge by email (any account; people without one sign up with that email)
+    async invite(competition, email, inviter) {
+        const address = String(email || '').trim().toLowerCase();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+            throw new AppError('Enter a valid judge email address', 400);
+        }
+
+        const existing = await Judge.findByEmail(competition.id, address);
+        if (existing && existing.status !== 'declined') {
+            throw new AppError(`${address} is already ${existing.status === 'accepted' ? 'judging' : 'invited to judge'} this competition`, 409);
+        }
+
+        const judges = await Judge.findByCompetitionId(competition.id);
+        if (judges.filter(judge => judge.status !== 'declined').length >= this.maxJudges) {
+            throw new AppError(`Competitions can have at most ${this.maxJudges} judges`, 400);
+        }
+
+        const user = await db.getOne(
+            'SELECT id, email, full_name, locale FROM users WHERE LOWER(email) = $1',
+            [address]
+        );
+
+        const judge = await Judge.invite({
+            competitionId: competition.id,
+            userId: user ? user.id : null,
+            email: address,
+            invitedBy: inviter.id
+        });
+
+        await this.notifyInvitation(user, address, competition, inviter);
+
+        return judge;
+    }
+
+    // Tell a judge about the invitation (in-app + email with an account, email only without)
+    async notifyInvitation(user, email, competition, inviter) {
+        const club = await db.getOne('SELECT club_name FROM clubs WHERE id = $1', [competition.club_id]);
+        const sendEmail = () => emailService.sendJudgeInvitation(
+            user || { email, full_name: null },
+            competition,
+            club,
+            inviter,
+            !!user
+        );
+
+        if (!user) {
+            try {
+                await sendEmail();
+            } catch (error) {
+                console.error(`❌ Judge invitation email failed for ${email}:`, error.message);
+            }
+            return;
+        }
+
+        await notificationService.notify(user.id, 'judge_invitation', {
+            title: 'Judging invitation',
+            message: `${club.club_name} invited you to judge "${competition.title}".`,
+            link: '/judge-scoring.html',
+            data: { competition_id: competition.id }
+        }, {
+            email: sendEmail
+        });
+    }
+
+    // Accept or decline a judging invitation addressed to this user
+    async respond(judgeId, user, accept) {
+        const judge = await Judge.findById(judgeId);
+
+        const isAddressee = judge && judge.status === 'invited' && (
+            judge.user_id === user.id ||
+            (!judge.user_id && judge.invited_email === user.email.toLowerCase())
+        );
+
+        if (!isAddressee) {
+            throw new AppError('Invitation not found', 404);
+        }
+
+        const updated = accept
+            ? await Judge.accept(judge.id, user.id)
+            : await Judge.decline(judge.id, user.id);
+
+        if (!updated) {
+            throw new AppError('Invitation not found', 404);
+        }
+
+        return updated;
+    }
+
+    // The competition's judge record for this user, or 403
+    async getJudge(competition, user) {
+        const judge = await Judge.findForUser(competition.id, user.id);
+
+        if (!judge) {
+            throw new AppError('You are not a judge of this competition', 403);
+        }
+
+        return judge;
+    }
+
+    // ============= Scoring =============
+
+    // Score of a criterion on a scoresheet (null when not scored yet)
+    getScore(sheet, key) {
+        const scores = typeof sheet.scores === 'string' ? JSON.parse(sheet.scores) : (sheet.scores || {});
+        const value = scores[key];
+        return value === undefined || value === null ? null : parseFloat(value);
+    }
+
+    // Save a judge's scores for a team (criteria can be filled in over several saves)
+    async saveScores(competition, judge, registrationId, input = {}) {
+        this.checkCanScore(competition);
+
+        const rubric = this.getRubric(competition);
+        if (rubric.length === 0) {
+            throw new AppError('The organizers have not set up the judging rubric yet', 400);
+        }
+
+        const teams = await Judge.findTeams(competition.id);
+        const team = teams.find(other => other.id === parseInt(registrationId));
+        if (!team) {
+            throw new AppError('Only approved teams of this competition can be scored', 404);
+        }
+
+        const values = input.scores && typeof input.scores === 'object' ? input.scores : {};
+        const scores = {};
+
+        for (const criterion of rubric) {
+            const score = resultService.toNumber(values[criterion.key], `${criterion.name} score`);
+
+            if (score !== null && score > criterion.max_score) {
+                throw new AppError(`${criterion.name} is scored out of ${criterion.max_score}`, 400);
+            }
+
+            if (score !== null) {
+                scores[criterion.key] = score;
+            }
+        }
+
+        const comments = String(input.comments || '').trim();
+        if (comments.length > this.maxCommentLength) {
+            throw new AppError(`Comments must be at most ${this.maxCommentLength} characters`, 400);
+        }
+
+        return await Judge.saveScores(judge, team.id, scores, comments || null);
+    }
+
+    // What a judge sees: the rubric and every approved team with their own scoresheet
+    async getJudgeView(competition, judge) {
+        const rubric = this.getRubric(competition);
+        const sheets = new Map((await Judge.findScoresByJudge(judge.id)).map(sheet => [sheet.registration_id, sheet]));
+        const teams = await Judge.findTeams(competition.id);
+
+        return {
+            competition: {
+                id: competition.id,
+                title: competition.title,
+                competition_date: competition.competition_date,
+                venue: competition.venue,
+                status: competition.status
+            },
+            rubric,
+            teams: teams.map(team => {
+                const sheet = sheets.get(team.id);
+                return {
+                    registration_id: team.id,
+                    team_name: team.team_name,
+                    checked_in_at: team.checked_in_at,
+                    scores: sheet ? (typeof sheet.scores === 'string' ? JSON.parse(sheet.scores) : sheet.scores) : {},
+                    comments: sheet ? sheet.comments : null,
+                    total: sheet ? this.getTotal(rubric, sheet) : null
+                };
+            })
+        };
+    }
+
+    // ============= Aggregation =============
+
+    // Weighted total of a complete scoresheet out of 100 (null while any criterion is missing)
+    getTotal(rubric, sheet) {
+        if (rubric.length === 0 || rubric.some(criterion => this.getScore(sheet, criterion.key) === null)) {
+            return null;
+        }
+
+        const weights = rubric.reduce((sum, criterion) => sum + criterion.weight, 0);
+        const total = rubric.reduce((sum, criterion) =>
+            sum + this.getScore(sheet, criterion.key) / criterion.max_score * criterion.weight, 0);
+
+        return this.round(total / weights * 100);
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Rank teams by their average total across judges with a complete scoresheet.
+    // Ties go to the higher average on each tie-break criterion in order; teams still level share a rank.
+    buildRankings(rubric, tieBreaks, teams, sheets) {
+        const byTeam = new Map();
+        for (const sheet of sheets) {
+            if (!byTeam.has(sheet.registration_id)) byTeam.set(sheet.registration_id, []);
+            byTeam.get(sheet.registration_id).push(sheet);
+        }
+
+        const average = (values) => values.length ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+        const rankings = teams.map(team => {
+            const complete = (byTeam.get(team.id) || []).filter(sheet => this.getTotal(rubric, sheet) !== null);
+
+            return {
+                registration_id: team.id,
+                team_name: team.team_name,
+                judges_scored: complete.length,
+                score: average(complete.map(sheet => this.getTotal(rubric, sheet))),
+                criteria: Object.fromEntries(rubric.map(criterion => [
+                    criterion.key,
+                    average(complete.map(sheet => this.getScore(sheet, criterion.key)))
+                ])),
+                judge_scores: complete.map(sheet => ({
+                    judge_name: sheet.judge_name,
+                    total: this.getTotal(rubric, sheet),
+                    comments: sheet.comments
+                }))
+            };
+        });
+
+        const compare = (a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            for (const key of tieBreaks) {
+                const difference = (b.criteria[key] || 0) - (a.criteria[key] || 0);
+                if (difference !== 0) return difference;
+            }
+            return 0;
+        };
+
+        const scored = rankings.filter(entry => entry.score !== null).sort((a, b) => compare(a, b) || a.team_name.localeCompare(b.team_name));
+        const unscored = rankings.filter(entry => entry.score === null).map(entry => ({ ...entry, rank: null }));
+
+        scored.forEach((entry, position) => {
+            entry.rank = position > 0 && compare(entry, scored[position - 1]) === 0
+                ? scored[position - 1].rank
+                : position + 1;
+        });
+
+        return [...scored, ...unscored];
+    }
+
+    async getRankings(competition) {
+        return this.buildRankings(
+            this.getRubric(competition),
+            this.getTieBreaks(competition),
+            await Judge.findTeams(competition.id),
+            await Judge.findScoresheets(competition.id)
+        );
+    }
+
+    // Everything the club admin's judging panel shows
+    async getOverview(competition) {
+        const rankings = await this.getRankings(competition);
+        const judges = await Judge.findByCompetitionId(competition.id);
+
+        return {
+            rubric: this.getRubric(competition),
+            tie_breaks: this.getTieBreaks(competition),
+            judges,
+            rankings,
+            progress: {
+                judges: judges.filter(judge => judge.status === 'accepted').length,
+                teams: rankings.length,
+                ranked: rankings.filter(entry => entry.rank !== null).length
+            }
+        };
+    }
+
+    // Use the judges' rankings as the competition results: placement and score per ranked team.
+    // Round scores and notes already entered stay; prizes follow the new placements.
+    async applyToResults(competition) {
+        resultService.checkCanEnter(competition);
+
+        const ranked = (await this.getRankings(competition)).filter(entry => entry.rank !== null);
+
+        if (ranked.length === 0) {
+            throw new AppError('No team has a complete scoresheet from a judge yet', 400);
+        }
+
+        const rounds = resultService.getRounds(competition);
+        const entries = new Map((await CompetitionResult.findEntries(competition.id)).map(entry => [entry.registration_id, entry]));
+
+        const results = await resultService.normalizeResults(competition, rounds, ranked.map(entry => {
+            const existing = entries.get(entry.registration_id) || {};
+            return {
+                registration_id: entry.registration_id,
+                placement: entry.rank,
+                score: entry.score,
+                round_scores: existing.round_scores || [],
+                notes: existing.notes
+            };
+        }));
+
+        await CompetitionResult.saveAll(competition.id, rounds, results);
+
+        if (competition.results_published_at) {
+            await CompetitionResult.syncBadges(competition.id);
+            await Certificate.syncPlacements(competition.id);
+        }
+
+        return results.length;
+    }
+}
+
+module.exports = new JudgingService();
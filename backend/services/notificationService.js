@@ -0,0 +1,126 @@
+// backend/services/notificationService.js
+// Notification service: every user-facing event goes through here (in-app notification + optional email).
+// GLOBAL REFERENCE: Notification model, Email Service, Database Schema → notifications, notification_preferences
+// PURPOSE: Deliver events to students, club admins and super admins on the channels they chose.
+
+const db = require('../config/database');
+const Notification = require('../models/notificationModel');
+
+class NotificationService {
+    constructor() {
+        // Event types users can configure. email: the event also has an email version.
+        this.eventTypes = {
+            order_placed: { role: 'student', label: 'Order confirmations', email: true },
+            payment_update: { role: 'student', label: 'Payment updates', email: false },
+            order_shipped: { role: 'student', label: 'Shipping updates', email: true },
+            return_update: { role: 'student', label: 'Returns and refunds', email: false },
+            registration_update: { role: 'student', label: 'Competition registrations', email: true },
+            competition_update: { role: 'student', label: 'Competition changes', email: true },
+            competition_reminder: { role: 'student', label: 'Competition reminders', email: true },
+            registration_deadline: { role: 'student', label: 'Registration deadline reminders', email: true },
+            team_invitation: { role: 'student', label: 'Team invitations', email: true },
+            competition_result: { role: 'student', label: 'Competition results and prizes', email: true },
+            certificate_issued: { role: 'student', label: 'Certificates', email: false },
+            judge_invitation: { role: 'student', label: 'Judging invitations', email: true },
+            new_order: { role: 'club_admin', label: 'New orders', email: false },
+            new_registration: { role: 'club_admin', label: 'New competition registrations', email: false },
+            return_request: { role: 'club_admin', label: 'Return requests', email: false },
+            club_status: { role: 'club_admin', label: 'Club account status', email: true },
+            moderation: { role: 'club_admin', label: 'Product and competition moderation', email: false },
+            payout_update: { role: 'club_admin', label: 'Payouts and payout methods', email: true },
+            club_application: { role: 'super_admin', label: 'New club applications', email: false },
+            payout_method_review: { role: 'super_admin', label: 'Payout methods to verify', email: false }
+        };
+    }
+
+    // Event types a role can receive
+    getEventTypes(role) {
+        return Object.entries(this.eventTypes)
+            .filter(([, event]) => event.role === role)
+            .map(([type, event]) => ({ type, ...event }));
+    }
+
+    // Notify one user. options.email is called (and awaited) only when the user keeps email on
+    // for this event type. Failures are logged and never break the request that emitted the event.
+    async notify(userId, type, payload, options = {}) {
+        if (!userId) return null;
+
+        try {
+            const preference = await Notification.getPreference(userId, type);
+            let notification = null;
+
+            if (preference.in_app) {
+                notification = await Notification.create(userId, type, payload);
+            }
+
+            if (options.email && preference.email) {
+                try {
+                    await options.email();
+                } catch (emailError) {
+                    console.error(`❌ ${type} email failed for user ${userId}:`, emailError.message);
+                }
+            }
+
+            return notification;
+        } catch (error) {
+            console.error(`❌ ${type} notification failed for user ${userId}:`, error.message);
+            return null;
+        }
+    }
+
+    // Notify a club's admin
+    async notifyClub(clubId, type, payload, options = {}) {
+        const club = await db.getOne('SELECT user_id FROM clubs WHERE id = $1', [clubId]);
+        return club ? await this.notify(club.user_id, type, payload, options) : null;
+    }
+
+    // Notify every user of a role (e.g. all super admins)
+    async notifyRole(role, type, payload) {
+        const users = await db.getMany('SELECT id FROM users WHERE role = $1', [role]);
+
+        for (const user of users) {
+            await this.notify(user.id, type, payload);
+        }
+    }
+
+    // A user's preferences for every event type of their role (defaults filled in)
+    async getPreferences(user) {
+        const saved = await Notification.getPreferences(user.id);
+        const byType = Object.fromEntries(saved.map(preference => [preference.event_type, preference]));
+
+        return this.getEventTypes(user.role).map(event => ({
+            type: event.type,
+            label: event.label,
+            email_available: event.email,
+            in_app: byType[event.type] ? byType[event.type].in_app : true,
+            email: byType[event.type] ? byType[event.type].email : true
+        }));
+    }
+
+    // Validate and save preferences: [{ type, in_app, email }]
+    async savePreferences(user, preferences) {
+        if (!Array.isArray(preferences)) {
+            return 'Preferences must be a list';
+        }
+
+        const allowed = this.getEventTypes(user.role).map(event => event.type);
+        const rows = [];
+
+        for (const preference of preferences) {
+            if (!allowed.includes(preference.type)) {
+                return `Unknown notification type: ${preference.type}`;
+            }
+
+            rows.push({
+                event_type: preference.type,
+                in_app: preference.in_app !== false,
+                email: preference.email !== false
+            });
+        }
+
+        await Notification.savePreferences(user.id, rows);
+        return null;
+    }
+}
+
+module.exports = new NotificationService();
@@ -1,11 +1,15 @@
 // backend/services/paymentService.js
-// Payment processing service for future bKash/Nagad integration.
-// GLOBAL REFERENCE: Payment Methods, Order Structure
-// PURPOSE: Handle payment verification, processing, and webhook management (prepared for future integration).
+// Payment processing service for bKash/Nagad online payments and manual verification.
+// GLOBAL REFERENCE: Payment Methods, Order Structure, Database Schema → payment_transactions
+// PURPOSE: Handle gateway checkouts, callbacks, signed webhooks, payment verification and refunds.
 
 const crypto = require('crypto');
 const axios = require('axios');
 const db = require('../config/database');
+const Ledger = require('../models/ledgerModel');
+const PaymentTransaction = require('../models/paymentTransactionModel');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
 
 class PaymentService {
     constructor() {
@@ -29,6 +33,19 @@ class PaymentService {
             privateKey: process.env.NAGAD_PRIVATE_KEY
         };
         
+        // Shared secrets the gateways sign webhook bodies with (HMAC-SHA256)
+        this.webhookSecrets = {
+            bkash: process.env.BKASH_WEBHOOK_SECRET,
+            nagad: process.env.NAGAD_WEBHOOK_SECRET
+        };
+        
+        // Sandbox mode talks to the local mock gateway (npm run mock-gateway)
+        this.sandbox = process.env.PAYMENT_SANDBOX === 'true';
+        
+        // Gateways redirect the buyer back to the API, which then sends them to the frontend
+        this.backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        
         // Payment status mapping
         this.paymentStatuses = {
             PENDING: 'pending',
@@ -84,7 +101,7 @@ class PaymentService {
                 {
                     mode: '0011',
                     payerReference: orderId,
-                    callbackURL: `${process.env.FRONTEND_URL}/payment-callback`,
+                    callbackURL: `${this.backendUrl}/api/payments/bkash/callback`,
                     amount: amount.toString(),
                     currency: 'BDT',
                     intent: 'sale',
@@ -101,10 +118,15 @@ class PaymentService {
             
             console.log('✅ bKash payment created:', response.data.paymentID);
             
+            if (!response.data.paymentID || !response.data.bkashURL) {
+                throw new Error(response.data.statusMessage || 'bKash did not return a payment URL');
+            }
+            
             return {
                 success: true,
                 paymentId: response.data.paymentID,
-                bkashURL: response.data.bkashURL
+                bkashURL: response.data.bkashURL,
+                response: response.data
             };
         } catch (error) {
             console.error('❌ bKash payment creation error:', error.message);
@@ -137,7 +159,8 @@ class PaymentService {
                 success,
                 transactionId: response.data.trxID,
                 paymentId: response.data.paymentID,
-                amount: response.data.amount
+                amount: response.data.amount,
+                response: response.data
             };
         } catch (error) {
             console.error('❌ bKash payment execution error:', error.message);
@@ -165,7 +188,8 @@ class PaymentService {
                 success: true,
                 status: response.data.transactionStatus,
                 transactionId: response.data.trxID,
-                amount: response.data.amount
+                amount: response.data.amount,
+                response: response.data
             };
         } catch (error) {
             console.error('❌ bKash query error:', error.message);
@@ -173,6 +197,24 @@ class PaymentService {
         }
     }
     
+    // Execute a payment the buyer authorized; if it was already executed
+    // (e.g. by a webhook race), fall back to querying its final status
+    async confirmBkashPayment(paymentId) {
+        const executed = await this.executeBkashPayment(paymentId);
+        if (executed.success) {
+            return executed;
+        }
+        
+        const queried = await this.queryBkashPayment(paymentId);
+        return {
+            success: queried.status === 'Completed',
+            transactionId: queried.transactionId,
+            paymentId,
+            amount: queried.amount,
+            response: queried.response
+        };
+    }
+    
     // ============= Nagad Methods =============
     
     // Generate Nagad signature
@@ -190,6 +232,15 @@ class PaymentService {
         }
     }
     
+    // Sign a Nagad request (the local sandbox accepts unsigned requests when no key is set)
+    signNagadPayload(data) {
+        if (!this.nagad.privateKey && this.sandbox) {
+            return null;
+        }
+        
+        return this.generateNagadSignature(data);
+    }
+    
     // Create Nagad payment
     async createNagadPayment(amount, orderId) {
         try {
@@ -203,7 +254,7 @@ class PaymentService {
                 challenge: crypto.randomBytes(16).toString('hex')
             };
             
-            const signature = this.generateNagadSignature(paymentData);
+            const signature = this.signNagadPayload(paymentData);
             
             const response = await axios.post(
                 `${this.nagad.baseUrl}/check-out/initialize/${this.nagad.merchantId}/${orderId}`,
@@ -219,12 +270,44 @@ class PaymentService {
                 }
             );
             
+            const paymentReferenceId = response.data.paymentReferenceId;
+            
+            // Second step: confirm the amount and get the page the buyer pays on
+            const completeData = {
+                merchantId: this.nagad.merchantId,
+                orderId: orderId,
+                currencyCode: '050',
+                amount: amount.toString(),
+                challenge: response.data.challenge
+            };
+            
+            const completed = await axios.post(
+                `${this.nagad.baseUrl}/check-out/complete/${paymentReferenceId}`,
+                {
+                    sensitiveData: completeData,
+                    signature: this.signNagadPayload(completeData),
+                    merchantCallbackURL: `${this.backendUrl}/api/payments/nagad/callback`
+                },
+                {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-KM-Api-Version': 'v-0.2.0'
+                    }
+                }
+            );
+            
+            if (completed.data.status !== 'Success' || !completed.data.callBackUrl) {
+                throw new Error(completed.data.message || 'Nagad did not return a payment URL');
+            }
+            
             console.log('✅ Nagad payment created');
             
             return {
                 success: true,
-                paymentReferenceId: response.data.paymentReferenceId,
-                challengeToken: response.data.challenge
+                paymentReferenceId,
+                challengeToken: response.data.challenge,
+                nagadURL: completed.data.callBackUrl,
+                response: completed.data
             };
         } catch (error) {
             console.error('❌ Nagad payment creation error:', error.message);
@@ -251,8 +334,10 @@ class PaymentService {
             
             return {
                 success,
+                status: response.data.status,
                 transactionId: response.data.issuerPaymentRefNo,
-                amount: response.data.amount
+                amount: response.data.amount,
+                response: response.data
             };
         } catch (error) {
             console.error('❌ Nagad verification error:', error.message);
@@ -260,6 +345,151 @@ class PaymentService {
         }
     }
     
+    // ============= Online Checkout =============
+    
+    // Check gateway credentials are configured
+    isGatewayEnabled(gateway) {
+        if (gateway === 'bkash') {
+            return Boolean(this.bkash.appKey && this.bkash.appSecret && this.bkash.username && this.bkash.password);
+        }
+        
+        if (gateway === 'nagad') {
+            return Boolean(this.nagad.merchantId && (this.nagad.privateKey || this.sandbox));
+        }
+        
+        return false;
+    }
+    
+    // Start an online payment for an order and return the gateway page URL
+    async startOnlinePayment(order, gateway) {
+        const amount = Ledger.round(order.grand_total);
+        let gatewayPaymentId;
+        let redirectUrl;
+        let response;
+        
+        if (gateway === 'bkash') {
+            const payment = await this.createBkashPayment(amount, order.order_number);
+            gatewayPaymentId = payment.paymentId;
+            redirectUrl = payment.bkashURL;
+            response = payment.response;
+        } else {
+            const payment = await this.createNagadPayment(amount, order.order_number);
+            gatewayPaymentId = payment.paymentReferenceId;
+            redirectUrl = payment.nagadURL;
+            response = payment.response;
+        }
+        
+        const transaction = await PaymentTransaction.create({
+            order_id: order.id,
+            gateway,
+            gateway_payment_id: gatewayPaymentId,
+            amount,
+            gateway_response: response
+        });
+        
+        return { transaction, redirectUrl };
+    }
+    
+    // Frontend page the buyer lands on after a gateway callback
+    getResultUrl(orderNumber, status) {
+        const params = new URLSearchParams({ payment: status });
+        if (orderNumber) params.set('order', orderNumber);
+        
+        return `${this.frontendUrl}/order-success.html?${params.toString()}`;
+    }
+    
+    // Handle the buyer returning from bKash (?paymentID=&status=success|failure|cancel)
+    async handleBkashCallback({ paymentID, status }) {
+        const transaction = paymentID
+            ? await PaymentTransaction.findByGatewayPaymentId('bkash', paymentID)
+            : null;
+        
+        if (!transaction) {
+            return { orderNumber: null, status: 'failed' };
+        }
+        
+        if (status !== 'success') {
+            const result = status === 'cancel' ? 'cancelled' : 'failed';
+            await PaymentTransaction.markFailed(transaction.id, result, `Buyer returned from bKash with status "${status}"`);
+            return { orderNumber: transaction.order_number, status: result };
+        }
+        
+        const confirmed = await this.confirmBkashPayment(paymentID);
+        return await this.applyGatewayResult(transaction, confirmed);
+    }
+    
+    // Handle the buyer returning from Nagad (?payment_ref_id=&status=Success|Aborted|Failed)
+    async handleNagadCallback({ payment_ref_id, status }) {
+        const transaction = payment_ref_id
+            ? await PaymentTransaction.findByGatewayPaymentId('nagad', payment_ref_id)
+            : null;
+        
+        if (!transaction) {
+            return { orderNumber: null, status: 'failed' };
+        }
+        
+        if (status !== 'Success') {
+            const result = status === 'Aborted' ? 'cancelled' : 'failed';
+            await PaymentTransaction.markFailed(transaction.id, result, `Buyer returned from Nagad with status "${status}"`);
+            return { orderNumber: transaction.order_number, status: result };
+        }
+        
+        // Never trust the redirect alone: ask Nagad for the final status
+        const verified = await this.verifyNagadPayment(payment_ref_id);
+        return await this.applyGatewayResult(transaction, verified);
+    }
+    
+    // Apply a server-to-server confirmed gateway result to the payment attempt
+    async applyGatewayResult(transaction, result) {
+        if (!result.success) {
+            await PaymentTransaction.markFailed(transaction.id, 'failed', 'Gateway did not confirm the payment', result.response);
+            return { orderNumber: transaction.order_number, status: 'failed' };
+        }
+        
+        const completed = await PaymentTransaction.complete(transaction.id, {
+            transactionId: result.transactionId,
+            amount: result.amount,
+            response: result.response
+        });
+        
+        if (completed.success && !completed.alreadyProcessed) {
+            console.log(`✅ ${transaction.gateway} payment completed:`, transaction.order_number);
+            
+            await realtimeService.publishOrder('order_status_changed', transaction.order_id);
+            
+            await notificationService.notify(transaction.user_id, 'payment_update', {
+                title: 'Payment received',
+                message: `${this.getPaymentMethodName(transaction.gateway)} payment of ৳${Ledger.round(transaction.amount)} for order ${transaction.order_number} was received.`,
+                link: `/order-detail.html?order=${transaction.order_number}`,
+                data: { order_id: transaction.order_id }
+            });
+        }
+        
+        return {
+            orderNumber: transaction.order_number,
+            status: completed.success ? 'success' : 'failed',
+            alreadyProcessed: Boolean(completed.alreadyProcessed),
+            message: completed.message
+        };
+    }
+    
+    // Verify a webhook body signature (hex HMAC-SHA256 of the raw body)
+    verifyWebhookSignature(gateway, rawBody, signature) {
+        const secret = this.webhookSecrets[gateway];
+        if (!secret || !rawBody || !signature) {
+            return false;
+        }
+        
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+        const received = String(signature).replace(/^sha256=/, '');
+        
+        if (received.length !== expected.length) {
+            return false;
+        }
+        
+        return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+    }
+    
     // ============= Manual Verification (Current Implementation) =============
     
     // Verify payment screenshot manually
@@ -286,11 +516,15 @@ class PaymentService {
     // Admin approve payment
     async approvePayment(orderId) {
         try {
-            await db.query(
-                'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_number = $2',
+            const order = await db.getOne(
+                'UPDATE orders SET payment_status = $1, reservation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE order_number = $2 RETURNING id',
                 ['verified', orderId]
             );
             
+            if (order) {
+                await Ledger.postOrderSales(order.id);
+            }
+            
             console.log('✅ Payment approved:', orderId);
             
             return {
@@ -325,14 +559,17 @@ class PaymentService {
     
     // ============= Refund Processing =============
     
-    // Process refund
-    async processRefund(orderId, amount, reason) {
+    // Process refund (full or partial). Pass a transaction client to refund
+    // as part of a larger change such as an approved return.
+    async processRefund(orderNumber, amount, reason, client = db) {
         try {
             // Get order payment details
-            const order = await db.getOne(
-                'SELECT payment_method, transaction_id, payment_status FROM orders WHERE order_number = $1',
-                [orderId]
+            const result = await client.query(
+                `SELECT id, payment_method, transaction_id, payment_status, grand_total, refund_amount 
+                 FROM orders WHERE order_number = $1 FOR UPDATE`,
+                [orderNumber]
             );
+            const order = result.rows[0];
             
             if (!order) {
                 throw new Error('Order not found');
@@ -342,26 +579,38 @@ class PaymentService {
                 throw new Error('Order already refunded');
             }
             
-            // For now, just mark as refunded (actual refund processing would go here)
-            await db.query(
+            const refundAmount = Math.round(parseFloat(amount) * 100) / 100;
+            const alreadyRefunded = parseFloat(order.refund_amount) || 0;
+            const grandTotal = parseFloat(order.grand_total);
+            
+            if (!(refundAmount > 0) || alreadyRefunded + refundAmount > grandTotal) {
+                throw new Error('Refund amount exceeds the amount paid');
+            }
+            
+            const totalRefunded = alreadyRefunded + refundAmount;
+            const status = totalRefunded >= grandTotal ? 'refunded' : 'partially_refunded';
+            
+            // For now, just record the refund (actual refund processing would go here)
+            await client.query(
                 `UPDATE orders 
                  SET payment_status = $1, 
                      refund_amount = $2, 
                      refund_reason = $3, 
                      refund_date = CURRENT_TIMESTAMP,
                      updated_at = CURRENT_TIMESTAMP 
-                 WHERE order_number = $4`,
-                ['refunded', amount, reason, orderId]
+                 WHERE id = $4`,
+                [status, totalRefunded, reason, order.id]
             );
             
             // TODO: Implement actual bKash/Nagad refund API calls when integrated
             
-            console.log('✅ Refund processed:', orderId, 'Amount:', amount);
+            console.log('✅ Refund processed:', orderNumber, 'Amount:', refundAmount);
             
             return {
                 success: true,
-                refundAmount: amount,
-                status: 'refunded',
+                refundAmount,
+                totalRefunded,
+                status,
                 message: 'Refund will be processed within 7-10 business days'
             };
         } catch (error) {
@@ -372,60 +621,92 @@ class PaymentService {
     
     // ============= Webhook Handlers =============
     
-    // Handle bKash webhook
-    async handleBkashWebhook(payload) {
+    // Handle a signed webhook once: duplicate deliveries of a handled event are ignored, failed ones run again
+    async handleWebhook(gateway, eventId, payload, handler) {
+        const event = await PaymentTransaction.recordWebhookEvent(gateway, eventId, payload);
+        
+        if (!event) {
+            return { success: true, duplicate: true, message: 'Event already processed' };
+        }
+        
         try {
-            // Verify webhook signature (implement based on bKash documentation)
-            // Process payment status update
-            // Update order in database
+            const result = await handler(payload);
+            await PaymentTransaction.markWebhookEvent(event.id, result.ignored ? 'ignored' : 'processed', result.message || null);
+            return { success: true, duplicate: false, message: result.message || 'Webhook processed' };
+        } catch (error) {
+            await PaymentTransaction.markWebhookEvent(event.id, 'failed', error.message);
+            throw error;
+        }
+    }
+    
+    // Handle bKash webhook (payload: paymentID, trxID, transactionStatus, amount)
+    async handleBkashWebhook(payload, eventId = null) {
+        console.log('📥 bKash webhook received:', payload.paymentID, payload.transactionStatus);
+        
+        return await this.handleWebhook('bkash', eventId || `${payload.paymentID}:${payload.transactionStatus}`, payload, async (data) => {
+            const transaction = await PaymentTransaction.findByGatewayPaymentId('bkash', data.paymentID);
             
-            console.log('📥 bKash webhook received:', payload);
+            if (!transaction) {
+                return { ignored: true, message: 'Unknown payment' };
+            }
             
-            const { paymentID, trxID, transactionStatus, merchantInvoiceNumber } = payload;
+            if (data.transactionStatus === 'Completed') {
+                const result = await this.applyGatewayResult(transaction, {
+                    success: true,
+                    transactionId: data.trxID,
+                    amount: data.amount,
+                    response: data
+                });
+                return { message: result.message || `Payment ${result.status}` };
+            }
             
-            if (transactionStatus === 'Completed') {
-                await db.query(
-                    'UPDATE orders SET payment_status = $1, transaction_id = $2 WHERE order_number = $3',
-                    ['verified', trxID, merchantInvoiceNumber]
+            if (['Failed', 'Cancelled', 'Expired'].includes(data.transactionStatus)) {
+                await PaymentTransaction.markFailed(
+                    transaction.id,
+                    data.transactionStatus === 'Cancelled' ? 'cancelled' : 'failed',
+                    `bKash reported ${data.transactionStatus}`,
+                    data
                 );
+                return { message: `Payment ${data.transactionStatus.toLowerCase()}` };
             }
             
-            return {
-                success: true,
-                message: 'Webhook processed'
-            };
-        } catch (error) {
-            console.error('❌ bKash webhook error:', error.message);
-            throw error;
-        }
+            return { ignored: true, message: `Status ${data.transactionStatus} needs no action` };
+        });
     }
     
-    // Handle Nagad webhook
-    async handleNagadWebhook(payload) {
-        try {
-            // Verify webhook signature
-            // Process payment status update
-            // Update order in database
+    // Handle Nagad webhook (payload: paymentRefId, orderId, status, issuerPaymentRefNo, amount)
+    async handleNagadWebhook(payload, eventId = null) {
+        console.log('📥 Nagad webhook received:', payload.paymentRefId, payload.status);
+        
+        return await this.handleWebhook('nagad', eventId || `${payload.paymentRefId}:${payload.status}`, payload, async (data) => {
+            const transaction = await PaymentTransaction.findByGatewayPaymentId('nagad', data.paymentRefId);
             
-            console.log('📥 Nagad webhook received:', payload);
+            if (!transaction) {
+                return { ignored: true, message: 'Unknown payment' };
+            }
             
-            const { orderId, status, issuerPaymentRefNo } = payload;
+            if (data.status === 'Success') {
+                const result = await this.applyGatewayResult(transaction, {
+                    success: true,
+                    transactionId: data.issuerPaymentRefNo,
+                    amount: data.amount,
+                    response: data
+                });
+                return { message: result.message || `Payment ${result.status}` };
+            }
             
-            if (status === 'Success') {
-                await db.query(
-                    'UPDATE orders SET payment_status = $1, transaction_id = $2 WHERE order_number = $3',
-                    ['verified', issuerPaymentRefNo, orderId]
+            if (['Failed', 'Aborted', 'Cancelled'].includes(data.status)) {
+                await PaymentTransaction.markFailed(
+                    transaction.id,
+                    data.status === 'Failed' ? 'failed' : 'cancelled',
+                    `Nagad reported ${data.status}`,
+                    data
                 );
+                return { message: `Payment ${data.status.toLowerCase()}` };
             }
             
-            return {
-                success: true,
-                message: 'Webhook processed'
-            };
-        } catch (error) {
-            console.error('❌ Nagad webhook error:', error.message);
-            throw error;
-        }
+            return { ignored: true, message: `Status ${data.status} needs no action` };
+        });
     }
     
     // ============= Utility Methods =============
@@ -0,0 +1,62 @@
+// backend/services/payoutService.js
+// Payout batch runs (manual and scheduled) and payout notification emails.
+// GLOBAL REFERENCE: Database Schema → payouts, payout_batches, club_payout_methods, platform_settings (payout_settings)
+// PURPOSE: Generate payout batches that follow the platform payout rules and tell clubs about them.
+
+const Payout = require('../models/payoutModel');
+const PayoutMethod = require('../models/payoutMethodModel');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+class PayoutService {
+    // Create a payout batch and email every club included in it
+    async runBatch({ cycle = 'manual', createdBy = null } = {}) {
+        const result = await Payout.createBatch({ cycle, createdBy });
+
+        for (const payout of result.payouts) {
+            await this.notify(payout.club, payout, payout.payout_method);
+        }
+
+        return result;
+    }
+
+    // Run the scheduled batch when today is a payout day (called periodically by the server)
+    async runScheduledBatch() {
+        const settings = await Payout.getSettings();
+
+        if (!(await Payout.isScheduledBatchDue(settings))) {
+            return null;
+        }
+
+        return await this.runBatch({ cycle: settings.schedule });
+    }
+
+    // Send payout notification (failures never undo the payout)
+    async notify(club, payout, payoutMethod = null) {
+        if (!club) return;
+
+        const amount = parseFloat(payout.amount);
+        const method = PayoutMethod.describe(payoutMethod)
+            || PayoutMethod.LABELS[payout.payment_method]
+            || payout.payment_method;
+
+        const titles = { paid: 'Payout sent', failed: 'Payout failed' };
+        const messages = {
+            paid: `৳${amount.toFixed(2)} was sent${method ? ` to ${method}` : ''}.`,
+            failed: `৳${amount.toFixed(2)} could not be sent${method ? ` to ${method}` : ''} and is back in your available balance.`
+        };
+
+        await notificationService.notifyClub(club.id, 'payout_update', {
+            title: titles[payout.status] || 'Payout scheduled',
+            message: messages[payout.status] || `৳${amount.toFixed(2)} is being processed${method ? ` to ${method}` : ''}.`,
+            link: '/my-earnings.html',
+            data: { payout_id: payout.id }
+        }, {
+            email: club.contact_email
+                ? () => emailService.sendPayoutNotification(club, { ...payout, amount, payment_method: method })
+                : null
+        });
+    }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,215 @@
+// backend/services/realtimeService.js
+// Realtime service: server-sent event streams for dashboards (orders, payments, registrations).
+// GLOBAL REFERENCE: Realtime Event model, API Endpoints → /api/events/stream, Database Schema → realtime_events
+// PURPOSE: Push events to the club admins, students and super admins they concern, with Last-Event-ID replay.
+
+const db = require('../config/database');
+const RealtimeEvent = require('../models/realtimeEventModel');
+
+class RealtimeService {
+    constructor() {
+        this.clients = new Map(); // userId -> Set of open streams
+        this.heartbeatInterval = 25 * 1000; // Keeps proxies from closing idle streams
+        this.retryDelay = 5000; // Browser reconnect delay sent to EventSource
+        this.replayLimit = 200; // Further behind than this, the client is told to reload instead
+        this.retentionHours = parseInt(process.env.REALTIME_RETENTION_HOURS) || 24;
+    }
+
+    // ============= Streams =============
+
+    // Open a stream for an authenticated request and replay what the client missed.
+    // Live events that arrive during the replay are queued so nothing is lost or reordered.
+    async subscribe(req, res) {
+        const userId = req.user.id;
+        const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+        const client = { res, queue: [] };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.retryDelay}\n\n`);
+
+        if (!this.clients.has(userId)) {
+            this.clients.set(userId, new Set());
+        }
+        this.clients.get(userId).add(client);
+
+        const heartbeat = setInterval(() => this.write(res, ': ping\n\n'), this.heartbeatInterval);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            const streams = this.clients.get(userId);
+            if (streams) {
+                streams.delete(client);
+                if (streams.size === 0) this.clients.delete(userId);
+            }
+        });
+
+        try {
+            let lastSentId = lastEventId;
+
+            if (lastEventId > 0) {
+                const missed = await RealtimeEvent.findSince(userId, lastEventId, this.replayLimit + 1);
+
+                if (missed.length > this.replayLimit) {
+                    lastSentId = await RealtimeEvent.getLastId(userId);
+                    this.send(res, { id: lastSentId, event_type: 'resync', data: {} });
+                } else {
+                    for (const event of missed) {
+                        this.send(res, event);
+                        lastSentId = event.id;
+                    }
+                }
+            } else {
+                lastSentId = await RealtimeEvent.getLastId(userId);
+            }
+
+            this.send(res, { id: lastSentId, event_type: 'ready', data: { replayed_from: lastEventId } });
+
+            for (const event of client.queue) {
+                if (event.id > lastSentId) this.send(res, event);
+            }
+        } catch (error) {
+            console.error(`❌ Event stream replay failed for user ${userId}:`, error.message);
+        }
+
+        client.queue = null;
+    }
+
+    // Write one SSE frame
+    send(res, event) {
+        this.write(res, `id: ${event.id}\nevent: ${event.event_type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    write(res, chunk) {
+        res.write(chunk);
+        // compression() buffers responses; flush so the event leaves now
+        if (typeof res.flush === 'function') res.flush();
+    }
+
+    // Hand a stored event to the recipient's open streams
+    deliver(event) {
+        const streams = this.clients.get(event.user_id);
+        if (!streams) return;
+
+        for (const client of streams) {
+            if (client.queue) {
+                client.queue.push(event);
+            } else {
+                this.send(client.res, event);
+            }
+        }
+    }
+
+    // End every open stream (graceful shutdown; browsers reconnect and replay)
+    closeAll() {
+        for (const streams of this.clients.values()) {
+            for (const client of streams) {
+                client.res.end();
+            }
+        }
+        this.clients.clear();
+    }
+
+    // Drop events older than the replay window
+    async pruneEvents() {
+        return await RealtimeEvent.deleteOlderThan(this.retentionHours);
+    }
+
+    // ============= Publishing =============
+
+    // Store and push an event. audience: { users: [userId], clubs: [clubId], roles: ['super_admin'] }
+    // Failures are logged and never break the request that emitted the event.
+    async publish(eventType, data, audience = {}) {
+        try {
+            const recipients = await db.getMany(`
+                SELECT id FROM users WHERE id = ANY($1::int[]) OR role = ANY($3::text[])
+                UNION
+                SELECT user_id FROM clubs WHERE id = ANY($2::int[]) AND user_id IS NOT NULL
+            `, [
+                (audience.users || []).filter(Boolean),
+                (audience.clubs || []).filter(Boolean),
+                audience.roles || []
+            ]);
+
+            const events = await RealtimeEvent.createMany(recipients.map(recipient => recipient.id), eventType, data);
+
+            for (const event of events) {
+                this.deliver(event);
+            }
+        } catch (error) {
+            console.error(`❌ ${eventType} realtime event failed:`, error.message);
+        }
+    }
+
+    // Push an order event to the buyer, every club selling in it and the super admins
+    async publishOrder(eventType, orderId, extra = {}) {
+        try {
+            const order = await db.getOne(`
+                SELECT o.id, o.order_number, o.user_id, o.order_status, o.payment_status, o.payment_method,
+                       ARRAY(SELECT DISTINCT club_id FROM order_items WHERE order_id = o.id) as club_ids
+                FROM orders o
+                WHERE o.id = $1
+            `, [orderId]);
+
+            if (!order) return;
+
+            await this.publish(eventType, {
+                order_id: order.id,
+                order_number: order.order_number,
+                order_status: order.order_status,
+                payment_status: order.payment_status,
+                payment_method: order.payment_method,
+                ...extra
+            }, {
+                users: [order.user_id],
+                clubs: order.club_ids,
+                roles: ['super_admin']
+            });
+        } catch (error) {
+            console.error(`❌ ${eventType} realtime event failed for order ${orderId}:`, error.message);
+        }
+    }
+
+    // Push a registration event to the student, the organizing club and the super admins
+    async publishRegistration(eventType, registrationId, extra = {}) {
+        try {
+            const registration = await db.getOne(`
+                SELECT cr.id, cr.competition_id, cr.user_id, cr.team_name, cr.registration_status, cr.payment_status,
+                       c.club_id, c.title as competition_title
+                FROM competition_registrations cr
+                JOIN competitions c ON cr.competition_id = c.id
+                WHERE cr.id = $1
+            `, [registrationId]);
+
+            if (!registration) return;
+
+            // Teammates see the registration on their own dashboards too
+            const members = await db.getMany(`
+                SELECT user_id FROM registration_members
+                WHERE registration_id = $1 AND status = 'accepted' AND user_id IS NOT NULL AND user_id != $2
+            `, [registration.id, registration.user_id]);
+
+            await this.publish(eventType, {
+                registration_id: registration.id,
+                competition_id: registration.competition_id,
+                competition_title: registration.competition_title,
+                team_name: registration.team_name,
+                registration_status: registration.registration_status,
+                payment_status: registration.payment_status,
+                ...extra
+            }, {
+                users: [registration.user_id, ...members.map(member => member.user_id)],
+                clubs: [registration.club_id],
+                roles: ['super_admin']
+            });
+        } catch (error) {
+            console.error(`❌ ${eventType} realtime event failed for registration ${registrationId}:`, error.message);
+        }
+    }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,214 @@
+// backend/services/registrationFormService.js
+// Custom registration forms: the questions a club adds to a competition and the answers teams give.
+// GLOBAL REFERENCE: Competition model, Database Schema → competitions (registration_form), competition_registrations (form_answers)
+// PURPOSE: Check form schemas from the form builder and validate registration answers against them.
+
+const { uploadImage } = require('../config/cloudinary');
+const { AppError } = require('../middleware/errorHandler');
+
+class RegistrationFormService {
+    constructor() {
+        this.fieldTypes = ['text', 'textarea', 'number', 'select', 'checkbox', 'file'];
+        this.maxFields = 20;
+        this.maxOptions = 30;
+        this.maxTextLength = { text: 255, textarea: 2000 };
+        // File answers are images (e.g. university ID cards) sent as base64 data URLs
+        this.maxFileSize = parseInt(process.env.MAX_IMAGE_SIZE) || 2 * 1024 * 1024;
+        this.fileTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    }
+
+    // Form schema stored on a competition (JSONB column, or a JSON string from older rows)
+    getFields(competition) {
+        const form = competition && competition.registration_form;
+        if (!form) return [];
+        return typeof form === 'string' ? JSON.parse(form) : form;
+    }
+
+    // Field key from its label ("T-shirt size" → t_shirt_size)
+    toKey(label) {
+        return String(label)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .replace(/^(\d)/, 'field_$1')
+            .slice(0, 40) || 'field';
+    }
+
+    // Check and tidy a form schema from the form builder (throws on the first problem)
+    normalizeSchema(fields) {
+        if (typeof fields === 'string') {
+            try {
+                fields = JSON.parse(fields);
+            } catch (error) {
+                throw new AppError('Registration form is not valid JSON', 400);
+            }
+        }
+
+        if (!Array.isArray(fields)) {
+            throw new AppError('Registration form must be a list of fields', 400);
+        }
+
+        if (fields.length > this.maxFields) {
+            throw new AppError(`Registration forms can have at most ${this.maxFields} questions`, 400);
+        }
+
+        const keys = new Set();
+
+        return fields.map((field, index) => {
+            const label = String((field && field.label) || '').trim();
+            const position = `Question ${index + 1}`;
+
+            if (!label || label.length > 100) {
+                throw new AppError(`${position} needs a label of at most 100 characters`, 400);
+            }
+
+            if (!this.fieldTypes.includes(field.type)) {
+                throw new AppError(`${position} has an unknown type. Use one of: ${this.fieldTypes.join(', ')}`, 400);
+            }
+
+            const key = field.key ? String(field.key).trim() : this.toKey(label);
+            if (!/^[a-z][a-z0-9_]{0,39}$/.test(key)) {
+                throw new AppError(`${position} has an invalid key (lowercase letters, numbers and underscores)`, 400);
+            }
+
+            if (keys.has(key)) {
+                throw new AppError(`"${label}" repeats the key ${key}. Give each question a different label.`, 400);
+            }
+            keys.add(key);
+
+            const normalized = {
+                key,
+                label,
+                type: field.type,
+                required: field.required === true || field.required === 'true'
+            };
+
+            if (field.type === 'select') {
+                const options = (Array.isArray(field.options) ? field.options : [])
+                    .map(option => String(option).trim())
+                    .filter(Boolean);
+
+                if (options.length === 0 || options.length > this.maxOptions) {
+                    throw new AppError(`"${label}" needs between 1 and ${this.maxOptions} options`, 400);
+                }
+
+                if (new Set(options).size !== options.length) {
+                    throw new AppError(`"${label}" lists the same option twice`, 400);
+                }
+
+                normalized.options = options;
+            }
+
+            const help = String(field.help || '').trim();
+            if (help.length > 200) {
+                throw new AppError(`Help text of "${label}" must be at most 200 characters`, 400);
+            }
+            if (help) {
+                normalized.help = help;
+            }
+
+            return normalized;
+        });
+    }
+
+    // Validate registration answers against a competition's form (files are uploaded).
+    // Returns the answers to store, keyed by field key; unknown keys are dropped.
+    async validateAnswers(competition, answers, userId) {
+        const fields = this.getFields(competition);
+        const values = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+        const result = {};
+
+        for (const field of fields) {
+            const value = this.checkAnswer(field, values[field.key]);
+            if (value === null) continue;
+
+            result[field.key] = field.type === 'file'
+                ? await this.uploadFile(field, value, competition.id, userId)
+                : value;
+        }
+
+        return result;
+    }
+
+    // Check one answer (returns the cleaned value, or null when left empty)
+    checkAnswer(field, value) {
+        const empty = value === undefined || value === null || value === '' ||
+            (field.type === 'checkbox' && value !== true && value !== 'true');
+
+        if (empty) {
+            if (field.required) {
+                throw new AppError(
+                    field.type === 'checkbox' ? `Please confirm "${field.label}"` : `"${field.label}" is required`,
+                    400
+                );
+            }
+            return null;
+        }
+
+        switch (field.type) {
+            case 'text':
+            case 'textarea': {
+                const text = String(value).trim();
+                if (!text && field.required) {
+                    throw new AppError(`"${field.label}" is required`, 400);
+                }
+                if (text.length > this.maxTextLength[field.type]) {
+                    throw new AppError(`"${field.label}" must be at most ${this.maxTextLength[field.type]} characters`, 400);
+                }
+                return text || null;
+            }
+            case 'number': {
+                const number = Number(value);
+                if (!Number.isFinite(number)) {
+                    throw new AppError(`"${field.label}" must be a number`, 400);
+                }
+                return number;
+            }
+            case 'select': {
+                if (!field.options.includes(String(value))) {
+                    throw new AppError(`Choose one of the listed options for "${field.label}"`, 400);
+                }
+                return String(value);
+            }
+            case 'checkbox':
+                return true;
+            case 'file': {
+                const match = /^data:([\w/+.-]+);base64,(.+)$/.exec(String(value));
+                if (!match || !this.fileTypes.includes(match[1])) {
+                    throw new AppError(`"${field.label}" must be a JPG, PNG or WebP image`, 400);
+                }
+
+                const buffer = Buffer.from(match[2], 'base64');
+                if (buffer.length > this.maxFileSize) {
+                    throw new AppError(`"${field.label}" must be smaller than ${Math.round(this.maxFileSize / (1024 * 1024))}MB`, 400);
+                }
+                return buffer;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Upload a file answer and keep its URL
+    async uploadFile(field, buffer, competitionId, userId) {
+        try {
+            const upload = await uploadImage(buffer, {
+                folder: 'robotics-marketplace/registration-files',
+                public_id: `registration_${competitionId}_${userId}_${field.key}_${Date.now()}`
+            });
+            return upload.url;
+        } catch (error) {
+            console.error(`Registration file upload failed (${field.key}):`, error);
+            throw new AppError(`Could not upload "${field.label}". Please try again.`, 502);
+        }
+    }
+
+    // Answer as a plain value for lists and exports (null when unanswered)
+    formatAnswer(field, value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+        return value;
+    }
+}
+
+module.exports = new RegistrationFormService();
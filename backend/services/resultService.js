@@ -0,0 +1,275 @@
+// backend/services/resultService.js
+// Competition results: checking what club admins enter, round standings, publishing and prize payouts.
+// GLOBAL REFERENCE: CompetitionResult model, RegistrationMember model, Database Schema → competition_results, student_badges
+// PURPOSE: Turn placements and scores into public rankings, podium badges and prize tracking.
+
+const db = require('../config/database');
+const CompetitionResult = require('../models/resultModel');
+const Certificate = require('../models/certificateModel');
+const RegistrationMember = require('../models/registrationMemberModel');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+
+class ResultService {
+    constructor() {
+        this.maxRounds = 10;
+        this.prizeStatuses = ['pending', 'paid'];
+        this.badgeTypes = { 1: 'champion', 2: 'runner_up', 3: 'third_place' };
+    }
+
+    // Round names stored on a competition (JSONB column, or a JSON string from older rows)
+    getRounds(competition) {
+        const rounds = competition && competition.result_rounds;
+        if (!rounds) return [];
+        return typeof rounds === 'string' ? JSON.parse(rounds) : rounds;
+    }
+
+    // Results are entered once the competition has taken place (and it was not cancelled)
+    checkCanEnter(competition) {
+        if (competition.status === 'cancelled') {
+            throw new AppError('Results cannot be entered for a cancelled competition', 400);
+        }
+
+        if (new Date(competition.competition_date) > new Date(new Date().toDateString())) {
+            throw new AppError('Results can be entered once the competition has taken place', 400);
+        }
+    }
+
+    // Check round names from the results editor
+    normalizeRounds(rounds) {
+        if (rounds === undefined || rounds === null) return [];
+
+        if (!Array.isArray(rounds)) {
+            throw new AppError('Rounds must be a list of names', 400);
+        }
+
+        if (rounds.length > this.maxRounds) {
+            throw new AppError(`Competitions can have at most ${this.maxRounds} rounds`, 400);
+        }
+
+        const names = rounds.map(round => String(round || '').trim());
+
+        if (names.some(name => !name || name.length > 50)) {
+            throw new AppError('Each round needs a name of at most 50 characters', 400);
+        }
+
+        if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+            throw new AppError('Round names must be different', 400);
+        }
+
+        return names;
+    }
+
+    // Optional number from the editor (null when left empty)
+    toNumber(value, label) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0 || number >= 100000000) {
+            throw new AppError(`${label} must be a positive number`, 400);
+        }
+
+        return Math.round(number * 100) / 100;
+    }
+
+    // Check results against the competition's approved teams.
+    // Teams without a placement, score or round score are left out (unranked).
+    async normalizeResults(competition, rounds, results) {
+        if (!Array.isArray(results)) {
+            throw new AppError('Results must be a list', 400);
+        }
+
+        const approved = await db.getMany(
+            `SELECT id, team_name FROM competition_registrations WHERE competition_id = $1 AND registration_status = 'approved'`,
+            [competition.id]
+        );
+        const teams = new Map(approved.map(registration => [registration.id, registration.team_name]));
+        const prizes = {
+            1: parseFloat(competition.prize_first) || 0,
+            2: parseFloat(competition.prize_second) || 0,
+            3: parseFloat(competition.prize_third) || 0
+        };
+        const seen = new Set();
+        const normalized = [];
+
+        for (const result of results) {
+            const registrationId = parseInt(result && result.registration_id);
+
+            if (!teams.has(registrationId)) {
+                throw new AppError('Results can only be entered for approved teams of this competition', 400);
+            }
+
+            if (seen.has(registrationId)) {
+                throw new AppError(`Team ${teams.get(registrationId)} is listed more than once`, 400);
+            }
+            seen.add(registrationId);
+
+            const team = teams.get(registrationId);
+            let placement = null;
+
+            if (result.placement !== undefined && result.placement !== null && result.placement !== '') {
+                placement = Number(result.placement);
+                if (!Number.isInteger(placement) || placement < 1 || placement > teams.size) {
+                    throw new AppError(`Placement of ${team} must be a whole number between 1 and ${teams.size}`, 400);
+                }
+            }
+
+            const roundScores = rounds.map((round, index) =>
+                this.toNumber(Array.isArray(result.round_scores) ? result.round_scores[index] : null, `${round} score of ${team}`)
+            );
+            const score = this.toNumber(result.score, `Score of ${team}`);
+
+            if (placement === null && score === null && roundScores.every(value => value === null)) {
+                continue;
+            }
+
+            // Prizes follow the placement unless the club splits them differently (e.g. shared places)
+            const prizeAmount = result.prize_amount !== undefined && result.prize_amount !== null && result.prize_amount !== ''
+                ? this.toNumber(result.prize_amount, `Prize of ${team}`)
+                : (prizes[placement] || 0);
+
+            const notes = String(result.notes || '').trim();
+            if (notes.length > 500) {
+                throw new AppError(`Notes for ${team} must be at most 500 characters`, 400);
+            }
+
+            normalized.push({
+                registration_id: registrationId,
+                placement,
+                score,
+                round_scores: roundScores,
+                notes: notes || null,
+                prize_amount: prizeAmount
+            });
+        }
+
+        return normalized;
+    }
+
+    // Standings of each round (highest score first; equal scores share a rank)
+    buildStandings(rounds, results) {
+        return rounds.map((round, index) => {
+            const scored = results
+                .map(result => ({
+                    registration_id: result.registration_id,
+                    team_name: result.team_name,
+                    score: this.getRoundScore(result, index)
+                }))
+                .filter(entry => entry.score !== null)
+                .sort((a, b) => b.score - a.score);
+
+            scored.forEach((entry, position) => {
+                entry.rank = position > 0 && entry.score === scored[position - 1].score
+                    ? scored[position - 1].rank
+                    : position + 1;
+            });
+
+            return { round, standings: scored };
+        });
+    }
+
+    // Score of a result in one round (null when not played)
+    getRoundScore(result, index) {
+        const scores = typeof result.round_scores === 'string' ? JSON.parse(result.round_scores) : (result.round_scores || []);
+        const value = scores[index];
+        return value === undefined || value === null ? null : parseFloat(value);
+    }
+
+    // Published results as shown to visitors (null while unpublished)
+    async getPublicResults(competition) {
+        if (!competition.results_published_at) {
+            return null;
+        }
+
+        const rounds = this.getRounds(competition);
+        const results = await CompetitionResult.findByCompetitionId(competition.id);
+
+        return {
+            published_at: competition.results_published_at,
+            rounds,
+            results: results.map(result => ({
+                registration_id: result.registration_id,
+                team_name: result.team_name,
+                members: result.members,
+                placement: result.placement,
+                score: result.score !== null ? parseFloat(result.score) : null,
+                round_scores: rounds.map((round, index) => this.getRoundScore(result, index)),
+                prize_amount: parseFloat(result.prize_amount) || 0,
+                notes: result.notes
+            })),
+            standings: this.buildStandings(rounds, results)
+        };
+    }
+
+    // Publish results: award podium badges and tell every ranked team
+    async publish(competition) {
+        const results = await CompetitionResult.findByCompetitionId(competition.id);
+
+        if (results.length === 0) {
+            throw new AppError('Enter results for at least one team before publishing', 400);
+        }
+
+        const firstPublication = !competition.results_published_at;
+        const published = await CompetitionResult.publish(competition.id);
+        const badges = await CompetitionResult.syncBadges(competition.id);
+        await Certificate.syncPlacements(competition.id);
+
+        // Republishing after corrections only refreshes badges
+        if (firstPublication) {
+            for (const result of results) {
+                await this.notifyTeam(result, published);
+            }
+        }
+
+        return { competition: published, badges: badges.length };
+    }
+
+    // Tell every member of a ranked team (email included, with their placement and prize)
+    async notifyTeam(result, competition) {
+        const badge = this.badgeTypes[result.placement] || null;
+
+        for (const userId of await RegistrationMember.getMemberUserIds(result.registration_id)) {
+            await notificationService.notify(userId, 'competition_result', {
+                title: 'Results are out',
+                message: result.placement
+                    ? `Team ${result.team_name} finished #${result.placement} in "${competition.title}".`
+                    : `The results of "${competition.title}" have been published.`,
+                link: `/competition-detail.html?id=${competition.id}`,
+                data: { competition_id: competition.id, registration_id: result.registration_id, placement: result.placement, badge }
+            }, {
+                email: async () => {
+                    const user = await db.getOne('SELECT id, email, full_name, locale FROM users WHERE id = $1', [userId]);
+                    await emailService.sendCompetitionResults(user, result, competition, result, badge);
+                }
+            });
+        }
+    }
+
+    // Record a prize payout for a ranked team (the captain is told once it is paid)
+    async updatePrize(result, prizeStatus, prizeReference) {
+        if (!this.prizeStatuses.includes(prizeStatus)) {
+            throw new AppError(`Prize status must be one of: ${this.prizeStatuses.join(', ')}`, 400);
+        }
+
+        if (!(parseFloat(result.prize_amount) > 0)) {
+            throw new AppError(`Team ${result.team_name} has no prize to pay`, 400);
+        }
+
+        const reference = prizeReference ? String(prizeReference).trim().slice(0, 100) : null;
+        const updated = await CompetitionResult.updatePrize(result.id, prizeStatus, reference);
+
+        if (prizeStatus === 'paid' && result.prize_status !== 'paid') {
+            await notificationService.notify(result.captain_id, 'competition_result', {
+                title: 'Prize paid',
+                message: `The ৳${parseFloat(result.prize_amount).toLocaleString('en-BD')} prize of team ${result.team_name} for "${result.competition_title}" has been paid${reference ? ` (reference ${reference})` : ''}.`,
+                link: `/competition-detail.html?id=${result.competition_id}`,
+                data: { competition_id: result.competition_id, registration_id: result.registration_id, prize_reference: reference }
+            });
+        }
+
+        return updated;
+    }
+}
+
+module.exports = new ResultService();
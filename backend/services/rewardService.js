@@ -110,6 +110,35 @@ class RewardService {
         }
     }
     
+    // Take back sales points for a refunded amount (never more than the order earned).
+    // Runs inside the refund's transaction, so errors propagate and undo the refund too.
+    async reverseSalesPoints(clubId, refundAmount, orderId, client) {
+        const points = Math.floor(refundAmount / 100) * this.pointRules.PER_100_TAKA;
+        if (points <= 0) return 0;
+        
+        const balance = await client.query(`
+            SELECT COALESCE(SUM(points_earned), 0) as points
+            FROM reward_history
+            WHERE club_id = $1 AND related_id = $2 AND action_type IN ('sale', 'sale_reversal')
+        `, [clubId, orderId]);
+        
+        const reversible = Math.min(points, parseInt(balance.rows[0].points) || 0);
+        if (reversible <= 0) return 0;
+        
+        await Club.subtractRewardPoints(
+            clubId,
+            reversible,
+            'sale_reversal',
+            `Refund: ৳${refundAmount.toFixed(2)}`,
+            orderId,
+            client
+        );
+        
+        console.log(`↩️ Reversed ${reversible} sales points from club ${clubId} for refund of ৳${refundAmount}`);
+        
+        return reversible;
+    }
+    
     // Award points for 5-star reviews
     async awardReviewPoints(clubId, reviewId, productName) {
         try {
@@ -277,25 +306,29 @@ class RewardService {
         return benefits[tier.toLowerCase()] || benefits.bronze;
     }
     
-    // Update leaderboard rankings (run periodically)
+    // Update leaderboard rankings (scheduled job "leaderboard-rankings", or after point updates).
+    // Same order as the club listings; clubs that are not approved have no rank.
     async updateLeaderboardRankings() {
         try {
-            // This can be run as a cron job or called after point updates
-            await db.query(`
+            const result = await db.query(`
                 WITH ranked_clubs AS (
-                    SELECT id, ROW_NUMBER() OVER (ORDER BY reward_points DESC) as new_rank
+                    SELECT id, ROW_NUMBER() OVER (ORDER BY reward_points DESC, average_rating DESC) as new_rank
                     FROM clubs
                     WHERE status = 'approved'
                 )
                 UPDATE clubs c
                 SET leaderboard_rank = rc.new_rank
-                FROM ranked_clubs rc
-                WHERE c.id = rc.id
+                FROM clubs target
+                LEFT JOIN ranked_clubs rc ON rc.id = target.id
+                WHERE c.id = target.id
+                AND c.leaderboard_rank IS DISTINCT FROM rc.new_rank
             `);
             
             console.log('✅ Leaderboard rankings updated');
+            return result.rowCount;
         } catch (error) {
             console.error('Error updating leaderboard:', error);
+            throw error;
         }
     }
     
@@ -322,7 +355,7 @@ class RewardService {
         try {
             const summary = await db.getOne(`
                 SELECT 
-                    SUM(CASE WHEN action_type = 'sale' THEN points_earned ELSE 0 END) as sales_points,
+                    SUM(CASE WHEN action_type IN ('sale', 'sale_reversal') THEN points_earned ELSE 0 END) as sales_points,
                     SUM(CASE WHEN action_type = 'competition_created' THEN points_earned ELSE 0 END) as competition_points,
                     SUM(CASE WHEN action_type = 'five_star_review' THEN points_earned ELSE 0 END) as review_points,
                     SUM(CASE WHEN action_type = 'fast_shipping' THEN points_earned ELSE 0 END) as shipping_points,
@@ -359,7 +392,7 @@ class RewardService {
         try {
             const report = await db.getOne(`
                 SELECT 
-                    SUM(CASE WHEN action_type = 'sale' THEN points_earned ELSE 0 END) as sales_points,
+                    SUM(CASE WHEN action_type IN ('sale', 'sale_reversal') THEN points_earned ELSE 0 END) as sales_points,
                     SUM(CASE WHEN action_type = 'competition_created' THEN points_earned ELSE 0 END) as competition_points,
                     SUM(CASE WHEN action_type = 'five_star_review' THEN points_earned ELSE 0 END) as review_points,
                     SUM(CASE WHEN action_type = 'fast_shipping' THEN points_earned ELSE 0 END) as shipping_points,
@@ -0,0 +1,231 @@
+// backend/services/scheduledJobs.js
+// Background job definitions run by the scheduler (sweeps, expirations, reminders, recalculations).
+// GLOBAL REFERENCE: Scheduler Service, Super Admin → Scheduled Jobs
+// PURPOSE: One place listing every recurring task, how often it runs and what it does.
+
+const Order = require('../models/orderModel');
+const Registration = require('../models/registrationModel');
+const Competition = require('../models/competitionModel');
+const CompetitionReminder = require('../models/competitionReminderModel');
+const ScheduledJob = require('../models/scheduledJobModel');
+const payoutService = require('./payoutService');
+const rewardService = require('./rewardService');
+const realtimeService = require('./realtimeService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const waitlistService = require('./waitlistService');
+
+const JOB_HISTORY_RETENTION_DAYS = parseInt(process.env.JOB_HISTORY_RETENTION_DAYS) || 30;
+
+// Every job: name, description, intervalMinutes, optional leaseMinutes (default 10) and
+// run() → a small JSON summary stored with the run
+const jobs = [
+    {
+        name: 'release-expired-reservations',
+        description: 'Cancel bKash/Nagad orders with no payment submitted before the stock hold expired',
+        intervalMinutes: 15,
+        async run() {
+            const released = await Order.releaseExpiredReservations();
+
+            for (const order of released) {
+                await notificationService.notify(order.user_id, 'payment_update', {
+                    title: 'Order cancelled',
+                    message: `Order ${order.order_number} was cancelled because no payment was submitted within ${Order.RESERVATION_HOLD_HOURS} hours.`,
+                    link: `/order-detail.html?order=${order.order_number}`,
+                    data: { order_id: order.id }
+                });
+
+                for (const clubId of order.club_ids) {
+                    await notificationService.notifyClub(clubId, 'new_order', {
+                        title: 'Order cancelled',
+                        message: `Order ${order.order_number} was cancelled because the buyer did not pay in time. Its stock is available again.`,
+                        link: `/order-fulfill.html?id=${order.id}`,
+                        data: { order_id: order.id }
+                    });
+                }
+
+                await realtimeService.publishOrder('order_status_changed', order.id);
+            }
+
+            return { released: released.length, orders: released.map(order => order.order_number) };
+        }
+    },
+    {
+        name: 'expire-registration-payments',
+        description: `Reject paid competition registrations without payment proof after ${Registration.PAYMENT_HOLD_HOURS} hours`,
+        intervalMinutes: 60,
+        async run() {
+            const expired = await Registration.expireUnpaid();
+
+            for (const registration of expired) {
+                await notificationService.notify(registration.user_id, 'registration_update', {
+                    title: 'Registration expired',
+                    message: `Team ${registration.team_name}'s registration for "${registration.competition_title}" expired because no payment was submitted.`,
+                    link: `/competition-detail.html?id=${registration.competition_id}`,
+                    data: { registration_id: registration.id, competition_id: registration.competition_id }
+                });
+                await realtimeService.publishRegistration('registration_status_changed', registration.id);
+            }
+
+            // Expired teams free their spots for the waitlist
+            let promoted = 0;
+            for (const competitionId of new Set(expired.map(registration => registration.competition_id))) {
+                promoted += (await waitlistService.promoteNext(competitionId)).length;
+            }
+
+            return { expired: expired.length, promoted };
+        }
+    },
+    {
+        name: 'complete-competitions',
+        description: 'Mark active competitions as completed once their date has passed',
+        intervalMinutes: 60,
+        async run() {
+            const completed = await Competition.completePast();
+            return { completed: completed.length, competitions: completed.map(competition => competition.title) };
+        }
+    },
+    {
+        name: 'competition-reminders',
+        description: 'Remind approved teams before their competition at the configured day offsets (with calendar invite)',
+        intervalMinutes: 60,
+        async run() {
+            const settings = await CompetitionReminder.getSettings();
+            if (!settings.enabled) {
+                return { skipped: 'Reminders are turned off' };
+            }
+
+            const competitions = new Map();
+            const sent = {};
+
+            // Closest offset first, so a late approval only gets the reminder that fits
+            for (const daysBefore of [...settings.event_days_before].sort((a, b) => a - b)) {
+                const registrations = await CompetitionReminder.findDueEventReminders(daysBefore);
+                sent[daysBefore] = 0;
+
+                for (const registration of registrations) {
+                    const claimed = await CompetitionReminder.markSent({
+                        competitionId: registration.competition_id,
+                        userId: registration.user_id,
+                        registrationId: registration.id,
+                        type: 'event',
+                        daysBefore
+                    });
+                    if (!claimed) continue;
+
+                    if (!competitions.has(registration.competition_id)) {
+                        competitions.set(registration.competition_id, await Competition.findById(registration.competition_id));
+                    }
+                    const competition = competitions.get(registration.competition_id);
+                    const daysLeft = registration.days_left;
+                    const when = daysLeft === 0 ? 'today' : daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+
+                    await notificationService.notify(registration.user_id, 'competition_reminder', {
+                        title: daysLeft === 0 ? 'Competition today' : daysLeft === 1 ? 'Competition tomorrow' : `Competition in ${daysLeft} days`,
+                        message: `"${competition.title}" is ${when} at ${competition.venue}. Good luck, team ${registration.team_name}!`,
+                        link: `/competition-detail.html?id=${competition.id}`,
+                        data: { registration_id: registration.id, competition_id: competition.id, days_left: daysLeft }
+                    }, {
+                        email: () => emailService.sendCompetitionReminder(registration, competition, registration, daysLeft)
+                    });
+                    sent[daysBefore]++;
+                }
+            }
+
+            return { sent };
+        }
+    },
+    {
+        name: 'registration-deadline-reminders',
+        description: 'Remind students who tapped "Remind me" before registration closes, at the configured day offsets',
+        intervalMinutes: 60,
+        async run() {
+            const settings = await CompetitionReminder.getSettings();
+            if (!settings.enabled) {
+                return { skipped: 'Reminders are turned off' };
+            }
+
+            const competitions = new Map();
+            const sent = {};
+
+            for (const daysBefore of [...settings.deadline_days_before].sort((a, b) => a - b)) {
+                const interests = await CompetitionReminder.findDueDeadlineReminders(daysBefore);
+                sent[daysBefore] = 0;
+
+                for (const interest of interests) {
+                    const claimed = await CompetitionReminder.markSent({
+                        competitionId: interest.competition_id,
+                        userId: interest.user_id,
+                        type: 'deadline',
+                        daysBefore
+                    });
+                    if (!claimed) continue;
+
+                    if (!competitions.has(interest.competition_id)) {
+                        competitions.set(interest.competition_id, await Competition.findById(interest.competition_id));
+                    }
+                    const competition = competitions.get(interest.competition_id);
+                    const daysLeft = interest.days_left;
+
+                    await notificationService.notify(interest.user_id, 'registration_deadline', {
+                        title: 'Registration closing soon',
+                        message: daysLeft === 1
+                            ? `Today is the last day to register for "${competition.title}".`
+                            : `Registration for "${competition.title}" closes in ${daysLeft} days.`,
+                        link: `/competition-detail.html?id=${competition.id}`,
+                        data: { competition_id: competition.id, days_left: daysLeft }
+                    }, {
+                        email: () => emailService.sendRegistrationDeadlineReminder(competition, interest, daysLeft)
+                    });
+                    sent[daysBefore]++;
+                }
+            }
+
+            return { sent };
+        }
+    },
+    {
+        name: 'leaderboard-rankings',
+        description: 'Recalculate club leaderboard ranks from reward points',
+        intervalMinutes: 24 * 60,
+        async run() {
+            return { clubs: await rewardService.updateLeaderboardRankings() };
+        }
+    },
+    {
+        name: 'payout-schedule',
+        description: 'Create the weekly/monthly payout batch on payout day',
+        intervalMinutes: 60,
+        leaseMinutes: 30,
+        async run() {
+            const result = await payoutService.runScheduledBatch();
+            if (!result) {
+                return { batch: null };
+            }
+
+            return {
+                batch: result.batch.batch_number,
+                payouts: result.payouts.length,
+                skipped: result.skipped.length
+            };
+        }
+    },
+    {
+        name: 'realtime-prune',
+        description: 'Drop realtime events older than the Last-Event-ID replay window',
+        intervalMinutes: 60,
+        async run() {
+            return { deleted: await realtimeService.pruneEvents() };
+        }
+    },
+    {
+        name: 'job-history-prune',
+        description: `Delete job run history older than ${JOB_HISTORY_RETENTION_DAYS} days`,
+        intervalMinutes: 24 * 60,
+        async run() {
+            return { deleted: await ScheduledJob.deleteRunsOlderThan(JOB_HISTORY_RETENTION_DAYS) };
+        }
+    }
+];
+
+module.exports = jobs;
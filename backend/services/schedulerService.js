@@ -0,0 +1,125 @@
+// backend/services/schedulerService.js
+// In-process job scheduler with database leases so each job runs on one server instance at a time.
+// GLOBAL REFERENCE: Scheduled Jobs (services/scheduledJobs.js), Scheduled Job model, Environment Variables (SCHEDULER_ENABLED, SCHEDULER_TICK_SECONDS)
+// PURPOSE: Run due jobs, record every run in job_runs and let super admins trigger a job manually.
+
+const os = require('os');
+const ScheduledJob = require('../models/scheduledJobModel');
+const { AppError } = require('../middleware/errorHandler');
+const jobs = require('./scheduledJobs');
+
+class SchedulerService {
+    constructor() {
+        this.jobs = new Map(jobs.map(job => [job.name, job]));
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+        this.enabled = process.env.SCHEDULER_ENABLED !== 'false';
+        this.tickSeconds = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 30;
+        this.defaultLeaseMinutes = 10;
+        this.timer = null;
+        this.isTicking = false;
+    }
+
+    // Register job rows and start checking for due jobs (SCHEDULER_ENABLED=false leaves this instance out)
+    async start() {
+        if (!this.enabled) {
+            console.log('⏸️  Scheduler disabled on this instance (SCHEDULER_ENABLED=false)');
+            return;
+        }
+
+        await ScheduledJob.sync([...this.jobs.keys()]);
+
+        this.timer = setInterval(() => this.tick(), this.tickSeconds * 1000);
+        this.tick();
+
+        console.log(`⏱️  Scheduler started with ${this.jobs.size} jobs (instance ${this.instanceId})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Run every job that is due and not leased by another instance
+    async tick() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            for (const job of this.jobs.values()) {
+                const lease = await ScheduledJob.claim(job.name, {
+                    instanceId: this.instanceId,
+                    leaseMinutes: job.leaseMinutes || this.defaultLeaseMinutes,
+                    intervalMinutes: job.intervalMinutes
+                });
+
+                if (lease) {
+                    await this.execute(job, { triggerType: 'schedule' });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Scheduler tick failed:', error.message);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+
+    // Run a job we hold the lease for and record the run
+    async execute(job, { triggerType, triggeredBy = null }) {
+        await ScheduledJob.failAbandonedRuns(job.name);
+        const run = await ScheduledJob.startRun(job.name, { triggerType, triggeredBy, instanceId: this.instanceId });
+        let status = 'succeeded';
+
+        try {
+            const result = await job.run();
+            return await ScheduledJob.finishRun(run.id, { status, result });
+        } catch (error) {
+            status = 'failed';
+            console.error(`❌ Job ${job.name} failed:`, error.message);
+            return await ScheduledJob.finishRun(run.id, { status, error: error.message });
+        } finally {
+            await ScheduledJob.release(job.name, this.instanceId, status);
+        }
+    }
+
+    // Run a job now (super admin). Returns null for an unknown job; 409 when it is already running.
+    async runNow(name, userId) {
+        const job = this.jobs.get(name);
+        if (!job) return null;
+
+        await ScheduledJob.sync([name]);
+        const lease = await ScheduledJob.claim(name, {
+            instanceId: this.instanceId,
+            leaseMinutes: job.leaseMinutes || this.defaultLeaseMinutes,
+            intervalMinutes: job.intervalMinutes,
+            force: true
+        });
+
+        if (!lease) {
+            throw new AppError(`Job ${name} is already running`, 409);
+        }
+
+        return await this.execute(job, { triggerType: 'manual', triggeredBy: userId });
+    }
+
+    // Job definitions with their schedule state and latest run
+    async getJobs() {
+        const states = new Map((await ScheduledJob.findAll()).map(state => [state.name, state]));
+        const lastRuns = new Map((await ScheduledJob.getLastRuns()).map(run => [run.job_name, run]));
+
+        return [...this.jobs.values()].map(job => {
+            const state = states.get(job.name) || {};
+
+            return {
+                name: job.name,
+                description: job.description,
+                interval_minutes: job.intervalMinutes,
+                next_run_at: state.next_run_at || null,
+                is_running: Boolean(state.locked_until && new Date(state.locked_until) > new Date()),
+                locked_by: state.locked_by || null,
+                last_run: lastRuns.get(job.name) || null
+            };
+        });
+    }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,194 @@
+// backend/services/shippingService.js
+// Shipping rate engine driven by platform settings (zones, weight tiers, couriers).
+// GLOBAL REFERENCE: Database Schema → platform_settings (shipping_rates), products.weight, clubs shipping origin
+// PURPOSE: Quote shipping per club package for the cart, checkout and order creation.
+
+const db = require('../config/database');
+
+class ShippingService {
+    constructor() {
+        // Used when the shipping_rates setting is missing or incomplete
+        this.defaultRates = {
+            free_shipping_threshold: 2000,
+            default_item_weight: 250,
+            included_weight: 1000,
+            default_origin: { district: 'Dhaka', division: 'Dhaka' },
+            same_district: { name: 'Same City', base_rate: 50, per_kg_rate: 10 },
+            zones: [
+                {
+                    code: 'dhaka_metro',
+                    name: 'Dhaka Metro',
+                    districts: ['Dhaka', 'Gazipur', 'Narayanganj', 'Narsingdi', 'Manikganj', 'Munshiganj'],
+                    base_rate: 60,
+                    per_kg_rate: 15
+                },
+                {
+                    code: 'divisional_city',
+                    name: 'Divisional Cities',
+                    districts: ['Chittagong', 'Rajshahi', 'Khulna', 'Barisal', 'Sylhet', 'Rangpur', 'Mymensingh'],
+                    base_rate: 90,
+                    per_kg_rate: 20
+                },
+                {
+                    code: 'nationwide',
+                    name: 'Nationwide',
+                    base_rate: 120,
+                    per_kg_rate: 25
+                }
+            ],
+            couriers: [
+                { code: 'standard', name: 'Standard Delivery', multiplier: 1, surcharge: 0, eta_days: '3-5', free_shipping: true },
+                { code: 'express', name: 'Express Delivery', multiplier: 1.5, surcharge: 30, eta_days: '1-2', free_shipping: false }
+            ]
+        };
+    }
+
+    // Load shipping rates from platform settings
+    async getRates() {
+        try {
+            const setting = await db.getOne(
+                `SELECT setting_value FROM platform_settings WHERE setting_key = 'shipping_rates'`
+            );
+
+            if (setting && setting.setting_value) {
+                const rates = typeof setting.setting_value === 'string'
+                    ? JSON.parse(setting.setting_value)
+                    : setting.setting_value;
+
+                return { ...this.defaultRates, ...rates };
+            }
+        } catch (error) {
+            console.error('Error loading shipping rates:', error);
+        }
+
+        return this.defaultRates;
+    }
+
+    // Match a destination to a zone (district match wins over division match, last zone is the fallback)
+    findZone(rates, district, division) {
+        const normalize = (value) => String(value || '').trim().toLowerCase();
+        const zones = rates.zones || [];
+
+        const byDistrict = zones.find(zone =>
+            (zone.districts || []).some(d => normalize(d) === normalize(district))
+        );
+        if (byDistrict) return byDistrict;
+
+        const byDivision = zones.find(zone =>
+            (zone.divisions || []).some(d => normalize(d) === normalize(division))
+        );
+        if (byDivision) return byDivision;
+
+        return zones.find(zone => !zone.districts && !zone.divisions) || zones[zones.length - 1];
+    }
+
+    // Price one package on the base courier rate
+    calculatePackageCost(zone, weight, rates) {
+        const extraWeight = Math.max(0, weight - (parseInt(rates.included_weight) || 0));
+        const extraKg = Math.ceil(extraWeight / 1000);
+
+        return parseFloat(zone.base_rate) + extraKg * (parseFloat(zone.per_kg_rate) || 0);
+    }
+
+    // Quote shipping for a cart.
+    // items: [{ product_id, quantity }], destination: { district, division }
+    async quote(items, destination = {}, courierCode = null) {
+        const rates = await this.getRates();
+        const couriers = rates.couriers || [];
+
+        const quantities = new Map();
+        for (const item of items || []) {
+            const productId = parseInt(item.product_id);
+            quantities.set(productId, (quantities.get(productId) || 0) + (parseInt(item.quantity) || 0));
+        }
+
+        const products = quantities.size > 0
+            ? await db.getMany(`
+                SELECT p.id, p.club_id, p.price, p.weight, c.club_name, c.shipping_district, c.shipping_division
+                FROM products p
+                JOIN clubs c ON p.club_id = c.id
+                WHERE p.id = ANY($1)
+            `, [Array.from(quantities.keys())])
+            : [];
+
+        // Every club ships its own package from its own origin
+        const packages = new Map();
+        let subtotal = 0;
+
+        for (const product of products) {
+            const quantity = quantities.get(product.id);
+            const weight = (parseInt(product.weight) || parseInt(rates.default_item_weight) || 0) * quantity;
+            subtotal += parseFloat(product.price) * quantity;
+
+            if (!packages.has(product.club_id)) {
+                packages.set(product.club_id, {
+                    club_id: product.club_id,
+                    club_name: product.club_name,
+                    origin_district: product.shipping_district || rates.default_origin.district,
+                    origin_division: product.shipping_division || rates.default_origin.division,
+                    weight: 0
+                });
+            }
+            packages.get(product.club_id).weight += weight;
+        }
+
+        const destinationZone = this.findZone(rates, destination.district, destination.division);
+        const freeShippingThreshold = parseFloat(rates.free_shipping_threshold) || 0;
+        const qualifiesForFreeShipping = freeShippingThreshold > 0 && subtotal >= freeShippingThreshold;
+
+        const packageList = Array.from(packages.values()).map(pkg => {
+            const sameDistrict = destination.district && rates.same_district
+                && pkg.origin_district.toLowerCase() === String(destination.district).toLowerCase();
+            const zone = sameDistrict ? { code: 'same_district', ...rates.same_district } : destinationZone;
+
+            return {
+                ...pkg,
+                zone: zone.code,
+                zone_name: zone.name,
+                base_cost: this.calculatePackageCost(zone, pkg.weight, rates)
+            };
+        });
+
+        const options = couriers.map(courier => {
+            const isFree = qualifiesForFreeShipping && courier.free_shipping;
+            const multiplier = parseFloat(courier.multiplier) || 1;
+            const packageCosts = packageList.map(pkg =>
+                isFree ? 0 : Math.round(pkg.base_cost * multiplier + (parseFloat(courier.surcharge) || 0))
+            );
+
+            return {
+                code: courier.code,
+                name: courier.name,
+                eta_days: courier.eta_days,
+                free_shipping: isFree,
+                cost: packageCosts.reduce((sum, cost) => sum + cost, 0),
+                package_costs: packageCosts
+            };
+        });
+
+        const selected = courierCode
+            ? options.find(option => option.code === courierCode)
+            : options[0];
+
+        // Each club's shipment carries its own share of the shipping cost
+        packageList.forEach((pkg, index) => {
+            pkg.shipping_cost = selected ? selected.package_costs[index] : 0;
+        });
+
+        return {
+            valid: Boolean(selected),
+            message: selected ? null : 'Selected courier is not available',
+            destination_zone: destinationZone ? destinationZone.code : null,
+            estimated: !destination.district,
+            subtotal,
+            free_shipping_threshold: freeShippingThreshold,
+            amount_to_free_shipping: qualifiesForFreeShipping ? 0 : Math.max(0, freeShippingThreshold - subtotal),
+            packages: packageList,
+            options,
+            courier: selected ? selected.code : null,
+            shipping_cost: selected ? selected.cost : 0
+        };
+    }
+}
+
+module.exports = new ShippingService();
@@ -0,0 +1,253 @@
+// backend/services/teamService.js
+// Competition teams: inviting teammates, answering invitations and team size rules.
+// GLOBAL REFERENCE: RegistrationMember model, Registration model, Database Schema → registration_members, competitions (team_size_min, team_size_max)
+// PURPOSE: Link teammates to a registration with their own accounts and keep each student on one team per competition.
+
+const db = require('../config/database');
+const Registration = require('../models/registrationModel');
+const RegistrationMember = require('../models/registrationMemberModel');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const { AppError } = require('../middleware/errorHandler');
+
+class TeamService {
+    // Find who an invite is for: an email (account optional) or a student ID (account required)
+    async resolveInvitee(identifier) {
+        const value = String(identifier || '').trim();
+
+        if (!value) {
+            throw new AppError('Enter a teammate email or student ID', 400);
+        }
+
+        if (value.includes('@')) {
+            const email = value.toLowerCase();
+
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                throw new AppError(`${value} is not a valid email address`, 400);
+            }
+
+            const user = await db.getOne(
+                'SELECT id, email, full_name, role, locale FROM users WHERE LOWER(email) = $1',
+                [email]
+            );
+
+            if (user && user.role !== 'student') {
+                throw new AppError(`${value} is not a student account`, 400);
+            }
+
+            return { user, email: user ? user.email : email };
+        }
+
+        const students = await db.getMany(
+            `SELECT id, email, full_name, role, locale FROM users WHERE role = 'student' AND LOWER(student_id) = LOWER($1) LIMIT 2`,
+            [value]
+        );
+
+        if (students.length === 0) {
+            throw new AppError(`No student found with ID ${value}. Invite them by email instead.`, 404);
+        }
+
+        if (students.length > 1) {
+            throw new AppError(`More than one student has ID ${value}. Invite them by email instead.`, 409);
+        }
+
+        return { user: students[0], email: students[0].email };
+    }
+
+    // Check teammates before inviting them (all identifiers are checked before any invitation is sent).
+    // registration is null while the team is being registered.
+    async prepareInvites(competition, identifiers, captainId, registration = null) {
+        const invitees = [];
+
+        for (const identifier of identifiers) {
+            const invitee = await this.resolveInvitee(identifier);
+            const userId = invitee.user ? invitee.user.id : null;
+
+            if (userId === captainId) {
+                throw new AppError('You are already the captain of this team', 400);
+            }
+
+            if (invitees.some(other => other.email.toLowerCase() === invitee.email.toLowerCase())) {
+                throw new AppError(`${identifier} is listed more than once`, 400);
+            }
+
+            if (registration && await RegistrationMember.isOnTeam(registration.id, userId, invitee.email)) {
+                throw new AppError(`${invitee.user ? invitee.user.full_name : invitee.email} is already on or invited to this team`, 409);
+            }
+
+            if (userId) {
+                const otherTeam = await RegistrationMember.findActiveTeam(competition.id, userId, registration ? registration.id : null);
+                if (otherTeam) {
+                    throw new AppError(`${invitee.user.full_name} already plays for team ${otherTeam.team_name} in this competition`, 409);
+                }
+            }
+
+            invitees.push(invitee);
+        }
+
+        const seats = registration ? await RegistrationMember.countSeats(registration.id) : 1;
+        if (seats + invitees.length > competition.team_size_max) {
+            throw new AppError(`Teams can have at most ${competition.team_size_max} members (captain included)`, 400);
+        }
+
+        return invitees;
+    }
+
+    // Invite checked teammates and tell them
+    async sendInvites(invitees, registration, competition, inviter) {
+        const invitations = await this.createInvites(invitees, registration, competition, inviter);
+        await this.notifyInvitations(invitees, registration, competition, inviter);
+        return invitations;
+    }
+
+    // Save invitations for checked teammates (pass a client to keep them in the caller's transaction)
+    async createInvites(invitees, registration, competition, inviter, client = db) {
+        const invitations = [];
+
+        for (const invitee of invitees) {
+            invitations.push(await RegistrationMember.invite({
+                registrationId: registration.id,
+                competitionId: competition.id,
+                userId: invitee.user ? invitee.user.id : null,
+                email: invitee.email,
+                invitedBy: inviter.id
+            }, client));
+        }
+
+        return invitations;
+    }
+
+    // Tell every invitee about the team once their invitations are saved
+    async notifyInvitations(invitees, registration, competition, inviter) {
+        for (const invitee of invitees) {
+            await this.notifyInvitation(invitee, registration, competition, inviter);
+        }
+    }
+
+    // Tell an invitee about the team (in-app + email for students, email only for people without an account)
+    async notifyInvitation(invitee, registration, competition, inviter) {
+        const sendEmail = () => emailService.sendTeamInvitation(
+            invitee.user || { email: invitee.email, full_name: null },
+            registration,
+            competition,
+            inviter,
+            !!invitee.user
+        );
+
+        if (!invitee.user) {
+            try {
+                await sendEmail();
+            } catch (error) {
+                console.error(`❌ Team invitation email failed for ${invitee.email}:`, error.message);
+            }
+            return;
+        }
+
+        await notificationService.notify(invitee.user.id, 'team_invitation', {
+            title: 'Team invitation',
+            message: `${inviter.full_name} invited you to team ${registration.team_name} for "${competition.title}".`,
+            link: '/my-registrations.html',
+            data: { registration_id: registration.id, competition_id: competition.id }
+        }, {
+            email: sendEmail
+        });
+    }
+
+    // Accept or decline an invitation addressed to this student
+    async respond(invitationId, user, accept) {
+        const invitation = await RegistrationMember.findById(invitationId);
+
+        const isAddressee = invitation && invitation.status === 'invited' && (
+            invitation.user_id === user.id ||
+            (!invitation.user_id && invitation.invited_email.toLowerCase() === user.email.toLowerCase())
+        );
+
+        if (!isAddressee) {
+            throw new AppError('Invitation not found', 404);
+        }
+
+        if (!['pending', 'approved', 'waitlisted'].includes(invitation.registration_status)) {
+            throw new AppError('This team registration is no longer active', 400);
+        }
+
+        if (accept) {
+            const otherTeam = await RegistrationMember.findActiveTeam(invitation.competition_id, user.id, invitation.registration_id);
+            if (otherTeam) {
+                throw new AppError(`You already play for team ${otherTeam.team_name} in this competition. Leave it first.`, 409);
+            }
+        }
+
+        const updated = accept
+            ? await RegistrationMember.accept(invitation.id, user.id)
+            : await RegistrationMember.decline(invitation.id, user.id);
+
+        if (!updated) {
+            throw new AppError('Invitation not found', 404);
+        }
+
+        if (accept) {
+            await Registration.syncTeamMembers(invitation.registration_id);
+        }
+
+        await notificationService.notify(invitation.captain_id, 'registration_update', {
+            title: accept ? 'Teammate joined' : 'Invitation declined',
+            message: accept
+                ? `${user.full_name} joined team ${invitation.team_name} for "${invitation.competition_title}".`
+                : `${user.full_name} declined to join team ${invitation.team_name} for "${invitation.competition_title}".`,
+            link: '/my-registrations.html',
+            data: { registration_id: invitation.registration_id, competition_id: invitation.competition_id }
+        });
+
+        await realtimeService.publishRegistration('team_updated', invitation.registration_id);
+
+        return updated;
+    }
+
+    // Remove a teammate or withdraw an invitation (captain), or leave the team (member)
+    async removeMember(memberId, user) {
+        const member = await RegistrationMember.findById(memberId);
+
+        if (!member) {
+            throw new AppError('Team member not found', 404);
+        }
+
+        const isCaptain = member.captain_id === user.id;
+        const isSelf = member.user_id === user.id;
+
+        if (!isCaptain && !isSelf) {
+            throw new AppError('Only the team captain can remove teammates', 403);
+        }
+
+        if (member.role === 'captain') {
+            throw new AppError('The captain cannot leave the team. Cancel the registration instead.', 400);
+        }
+
+        await RegistrationMember.remove(member.id);
+
+        if (member.status === 'accepted') {
+            await Registration.syncTeamMembers(member.registration_id);
+        }
+
+        // Tell the other side (captain when a member leaves, the member when the captain removes them)
+        const recipientId = isSelf ? member.captain_id : member.user_id;
+        const name = isSelf ? user.full_name : null;
+
+        if (recipientId && member.status === 'accepted') {
+            await notificationService.notify(recipientId, 'registration_update', {
+                title: isSelf ? 'Teammate left' : 'Removed from team',
+                message: isSelf
+                    ? `${name} left team ${member.team_name} for "${member.competition_title}".`
+                    : `You were removed from team ${member.team_name} for "${member.competition_title}".`,
+                link: '/my-registrations.html',
+                data: { registration_id: member.registration_id, competition_id: member.competition_id }
+            });
+        }
+
+        await realtimeService.publishRegistration('team_updated', member.registration_id);
+
+        return member;
+    }
+}
+
+module.exports = new TeamService();
@@ -0,0 +1,107 @@
+// backend/services/ticketService.js
+// Signed QR tickets for approved registrations and event-day check-in at the venue.
+// GLOBAL REFERENCE: Registration model, Environment Variables (TICKET_SECRET), Database Schema → competition_registrations (checked_in_at, checked_in_by)
+// PURPOSE: Let club volunteers scan or type a team's ticket once, and only for the competition it was issued for.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Registration = require('../models/registrationModel');
+const realtimeService = require('./realtimeService');
+const { AppError } = require('../middleware/errorHandler');
+
+class TicketService {
+    constructor() {
+        // Tickets stay valid across restarts, so the secret must be stable (falls back to the JWT secret)
+        this.secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+        // Same alphabet as certificate codes: no 0/O or 1/I, so codes can be typed at the desk
+        this.alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        this.signatureLength = 8;
+        this.pattern = /^TKT-(\d+)-([A-Z0-9]+)$/;
+    }
+
+    // HMAC of the registration and its competition, written in the ticket alphabet
+    sign(registrationId, competitionId) {
+        const digest = crypto.createHmac('sha256', this.secret)
+            .update(`ticket:${registrationId}:${competitionId}`)
+            .digest();
+
+        return Array.from(digest.subarray(0, this.signatureLength), byte => this.alphabet[byte % this.alphabet.length]).join('');
+    }
+
+    // Ticket code printed under the QR code (the QR code holds the same text)
+    getCode(registration) {
+        return `TKT-${registration.id}-${this.sign(registration.id, registration.competition_id)}`;
+    }
+
+    // Ticket of an approved registration: code plus QR image (data URL for pages, PNG for email)
+    async getTicket(registration) {
+        const code = this.getCode(registration);
+        const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+        return {
+            code,
+            qr_data_url: await QRCode.toDataURL(code, options),
+            qr_png: await QRCode.toBuffer(code, { ...options, type: 'png' }),
+            checked_in_at: registration.checked_in_at || null
+        };
+    }
+
+    // Registration ID of a scanned or typed code (null when the code is malformed or forged)
+    parseCode(code) {
+        const match = String(code || '').trim().toUpperCase().replace(/\s+/g, '').match(this.pattern);
+        if (!match) return null;
+
+        return { registrationId: parseInt(match[1]), signature: match[2] };
+    }
+
+    // Check a team in at the venue of a competition of the club
+    async checkIn(code, competition, adminUserId) {
+        const parsed = this.parseCode(code);
+        const registration = parsed ? await Registration.findById(parsed.registrationId) : null;
+
+        if (!registration || !this.isSignatureValid(parsed.signature, registration)) {
+            throw new AppError('This is not a valid ticket', 400);
+        }
+
+        if (registration.competition_id !== competition.id) {
+            throw new AppError(`This ticket is for "${registration.competition_title}", not this competition`, 400);
+        }
+
+        if (registration.registration_status !== 'approved') {
+            throw new AppError(`Team ${registration.team_name} is not approved (registration ${registration.registration_status})`, 400);
+        }
+
+        if (registration.checked_in_at) {
+            throw new AppError(`Team ${registration.team_name} already checked in at ${this.formatTime(registration.checked_in_at)}`, 409);
+        }
+
+        const checkedIn = await Registration.checkIn(registration.id, adminUserId);
+
+        // Another desk scanned the same ticket a moment earlier
+        if (!checkedIn) {
+            throw new AppError(`Team ${registration.team_name} is already checked in`, 409);
+        }
+
+        const counts = await Registration.getCheckInCounts(competition.id);
+        await realtimeService.publishRegistration('registration_checked_in', registration.id, {
+            checked_in_at: checkedIn.checked_in_at,
+            counts
+        });
+
+        return { registration: { ...registration, checked_in_at: checkedIn.checked_in_at }, counts };
+    }
+
+    isSignatureValid(signature, registration) {
+        const expected = Buffer.from(this.sign(registration.id, registration.competition_id));
+        const given = Buffer.from(signature);
+
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // Check-in time in Bangladesh time, for desk messages
+    formatTime(date) {
+        return new Date(date).toLocaleTimeString('en-GB', { timeZone: 'Asia/Dhaka', hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+module.exports = new TicketService();
@@ -0,0 +1,507 @@
+// backend/services/tournamentService.js
+// Tournament brackets: drawing single elimination, round robin and Swiss brackets, match results and standings.
+// GLOBAL REFERENCE: Tournament model, resultService (event-day rules, number checks), Database Schema → tournament_rounds, tournament_matches
+// PURPOSE: Run knockout and league style events (robo-soccer, sumo) match by match, with winners moving on automatically.
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const Tournament = require('../models/tournamentModel');
+const resultService = require('./resultService');
+const { AppError } = require('../middleware/errorHandler');
+
+class TournamentService {
+    constructor() {
+        this.formats = {
+            single_elimination: 'Single elimination',
+            round_robin: 'Round robin',
+            swiss: 'Swiss'
+        };
+        this.maxTeams = 128;
+        // Every team plays every other team, so big fields should use Swiss instead
+        this.maxRoundRobinTeams = 32;
+        this.points = { win: 3, draw: 1 };
+        // Backtracking budget when pairing a Swiss round without rematches
+        this.maxPairingSteps = 10000;
+    }
+
+    // Approved teams for a new bracket (optionally only those checked in at the venue)
+    async getTeams(competitionId, checkedInOnly = false) {
+        return await db.getMany(`
+            SELECT id, team_name FROM competition_registrations
+            WHERE competition_id = $1 AND registration_status = 'approved'
+            ${checkedInOnly ? 'AND checked_in_at IS NOT NULL' : ''}
+            ORDER BY id
+        `, [competitionId]);
+    }
+
+    // Random draw (Fisher-Yates)
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Draw a new bracket from the approved teams (replaces a bracket nobody has played in yet)
+    async generate(competition, options = {}) {
+        const format = options.format;
+
+        if (!this.formats[format]) {
+            throw new AppError(`Format must be one of: ${Object.keys(this.formats).join(', ')}`, 400);
+        }
+
+        if (competition.status === 'cancelled') {
+            throw new AppError('Brackets cannot be drawn for a cancelled competition', 400);
+        }
+
+        const existing = await Tournament.findMatches(competition.id);
+        if (existing.some(match => match.status === 'completed')) {
+            throw new AppError('Matches have already been played. Reset the bracket before drawing a new one.', 400);
+        }
+
+        const teams = await this.getTeams(competition.id, !!options.checked_in_only);
+
+        if (teams.length < 2) {
+            throw new AppError(options.checked_in_only
+                ? 'At least two teams must be checked in to draw a bracket'
+                : 'At least two approved teams are needed to draw a bracket', 400);
+        }
+
+        if (teams.length > this.maxTeams) {
+            throw new AppError(`Brackets can have at most ${this.maxTeams} teams`, 400);
+        }
+
+        if (format === 'round_robin' && teams.length > this.maxRoundRobinTeams) {
+            throw new AppError(`Round robin brackets can have at most ${this.maxRoundRobinTeams} teams. Use Swiss for bigger fields.`, 400);
+        }
+
+        const drawn = this.shuffle(teams.map(team => team.id));
+        const rounds = format === 'single_elimination'
+            ? this.buildElimination(drawn)
+            : format === 'round_robin'
+                ? this.buildRoundRobin(drawn)
+                : this.buildSwiss(drawn, options.rounds);
+
+        await Tournament.create(competition.id, format, rounds);
+
+        return await this.getBracket({ ...competition, tournament_format: format });
+    }
+
+    // Delete a bracket (its match results go with it)
+    async reset(competition) {
+        if (!competition.tournament_format) {
+            throw new AppError('This competition has no bracket', 400);
+        }
+
+        await Tournament.remove(competition.id);
+    }
+
+    // ============= Bracket Building =============
+
+    // Bracket positions of seeds 1..size, so that the top seeds only meet late (1 v 8, 4 v 5, 2 v 7, 3 v 6)
+    getSeedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const length = order.length * 2;
+            order = order.flatMap(seed => [seed, length + 1 - seed]);
+        }
+        return order;
+    }
+
+    getEliminationRoundName(roundNumber, totalRounds) {
+        const teams = 2 ** (totalRounds - roundNumber + 1);
+        const names = { 2: 'Final', 4: 'Semi-finals', 8: 'Quarter-finals' };
+        return names[teams] || `Round of ${teams}`;
+    }
+
+    // Every round up front; when the field is not a power of two the top draws get a bye into round 2
+    buildElimination(teams) {
+        const totalRounds = Math.ceil(Math.log2(teams.length));
+        const size = 2 ** totalRounds;
+        const order = this.getSeedOrder(size);
+        const rounds = [];
+
+        for (let roundNumber = 1; roundNumber <= totalRounds; roundNumber++) {
+            rounds.push({
+                round_number: roundNumber,
+                name: this.getEliminationRoundName(roundNumber, totalRounds),
+                matches: Array.from({ length: size / 2 ** roundNumber }, (_, index) => ({
+                    match_number: index + 1,
+                    next: roundNumber < totalRounds
+                        ? { round_number: roundNumber + 1, match_number: Math.floor(index / 2) + 1, slot: index % 2 + 1 }
+                        : null
+                }))
+            });
+        }
+
+        rounds[0].matches.forEach((match, index) => {
+            match.team1 = teams[order[index * 2] - 1];
+            match.team2 = teams[order[index * 2 + 1] - 1] || null;
+
+            if (!match.team2) {
+                match.status = 'bye';
+                match.winner = match.team1;
+                rounds[1].matches[match.next.match_number - 1][`team${match.next.slot}`] = match.team1;
+            }
+        });
+
+        return rounds;
+    }
+
+    // Circle method: one team stays in place and the others rotate, so everyone meets once
+    buildRoundRobin(teams) {
+        const slots = teams.length % 2 ? [...teams, null] : [...teams];
+        const rounds = [];
+
+        for (let roundNumber = 1; roundNumber < slots.length; roundNumber++) {
+            const matches = [];
+
+            for (let index = 0; index < slots.length / 2; index++) {
+                const team1 = slots[index];
+                const team2 = slots[slots.length - 1 - index];
+
+                // With an odd number of teams one team rests each round
+                if (team1 && team2) {
+                    matches.push({ match_number: matches.length + 1, team1, team2 });
+                }
+            }
+
+            rounds.push({ round_number: roundNumber, name: `Round ${roundNumber}`, matches });
+            slots.splice(1, 0, slots.pop());
+        }
+
+        return rounds;
+    }
+
+    // Round 1 is drawn now; later rounds are paired by standings when the previous round is finished
+    buildSwiss(teams, roundCount) {
+        const maxRounds = teams.length - 1;
+        const count = roundCount === undefined || roundCount === null || roundCount === ''
+            ? Math.min(Math.ceil(Math.log2(teams.length)), maxRounds)
+            : Number(roundCount);
+
+        if (!Number.isInteger(count) || count < 1 || count > maxRounds) {
+            throw new AppError(`A Swiss bracket with ${teams.length} teams can have 1 to ${maxRounds} rounds`, 400);
+        }
+
+        return Array.from({ length: count }, (_, index) => ({
+            round_number: index + 1,
+            name: `Round ${index + 1}`,
+            matches: index === 0 ? this.pairSwiss(teams, []) : []
+        }));
+    }
+
+    // Pair teams (best ranked first) with the closest ranked team they have not met.
+    // With an odd number of teams the lowest ranked team without a bye sits out and scores a win.
+    pairSwiss(ranked, played) {
+        const opponents = new Map(ranked.map(team => [team, new Set()]));
+        const hadBye = new Set();
+
+        for (const match of played) {
+            if (match.status === 'bye') {
+                hadBye.add(match.team1_registration_id);
+            } else if (opponents.has(match.team1_registration_id) && opponents.has(match.team2_registration_id)) {
+                opponents.get(match.team1_registration_id).add(match.team2_registration_id);
+                opponents.get(match.team2_registration_id).add(match.team1_registration_id);
+            }
+        }
+
+        let pool = [...ranked];
+        let bye = null;
+
+        if (pool.length % 2) {
+            bye = [...pool].reverse().find(team => !hadBye.has(team)) || pool[pool.length - 1];
+            pool = pool.filter(team => team !== bye);
+        }
+
+        // Rematches only when no pairing without them exists
+        const pairs = this.pairWithoutRematches(pool, opponents)
+            || Array.from({ length: pool.length / 2 }, (_, index) => [pool[index * 2], pool[index * 2 + 1]]);
+
+        const matches = pairs.map(([team1, team2], index) => ({ match_number: index + 1, team1, team2 }));
+
+        if (bye) {
+            matches.push({ match_number: matches.length + 1, team1: bye, status: 'bye', winner: bye });
+        }
+
+        return matches;
+    }
+
+    pairWithoutRematches(pool, opponents) {
+        let steps = 0;
+
+        const search = (remaining) => {
+            if (remaining.length === 0) return [];
+            if (++steps > this.maxPairingSteps) return null;
+
+            const [team, ...rest] = remaining;
+
+            for (let index = 0; index < rest.length; index++) {
+                if (opponents.get(team).has(rest[index])) continue;
+
+                const pairs = search([...rest.slice(0, index), ...rest.slice(index + 1)]);
+                if (pairs) return [[team, rest[index]], ...pairs];
+            }
+
+            return null;
+        };
+
+        return search(pool);
+    }
+
+    // ============= Match Results =============
+
+    // Record (or correct) a match result; the winner moves on and a finished Swiss round pairs the next one
+    async recordResult(competition, match, input = {}) {
+        if (competition.status === 'cancelled') {
+            throw new AppError('Match results cannot be entered for a cancelled competition', 400);
+        }
+
+        if (new Date(competition.competition_date) > new Date(new Date().toDateString())) {
+            throw new AppError('Match results can be entered from the day of the competition', 400);
+        }
+
+        if (match.status === 'bye') {
+            throw new AppError('A bye has no result to enter', 400);
+        }
+
+        if (!match.team1_registration_id || !match.team2_registration_id) {
+            throw new AppError('Both teams of this match are not known yet', 400);
+        }
+
+        if (match.next_match_status === 'completed') {
+            throw new AppError('The winner has already played the next match, so this result can no longer change', 400);
+        }
+
+        if (competition.tournament_format === 'swiss') {
+            const matches = await Tournament.findMatches(competition.id);
+            if (matches.some(other => other.round_number > match.round_number)) {
+                throw new AppError('The next round has already been paired, so this result can no longer change', 400);
+            }
+        }
+
+        const team1Score = resultService.toNumber(input.team1_score, `Score of ${match.team1_name}`);
+        const team2Score = resultService.toNumber(input.team2_score, `Score of ${match.team2_name}`);
+        let winner = input.winner_registration_id ? parseInt(input.winner_registration_id) : null;
+
+        if (winner && winner !== match.team1_registration_id && winner !== match.team2_registration_id) {
+            throw new AppError('The winner must be one of the two teams of the match', 400);
+        }
+
+        if (!winner && team1Score !== null && team2Score !== null && team1Score !== team2Score) {
+            winner = team1Score > team2Score ? match.team1_registration_id : match.team2_registration_id;
+        }
+
+        if (!winner && competition.tournament_format === 'single_elimination') {
+            throw new AppError('Knockout matches need a winner. Enter different scores or pick the winner.', 400);
+        }
+
+        if (!winner && (team1Score === null || team2Score === null)) {
+            throw new AppError('Enter both scores or pick the winner', 400);
+        }
+
+        const saved = await Tournament.saveResult(match, {
+            team1_score: team1Score,
+            team2_score: team2Score,
+            winner_registration_id: winner
+        });
+
+        if (competition.tournament_format === 'swiss') {
+            await this.pairNextSwissRound(competition.id, match.round_number);
+        }
+
+        return saved;
+    }
+
+    // Pair the next Swiss round once every match of the current one has a result
+    async pairNextSwissRound(competitionId, roundNumber) {
+        const matches = await Tournament.findMatches(competitionId);
+
+        if (matches.some(match => match.round_number === roundNumber && match.status === 'pending')) {
+            return;
+        }
+
+        const rounds = await Tournament.findRounds(competitionId);
+        const next = rounds.find(round => round.round_number === roundNumber + 1);
+
+        if (!next || matches.some(match => match.round_id === next.id)) {
+            return;
+        }
+
+        const ranked = this.buildStandings(matches).map(entry => entry.registration_id);
+        await Tournament.addMatches(competitionId, next.id, this.pairSwiss(ranked, matches));
+    }
+
+    // ============= Standings =============
+
+    // League table of round robin and Swiss brackets (3 points a win or bye, 1 a draw; then score difference)
+    buildStandings(matches) {
+        const table = new Map();
+        const entry = (registrationId, teamName) => {
+            if (!table.has(registrationId)) {
+                table.set(registrationId, {
+                    registration_id: registrationId,
+                    team_name: teamName,
+                    played: 0,
+                    wins: 0,
+                    draws: 0,
+                    losses: 0,
+                    byes: 0,
+                    points: 0,
+                    score_for: 0,
+                    score_against: 0
+                });
+            }
+            return table.get(registrationId);
+        };
+
+        for (const match of matches) {
+            const team1 = match.team1_registration_id ? entry(match.team1_registration_id, match.team1_name) : null;
+            const team2 = match.team2_registration_id ? entry(match.team2_registration_id, match.team2_name) : null;
+
+            if (match.status === 'bye' && team1) {
+                team1.byes++;
+                team1.points += this.points.win;
+                continue;
+            }
+
+            if (match.status !== 'completed' || !team1 || !team2) continue;
+
+            const score1 = parseFloat(match.team1_score) || 0;
+            const score2 = parseFloat(match.team2_score) || 0;
+
+            team1.played++;
+            team2.played++;
+            team1.score_for += score1;
+            team1.score_against += score2;
+            team2.score_for += score2;
+            team2.score_against += score1;
+
+            if (!match.winner_registration_id) {
+                team1.draws++;
+                team2.draws++;
+                team1.points += this.points.draw;
+                team2.points += this.points.draw;
+            } else {
+                const [winner, loser] = match.winner_registration_id === team1.registration_id ? [team1, team2] : [team2, team1];
+                winner.wins++;
+                loser.losses++;
+                winner.points += this.points.win;
+            }
+        }
+
+        const compare = (a, b) => b.points - a.points
+            || (b.score_for - b.score_against) - (a.score_for - a.score_against)
+            || b.score_for - a.score_for;
+
+        const standings = [...table.values()].sort((a, b) => compare(a, b) || a.team_name.localeCompare(b.team_name));
+
+        // Teams level on points, difference and score share a rank
+        standings.forEach((team, position) => {
+            team.rank = position > 0 && compare(team, standings[position - 1]) === 0
+                ? standings[position - 1].rank
+                : position + 1;
+        });
+
+        return standings;
+    }
+
+    // Knockout standings: the champion, then teams by the round they went out in (losing semi-finalists share 3rd)
+    buildEliminationStandings(rounds, matches) {
+        const totalRounds = rounds.length;
+        const roundNames = new Map(rounds.map(round => [round.round_number, round.name]));
+        const table = new Map();
+
+        for (const match of matches) {
+            for (const slot of [1, 2]) {
+                const registrationId = match[`team${slot}_registration_id`];
+                if (registrationId && !table.has(registrationId)) {
+                    table.set(registrationId, {
+                        registration_id: registrationId,
+                        team_name: match[`team${slot}_name`],
+                        rank: null,
+                        eliminated_in: null
+                    });
+                }
+            }
+        }
+
+        for (const match of matches.filter(match => match.status === 'completed' && match.winner_registration_id)) {
+            const loserId = match.winner_registration_id === match.team1_registration_id
+                ? match.team2_registration_id
+                : match.team1_registration_id;
+            const loser = table.get(loserId);
+
+            if (loser) {
+                loser.rank = 2 ** (totalRounds - match.round_number) + 1;
+                loser.eliminated_in = roundNames.get(match.round_number);
+            }
+
+            if (match.round_number === totalRounds && table.has(match.winner_registration_id)) {
+                table.get(match.winner_registration_id).rank = 1;
+            }
+        }
+
+        // Teams still in the bracket first, then by how far they got
+        return [...table.values()].sort((a, b) =>
+            (a.rank === null ? 0 : a.rank) - (b.rank === null ? 0 : b.rank) || a.team_name.localeCompare(b.team_name)
+        );
+    }
+
+    // ============= Bracket View =============
+
+    formatMatch(match) {
+        const team = (slot) => match[`team${slot}_registration_id`]
+            ? { registration_id: match[`team${slot}_registration_id`], team_name: match[`team${slot}_name`] }
+            : null;
+        const score = (value) => value === null || value === undefined ? null : parseFloat(value);
+
+        return {
+            id: match.id,
+            match_number: match.match_number,
+            status: match.status,
+            team1: team(1),
+            team2: team(2),
+            team1_score: score(match.team1_score),
+            team2_score: score(match.team2_score),
+            winner_registration_id: match.winner_registration_id,
+            completed_at: match.completed_at
+        };
+    }
+
+    // A competition's bracket as shown to visitors and the club (null when it has none)
+    async getBracket(competition) {
+        if (!competition.tournament_format) {
+            return null;
+        }
+
+        const format = competition.tournament_format;
+        const rounds = await Tournament.findRounds(competition.id);
+        const matches = await Tournament.findMatches(competition.id);
+        const played = (match) => match.status !== 'pending';
+
+        return {
+            format,
+            format_label: this.formats[format],
+            rounds: rounds.map(round => {
+                const roundMatches = matches.filter(match => match.round_id === round.id);
+                return {
+                    round_number: round.round_number,
+                    name: round.name,
+                    // Swiss rounds are paired once the round before them is finished
+                    paired: roundMatches.length > 0,
+                    completed: roundMatches.length > 0 && roundMatches.every(played),
+                    matches: roundMatches.map(match => this.formatMatch(match))
+                };
+            }),
+            standings: format === 'single_elimination'
+                ? this.buildEliminationStandings(rounds, matches)
+                : this.buildStandings(matches),
+            completed: rounds.every(round => matches.some(match => match.round_id === round.id)) && matches.every(played)
+        };
+    }
+}
+
+module.exports = new TournamentService();
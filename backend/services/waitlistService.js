@@ -0,0 +1,87 @@
+// backend/services/waitlistService.js
+// Competition waitlists: queueing teams once a competition is full and promoting them as spots open.
+// GLOBAL REFERENCE: Registration model, RegistrationMember model, Database Schema → competition_registrations (waitlist_position, promoted_at, payment_due_at), competitions (waitlist_enabled, max_participants)
+// PURPOSE: Fill freed spots in waitlist order and tell promoted teams how long they have to pay.
+
+const Registration = require('../models/registrationModel');
+const RegistrationMember = require('../models/registrationMemberModel');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const db = require('../config/database');
+
+class WaitlistService {
+    // Whether a new team joins the waitlist: the competition is full, or other teams are already waiting.
+    // With a waitlist, teams under review hold their spot as well as approved teams.
+    async shouldWaitlist(competition, client = db) {
+        if (!competition.waitlist_enabled || !competition.max_participants) {
+            return false;
+        }
+
+        const heldSeats = await Registration.countHeldSeats(competition.id, client);
+        if (heldSeats >= competition.max_participants) {
+            return true;
+        }
+
+        return await Registration.countWaitlisted(competition.id, client) > 0;
+    }
+
+    // Promote waitlisted teams into any free spots and notify them (safe to call after every change)
+    async promoteNext(competitionId) {
+        const promoted = await Registration.promoteFromWaitlist(competitionId);
+
+        if (promoted.length === 0) {
+            return promoted;
+        }
+
+        await Registration.compactWaitlist(competitionId);
+
+        const competition = await db.getOne(`
+            SELECT c.*, cl.club_name
+            FROM competitions c
+            JOIN clubs cl ON c.club_id = cl.id
+            WHERE c.id = $1
+        `, [competitionId]);
+
+        for (const registration of promoted) {
+            await this.notifyPromotion(registration, competition);
+            await realtimeService.publishRegistration('registration_status_changed', registration.id);
+        }
+
+        await notificationService.notifyClub(competition.club_id, 'new_registration', {
+            title: 'Waitlist promotion',
+            message: `${promoted.map(registration => registration.team_name).join(', ')} moved up from the waitlist for "${competition.title}" and ${promoted.length === 1 ? 'is' : 'are'} waiting for review.`,
+            link: `/competition-registrations.html?id=${competition.id}`,
+            data: { competition_id: competition.id, registration_ids: promoted.map(registration => registration.id) }
+        });
+
+        return promoted;
+    }
+
+    // Tell the team a spot opened (the captain also gets an email with the payment deadline)
+    async notifyPromotion(registration, competition) {
+        const deadline = registration.payment_due_at
+            ? ` Submit your payment by ${new Date(registration.payment_due_at).toLocaleString('en-GB', { timeZone: 'Asia/Dhaka', dateStyle: 'medium', timeStyle: 'short' })} to keep it.`
+            : '';
+
+        const notification = {
+            title: 'A spot opened up',
+            message: `Team ${registration.team_name} moved up from the waitlist for "${competition.title}".${deadline}`,
+            link: '/my-registrations.html',
+            data: { registration_id: registration.id, competition_id: competition.id, payment_due_at: registration.payment_due_at }
+        };
+
+        for (const userId of await RegistrationMember.getMemberUserIds(registration.id)) {
+            const isCaptain = userId === registration.user_id;
+
+            await notificationService.notify(userId, 'registration_update', notification, isCaptain ? {
+                email: async () => {
+                    const captain = await db.getOne('SELECT id, email, full_name, locale FROM users WHERE id = $1', [userId]);
+                    await emailService.sendWaitlistPromotion(registration, competition, captain);
+                }
+            } : {});
+        }
+    }
+}
+
+module.exports = new WaitlistService();
@@ -11,7 +11,6 @@
   const utils = typeof window !== 'undefined' && window.Utils ? window.Utils : {};
   
   const STORAGE_KEYS = config.STORAGE_KEYS || { CART: 'cart' };
-  const SHIPPING_COSTS = config.SHIPPING_COSTS || { dhaka: 60, outside_dhaka: 80, free_threshold: 1000 };
 
   // ========================================
   // CART STATE MANAGEMENT
@@ -56,18 +55,11 @@
     }
   }
 
-  // Calculate cart totals
-  function calculateTotals(items, district = null) {
+  // Calculate cart totals (shipping comes from the last server quote, see updateShipping)
+  function calculateTotals(items, shipping = 0) {
     const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
     
-    let shipping = 0;
-    if (district && utils.calculateShipping) {
-      shipping = utils.calculateShipping(district, subtotal);
-    } else if (subtotal > 0 && subtotal < SHIPPING_COSTS.free_threshold) {
-      shipping = SHIPPING_COSTS.outside_dhaka; // Default to higher shipping
-    }
-    
     const total = subtotal + shipping;
     
     return {
@@ -219,12 +211,24 @@
     return item ? item.quantity : 0;
   }
 
-  // Update shipping based on district
-  function updateShipping(district) {
+  // Update shipping from a server quote for the given destination
+  async function updateShipping(destination = {}, courier = null) {
     const cart = getCart();
-    const totals = calculateTotals(cart.items, district);
-    Object.assign(cart, totals);
-    saveCart(cart);
+    if (cart.items.length === 0 || !utils.getShippingQuote) {
+      return cart;
+    }
+    
+    try {
+      const quote = await utils.getShippingQuote(cart.items, destination, courier);
+      
+      Object.assign(cart, calculateTotals(cart.items, quote.shipping_cost));
+      cart.courier = quote.courier;
+      cart.amount_to_free_shipping = quote.amount_to_free_shipping;
+      saveCart(cart);
+    } catch (error) {
+      console.error('Error getting shipping quote:', error);
+    }
+    
     return cart;
   }
 
@@ -351,21 +355,15 @@
   }
 
   // Render cart summary (for cart page or checkout)
-  function renderCartSummary(containerId, district = null) {
+  async function renderCartSummary(containerId, destination = null) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
-    const cart = getCart();
-    
-    // Update shipping if district provided
-    let displayCart = cart;
-    if (district) {
-      displayCart = { ...cart, ...calculateTotals(cart.items, district) };
-    }
+    // Refresh the shipping quote if a destination is provided
+    const displayCart = destination ? await updateShipping(destination) : getCart();
     
     const formatPrice = utils.formatPrice || ((amount) => '৳' + amount);
-    const freeShippingThreshold = SHIPPING_COSTS.free_threshold;
-    const remainingForFree = freeShippingThreshold - displayCart.subtotal;
+    const remainingForFree = displayCart.amount_to_free_shipping || 0;
     
     let html = `
       <div class="cart-summary">
@@ -72,18 +72,6 @@
     platinum: 0.01
   };
 
-  // Shipping Configuration
-  const SHIPPING_COSTS = {
-    dhaka: 60,
-    outside_dhaka: 80,
-    free_threshold: 1000
-  };
-
-  const DHAKA_DISTRICTS = [
-    'Dhaka', 'Gazipur', 'Narayanganj', 'Narsingdi', 
-    'Manikganj', 'Munshiganj', 'Tangail', 'Kishoreganj'
-  ];
-
   // Bangladesh Districts (All 64)
   const BD_DISTRICTS = [
     'Dhaka', 'Chittagong', 'Rajshahi', 'Khulna', 'Barisal',
@@ -139,7 +127,9 @@
     confirmed: 'Confirmed',
     processing: 'Processing',
     shipped: 'Shipped',
+    partially_shipped: 'Partially Shipped',
     delivered: 'Delivered',
+    partially_delivered: 'Partially Delivered',
     cancelled: 'Cancelled'
   };
 
@@ -198,8 +188,6 @@
     REWARD_TIERS,
     REWARD_POINTS,
     COMMISSION_RATES,
-    SHIPPING_COSTS,
-    DHAKA_DISTRICTS,
     BD_DISTRICTS,
     BD_DIVISIONS,
     PRODUCT_CATEGORIES,
@@ -0,0 +1,301 @@
+// js/notifications.js
+// Notification bell for dashboards: unread badge, dropdown list, mark as read and preferences
+// GLOBAL REFERENCE: API Endpoints → /api/notifications/*
+// PURPOSE: Shared in-app notification center for students, club admins and super admins
+//
+// Usage: add data-notification-bell to a button and include css/notifications.css + this file.
+
+(function(global) {
+  'use strict';
+
+  const config = typeof window !== 'undefined' && window.CONFIG ? window.CONFIG : {};
+  const API_BASE_URL = config.API_BASE_URL || (
+    window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+      ? 'http://localhost:3000/api'
+      : `${window.location.origin}/api`
+  );
+  const POLL_INTERVAL = 60000; // Refresh the unread count every minute
+
+  let bell = null;
+  let badge = null;
+  let panel = null;
+  let unreadCount = 0;
+
+  // ========================================
+  // API
+  // ========================================
+
+  async function request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/notifications${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Notification request failed');
+    }
+    return data;
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+  }
+
+  function timeAgo(dateString) {
+    const seconds = Math.floor((Date.now() - new Date(dateString).getTime()) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+    return new Date(dateString).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  function setCount(count) {
+    unreadCount = Math.max(0, count);
+    badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    badge.style.display = unreadCount > 0 ? 'flex' : 'none';
+  }
+
+  // ========================================
+  // PANEL
+  // ========================================
+
+  function buildPanel() {
+    panel = document.createElement('div');
+    panel.className = 'notification-panel';
+    panel.innerHTML = `
+      <div class="notification-panel-header">
+        <h3 class="notification-panel-title">Notifications</h3>
+        <div class="notification-panel-actions">
+          <button type="button" class="notification-link" data-action="read-all">Mark all read</button>
+          <button type="button" class="notification-link" data-action="settings" title="Notification settings">⚙</button>
+        </div>
+      </div>
+      <div class="notification-panel-body"></div>
+    `;
+
+    panel.querySelector('[data-action="read-all"]').addEventListener('click', markAllRead);
+    panel.querySelector('[data-action="settings"]').addEventListener('click', () => {
+      if (panel.dataset.view === 'settings') {
+        loadList();
+      } else {
+        loadPreferences();
+      }
+    });
+    panel.addEventListener('click', (e) => e.stopPropagation());
+
+    document.body.appendChild(panel);
+  }
+
+  function positionPanel() {
+    const rect = bell.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + 8}px`;
+    panel.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+  }
+
+  function openPanel() {
+    positionPanel();
+    panel.classList.add('open');
+    loadList();
+  }
+
+  function closePanel() {
+    panel.classList.remove('open');
+  }
+
+  function setBody(html) {
+    panel.querySelector('.notification-panel-body').innerHTML = html;
+  }
+
+  // ========================================
+  // LIST
+  // ========================================
+
+  async function loadList() {
+    panel.dataset.view = 'list';
+    setBody('<div class="notification-empty">Loading...</div>');
+
+    try {
+      const data = await request('?limit=20');
+      setCount(data.unread_count);
+
+      if (data.notifications.length === 0) {
+        setBody('<div class="notification-empty">🔔<br>You\'re all caught up</div>');
+        return;
+      }
+
+      setBody(data.notifications.map(notification => `
+        <div class="notification-item ${notification.is_read ? '' : 'unread'}" data-id="${notification.id}" data-link="${escapeHtml(notification.link || '')}">
+          <div class="notification-item-title">${escapeHtml(notification.title)}</div>
+          <div class="notification-item-message">${escapeHtml(notification.message)}</div>
+          <div class="notification-item-time">${timeAgo(notification.created_at)}</div>
+        </div>
+      `).join(''));
+
+      panel.querySelectorAll('.notification-item').forEach(item => {
+        item.addEventListener('click', () => openNotification(item));
+      });
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+      setBody('<div class="notification-empty">Could not load notifications</div>');
+    }
+  }
+
+  async function openNotification(item) {
+    if (item.classList.contains('unread')) {
+      try {
+        await request(`/${item.dataset.id}/read`, { method: 'PUT' });
+        item.classList.remove('unread');
+        setCount(unreadCount - 1);
+      } catch (error) {
+        console.error('Failed to mark notification read:', error);
+      }
+    }
+
+    if (item.dataset.link) {
+      window.location.href = item.dataset.link;
+    }
+  }
+
+  async function markAllRead() {
+    try {
+      await request('/read-all', { method: 'PUT' });
+      setCount(0);
+      panel.querySelectorAll('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  }
+
+  // ========================================
+  // PREFERENCES
+  // ========================================
+
+  async function loadPreferences() {
+    panel.dataset.view = 'settings';
+    setBody('<div class="notification-empty">Loading...</div>');
+
+    try {
+      const data = await request('/preferences');
+
+      setBody(`
+        <table class="notification-preferences">
+          <thead>
+            <tr><th>Event</th><th>In-app</th><th>Email</th></tr>
+          </thead>
+          <tbody>
+            ${data.preferences.map(preference => `
+              <tr data-type="${preference.type}">
+                <td>${escapeHtml(preference.label)}</td>
+                <td><input type="checkbox" data-channel="in_app" ${preference.in_app ? 'checked' : ''}></td>
+                <td>${preference.email_available
+                  ? `<input type="checkbox" data-channel="email" ${preference.email ? 'checked' : ''}>`
+                  : '<span class="notification-muted">—</span>'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="notification-preferences-footer">
+          <button type="button" class="notification-save">Save preferences</button>
+        </div>
+      `);
+
+      panel.querySelector('.notification-save').addEventListener('click', savePreferences);
+    } catch (error) {
+      console.error('Failed to load notification preferences:', error);
+      setBody('<div class="notification-empty">Could not load preferences</div>');
+    }
+  }
+
+  async function savePreferences() {
+    const button = panel.querySelector('.notification-save');
+    const preferences = Array.from(panel.querySelectorAll('.notification-preferences tbody tr')).map(row => {
+      const email = row.querySelector('[data-channel="email"]');
+      return {
+        type: row.dataset.type,
+        in_app: row.querySelector('[data-channel="in_app"]').checked,
+        email: email ? email.checked : true
+      };
+    });
+
+    button.disabled = true;
+    try {
+      await request('/preferences', {
+        method: 'PUT',
+        body: JSON.stringify({ preferences })
+      });
+      button.textContent = 'Saved ✓';
+      setTimeout(loadList, 800);
+    } catch (error) {
+      console.error('Failed to save notification preferences:', error);
+      button.textContent = 'Save failed - retry';
+      button.disabled = false;
+    }
+  }
+
+  // ========================================
+  // INIT
+  // ========================================
+
+  async function refresh() {
+    if (!bell) return;
+
+    try {
+      const data = await request('/unread-count');
+      setCount(data.count);
+    } catch (error) {
+      console.error('Failed to load unread notifications:', error);
+    }
+  }
+
+  function init() {
+    bell = document.querySelector('[data-notification-bell]');
+    if (!bell || !localStorage.getItem('token')) return;
+
+    bell.classList.add('notification-bell');
+    badge = document.createElement('span');
+    badge.className = 'notification-count';
+    bell.appendChild(badge);
+    setCount(0);
+
+    buildPanel();
+
+    bell.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (panel.classList.contains('open')) {
+        closePanel();
+      } else {
+        openPanel();
+      }
+    });
+
+    document.addEventListener('click', closePanel);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closePanel();
+    });
+    window.addEventListener('resize', () => {
+      if (panel.classList.contains('open')) positionPanel();
+    });
+
+    refresh();
+    setInterval(refresh, POLL_INTERVAL);
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+
+  // Other scripts can refresh the badge after actions that create notifications
+  global.NotificationCenter = {
+    refresh: refresh
+  };
+
+})(typeof window !== 'undefined' ? window : this);
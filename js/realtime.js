@@ -0,0 +1,124 @@
+// js/realtime.js
+// Live dashboard updates over server-sent events
+// GLOBAL REFERENCE: API Endpoints → /api/events/stream
+// PURPOSE: One shared EventSource per page with reconnection and Last-Event-ID replay
+//
+// Usage: Realtime.on('order_created', (data) => { ... }). Events: order_created, payment_submitted,
+// order_status_changed, registration_created, registration_status_changed, registration_checked_in,
+// resync (reload everything).
+
+(function(global) {
+  'use strict';
+
+  const config = typeof window !== 'undefined' && window.CONFIG ? window.CONFIG : {};
+  const API_BASE_URL = config.API_BASE_URL || (
+    window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+      ? 'http://localhost:3000/api'
+      : `${window.location.origin}/api`
+  );
+  const MAX_RETRY_DELAY = 60000;
+
+  const handlers = {};
+  let source = null;
+  let lastEventId = 0;
+  let retryDelay = 5000;
+  let retryTimer = null;
+
+  function handle(type, event) {
+    if (event.lastEventId) {
+      lastEventId = parseInt(event.lastEventId) || lastEventId;
+    }
+
+    let data = {};
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.error('Invalid realtime event:', event.data);
+    }
+
+    (handlers[type] || []).forEach(handler => handler(data));
+    (handlers['*'] || []).forEach(handler => handler(type, data));
+  }
+
+  function listen(type) {
+    if (source) {
+      source.addEventListener(type, (event) => handle(type, event));
+    }
+  }
+
+  function retry() {
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+  }
+
+  // The stream URL carries a short-lived stream token instead of the login token, so a new one
+  // is fetched for every connection
+  async function connect() {
+    const token = localStorage.getItem('token');
+    if (!token || typeof EventSource === 'undefined') return;
+
+    clearTimeout(retryTimer);
+    if (source) source.close();
+    source = null;
+
+    let streamToken;
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/token`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (response.status === 401) return;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      streamToken = (await response.json()).token;
+    } catch (error) {
+      retry();
+      return;
+    }
+
+    const params = new URLSearchParams({ token: streamToken });
+    if (lastEventId) params.set('lastEventId', lastEventId);
+
+    source = new EventSource(`${API_BASE_URL}/events/stream?${params.toString()}`);
+
+    source.addEventListener('ready', (event) => {
+      retryDelay = 5000;
+      handle('ready', event);
+    });
+    Object.keys(handlers).filter(type => type !== '*' && type !== 'ready').forEach(listen);
+
+    // The browser reconnects by itself after network errors (sending Last-Event-ID);
+    // it gives up on HTTP errors such as a restart in progress or an expired stream token,
+    // so retry with backoff and a fresh token then
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        retry();
+      }
+    };
+  }
+
+  function on(type, handler) {
+    if (!handlers[type]) {
+      handlers[type] = [];
+      if (type !== '*' && type !== 'ready') listen(type);
+    }
+    handlers[type].push(handler);
+  }
+
+  function disconnect() {
+    clearTimeout(retryTimer);
+    if (source) {
+      source.close();
+      source = null;
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', connect);
+  window.addEventListener('beforeunload', disconnect);
+
+  global.Realtime = {
+    on: on,
+    connect: connect,
+    disconnect: disconnect
+  };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -273,17 +273,28 @@
   // SHIPPING UTILITIES
   // ========================================
 
-  // Calculate shipping cost
-  function calculateShipping(district, orderTotal) {
-    const SHIPPING_COSTS = config.SHIPPING_COSTS || { dhaka: 60, outside_dhaka: 80, free_threshold: 1000 };
-    const DHAKA_DISTRICTS = config.DHAKA_DISTRICTS || ['Dhaka'];
-    
-    // Free shipping threshold
-    if (orderTotal >= SHIPPING_COSTS.free_threshold) return 0;
+  // Get shipping quote from the server (rates live in platform settings)
+  async function getShippingQuote(items, destination = {}, courier = null) {
+    const API_URL = config.API_BASE_URL || 'http://localhost:3000/api';
+    const response = await fetch(`${API_URL}/shipping/quote`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        items: items.map(item => ({ product_id: item.product_id, quantity: item.quantity })),
+        district: destination.district || null,
+        division: destination.division || null,
+        courier
+      })
+    });
+    
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to calculate shipping');
+    }
     
-    // Check if district is in Dhaka
-    const isDhaka = DHAKA_DISTRICTS.some(d => d.toLowerCase() === district.toLowerCase());
-    return isDhaka ? SHIPPING_COSTS.dhaka : SHIPPING_COSTS.outside_dhaka;
+    return data.data;
   }
 
   // ========================================
@@ -641,7 +652,7 @@
     getOrderStatusText,
     
     // Shipping
-    calculateShipping,
+    getShippingQuote,
     
     // UI
     showToast,